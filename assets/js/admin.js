@@ -28,45 +28,337 @@
      */
     var STATE_PAUSED = 'paused';
 
+    /**
+     * AJAX error types and factory.
+     *
+     * Every failed request settles with one of these error objects. Each has a
+     * `type`, a human readable `message` and the HTTP `status` (0 when none).
+     * Errors of type `response` also carry the fields the server sent back.
+     *
+     * @type {Object}
+     */
+    GeoDir_Converter.AjaxError = {
+        NETWORK: 'network',
+        TIMEOUT: 'timeout',
+        ABORT: 'abort',
+        AUTH: 'auth',
+        NONCE: 'nonce',
+        SERVER: 'server',
+        PARSE: 'parse',
+        RESPONSE: 'response',
+
+        /**
+         * Creates an error object.
+         *
+         * @param {string} type - Error type.
+         * @param {string} message - Human readable message.
+         * @param {Object} details - Extra fields (optional).
+         * @return {Object} The error object.
+         */
+        create: function (type, message, details) {
+            return $.extend({
+                type: type,
+                message: message || '',
+                status: 0,
+                isConnectionError: type === this.NETWORK || type === this.TIMEOUT
+            }, details || {});
+        },
+
+        /**
+         * Creates an error from a failed jqXHR.
+         *
+         * @param {jqXHR} xhr - The failed request.
+         * @param {string} textStatus - jQuery's error status.
+         * @return {Object} The error object.
+         */
+        fromXHR: function (xhr, textStatus) {
+            const i18n = GeoDir_Converter.i18n;
+            const status = xhr.status || 0;
+            const body = $.trim(xhr.responseText || '');
+
+            if ('abort' === textStatus) {
+                return this.create(this.ABORT, '');
+            }
+
+            if ('timeout' === textStatus) {
+                return this.create(this.TIMEOUT, i18n.errorTimeout);
+            }
+
+            // admin-ajax.php answers -1 for a failed referer check and 0 for a logged out user.
+            if ('-1' === body) {
+                return this.create(this.NONCE, i18n.errorNonce, { status: status });
+            }
+
+            if ('0' === body || 401 === status || 403 === status) {
+                return this.create(this.AUTH, i18n.errorAuth, { status: status });
+            }
+
+            if (0 === status) {
+                return this.create(this.NETWORK, i18n.connectionError);
+            }
+
+            if ('parsererror' === textStatus) {
+                return this.create(this.PARSE, i18n.errorParse, {
+                    status: status,
+                    responseText: body.substring(0, 500)
+                });
+            }
+
+            return this.create(this.SERVER, i18n.errorServer.replace('%d', status), { status: status });
+        },
+
+        /**
+         * Creates an error from a successful request that returned an error payload.
+         *
+         * @param {*} response - Parsed response body.
+         * @return {Object} The error object.
+         */
+        fromResponse: function (response) {
+            const i18n = GeoDir_Converter.i18n;
+
+            if (-1 === response || '-1' === response) {
+                return this.create(this.NONCE, i18n.errorNonce, { status: 200 });
+            }
+
+            if (0 === response || '0' === response) {
+                return this.create(this.AUTH, i18n.errorAuth, { status: 200 });
+            }
+
+            if (!response || typeof response !== 'object') {
+                return this.create(this.PARSE, i18n.errorParse, { status: 200 });
+            }
+
+            const data = response.data || {};
+            const type = 'invalid_nonce' === data.code ? this.NONCE : this.RESPONSE;
+
+            return $.extend({}, data, this.create(type, data.message, { status: 200, data: data }));
+        }
+    };
+
+    /**
+     * Pending nonce refresh, shared by every request that needs it.
+     * @type {Promise|null}
+     */
+    GeoDir_Converter.nonceRefresh = null;
+
+    /**
+     * Fetches fresh nonces for all actions.
+     *
+     * Concurrent callers share a single request.
+     *
+     * @return {Promise} Resolves once GeoDir_Converter.nonces is updated.
+     */
+    GeoDir_Converter.refreshNonces = function () {
+        if (!GeoDir_Converter.nonceRefresh) {
+            GeoDir_Converter.nonceRefresh = GeoDir_Converter.ajax(GeoDir_Converter.actions.refresh_nonces, null, {}, { timeout: 30000, refreshNonce: false })
+                .then(function (data) {
+                    $.extend(GeoDir_Converter.nonces, data.nonces || {});
+                    GeoDir_Converter.nonceRefresh = null;
+                }, function (error) {
+                    GeoDir_Converter.nonceRefresh = null;
+                    throw error;
+                });
+        }
+
+        return GeoDir_Converter.nonceRefresh;
+    };
+
+    /**
+     * Asks the user to log in again.
+     *
+     * Uses the WordPress login modal when it is loaded on the page.
+     */
+    GeoDir_Converter.requestLogin = function () {
+        if ($('#wp-auth-check-wrap').length) {
+            $(document).trigger('heartbeat-tick.wp-auth-check', [{ 'wp-auth-check': false }]);
+        } else {
+            GeoDir_Converter.notifyError({ message: GeoDir_Converter.i18n.errorAuth });
+        }
+    };
+
     /**
      * Performs AJAX request.
      *
+     * Returns a Promise that resolves with the response data, or rejects with
+     * a GeoDir_Converter.AjaxError object. The callback, when given, still
+     * receives `(success, data)`; on failure `data` is the error object.
+     *
+     * A request rejected for an expired nonce is replayed once with fresh
+     * nonces. If the login session itself has expired, the user is asked to
+     * log in again.
+     *
+     * Besides the usual $.ajax options, `atts` accepts:
+     * - `timeout` - Request timeout in milliseconds.
+     * - `signal` - An AbortSignal that cancels the request.
+     * - `error` - Handler for transport errors (network, timeout, HTTP, parse).
+     *   When set, those errors go to it instead of the callback.
+     * - `refreshNonce` - Set to false to skip the nonce refresh and replay.
+     *
      * @param {string} action - Action to perform.
-     * @param {Function} callback - Callback function.
+     * @param {Function|null} callback - Callback function (optional).
      * @param {Object} data - Data to send (optional).
      * @param {Object} atts - Additional parameters for $.ajax (optional).
-     * @return {jqXHR} jQuery XMLHttpRequest object.
+     * @return {Promise} Promise with extra `xhr` and `abort()` members.
      */
     GeoDir_Converter.ajax = function (action, callback, data, atts) {
         atts = typeof atts !== 'undefined' ? atts : {};
         data = typeof data !== 'undefined' ? data : {};
 
-        const nonce = GeoDir_Converter.nonces.hasOwnProperty(action) ? GeoDir_Converter.nonces[action] : '';
+        const AjaxError = GeoDir_Converter.AjaxError;
+        const hasCallback = typeof callback === 'function';
+        const onError = atts.error;
+        const signal = atts.signal;
+        let canRefreshNonce = false !== atts.refreshNonce;
+        let aborted = false;
+        let jqXHR = null;
+        let promise = null;
+
+        delete atts.error;
+        delete atts.signal;
+        delete atts.refreshNonce;
+
         if (data instanceof FormData) {
-            data.append('action', action);
-            data.append('geodir_converter_nonce', nonce);
+            data.set('action', action);
 
             atts.processData = false;
             atts.contentType = false;
         } else {
             data.action = action;
-            data.geodir_converter_nonce = nonce;
         }
 
-        atts = $.extend(atts, {
-            url: GeoDir_Converter.ajaxUrl,
-            dataType: 'json',
-            data: data,
-            success: function (response) {
-                const success = true === response.success;
-                const responseData = response.data || {};
+        /**
+         * Puts the current nonce for the action into the request data.
+         */
+        const setNonce = function () {
+            const nonce = GeoDir_Converter.nonces.hasOwnProperty(action) ? GeoDir_Converter.nonces[action] : '';
+
+            if (data instanceof FormData) {
+                data.set('geodir_converter_nonce', nonce);
+            } else {
+                data.geodir_converter_nonce = nonce;
+            }
+        };
+
+        promise = new Promise(function (resolve, reject) {
+            const fail = function (error, isTransportError) {
+                if (error.type === AjaxError.NONCE && canRefreshNonce && !aborted) {
+                    canRefreshNonce = false;
+
+                    GeoDir_Converter.refreshNonces().then(function () {
+                        if (aborted) {
+                            fail(AjaxError.create(AjaxError.ABORT, ''), true);
+                        } else {
+                            send();
+                        }
+                    }, function (refreshError) {
+                        // The refresh fails as auth when the session is gone; report that instead.
+                        fail(refreshError.type === AjaxError.AUTH ? refreshError : error, isTransportError);
+                    });
+                    return;
+                }
+
+                if (error.type === AjaxError.AUTH) {
+                    GeoDir_Converter.requestLogin();
+                }
+
+                if (error.type !== AjaxError.ABORT) {
+                    if (isTransportError && typeof onError === 'function') {
+                        onError(error);
+                    } else if (hasCallback) {
+                        callback(false, error);
+                    }
+                }
+
+                reject(error);
+            };
+
+            const send = function () {
+                setNonce();
+
+                jqXHR = $.ajax(atts);
+
+                if (promise) {
+                    promise.xhr = jqXHR;
+                }
+            };
+
+            atts = $.extend(atts, {
+                url: GeoDir_Converter.ajaxUrl,
+                dataType: 'json',
+                data: data,
+                success: function (response) {
+                    if (!response || typeof response !== 'object' || true !== response.success) {
+                        fail(AjaxError.fromResponse(response), false);
+                        return;
+                    }
+
+                    const responseData = response.data || {};
+
+                    if (hasCallback) {
+                        callback(true, responseData);
+                    }
+
+                    resolve(responseData);
+                },
+                error: function (xhr, textStatus) {
+                    fail(AjaxError.fromXHR(xhr, textStatus), true);
+                },
+            });
 
-                callback(success, responseData);
-            },
+            send();
         });
 
-        return $.ajax(atts);
-    }
+        // Callback users handle failures there, so don't report them as unhandled.
+        if (hasCallback || typeof onError === 'function') {
+            promise.catch(function () { });
+        }
+
+        promise.xhr = jqXHR;
+        promise.abort = function () {
+            aborted = true;
+
+            if (jqXHR) {
+                jqXHR.abort();
+            }
+        };
+
+        if (signal) {
+            if (signal.aborted) {
+                promise.abort();
+            } else {
+                signal.addEventListener('abort', promise.abort);
+            }
+        }
+
+        return promise;
+    };
+
+    /**
+     * Gets a displayable message for a failed request.
+     *
+     * @param {Object} error - Error object or response data.
+     * @param {string} fallback - Message to use when the error has none (optional).
+     * @return {string} The message.
+     */
+    GeoDir_Converter.getErrorMessage = function (error, fallback) {
+        return (error && error.message) || fallback || GeoDir_Converter.i18n.unknownError;
+    };
+
+    /**
+     * Shows a failed request as an error toast.
+     *
+     * @param {Object} error - Error object or response data.
+     * @param {string} fallback - Message to use when the error has none (optional).
+     */
+    GeoDir_Converter.notifyError = function (error, fallback) {
+        const message = GeoDir_Converter.getErrorMessage(error, fallback);
+
+        if (typeof aui_toast === 'function') {
+            aui_toast('geodir_converter_error', 'error', message);
+        } else {
+            window.alert(message);
+        }
+    };
 
     /**
      * Control Button base object.
@@ -269,6 +561,7 @@
             const files = this.converter.files;
             const settings = form.serializeObject();
             const test_mode = form.find('#test_mode').is(':checked') ? 'yes' : 'no';
+            const scheduled = this.converter.scheduleStatus.isEnabled();
             const formData = new FormData();
 
             if (!importerId) {
@@ -279,22 +572,30 @@
             formData.append('importerId', importerId);
             formData.append('settings', JSON.stringify(settings));
 
-            if (files.length > 0) {
+            // Files are already on the server: the CSV importer stored them, the
+            // others read them from their chunked uploads.
+            if (files.length > 0 && 'csv' !== importerId && this.converter.dropZone) {
                 for (let i = 0; i < files.length; i++) {
-                    formData.append('files[]', files[i]);
+                    formData.append('upload_ids[]', this.converter.dropZone.getUploadId(files[i], importerId));
                 }
             }
 
             this.activate();
             errorHandler.hide();
 
-            GeoDir_Converter.ajax(self.ajaxAction, function (success, data) {
+            GeoDir_Converter.ajax(scheduled ? GeoDir_Converter.actions.schedule : self.ajaxAction, function (success, data) {
                 if (!success) {
                     self.setIdle();
-                    self.converter.stop();
-                    errorHandler.show(data.message);
+                    if (!scheduled) {
+                        self.converter.stop();
+                    }
+                    errorHandler.showError(data);
+                } else if (scheduled) {
+                    self.setIdle();
+                    self.converter.scheduleStatus.set(data.schedule);
                 } else {
                     self.converter.start();
+                    self.converter.announce('started');
                 }
             }, formData, {
                 method: 'POST',
@@ -321,8 +622,10 @@
                 if (success) {
                     self.setPaused();
                     self.converter.markPaused();
+                    self.converter.announce('paused');
                 } else {
                     self.setImporting();
+                    self.converter.errorHandler.showError(data);
                 }
             }, { importerId: importerId }, { method: 'POST' });
         },
@@ -346,8 +649,10 @@
                     self.setImporting();
                     self.converter.markInProgress();
                     self.converter.resumePolling();
+                    self.converter.announce('resumed');
                 } else {
                     self.setPaused();
+                    self.converter.errorHandler.showError(data);
                 }
             }, { importerId: importerId }, { method: 'POST' });
         }
@@ -454,13 +759,16 @@
         doAction: function () {
             this.activate();
             this.converter.stop();
+            this.converter.announce('aborting');
             const importerId = this.converter.importerId;
             const self = this;
 
             GeoDir_Converter.ajax(self.ajaxAction, function (success, data) {
                 self.converter.start();
+                self.converter.announce('aborted');
                 if (!success) {
                     self.enable();
+                    self.converter.errorHandler.showError(data);
                 }
             }, { importerId }, { method: 'POST' });
         }
@@ -483,601 +791,5839 @@
             GeoDir_Converter.ajax(self.ajaxAction, function (success, data) {
                 if (success) {
                     self.converter.start();
+                    self.converter.announce('started');
                 } else {
                     self.enable();
-                    if (data && data.message) {
-                        self.converter.errorHandler.show(data.message);
-                    }
+                    self.converter.errorHandler.showError(data);
                 }
             }, { importerId }, { method: 'POST' });
         }
     });
 
     /**
-     * Logs Handler.
+     * Failed Items Panel.
+     *
+     * Lists failed source records so they can be filtered, grouped by error,
+     * retried or skipped individually, and exported.
      *
      * @type {Object}
      */
-    GeoDir_Converter.LogsHandler = $.extend({}, {
-        shown: 0,
-        userInteracting: false,
-        interactionTimeout: null,
+    GeoDir_Converter.FailedItemsPanel = {
+        converter: null,
+        toggleBtn: null,
 
         /**
-         * Initializes the logs handler.
+         * Failed items as returned by the server.
+         * @type {Array}
+         */
+        items: null,
+
+        /**
+         * Selected item keys.
+         * @type {Object|null}
+         */
+        selected: null,
+
+        /**
+         * Initializes the panel.
          *
-         * @param {jQuery} el - Logs container element.
-         * @return {Object} The logs handler instance.
+         * @param {jQuery} el - Panel element.
+         * @param {Object} args - Arguments including the converter instance and the toggle button.
+         * @return {Object} The panel instance.
          */
-        init: function (el) {
-            var self = this;
+        init: function (el, args) {
+            const self = this;
+
             this.element = el;
+            this.converter = args.converter;
+            this.toggleBtn = args.toggleBtn;
+            this.items = [];
+            this.selected = {};
 
-            if (!this.element.length || !this.element[0]) {
-                return this;
-            }
+            this.toggleBtn.on('click', function () {
+                if (self.element.hasClass('d-none')) {
+                    self.open();
+                } else {
+                    self.close();
+                }
+            });
 
-            this.element.scrollTop(this.element[0].scrollHeight);
+            this.element.on('click', '.geodir-converter-failed-items-close', function () {
+                self.close();
+                self.toggleBtn.trigger('focus');
+            });
 
-            this.element.on('mouseenter', function () {
-                self.userInteracting = true;
+            this.element.on('input', '.geodir-converter-failed-items-search', function () {
+                self.render();
             });
 
-            this.element.on('mouseleave', function () {
-                clearTimeout(self.interactionTimeout);
-                self.interactionTimeout = setTimeout(function () {
-                    self.userInteracting = false;
-                }, 1000);
+            this.element.on('change', '.geodir-converter-failed-items-group', function () {
+                self.render();
             });
 
-            this.element.on('wheel scroll touchstart', function () {
-                if (!self.element.length || !self.element[0]) {
-                    return;
-                }
+            this.element.on('change', '.geodir-converter-failed-items-all', function () {
+                const checked = $(this).prop('checked');
 
-                self.userInteracting = true;
-                clearTimeout(self.interactionTimeout);
+                self.getVisibleItems().forEach(function (item) {
+                    self.setSelected(item.key, checked);
+                });
+                self.render();
+            });
 
-                var element = self.element[0];
-                var isAtBottom = Math.abs(element.scrollHeight - element.clientHeight - element.scrollTop) < 5;
+            this.element.on('change', '.geodir-converter-failed-items-group-check', function () {
+                const checked = $(this).prop('checked');
+                const group = $(this).data('group');
 
-                if (isAtBottom) {
-                    self.interactionTimeout = setTimeout(function () {
-                        self.userInteracting = false;
-                    }, 500);
-                } else {
-                    self.interactionTimeout = setTimeout(function () {
-                        self.userInteracting = false;
-                    }, 3000);
-                }
+                self.getVisibleItems().forEach(function (item) {
+                    if (self.getGroupKey(item) === group) {
+                        self.setSelected(item.key, checked);
+                    }
+                });
+                self.render();
+            });
+
+            this.element.on('change', '.geodir-converter-failed-items-check', function () {
+                self.setSelected($(this).val(), $(this).prop('checked'));
+                self.renderSelection();
+            });
+
+            this.element.on('click', '.geodir-converter-failed-items-retry', function () {
+                self.retrySelected();
+            });
+
+            this.element.on('click', '.geodir-converter-failed-items-skip', function () {
+                self.skipSelected();
+            });
+
+            this.element.on('click', '.geodir-converter-failed-items-export', function () {
+                self.exportCSV();
             });
 
             return this;
         },
 
         /**
-         * Inserts logs into the container.
-         *
-         * @param {string} logs - Logs to insert.
+         * Shows the panel and loads the items.
          */
-        insertLogs: function (logs) {
-            if (!this.element.length || !this.element[0]) {
-                return;
-            }
-
-            this.element.append(logs);
+        open: function () {
+            this.element.removeClass('d-none');
+            this.toggleBtn.attr('aria-expanded', 'true');
+            this.load();
+        },
 
-            if (!this.userInteracting) {
-                this.element.scrollTop(this.element[0].scrollHeight);
-            }
+        /**
+         * Hides the panel.
+         */
+        close: function () {
+            this.element.addClass('d-none');
+            this.toggleBtn.attr('aria-expanded', 'false');
         },
 
         /**
-         * Sets the number of logs shown.
-         *
-         * @param {number} count - Number of logs shown.
+         * Loads the failed items.
          */
-        setShown: function (count) {
-            this.shown = count;
+        load: function () {
+            const self = this;
+            const body = this.element.find('.geodir-converter-failed-items-body');
+
+            body.html($('<tr>').append($('<td colspan="6" class="text-center text-muted py-3">').text(GeoDir_Converter.i18n.loading)));
+
+            GeoDir_Converter.ajax(GeoDir_Converter.actions.failed_items, function (success, data) {
+                if (!success) {
+                    body.empty();
+                    GeoDir_Converter.notifyError(data);
+                    return;
+                }
+
+                self.items = data.items || [];
+
+                // Drop selections of items that are gone.
+                const keys = {};
+                self.items.forEach(function (item) {
+                    keys[item.key] = true;
+                });
+                Object.keys(self.selected).forEach(function (key) {
+                    if (!keys[key]) {
+                        delete self.selected[key];
+                    }
+                });
+
+                self.render();
+            }, { importerId: this.converter.importerId });
         },
 
         /**
-         * Clears the logs.
+         * Gets the error reason of an item, with item-specific details removed.
+         *
+         * @param {Object} item - Failed item.
+         * @return {string} The reason.
          */
-        clear: function () {
-            this.shown = 0;
-            this.userInteracting = false;
-            clearTimeout(this.interactionTimeout);
-            if (this.element.length) {
-                this.element.html('');
+        getReason: function (item) {
+            let reason = item.error || GeoDir_Converter.i18n.unknownError;
+
+            if (item.title) {
+                reason = reason.split(item.title).join('…');
             }
-        },
 
-    });
+            return reason.replace(/#?\d+/g, '#');
+        },
 
-    /**
-    * Error Handler.
-    *
-    * @type {Object}
-    */
-    GeoDir_Converter.ErrorHandler = {
         /**
-         * Initializes the error handler.
-         * @param {jQuery} el - The element where errors will be displayed.
-         * @returns {Object} - The error handler instance.
+         * Gets the key of the group an item belongs to.
+         *
+         * @param {Object} item - Failed item.
+         * @return {string} The group key, or '' when not grouping.
          */
-        init: function (el) {
-            this.element = el;
-            return this;
+        getGroupKey: function (item) {
+            const groupBy = this.element.find('.geodir-converter-failed-items-group').val();
+
+            if ('reason' === groupBy) {
+                return this.getReason(item);
+            }
+
+            return 'step' === groupBy ? item.step : '';
         },
 
         /**
-         * Displays an error message.
-         * @param {string} message - The error message to display.
+         * Gets the items matching the filter.
+         *
+         * @return {Array} Matching items.
          */
-        show: function (message) {
-            this.element.html(message).removeClass('d-none');
+        getVisibleItems: function () {
+            const term = $.trim(this.element.find('.geodir-converter-failed-items-search').val() || '').toLowerCase();
+
+            if (!term) {
+                return this.items;
+            }
+
+            return this.items.filter(function (item) {
+                return [item.sourceId, item.title, item.step, item.error].join(' ').toLowerCase().indexOf(term) > -1;
+            });
         },
 
         /**
-         * Hides the error message.
+         * Selects or deselects an item.
+         *
+         * @param {string} key - Item key.
+         * @param {boolean} selected - Whether the item is selected.
          */
-        hide: function () {
-            this.element.html('').addClass('d-none');
+        setSelected: function (key, selected) {
+            if (selected) {
+                this.selected[key] = true;
+            } else {
+                delete this.selected[key];
+            }
         },
 
         /**
-         * Clears the error message and hides the error container.
+         * Gets the selected item keys.
+         *
+         * @return {Array} Item keys.
          */
-        clear: function () {
-            this.hide();
+        getSelectedKeys: function () {
+            return Object.keys(this.selected);
         },
 
         /**
-         * Checks if the error container is currently visible.
-         * @returns {boolean} - True if the error container is visible, otherwise false.
+         * Renders the item rows.
          */
-        isVisible: function () {
-            return !this.element.hasClass('d-none');
-        }
-    };
+        render: function () {
+            const self = this;
+            const body = this.element.find('.geodir-converter-failed-items-body');
+            const items = this.getVisibleItems();
+            const groups = {};
+            const order = [];
 
-    /**
-     * Progress Bar.
-     *
-     * @type {Object}
-     */
-    GeoDir_Converter.ProgressBar = $.extend({}, {
-        barEl: null,
-        elapsedEl: null,
-        elapsedValueEl: null,
-        statsEl: null,
+            items.forEach(function (item) {
+                const group = self.getGroupKey(item);
 
-        /**
-         * Initializes the progress bar.
-         *
-         * @param {jQuery} el - Progress bar container element.
-         * @return {Object} The progress bar instance.
-         */
-        init: function (el) {
-            this.element = el;
-            this.barEl = this.element.find('.progress-bar');
-            this.elapsedEl = this.element.find('.geodir-converter-elapsed-time');
-            this.elapsedValueEl = this.element.find('.geodir-converter-elapsed-value');
-            this.statsEl = this.element.find('.geodir-converter-stats-summary');
-            return this;
+                if (!groups.hasOwnProperty(group)) {
+                    groups[group] = [];
+                    order.push(group);
+                }
+                groups[group].push(item);
+            });
+
+            body.empty();
+            this.element.find('.geodir-converter-failed-items-count').text(this.items.length);
+
+            if (!items.length) {
+                body.append($('<tr>').append($('<td colspan="6" class="text-center text-muted py-3">').text(GeoDir_Converter.i18n.failedItemsEmpty)));
+            }
+
+            // Largest groups first.
+            order.sort(function (a, b) {
+                return groups[b].length - groups[a].length;
+            });
+
+            order.forEach(function (group) {
+                if ('' !== group) {
+                    const allSelected = groups[group].every(function (item) {
+                        return self.selected[item.key];
+                    });
+
+                    body.append($('<tr class="table-light">').append(
+                        $('<th scope="row" class="ps-3">').append(
+                            $('<input type="checkbox" class="form-check-input geodir-converter-failed-items-group-check">')
+                                .attr('data-group', group)
+                                .attr('aria-label', group)
+                                .prop('checked', allSelected)
+                        ),
+                        $('<th colspan="5">').text(group + ' (' + groups[group].length + ')')
+                    ));
+                }
+
+                groups[group].forEach(function (item) {
+                    body.append($('<tr>').append(
+                        $('<td class="ps-3">').append(
+                            $('<input type="checkbox" class="form-check-input geodir-converter-failed-items-check">')
+                                .val(item.key)
+                                .attr('aria-label', item.title || item.sourceId)
+                                .prop('checked', !!self.selected[item.key])
+                        ),
+                        $('<td>').text(item.sourceId),
+                        $('<td>').text(item.title),
+                        $('<td>').text(item.step),
+                        $('<td class="text-break">').text(item.error).append(
+                            item.retryable ? null : $('<div class="small text-muted">').text(GeoDir_Converter.i18n.failedItemsNoRetry)
+                        ),
+                        $('<td>').text(item.retryCount)
+                    ));
+                });
+            });
+
+            this.renderSelection();
         },
 
         /**
-         * Updates the progress bar.
+         * Gets the selected item keys that can be retried on their own.
          *
-         * @param {number} newProgress - New progress percentage.
+         * @return {Array} Item keys.
          */
-        updateProgress: function (newProgress) {
-            this.element.removeClass('d-none');
-            this.barEl.css('width', newProgress + '%').text(newProgress + '%');
+        getRetryableKeys: function () {
+            const self = this;
+
+            return this.items.filter(function (item) {
+                return item.retryable && self.selected[item.key];
+            }).map(function (item) {
+                return item.key;
+            });
         },
 
         /**
-         * Formats seconds into HH:MM:SS.
-         *
-         * @param {number} totalSeconds - Total elapsed seconds.
-         * @return {string} Formatted time string.
+         * Updates the selection summary and buttons.
          */
-        formatTime: function (totalSeconds) {
-            var hours = Math.floor(totalSeconds / 3600);
-            var minutes = Math.floor((totalSeconds % 3600) / 60);
-            var seconds = totalSeconds % 60;
-            return (hours < 10 ? '0' : '') + hours + ':' +
-                (minutes < 10 ? '0' : '') + minutes + ':' +
-                (seconds < 10 ? '0' : '') + seconds;
+        renderSelection: function () {
+            const count = this.getSelectedKeys().length;
+            const visible = this.getVisibleItems();
+            const self = this;
+
+            this.element.find('.geodir-converter-failed-items-selected').text(count ? GeoDir_Converter.i18n.failedItemsSelected.replace('%d', count) : '');
+            this.element.find('.geodir-converter-failed-items-retry').prop('disabled', !this.getRetryableKeys().length || this.converter.inProgress);
+            this.element.find('.geodir-converter-failed-items-skip').prop('disabled', !count || this.converter.inProgress);
+            this.element.find('.geodir-converter-failed-items-all').prop('checked', visible.length > 0 && visible.every(function (item) {
+                return self.selected[item.key];
+            }));
         },
 
         /**
-         * Updates the elapsed time display.
-         *
-         * @param {number} elapsed - Elapsed time in seconds.
+         * Re-imports the selected items that can be retried on their own.
          */
-        updateElapsed: function (elapsed) {
-            if (elapsed > 0 && this.elapsedEl && this.elapsedEl.length) {
-                this.elapsedEl.removeClass('d-none');
-                this.elapsedValueEl.text(this.formatTime(elapsed));
+        retrySelected: function () {
+            const self = this;
+            const keys = this.getRetryableKeys();
+
+            if (!keys.length) {
+                return;
             }
+
+            this.element.find('.geodir-converter-failed-items-retry').prop('disabled', true);
+
+            GeoDir_Converter.ajax(GeoDir_Converter.actions.retry_failed, function (success, data) {
+                if (!success) {
+                    self.renderSelection();
+                    GeoDir_Converter.notifyError(data);
+                    return;
+                }
+
+                self.selected = {};
+                self.close();
+                self.converter.start();
+                self.converter.announce('started');
+            }, { importerId: this.converter.importerId, keys: keys }, { method: 'POST' });
         },
 
         /**
-         * Updates the stats counters.
-         *
-         * @param {Object} stats - Stats object with total, succeed, skipped, failed.
+         * Marks the selected items as skipped.
          */
-        updateStats: function (stats) {
-            if (!stats || !this.statsEl || !this.statsEl.length) {
+        skipSelected: function () {
+            const self = this;
+            const keys = this.getSelectedKeys();
+
+            if (!keys.length || !window.confirm(GeoDir_Converter.i18n.confirmSkipFailed.replace('%d', keys.length))) {
                 return;
             }
 
-            var fields = ['succeed', 'skipped', 'failed', 'total'];
-            for (var i = 0; i < fields.length; i++) {
-                var field = fields[i];
-                var val = stats[field] || 0;
-                var wrapper = this.statsEl.find('> .geodir-converter-stat-' + field);
-                var countEl = wrapper.find('.geodir-converter-stat-' + field + '-count');
+            this.element.find('.geodir-converter-failed-items-skip').prop('disabled', true);
 
-                if (val > 0) {
-                    wrapper.removeClass('d-none');
-                    countEl.text(val);
-                } else {
-                    wrapper.addClass('d-none');
+            GeoDir_Converter.ajax(GeoDir_Converter.actions.skip_failed, function (success, data) {
+                if (!success) {
+                    self.renderSelection();
+                    GeoDir_Converter.notifyError(data);
+                    return;
                 }
-            }
+
+                if (typeof aui_toast === 'function') {
+                    aui_toast('geodir_converter_success', 'success', data.message);
+                }
+
+                self.selected = {};
+                self.load();
+                self.converter.syncProgress();
+            }, { importerId: this.converter.importerId, keys: keys }, { method: 'POST' });
         },
 
         /**
-         * Resets the stats display.
+         * Downloads the items matching the filter as CSV.
          */
-        resetStats: function () {
-            if (this.statsEl && this.statsEl.length) {
-                this.statsEl.find('> span').addClass('d-none');
-                this.statsEl.find('strong').text('0');
-            }
-            if (this.elapsedEl && this.elapsedEl.length) {
-                this.elapsedEl.addClass('d-none');
-            }
+        exportCSV: function () {
+            const self = this;
+            const rows = [['source_id', 'title', 'type', 'step', 'error', 'reason', 'retries', 'failed_at']];
+
+            this.getVisibleItems().forEach(function (item) {
+                rows.push([item.sourceId, item.title, item.type, item.step, item.error, self.getReason(item), item.retryCount, item.timestamp]);
+            });
+
+            GeoDir_Converter.download(
+                'geodir-converter-' + this.converter.importerId + '-failed-items.csv',
+                GeoDir_Converter.toCSV(rows),
+                'text/csv;charset=utf-8'
+            );
         }
-    });
+    };
 
     /**
-     * CSV Upload Handler.
+     * Report Panel.
      *
-     * Handles drag & drop, file selection, and AJAX upload with progress bar.
+     * Summary of a finished run: duration, totals per item type, the most
+     * common errors and links to the imported content. Can be printed or
+     * downloaded as a standalone HTML page.
+     *
+     * @type {Object}
      */
-    GeoDir_Converter.DropZone = $.extend({}, {
-        dropzone: null,
-        input: null,
-        btn: null,
-        uploads: null,
+    GeoDir_Converter.ReportPanel = {
+        converter: null,
+        toggleBtn: null,
 
         /**
-         * Initializes the drop zone.
+         * Last loaded report.
+         * @type {Object|null}
+         */
+        report: null,
+
+        /**
+         * Initializes the panel.
          *
-         * @param {jQuery} el - Drop zone wrapper element.
-         * @param {Object} args - Arguments including the converter instance.
-         * @return {Object} The drop zone instance.
+         * @param {jQuery} el - Panel element.
+         * @param {Object} args - Arguments including the converter instance and the toggle button.
+         * @return {Object} The panel instance.
          */
         init: function (el, args) {
-            this.element = el;
-            this.converter = args.converter;
-            this.dropzone = this.element.find('.geodir-converter-drop-zone');
-            this.btn = this.element.find('.geodir-converter-files-btn');
-            this.input = this.element.find('.geodir-converter-files-input');
-            this.uploads = this.element.find('.geodir-converter-uploads');
-
             const self = this;
 
-            this.disableStep2Inputs(true);
-
-            this.btn.on('click', function () {
-                self.input.trigger('click');
-            });
+            this.element = el;
+            this.converter = args.converter;
+            this.toggleBtn = args.toggleBtn;
+            this.report = null;
 
-            this.dropzone.on('dragover dragenter', function (e) {
-                e.preventDefault();
-                e.stopPropagation();
-                self.dropzone.addClass('dragover');
+            this.toggleBtn.on('click', function () {
+                if (self.element.hasClass('d-none')) {
+                    self.open();
+                } else {
+                    self.close();
+                }
             });
 
-            this.dropzone.on('dragleave dragend drop', function (e) {
-                e.preventDefault();
-                e.stopPropagation();
-                self.dropzone.removeClass('dragover');
+            this.element.on('click', '.geodir-converter-report-close', function () {
+                self.close();
+                self.toggleBtn.trigger('focus');
             });
 
-            this.dropzone.on('drop', function (e) {
-                self.handleFiles(e.originalEvent.dataTransfer.files);
+            this.element.on('click', '.geodir-converter-report-print', function () {
+                self.print();
             });
 
-            this.input.on('change', function (e) {
-                e.preventDefault();
-                self.handleFiles(this.files);
+            this.element.on('click', '.geodir-converter-report-download', function () {
+                self.download();
             });
 
             return this;
         },
 
         /**
-         * Handles CSV files dropped or selected.
-         *
-         * @param {FileList} files
+         * Shows the panel and loads the report.
          */
-        handleFiles: function (files) {
-            const self = this;
-            const importerId = this.converter ? this.converter.importerId : 'edirectory';
-            const isCSV = importerId === 'csv';
+        open: function () {
+            this.toggleBtn.removeClass('d-none');
+            this.element.removeClass('d-none');
+            this.toggleBtn.attr('aria-expanded', 'true');
+            this.load();
+        },
 
-            Array.from(files).forEach(function (file) {
-                const isCSVFile = file.name.toLowerCase().endsWith('.csv') || file.name.toLowerCase().endsWith('.txt');
-                if (isCSVFile || !isCSV) {
-                    self.uploadFile(file);
-                } else {
-                    aui_toast("geodir_converter_error", "error", `${file.name} is not a CSV file.`);
-                }
-            });
+        /**
+         * Hides the panel.
+         */
+        close: function () {
+            this.element.addClass('d-none');
+            this.toggleBtn.attr('aria-expanded', 'false');
         },
 
         /**
-         * Uploads a single file.
-         *
-         * @param {File} file - The file to upload.
-         * @returns {void}
+         * Loads the report.
          */
-        uploadFile: function (file) {
-            const importerId = this.converter ? this.converter.importerId : 'edirectory';
-            const uploadContext = this._createUploadContext(file, importerId);
+        load: function () {
+            const self = this;
+            const body = this.element.find('.geodir-converter-report-body');
 
-            if (importerId === 'csv') {
-                this._uploadCSVFile(uploadContext);
-            } else {
-                this._uploadEDirectoryFile(uploadContext);
-            }
+            body.empty().append($('<p class="text-muted mb-0">').text(GeoDir_Converter.i18n.loading));
+            this.element.find('.geodir-converter-report-print, .geodir-converter-report-download').prop('disabled', true);
+
+            GeoDir_Converter.ajax(GeoDir_Converter.actions.report, function (success, data) {
+                if (!success) {
+                    body.empty();
+                    GeoDir_Converter.notifyError(data);
+                    return;
+                }
+
+                self.report = data.report;
+                body.empty().append(self.buildContent(self.report));
+                self.element.find('.geodir-converter-report-print, .geodir-converter-report-download').prop('disabled', false);
+            }, { importerId: this.converter.importerId });
         },
 
         /**
-         * Creates upload context object with UI elements and progress tracking.
+         * Formats an ISO date for display.
          *
-         * @private
-         * @param {File} file - The file being uploaded.
-         * @param {string} importerId - The importer identifier.
-         * @returns {Object} Upload context object.
+         * @param {string} value - ISO 8601 date.
+         * @return {string} Localized date and time, or a dash when empty.
          */
-        _createUploadContext: function (file, importerId) {
-            const fileId = 'upload-' + Date.now();
-            const item = this.renderUploadItem(fileId, file.name);
-            const progressBar = $.extend({}, GeoDir_Converter.ProgressBar);
-            const progress = progressBar.init(item.find('.progress'));
-
-            return {
-                file: file,
-                fileId: fileId,
-                item: item,
-                progress: progress,
-                status: item.find('.geodir-converter-progress-status'),
-                icon: item.find('.geodir-converter-progress-icon'),
-                importerId: importerId
-            };
+        formatDate: function (value) {
+            return value ? new Date(value).toLocaleString() : '–';
         },
 
         /**
-         * Handles CSV file upload.
+         * Builds a table.
          *
-         * @private
-         * @param {Object} context - Upload context object.
-         * @returns {void}
+         * @param {Array} head - Column headings.
+         * @param {Array} rows - Rows, each an array of cell values.
+         * @return {jQuery} The table.
          */
-        _uploadCSVFile: function (context) {
-            const self = this;
-            const formData = this._buildCSVFormData(context.file);
+        buildTable: function (head, rows) {
+            const table = $('<table class="table table-sm mb-3">');
+            const headRow = $('<tr>');
+            const body = $('<tbody>');
 
-            GeoDir_Converter.ajax(GeoDir_Converter.actions.csv_parse, function (success, data) {
-                self._handleUploadResponse(success, data, context, function () {
-                    if (data.file_id) {
-                        const delimiter = self.element.find('#csv_delimiter').val() || ',';
-                        self.converter.switchToCSVMappingStep({
-                            file_id: data.file_id,
-                            delimiter: delimiter,
-                            headers: data.headers || []
-                        });
-                    }
+            head.forEach(function (label, i) {
+                headRow.append($('<th scope="col">').addClass(i ? 'text-end' : '').text(label));
+            });
+
+            rows.forEach(function (row) {
+                const tr = $('<tr>');
+
+                row.forEach(function (value, i) {
+                    tr.append($('<td>').addClass(i ? 'text-end' : '').text(value));
                 });
-            }, formData, this._getUploadAjaxOptions(context));
+                body.append(tr);
+            });
+
+            return table.append($('<thead>').append(headRow), body);
         },
 
         /**
-         * Handles eDirectory file upload.
+         * Builds the report content.
          *
-         * @private
-         * @param {Object} context - Upload context object.
-         * @returns {void}
+         * Used for the panel as well as the printable page, so it only relies
+         * on plain markup and a few Bootstrap classes.
+         *
+         * @param {Object} report - Report data.
+         * @return {jQuery} Report content.
          */
-        _uploadEDirectoryFile: function (context) {
-            const self = this;
-            const formData = this._buildEDirectoryFormData(context.file, context.importerId);
-            const $moduleTypes = this.element.find('[name="edirectory_modules[]"]');
+        buildContent: function (report) {
+            const i18n = GeoDir_Converter.i18n;
+            const stats = report.stats || {};
+            const content = $('<div class="geodir-converter-report-content">');
+            const summary = $('<dl class="geodir-converter-report-summary row mb-3">');
+            const processed = (stats.succeed || 0) + (stats.skipped || 0) + (stats.failed || 0);
 
-            GeoDir_Converter.ajax(GeoDir_Converter.actions.upload, function (success, data) {
-                self._handleUploadResponse(success, data, context, function () {
-                    if (data.module_type) {
-                        const selected = $moduleTypes.map(function () {
-                            return $(this).val();
-                        }).get();
+            content.append($('<h2 class="h5 mb-3">').text(i18n.reportTitle.replace('%s', report.importer)));
 
-                        if (!selected.includes(data.module_type)) {
-                            selected.push(data.module_type);
-                            $moduleTypes.remove();
+            if (report.inProgress) {
+                content.append($('<p class="alert alert-info py-2">').text(i18n.reportRunning));
+            }
 
-                            const hiddenInputs = selected.map(function (val) {
-                                return '<input type="hidden" name="edirectory_modules[]" value="' + val + '">';
-                            }).join('');
+            if (report.testMode) {
+                content.append($('<p class="alert alert-warning py-2">').text(i18n.reportTestMode));
+            }
 
-                            self.element.append(hiddenInputs);
-                        }
+            [
+                [i18n.reportStarted, this.formatDate(report.startedAt)],
+                [i18n.reportFinished, this.formatDate(report.finishedAt)],
+                [i18n.reportDuration, this.converter.progressBar.formatTime(report.duration || 0)],
+                [i18n.reportProcessed, processed + ' / ' + (stats.total || 0)],
+                [i18n.reportSucceeded, stats.succeed || 0],
+                [i18n.reportSkipped, stats.skipped || 0],
+                [i18n.reportFailed, stats.failed || 0]
+            ].forEach(function (item) {
+                summary.append(
+                    $('<dt class="col-sm-3 fw-normal text-muted">').text(item[0]),
+                    $('<dd class="col-sm-9">').text(item[1])
+                );
+            });
+            content.append(summary);
+
+            if (report.breakdown && report.breakdown.length) {
+                content.append($('<h3 class="h6">').text(i18n.reportByType));
+                content.append(this.buildTable(
+                    [i18n.reportType, i18n.reportTotal, i18n.reportSucceeded, i18n.reportSkipped, i18n.reportFailed],
+                    report.breakdown.map(function (row) {
+                        return [row.label, row.total, row.succeed, row.skipped, row.failed];
+                    })
+                ));
+            }
+
+            content.append($('<h3 class="h6">').text(i18n.reportTopErrors));
+            if (report.topErrors && report.topErrors.length) {
+                content.append(this.buildTable(
+                    [i18n.reportFailed, i18n.reportCount],
+                    report.topErrors.map(function (row) {
+                        return [row.reason, row.count];
+                    })
+                ));
+            } else {
+                content.append($('<p class="text-muted">').text(i18n.reportNoErrors));
+            }
+
+            if (report.links && report.links.length) {
+                const links = $('<ul class="list-inline mb-3">');
+
+                report.links.forEach(function (link) {
+                    links.append($('<li class="list-inline-item">').append(
+                        $('<a target="_blank" rel="noopener">').attr('href', link.url).text(link.label)
+                    ));
+                });
+                content.append($('<h3 class="h6">').text(i18n.reportLinks), links);
+            }
+
+            if (report.recent && report.recent.length) {
+                const recent = $('<ul class="mb-3">');
+
+                report.recent.forEach(function (post) {
+                    const item = $('<li>').text(post.title + ' ');
+
+                    if (post.editUrl) {
+                        item.append($('<a target="_blank" rel="noopener">').attr('href', post.editUrl).text(i18n.reportEdit), ' ');
                     }
+                    if (post.viewUrl) {
+                        item.append($('<a target="_blank" rel="noopener">').attr('href', post.viewUrl).text(i18n.reportView));
+                    }
+                    recent.append(item);
                 });
-            }, formData, this._getUploadAjaxOptions(context));
+                content.append($('<h3 class="h6">').text(i18n.reportRecent), recent);
+            }
+
+            content.append($('<p class="small text-muted mb-0">').text(i18n.reportGenerated.replace('%s', new Date().toLocaleString())));
+
+            return content;
         },
 
         /**
-         * Builds FormData for CSV upload.
+         * Builds the report as a standalone HTML page.
          *
-         * @private
-         * @param {File} file - The file to upload.
-         * @returns {FormData} FormData object for CSV upload.
+         * @return {string} HTML document.
          */
-        _buildCSVFormData: function (file) {
-            const formData = new FormData();
-            formData.append('file', file);
-            formData.append('importerId', 'csv');
+        buildDocument: function () {
+            const title = GeoDir_Converter.i18n.reportTitle.replace('%s', this.report.importer);
+            const style = [
+                'body{font:14px/1.5 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;color:#1d2327;max-width:800px;margin:24px auto;padding:0 16px}',
+                'table{border-collapse:collapse;width:100%;margin-bottom:16px}',
+                'th,td{border-bottom:1px solid #dcdcde;padding:4px 8px;text-align:left}',
+                '.text-end{text-align:right}',
+                '.text-muted{color:#646970}',
+                '.alert{padding:8px 12px;border:1px solid #dcdcde;border-radius:4px}',
+                '.geodir-converter-report-summary{display:grid;grid-template-columns:160px 1fr;gap:4px 16px}',
+                'dd{margin:0}',
+                '.list-inline{padding:0}',
+                '.list-inline-item{display:inline-block;margin-right:16px}'
+            ].join('');
+
+            return '<!DOCTYPE html><html><head><meta charset="utf-8"><title>' + $('<div>').text(title).html() + '</title>' +
+                '<style>' + style + '</style></head><body>' +
+                $('<div>').append(this.buildContent(this.report)).html() +
+                '</body></html>';
+        },
 
-            const delimiter = this.element.find('#csv_delimiter').val() || ',';
-            formData.append('csv_delimiter', delimiter);
+        /**
+         * Opens the report in a new window and prints it.
+         */
+        print: function () {
+            if (!this.report) {
+                return;
+            }
+
+            const win = window.open('', '_blank');
+            if (!win) {
+                return;
+            }
+
+            win.document.open();
+            win.document.write(this.buildDocument());
+            win.document.close();
+            win.focus();
+            win.print();
+        },
+
+        /**
+         * Downloads the report as an HTML page.
+         */
+        download: function () {
+            if (!this.report) {
+                return;
+            }
+
+            GeoDir_Converter.download(
+                'geodir-converter-' + this.converter.importerId + '-report.html',
+                this.buildDocument(),
+                'text/html;charset=utf-8'
+            );
+        }
+    };
+
+    /**
+     * Schedule Status.
+     *
+     * Shows a scheduled start on the importer card, with edit and cancel,
+     * and switches the start button to scheduling when the form asks for it.
+     *
+     * @type {Object}
+     */
+    GeoDir_Converter.ScheduleStatus = {
+        converter: null,
+        timer: null,
+
+        /**
+         * Delay after the scheduled time before checking whether the run started (in milliseconds).
+         * @type {number}
+         */
+        dueDelay: 15000,
+
+        /**
+         * Delay between checks while a due run has not started yet (in milliseconds).
+         * @type {number}
+         */
+        retryDelay: 30000,
+
+        /**
+         * Initializes the schedule status.
+         *
+         * @param {jQuery} el - Status element on the importer card.
+         * @param {Object} args - Arguments including the converter instance.
+         * @return {Object} The schedule status instance.
+         */
+        init: function (el, args) {
+            const self = this;
+
+            this.element = el;
+            this.converter = args.converter;
+
+            this.element.on('click', '.geodir-converter-schedule-edit', function () {
+                self.edit();
+            });
+
+            this.element.on('click', '.geodir-converter-schedule-cancel', function () {
+                self.cancel($(this));
+            });
+
+            this.converter.settings.on('change', '[name="schedule_enabled"]', function () {
+                self.syncForm();
+            });
+
+            this.syncForm();
+
+            if (!this.element.hasClass('d-none')) {
+                this.set({
+                    pending: '1' === String(this.element.data('pending')),
+                    startTime: this.element.data('start-time'),
+                    label: this.element.find('.geodir-converter-schedule-label').text()
+                });
+            }
+
+            return this;
+        },
+
+        /**
+         * Whether the settings form asks to schedule the import.
+         *
+         * @return {boolean} True if scheduling.
+         */
+        isEnabled: function () {
+            return this.converter.settings.find('[name="schedule_enabled"]').is(':checked');
+        },
+
+        /**
+         * Shows the schedule fields and relabels the start button to match the toggle.
+         */
+        syncForm: function () {
+            const i18n = GeoDir_Converter.i18n;
+            const enabled = this.isEnabled();
+            const importButton = this.converter.importButton;
+
+            this.converter.settings.find('.geodir-converter-schedule-fields').toggleClass('d-none', !enabled);
+
+            if (!importButton) {
+                return;
+            }
+
+            importButton.defaultText = enabled ? i18n.scheduleImport : i18n.import;
+            importButton.actionText = enabled ? i18n.scheduling : i18n.importing;
+
+            if (STATE_IDLE === importButton.state && !importButton.inSuspended) {
+                importButton._setText(importButton.defaultText);
+            }
+        },
+
+        /**
+         * Renders the schedule, and watches for a pending one to start.
+         *
+         * @param {Object|null} schedule - Schedule summary from the server, or null.
+         */
+        set: function (schedule) {
+            const self = this;
+            const pending = !!(schedule && schedule.pending);
+
+            clearTimeout(this.timer);
+
+            this.element.toggleClass('d-none', !schedule).toggleClass('d-flex', !!schedule);
+            this.element.find('.geodir-converter-schedule-label').text(schedule ? schedule.label : '');
+            this.element.find('.geodir-converter-schedule-edit, .geodir-converter-schedule-cancel').toggleClass('d-none', !pending);
+
+            if (pending && schedule.startTime) {
+                const delay = Math.max(0, new Date(schedule.startTime).getTime() - Date.now()) + this.dueDelay;
+
+                // Timers overflow past ~24.8 days; the page is reloaded long before.
+                this.timer = setTimeout(function () {
+                    self.check();
+                }, Math.min(delay, 2147483647));
+            }
+        },
+
+        /**
+         * Checks whether a due run has started, and follows it if so.
+         *
+         * The request also gives WP-Cron a chance to fire on quiet sites.
+         */
+        check: function () {
+            const self = this;
+            const converter = this.converter;
+
+            GeoDir_Converter.ajax(GeoDir_Converter.actions.progress, function (success, data) {
+                if (success && (data.inProgress || data.isPaused)) {
+                    converter.applyRemoteState('started');
+                    return;
+                }
+
+                if (!success || (data.schedule && data.schedule.pending)) {
+                    self.timer = setTimeout(function () {
+                        self.check();
+                    }, self.retryDelay);
+                    return;
+                }
+
+                self.set(data.schedule);
+            }, { logsShown: converter.logsHandler.shown, importerId: converter.importerId, structured: 1 });
+        },
+
+        /**
+         * Opens the settings at the schedule fields.
+         */
+        edit: function () {
+            const settings = this.converter.settings;
+
+            if (settings.hasClass('d-none')) {
+                this.converter.configureButton.doAction();
+            }
+
+            settings.find('[name="schedule_enabled"]').prop('checked', true);
+            this.syncForm();
+            settings.find('[name="schedule_start"]').trigger('focus');
+        },
+
+        /**
+         * Cancels the scheduled import.
+         *
+         * @param {jQuery} button - Button that requested it.
+         */
+        cancel: function (button) {
+            const self = this;
+
+            if (!window.confirm(GeoDir_Converter.i18n.scheduleCancelConfirm)) {
+                return;
+            }
+
+            button.prop('disabled', true);
+
+            GeoDir_Converter.ajax(GeoDir_Converter.actions.cancel_schedule, function (success, data) {
+                button.prop('disabled', false);
+
+                if (!success) {
+                    GeoDir_Converter.notifyError(data);
+                    return;
+                }
+
+                self.converter.settings.find('[name="schedule_enabled"]').prop('checked', false);
+                self.syncForm();
+                self.set(data.schedule);
+            }, { importerId: self.converter.importerId }, { method: 'POST' });
+        }
+    };
+
+    /**
+     * Preview Panel.
+     *
+     * Shows the first source records as they would be written, using the
+     * settings currently in the form. Nothing is imported.
+     *
+     * @type {Object}
+     */
+    GeoDir_Converter.PreviewPanel = {
+        converter: null,
+        toggleBtn: null,
+
+        /**
+         * Number of fields and images listed per cell before collapsing the rest.
+         * @type {number}
+         */
+        maxListed: 3,
+
+        /**
+         * Initializes the panel.
+         *
+         * @param {jQuery} el - Panel element.
+         * @param {Object} args - Arguments including the converter instance and the toggle button.
+         * @return {Object} The panel instance.
+         */
+        init: function (el, args) {
+            const self = this;
+
+            this.element = el;
+            this.converter = args.converter;
+            this.toggleBtn = args.toggleBtn;
+
+            this.toggleBtn.on('click', function () {
+                if (self.element.hasClass('d-none')) {
+                    self.open();
+                } else {
+                    self.close();
+                }
+            });
+
+            this.element.on('click', '.geodir-converter-preview-close', function () {
+                self.close();
+                self.toggleBtn.trigger('focus');
+            });
+
+            this.element.on('click', '.geodir-converter-preview-refresh', function () {
+                self.load();
+            });
+
+            this.element.on('change', '.geodir-converter-preview-limit', function () {
+                self.load();
+            });
+
+            return this;
+        },
+
+        /**
+         * Shows the panel and builds the preview.
+         */
+        open: function () {
+            this.element.removeClass('d-none');
+            this.toggleBtn.attr('aria-expanded', 'true');
+            this.load();
+        },
+
+        /**
+         * Hides the panel.
+         */
+        close: function () {
+            this.element.addClass('d-none');
+            this.toggleBtn.attr('aria-expanded', 'false');
+        },
+
+        /**
+         * Sends the current form settings and renders the returned records.
+         */
+        load: function () {
+            const self = this;
+            const body = this.element.find('.geodir-converter-preview-body');
+            const form = this.converter.settings.find('form');
+            const settings = form.serializeObject();
+
+            settings.test_mode = form.find('#test_mode').is(':checked') ? 'yes' : 'no';
+
+            body.html($('<tr>').append($('<td colspan="7" class="text-center text-muted py-3">').text(GeoDir_Converter.i18n.previewLoading)));
+            this.element.find('.geodir-converter-preview-refresh').prop('disabled', true);
+
+            GeoDir_Converter.ajax(GeoDir_Converter.actions.preview, function (success, data) {
+                self.element.find('.geodir-converter-preview-refresh').prop('disabled', false);
+
+                if (!success) {
+                    body.empty();
+                    GeoDir_Converter.notifyError(data, GeoDir_Converter.i18n.previewFailed);
+                    return;
+                }
+
+                self.render(data.records || []);
+            }, {
+                importerId: this.converter.importerId,
+                settings: JSON.stringify(settings),
+                limit: this.element.find('.geodir-converter-preview-limit').val()
+            }, { method: 'POST' });
+        },
+
+        /**
+         * Builds a cell listing items, collapsing those past maxListed.
+         *
+         * @param {Array} items - Text or elements to list.
+         * @param {string} title - Full list, shown on hover when collapsed.
+         * @return {jQuery} The cell.
+         */
+        buildListCell: function (items, title) {
+            const cell = $('<td>');
+
+            items.slice(0, this.maxListed).forEach(function (item) {
+                cell.append($('<div class="text-truncate">').append(item));
+            });
+
+            if (items.length > this.maxListed) {
+                cell.append(
+                    $('<div class="small text-muted">')
+                        .attr('title', title)
+                        .text(GeoDir_Converter.i18n.previewMoreFields.replace('%d', items.length - this.maxListed))
+                );
+            }
+
+            return cell;
+        },
+
+        /**
+         * Renders the preview rows.
+         *
+         * @param {Array} records - Records returned by the server.
+         */
+        render: function (records) {
+            const self = this;
+            const i18n = GeoDir_Converter.i18n;
+            const body = this.element.find('.geodir-converter-preview-body');
+
+            body.empty();
+
+            if (!records.length) {
+                body.append($('<tr>').append($('<td colspan="7" class="text-center text-muted py-3">').text(i18n.previewEmpty)));
+                return;
+            }
+
+            records.forEach(function (record) {
+                const row = $('<tr>').append($('<td class="ps-3 text-muted">').text(record.sourceId));
+
+                if (record.error) {
+                    body.append(row.addClass('table-danger').append(
+                        $('<td colspan="6" class="pe-3">').text(i18n.previewWouldFail.replace('%s', record.error))
+                    ));
+                    return;
+                }
+
+                const fields = $.map(record.fields || {}, function (value, key) {
+                    return key + ': ' + value;
+                });
+                const images = (record.images || []).map(function (url) {
+                    return $('<a target="_blank" rel="noopener noreferrer">').attr('href', url).text(url.split('/').pop() || url);
+                });
+                const coordinates = record.latitude || record.longitude ? record.latitude + ', ' + record.longitude : '';
+
+                body.append(row.append(
+                    $('<td>').append(record.title ? $('<strong>').text(record.title) : $('<em class="text-muted">').text(i18n.previewUntitled)),
+                    $('<td>').text((record.categories || []).join(', ')),
+                    $('<td>').text(record.address),
+                    $('<td class="text-nowrap">').text(coordinates),
+                    self.buildListCell(fields, fields.join('\n')).addClass('small'),
+                    self.buildListCell(images, (record.images || []).join('\n')).addClass('small pe-3')
+                ));
+            });
+        }
+    };
+
+    /**
+     * History Panel.
+     *
+     * Lists the finished runs of an importer for auditing, each with the
+     * settings it used and a download of its archived log.
+     *
+     * @type {Object}
+     */
+    GeoDir_Converter.HistoryPanel = {
+        converter: null,
+        toggleBtn: null,
+
+        /**
+         * Finished runs, newest first.
+         * @type {Array}
+         */
+        runs: null,
+
+        /**
+         * Initializes the panel.
+         *
+         * @param {jQuery} el - Panel element.
+         * @param {Object} args - Arguments including the converter instance and the toggle button.
+         * @return {Object} The panel instance.
+         */
+        init: function (el, args) {
+            const self = this;
+
+            this.element = el;
+            this.converter = args.converter;
+            this.toggleBtn = args.toggleBtn;
+            this.runs = [];
+
+            this.toggleBtn.on('click', function () {
+                if (self.element.hasClass('d-none')) {
+                    self.open();
+                } else {
+                    self.close();
+                }
+            });
+
+            this.element.on('click', '.geodir-converter-history-close', function () {
+                self.close();
+                self.toggleBtn.trigger('focus');
+            });
+
+            this.element.on('click', '.geodir-converter-history-settings', function () {
+                const details = self.element.find('#' + $(this).attr('aria-controls'));
+                const expanded = details.hasClass('d-none');
+
+                details.toggleClass('d-none', !expanded);
+                $(this).attr('aria-expanded', expanded ? 'true' : 'false');
+            });
+
+            this.element.on('click', '.geodir-converter-history-log', function () {
+                self.downloadLog($(this).data('run'), $(this));
+            });
+
+            this.element.on('click', '.geodir-converter-history-rollback', function () {
+                const run = self.runs[$(this).data('run')];
+
+                if (run) {
+                    self.converter.rollback.start(run.id, run.created);
+                }
+            });
+
+            return this;
+        },
+
+        /**
+         * Whether the panel is shown.
+         *
+         * @return {boolean} True if open.
+         */
+        isOpen: function () {
+            return !this.element.hasClass('d-none');
+        },
+
+        /**
+         * Shows the panel and loads the runs.
+         */
+        open: function () {
+            this.element.removeClass('d-none');
+            this.toggleBtn.attr('aria-expanded', 'true');
+            this.load();
+        },
+
+        /**
+         * Hides the panel.
+         */
+        close: function () {
+            this.element.addClass('d-none');
+            this.toggleBtn.attr('aria-expanded', 'false');
+        },
+
+        /**
+         * Loads the runs.
+         */
+        load: function () {
+            const self = this;
+            const body = this.element.find('.geodir-converter-history-body');
+
+            body.html($('<tr>').append($('<td colspan="8" class="text-center text-muted py-3">').text(GeoDir_Converter.i18n.loading)));
+
+            GeoDir_Converter.ajax(GeoDir_Converter.actions.history, function (success, data) {
+                if (!success) {
+                    body.empty();
+                    GeoDir_Converter.notifyError(data);
+                    return;
+                }
+
+                self.runs = data.runs || [];
+                self.render();
+            }, { importerId: this.converter.importerId });
+        },
+
+        /**
+         * Renders the run rows.
+         */
+        render: function () {
+            const i18n = GeoDir_Converter.i18n;
+            const body = this.element.find('.geodir-converter-history-body');
+            const importerId = this.converter.importerId;
+
+            body.empty();
+
+            if (!this.runs.length) {
+                body.append($('<tr>').append($('<td colspan="8" class="text-center text-muted py-3">').text(i18n.historyEmpty)));
+                return;
+            }
+
+            this.runs.forEach(function (run, i) {
+                const stats = run.stats || {};
+                const detailsId = 'geodir-converter-history-' + importerId + '-' + i;
+                const status = $('<td>').append(
+                    $('<span class="badge">')
+                        .addClass('aborted' === run.status ? 'bg-secondary' : 'bg-success')
+                        .text('aborted' === run.status ? i18n.historyAborted : i18n.historyCompleted)
+                );
+
+                if (run.testMode) {
+                    status.append(' ', $('<span class="badge bg-warning text-dark">').text(i18n.historyTestMode));
+                }
+
+                if (run.rolledBackAt) {
+                    status.append(' ', $('<span class="badge bg-danger">')
+                        .attr('title', new Date(run.rolledBackAt).toLocaleString())
+                        .text(i18n.historyRolledBack));
+                }
+
+                const actions = $('<td class="pe-3 text-nowrap text-end">').append(
+                    $('<button type="button" class="btn btn-link btn-sm p-0 me-2 geodir-converter-history-settings" aria-expanded="false">')
+                        .attr('aria-controls', detailsId)
+                        .text(i18n.historySettings),
+                    $('<button type="button" class="btn btn-link btn-sm p-0 geodir-converter-history-log">')
+                        .attr('data-run', i)
+                        .text(i18n.historyLog)
+                );
+
+                // Only the last run can be rolled back.
+                if (run.canRollBack) {
+                    actions.append($('<button type="button" class="btn btn-link btn-sm p-0 ms-2 text-danger geodir-converter-history-rollback">')
+                        .attr('data-run', i)
+                        .text(i18n.historyRollBack));
+                }
+
+                body.append($('<tr>').append(
+                    $('<td class="ps-3">').text(new Date(run.startedAt).toLocaleString()),
+                    $('<td>').text(new Date(run.finishedAt).toLocaleString()),
+                    $('<td>').text(run.user || i18n.historyUnknownUser),
+                    status,
+                    $('<td class="text-end">').text(stats.succeed || 0),
+                    $('<td class="text-end">').text(stats.skipped || 0),
+                    $('<td class="text-end">').text(stats.failed || 0),
+                    actions
+                ));
+
+                body.append($('<tr class="d-none">').attr('id', detailsId).append(
+                    $('<td colspan="8" class="ps-3 pe-3">').append(
+                        $('<pre class="geodir-converter-history-settings-json small mb-0">').text(JSON.stringify(run.settings || {}, null, 2))
+                    )
+                ));
+            });
+        },
+
+        /**
+         * Downloads the archived log of a run as text.
+         *
+         * @param {number} index - Index of the run.
+         * @param {jQuery} button - Button that requested the download.
+         */
+        downloadLog: function (index, button) {
+            const run = this.runs[index];
+            const converter = this.converter;
+
+            if (!run) {
+                return;
+            }
+
+            button.prop('disabled', true);
+
+            GeoDir_Converter.ajax(GeoDir_Converter.actions.history_log, function (success, data) {
+                button.prop('disabled', false);
+
+                if (!success) {
+                    GeoDir_Converter.notifyError(data);
+                    return;
+                }
+
+                const meta = {
+                    importer: converter.importerId,
+                    exportedAt: new Date().toISOString(),
+                    stats: run.stats,
+                    elapsed: converter.progressBar.formatTime(run.duration || 0),
+                    discarded: data.discarded || 0
+                };
+
+                GeoDir_Converter.download(
+                    'geodir-converter-' + converter.importerId + '-run-' + run.startedAt.replace(/[:+]/g, '-').substring(0, 19) + '.txt',
+                    converter.logsHandler.formatExport('txt', meta, data.entries || []),
+                    'text/plain;charset=utf-8'
+                );
+            }, { importerId: converter.importerId, runId: run.id });
+        }
+    };
+
+    /**
+     * Rollback Panel.
+     *
+     * Deletes everything a finished run created, in a background process on
+     * the server, and follows it with its own progress bar and log.
+     *
+     * @type {Object}
+     */
+    GeoDir_Converter.RollbackPanel = {
+        converter: null,
+        toggleBtn: null,
+        progressBar: null,
+        logsHandler: null,
+
+        /**
+         * Log entries received so far.
+         * @type {number}
+         */
+        logsShown: 0,
+
+        /**
+         * Whether a rollback is running.
+         * @type {boolean}
+         */
+        running: false,
+        timer: null,
+        pollInterval: 2000,
+
+        /**
+         * Initializes the panel.
+         *
+         * @param {jQuery} el - Panel element.
+         * @param {Object} args - Arguments including the converter instance and the toggle button.
+         * @return {Object} The panel instance.
+         */
+        init: function (el, args) {
+            const self = this;
+
+            this.element = el;
+            this.converter = args.converter;
+            this.toggleBtn = args.toggleBtn;
+            this.logsShown = 0;
+            this.running = false;
+
+            const progressBar = $.extend({}, GeoDir_Converter.ProgressBar);
+            this.progressBar = progressBar.init(this.element.find('.geodir-converter-rollback-progress'));
+
+            const logsHandler = $.extend({}, GeoDir_Converter.LogsHandler);
+            this.logsHandler = logsHandler.init(this.element.find('.geodir-converter-rollback-logs'));
+
+            this.toggleBtn.on('click', function () {
+                self.start($(this).attr('data-run-id'), $(this).attr('data-created'));
+            });
+
+            this.element.on('click', '.geodir-converter-rollback-close', function () {
+                self.close();
+            });
+
+            if ('1' === String(this.element.data('in-progress'))) {
+                this.open();
+                this.poll();
+            }
+
+            return this;
+        },
+
+        /**
+         * Shows the panel.
+         */
+        open: function () {
+            this.element.removeClass('d-none');
+        },
+
+        /**
+         * Hides the panel. A running rollback carries on.
+         */
+        close: function () {
+            this.element.addClass('d-none');
+        },
+
+        /**
+         * Asks for confirmation, then starts rolling back a run.
+         *
+         * @param {string} runId - ID of the run.
+         * @param {number} created - Number of objects the run created, for the confirmation.
+         */
+        start: function (runId, created) {
+            const self = this;
+
+            if (!runId || this.running || !window.confirm(GeoDir_Converter.i18n.rollbackConfirm.replace('%d', created || 0))) {
+                return;
+            }
+
+            this.toggleBtn.prop('disabled', true);
+
+            GeoDir_Converter.ajax(GeoDir_Converter.actions.rollback, function (success, data) {
+                self.toggleBtn.prop('disabled', false);
+
+                if (!success) {
+                    GeoDir_Converter.notifyError(data);
+                    return;
+                }
+
+                self.logsShown = 0;
+                self.logsHandler.clear();
+                self.progressBar.resetStats();
+                self.progressBar.updateProgress(0);
+                self.setRunning(true);
+                self.open();
+                self.poll();
+            }, { importerId: this.converter.importerId, runId: runId }, { method: 'POST' });
+        },
+
+        /**
+         * Fetches the rollback progress and keeps polling while it runs.
+         */
+        poll: function () {
+            const self = this;
+
+            clearTimeout(this.timer);
+
+            GeoDir_Converter.ajax(GeoDir_Converter.actions.rollback_progress, function (success, data) {
+                if (!success) {
+                    // Keep trying while a rollback is known to be running.
+                    if (self.running) {
+                        self.timer = setTimeout(function () {
+                            self.poll();
+                        }, self.pollInterval * 2);
+                    }
+                    return;
+                }
+
+                self.update(data);
+
+                if (data.inProgress) {
+                    self.timer = setTimeout(function () {
+                        self.poll();
+                    }, self.pollInterval);
+                }
+            }, { importerId: this.converter.importerId, logsShown: this.logsShown });
+        },
+
+        /**
+         * Refreshes whether the last run can be rolled back, without opening the panel.
+         */
+        refresh: function () {
+            if (!this.running) {
+                this.poll();
+            }
+        },
+
+        /**
+         * Renders progress data from the server.
+         *
+         * @param {Object} data - Progress data.
+         */
+        update: function (data) {
+            const i18n = GeoDir_Converter.i18n;
+            const logs = data.logs || [];
+            const wasRunning = this.running;
+
+            if (data.status) {
+                this.progressBar.updateProgress(data.progress);
+                this.progressBar.updateStats(data.stats);
+                this.progressBar.updateElapsed(data.elapsed);
+                this.progressBar.barEl.toggleClass('progress-bar-animated', !!data.inProgress);
+                this.element.find('.geodir-converter-rollback-status').text(data.inProgress ? i18n.rollbackRunning : i18n.rollbackCompleted);
+            }
+
+            this.logsHandler.insertLogs(logs);
+            this.logsShown += logs.length;
+
+            this.setRunning(!!data.inProgress);
+            this.setAvailable(data.available);
+
+            if (this.running) {
+                this.open();
+            } else if (wasRunning && this.converter.history && this.converter.history.isOpen()) {
+                this.converter.history.load();
+            }
+        },
+
+        /**
+         * Updates the "Roll back this run" button.
+         *
+         * @param {Object|null} run - Run that can be rolled back, with id and created count.
+         */
+        setAvailable: function (run) {
+            this.toggleBtn
+                .attr('data-run-id', run ? run.id : '')
+                .attr('data-created', run ? run.created : 0)
+                .toggleClass('d-none', !run || this.running || this.converter.inProgress);
+        },
+
+        /**
+         * Records whether a rollback is running. No import can start meanwhile.
+         *
+         * @param {boolean} running - Whether a rollback is running.
+         */
+        setRunning: function (running) {
+            if (running === this.running) {
+                return;
+            }
+
+            this.running = running;
+
+            if (running) {
+                this.converter.importButton.suspend();
+            } else {
+                this.converter.importButton.restore();
+            }
+        }
+    };
+
+    /**
+     * Import Pipeline.
+     *
+     * Lists the queued steps and follows the pipeline while the server runs
+     * them, one importer after another, with a combined progress bar.
+     *
+     * @type {Object}
+     */
+    GeoDir_Converter.Pipeline = {
+        progressBar: null,
+        stepsEl: null,
+
+        /**
+         * Status as last received from the server.
+         * @type {Object}
+         */
+        data: {},
+
+        /**
+         * Whether the pipeline is running.
+         * @type {boolean}
+         */
+        running: false,
+
+        /**
+         * ID of the last step run handed to its importer's converter.
+         * @type {string}
+         */
+        followedRunId: '',
+        timer: null,
+        pollInterval: 3000,
+
+        /**
+         * Initializes the pipeline card.
+         *
+         * @param {jQuery} el - Pipeline card element.
+         * @return {Object} The pipeline instance.
+         */
+        init: function (el) {
+            const self = this;
+
+            this.element = el;
+            this.data = {};
+            this.running = 'running' === String(el.data('status'));
+
+            if (!el.length) {
+                return this;
+            }
+
+            const progressBar = $.extend({}, GeoDir_Converter.ProgressBar);
+            this.progressBar = progressBar.init(this.element.find('.geodir-converter-pipeline-progress'));
+            this.stepsEl = this.element.find('.geodir-converter-pipeline-steps');
+
+            this.element.on('click', '.geodir-converter-pipeline-start', function () {
+                self.start();
+            });
+
+            this.element.on('click', '.geodir-converter-pipeline-stop', function () {
+                self.stop();
+            });
+
+            this.stepsEl.on('change', '.geodir-converter-pipeline-policy', function () {
+                self.request(GeoDir_Converter.actions.pipeline_update_step, { stepId: self.getStepId(this), onFailure: $(this).val() });
+            });
+
+            this.stepsEl.on('change', '.geodir-converter-pipeline-template', function () {
+                self.request(GeoDir_Converter.actions.pipeline_update_step, { stepId: self.getStepId(this), templateId: $(this).val() });
+            });
+
+            this.stepsEl.on('click', '.geodir-converter-pipeline-move', function () {
+                self.request(GeoDir_Converter.actions.pipeline_update_step, { stepId: self.getStepId(this), move: $(this).data('move') });
+            });
+
+            this.stepsEl.on('click', '.geodir-converter-pipeline-remove', function () {
+                self.request(GeoDir_Converter.actions.pipeline_remove_step, { stepId: self.getStepId(this) });
+            });
+
+            this.load();
+
+            return this;
+        },
+
+        /**
+         * Gets the ID of the step a control belongs to.
+         *
+         * @param {Element} el - Control inside a step row.
+         * @return {string} Step ID.
+         */
+        getStepId: function (el) {
+            return $(el).closest('.geodir-converter-pipeline-step').attr('data-step-id');
+        },
+
+        /**
+         * Fetches the pipeline status and keeps polling while it runs.
+         */
+        load: function () {
+            const self = this;
+
+            clearTimeout(this.timer);
+
+            GeoDir_Converter.ajax(GeoDir_Converter.actions.pipeline_status, function (success, data) {
+                if (!success) {
+                    // Keep trying while the pipeline is known to be running.
+                    if (self.running) {
+                        self.timer = setTimeout(function () {
+                            self.load();
+                        }, self.pollInterval * 2);
+                    }
+                    return;
+                }
+
+                self.update(data);
+            });
+        },
+
+        /**
+         * Sends a change to the server and renders the resulting status.
+         *
+         * @param {string} action - AJAX action.
+         * @param {Object} data - Request data.
+         * @param {Function} done - Called after a successful change (optional).
+         */
+        request: function (action, data, done) {
+            const self = this;
+
+            this.element.find('button, select').prop('disabled', true);
+
+            GeoDir_Converter.ajax(action, function (success, response) {
+                if (!success) {
+                    GeoDir_Converter.notifyError(response);
+                    // Put the controls back as the server has them.
+                    self.update(self.data);
+                    return;
+                }
+
+                self.update(response);
+
+                if (done) {
+                    done(response);
+                }
+            }, data, { method: 'POST' });
+        },
+
+        /**
+         * Adds a converter's current settings as the last step.
+         *
+         * @param {Object} converter - Converter instance.
+         */
+        addStep: function (converter) {
+            if (converter.files.length > 0) {
+                GeoDir_Converter.notifyError({ message: GeoDir_Converter.i18n.pipelineFiles });
+                return;
+            }
+
+            const settings = converter.settings.find('form').serializeObject();
+
+            this.request(GeoDir_Converter.actions.pipeline_add_step, {
+                importerId: converter.importerId,
+                settings: JSON.stringify(settings)
+            }, function () {
+                if (typeof aui_toast === 'function') {
+                    aui_toast('geodir_converter_success', 'success', GeoDir_Converter.i18n.pipelineAdded);
+                }
+            });
+        },
+
+        /**
+         * Runs the pipeline from its first step.
+         */
+        start: function () {
+            this.request(GeoDir_Converter.actions.pipeline_start, {});
+        },
+
+        /**
+         * Asks for confirmation, then stops the pipeline.
+         */
+        stop: function () {
+            if (window.confirm(GeoDir_Converter.i18n.pipelineStopConfirm)) {
+                this.request(GeoDir_Converter.actions.pipeline_stop, {});
+            }
+        },
+
+        /**
+         * Renders a status from the server.
+         *
+         * @param {Object} data - Pipeline status.
+         */
+        update: function (data) {
+            const self = this;
+            const steps = data.steps || [];
+            const hasRun = !!data.status;
+
+            clearTimeout(this.timer);
+
+            this.data = data;
+            this.running = !!data.inProgress;
+
+            this.render(steps);
+
+            if (hasRun) {
+                this.progressBar.updateProgress(data.progress || 0);
+                this.progressBar.updateStats(data.stats);
+                this.progressBar.updateElapsed(data.elapsed);
+                this.progressBar.barEl.toggleClass('progress-bar-animated', this.running);
+            } else {
+                this.progressBar.element.addClass('d-none');
+            }
+
+            this.element.find('.geodir-converter-pipeline-status')
+                .attr('class', 'badge geodir-converter-pipeline-status ' + this.getBadgeClass(data.status))
+                .toggleClass('d-none', !hasRun)
+                .text(hasRun ? this.getStatusLabel(data.status) : '');
+
+            this.element.find('.geodir-converter-pipeline-start').prop('disabled', this.running || !steps.length);
+            this.element.find('.geodir-converter-pipeline-stop').prop('disabled', false).toggleClass('d-none', !this.running);
+            this.element.find('.geodir-converter-pipeline-empty').toggleClass('d-none', steps.length > 0);
+
+            this.follow(steps);
+
+            if (this.running) {
+                this.timer = setTimeout(function () {
+                    self.load();
+                }, this.pollInterval);
+            }
+        },
+
+        /**
+         * Renders the step rows.
+         *
+         * @param {Array} steps - Steps from the server.
+         */
+        render: function (steps) {
+            const self = this;
+            const i18n = GeoDir_Converter.i18n;
+
+            this.stepsEl.empty();
+
+            steps.forEach(function (step, i) {
+                const stats = step.stats || {};
+                const status = step.isPaused ? 'paused' : step.status;
+                const details = $('<div class="small text-muted">').text(step.summary || '');
+                const controls = $('<div class="d-flex flex-wrap align-items-center gap-2 ms-auto">');
+                const templateIds = Object.keys(step.templates || {});
+
+                if ('pending' !== step.status && 'skipped' !== step.status) {
+                    details.append($('<div>').text(
+                        i18n.notifyCompleteBody
+                            .replace('%1$d', stats.succeed || 0)
+                            .replace('%2$d', stats.skipped || 0)
+                            .replace('%3$d', stats.failed || 0)
+                    ));
+                }
+
+                if ('running' === step.status) {
+                    details.append($('<div class="progress mt-1" style="height: 4px;">').append(
+                        $('<div class="progress-bar" role="progressbar">').css('width', (step.progress || 0) + '%')
+                    ));
+                }
+
+                if (templateIds.length) {
+                    const templateSelect = $('<select class="form-select form-select-sm w-auto geodir-converter-pipeline-template">')
+                        .attr('aria-label', i18n.loadTemplate)
+                        .append($('<option value="">').text(i18n.pipelineMappingAsAdded));
+
+                    templateIds.forEach(function (id) {
+                        templateSelect.append($('<option>').val(id).text(step.templates[id]));
+                    });
+
+                    controls.append(templateSelect.val(step.templateId || ''));
+                }
+
+                controls.append(
+                    $('<select class="form-select form-select-sm w-auto geodir-converter-pipeline-policy">').append(
+                        $('<option value="stop">').text(i18n.pipelinePolicyStop),
+                        $('<option value="continue">').text(i18n.pipelinePolicyContinue)
+                    ).val(step.onFailure),
+                    $('<button type="button" class="btn btn-outline-secondary btn-sm geodir-converter-pipeline-move" data-move="up">')
+                        .attr({ title: i18n.pipelineMoveUp, 'aria-label': i18n.pipelineMoveUp })
+                        .prop('disabled', 0 === i)
+                        .append('<i class="fas fa-arrow-up"></i>'),
+                    $('<button type="button" class="btn btn-outline-secondary btn-sm geodir-converter-pipeline-move" data-move="down">')
+                        .attr({ title: i18n.pipelineMoveDown, 'aria-label': i18n.pipelineMoveDown })
+                        .prop('disabled', i === steps.length - 1)
+                        .append('<i class="fas fa-arrow-down"></i>'),
+                    $('<button type="button" class="btn btn-outline-danger btn-sm geodir-converter-pipeline-remove">')
+                        .attr({ title: i18n.pipelineRemove, 'aria-label': i18n.pipelineRemove })
+                        .append('<i class="fas fa-trash-alt"></i>')
+                );
+
+                // Steps can't change while the pipeline runs.
+                if (self.running) {
+                    controls.find('button, select').prop('disabled', true);
+                }
+
+                self.stepsEl.append($('<li class="list-group-item d-flex flex-wrap align-items-center gap-2 geodir-converter-pipeline-step">')
+                    .attr('data-step-id', step.id)
+                    .append(
+                        step.icon ? $('<img class="geodir-converter-pipeline-icon" alt="">').attr('src', step.icon) : '',
+                        $('<div class="geodir-converter-pipeline-details">').append(
+                            $('<strong>').text(step.title),
+                            ' ',
+                            $('<span class="badge">').addClass(self.getBadgeClass(status)).text(self.getStatusLabel(status)),
+                            details,
+                            step.error ? $('<div class="small text-danger">').text(step.error) : ''
+                        ),
+                        controls
+                    ));
+            });
+        },
+
+        /**
+         * Has the converter of the running step follow its run, so its log and
+         * progress show on this page too.
+         *
+         * @param {Array} steps - Steps from the server.
+         */
+        follow: function (steps) {
+            const step = this.running ? steps[this.data.current] : null;
+
+            if (!step || 'running' !== step.status || step.runId === this.followedRunId) {
+                return;
+            }
+
+            this.followedRunId = step.runId;
+
+            const converter = $('.geodir-converter-importer[data-importer="' + step.importerId + '"]').data('converter');
+
+            if (converter && !converter.inProgress) {
+                converter.applyRemoteState('started');
+            }
+        },
+
+        /**
+         * Gets the label of a pipeline or step status.
+         *
+         * @param {string} status - Status.
+         * @return {string} Label.
+         */
+        getStatusLabel: function (status) {
+            return GeoDir_Converter.i18n['pipeline' + status.charAt(0).toUpperCase() + status.slice(1)] || status;
+        },
+
+        /**
+         * Gets the badge classes for a pipeline or step status.
+         *
+         * @param {string} status - Status.
+         * @return {string} Classes.
+         */
+        getBadgeClass: function (status) {
+            switch (status) {
+                case 'running':
+                    return 'bg-primary';
+                case 'paused':
+                    return 'bg-warning text-dark';
+                case 'completed':
+                    return 'bg-success';
+                case 'failed':
+                    return 'bg-danger';
+                case 'stopped':
+                    return 'bg-secondary';
+            }
+
+            return 'bg-light text-dark';
+        }
+    };
+
+    /**
+     * Logs Handler.
+     *
+     * @type {Object}
+     */
+    GeoDir_Converter.LogsHandler = $.extend({}, {
+        shown: 0,
+
+        /**
+         * Whether new entries scroll the list to the bottom.
+         * @type {boolean}
+         */
+        following: true,
+
+        /**
+         * Entries received since the list stopped following.
+         * @type {number}
+         */
+        pending: 0,
+        followBtn: null,
+        newEntriesBtn: null,
+
+        /**
+         * Log levels, in toolbar order.
+         * @type {Array}
+         */
+        levels: ['info', 'success', 'warning', 'error'],
+
+        /**
+         * Entries per level.
+         * @type {Object|null}
+         */
+        counts: null,
+
+        /**
+         * Levels toggled off, keyed by level.
+         * @type {Object|null}
+         */
+        hiddenLevels: null,
+        searchTerm: '',
+        searchTimeout: null,
+        toolbar: null,
+
+        /**
+         * Most rows kept in the DOM. Older rows are dropped and loaded again on demand.
+         * @type {number}
+         */
+        maxRows: 300,
+
+        /**
+         * Entries fetched per history request.
+         * @type {number}
+         */
+        pageSize: 100,
+
+        /**
+         * Log index of the first rendered row, and the index after the last one.
+         * @type {number}
+         */
+        firstIndex: 0,
+        endIndex: 0,
+
+        /**
+         * Log index of the oldest entry still stored on the server, once known.
+         * @type {number}
+         */
+        historyStart: 0,
+
+        /**
+         * Whether the rendered window reaches the newest entry. New entries are only
+         * appended while it does; otherwise they wait until the user scrolls down.
+         * @type {boolean}
+         */
+        atTail: true,
+        loadingHistory: false,
+
+        /**
+         * Initializes the logs handler.
+         *
+         * @param {jQuery} el - Logs container element.
+         * @param {Object} args - Arguments including the converter instance.
+         * @return {Object} The logs handler instance.
+         */
+        init: function (el, args) {
+            var self = this;
+            this.element = el;
+            this.converter = args && args.converter;
+            this.counts = {};
+            this.hiddenLevels = {};
+            this.searchTerm = '';
+
+            if (!this.element.length || !this.element[0]) {
+                return this;
+            }
+
+            this.toolbar = this.element.prev('.geodir-converter-logs-toolbar');
+            this.firstIndex = parseInt(this.element.data('first-index'), 10) || 0;
+            this.endIndex = parseInt(this.element.data('end-index'), 10) || 0;
+            this.atTail = true;
+            this.loadingHistory = false;
+
+            // Counts cover the whole stored log, not only the rendered rows.
+            this.toolbar.find('.geodir-converter-logs-count').each(function () {
+                self.counts[$(this).data('level')] = parseInt($(this).text(), 10) || 0;
+            });
+            this.renderCounts();
+
+            this.element.on('scroll', function () {
+                self.maybeLoadHistory();
+            });
+
+            this.toolbar.on('click', '.geodir-converter-logs-level', function () {
+                const level = $(this).data('level');
+                const hidden = !self.hiddenLevels[level];
+
+                self.hiddenLevels[level] = hidden;
+                $(this).toggleClass('active', !hidden).attr('aria-pressed', hidden ? 'false' : 'true');
+                self.element.toggleClass('geodir-converter-logs-hide-' + level, hidden);
+            });
+
+            this.toolbar.on('click', '.geodir-converter-logs-export', function () {
+                self.exportLogs($(this).data('format'), $(this));
+            });
+
+            this.toolbar.on('input', '.geodir-converter-logs-search', function () {
+                const input = $(this);
+
+                clearTimeout(self.searchTimeout);
+                self.searchTimeout = setTimeout(function () {
+                    self.searchTerm = $.trim(input.val()).toLowerCase();
+                    self.applySearch(self.element.children('li'));
+                }, 200);
+            });
+
+            this.followBtn = this.toolbar.find('.geodir-converter-logs-follow');
+            this.newEntriesBtn = this.element.next('.geodir-converter-logs-new');
+            this.setFollowing(this.getFollowPreference(), false);
+
+            if (this.following) {
+                this.scrollToBottom();
+            }
+
+            this.followBtn.on('click', function () {
+                if (self.following) {
+                    self.setFollowing(false, true);
+                } else {
+                    self.jumpToLatest(true);
+                }
+            });
+
+            this.newEntriesBtn.on('click', function () {
+                self.jumpToLatest(false);
+                self.element.trigger('focus');
+            });
+
+            // Scrolling away from the bottom stops following, so the entry being read stays put.
+            this.element.on('scroll', function () {
+                if (self.following && !self.isAtBottom()) {
+                    self.setFollowing(false, false);
+                }
+            });
+
+            this.element.on('keydown', function (e) {
+                if ('End' === e.key) {
+                    e.preventDefault();
+                    self.jumpToLatest(false);
+                } else if ('Home' === e.key) {
+                    e.preventDefault();
+                    self.setFollowing(false, false);
+                    self.element.scrollTop(0);
+                }
+            });
+
+            return this;
+        },
+
+        /**
+         * Inserts logs into the container.
+         *
+         * @param {Array} logs - Structured entries, or HTML strings.
+         */
+        insertLogs: function (logs) {
+            if (!this.element.length || !this.element[0] || !logs || !logs.length) {
+                return;
+            }
+
+            const self = this;
+            let items;
+
+            if (typeof logs[0] === 'object') {
+                // Skip entries already rendered (e.g. after a history page reached the tail).
+                logs = logs.filter(function (entry) {
+                    return 'number' !== typeof entry.index || entry.index >= self.endIndex;
+                });
+
+                items = $($.map(logs, function (entry) {
+                    return self.renderEntry(entry)[0];
+                }));
+            } else {
+                items = $($.parseHTML(Array.isArray(logs) ? logs.join('') : logs)).filter('li');
+            }
+
+            this.countEntries(items);
+            this.renderCounts();
+
+            if (!this.atTail) {
+                this.addPending(items.length);
+                return;
+            }
+
+            if (!this.element.children('li[data-index]').length && items.filter('[data-index]').length) {
+                this.firstIndex = parseInt(items.filter('[data-index]').first().attr('data-index'), 10);
+            }
+
+            this.applySearch(items);
+            this.element.append(items);
+            this.endIndex = Math.max(this.endIndex, this.lastRowIndex() + 1);
+            this.trimRows('start');
+
+            if (this.following) {
+                this.scrollToBottom();
+            } else {
+                this.addPending(items.length);
+            }
+        },
+
+        /**
+         * Checks whether the list is scrolled to the bottom.
+         *
+         * @return {boolean} True if at the bottom.
+         */
+        isAtBottom: function () {
+            const element = this.element[0];
+            return element.scrollHeight - element.clientHeight - element.scrollTop < 5;
+        },
+
+        /**
+         * Scrolls the list to the newest entry.
+         */
+        scrollToBottom: function () {
+            this.element.scrollTop(this.element[0].scrollHeight);
+        },
+
+        /**
+         * Turns following on or off.
+         *
+         * @param {boolean} following - Whether to follow new entries.
+         * @param {boolean} remember - Whether to store the choice for this importer.
+         */
+        setFollowing: function (following, remember) {
+            this.following = following;
+
+            this.followBtn
+                .toggleClass('active', following)
+                .attr('aria-pressed', following ? 'true' : 'false');
+
+            // Only announce additions while following; otherwise the reader controls the pace.
+            this.element.attr('aria-live', following ? 'polite' : 'off');
+
+            if (following) {
+                this.pending = 0;
+                this.renderPending();
+            }
+
+            if (remember && this.converter) {
+                try {
+                    window.localStorage.setItem('geodir_converter_follow_' + this.converter.importerId, following ? '1' : '0');
+                } catch (e) {
+                    // Storage disabled; the choice lasts for this page.
+                }
+            }
+        },
+
+        /**
+         * Gets the stored follow choice for the importer.
+         *
+         * @return {boolean} True unless the user turned following off.
+         */
+        getFollowPreference: function () {
+            try {
+                return !this.converter || '0' !== window.localStorage.getItem('geodir_converter_follow_' + this.converter.importerId);
+            } catch (e) {
+                return true;
+            }
+        },
+
+        /**
+         * Shows the newest entries and follows again.
+         *
+         * Loads the last page first if the rendered window doesn't reach it.
+         *
+         * @param {boolean} remember - Whether to store the choice for this importer.
+         */
+        jumpToLatest: function (remember) {
+            this.setFollowing(true, remember);
+
+            if (this.atTail) {
+                this.scrollToBottom();
+                return;
+            }
+
+            this.element.children('li').remove();
+            this.loadHistory(0, this.pageSize, 'tail');
+        },
+
+        /**
+         * Adds entries to the "new entries" count.
+         *
+         * @param {number} count - Number of new entries.
+         */
+        addPending: function (count) {
+            this.pending += count;
+            this.renderPending();
+        },
+
+        /**
+         * Shows or hides the "new entries" button.
+         */
+        renderPending: function () {
+            if (!this.newEntriesBtn || !this.newEntriesBtn.length) {
+                return;
+            }
+
+            const i18n = GeoDir_Converter.i18n;
+
+            this.newEntriesBtn
+                .toggleClass('d-none', this.pending < 1)
+                .text(1 === this.pending ? i18n.logsNewEntry : i18n.logsNewEntries.replace('%d', this.pending));
+        },
+
+        /**
+         * Gets the log index of the last rendered row that has one.
+         *
+         * @return {number} The index, or -1.
+         */
+        lastRowIndex: function () {
+            const row = this.element.children('li[data-index]').last();
+            return row.length ? parseInt(row.attr('data-index'), 10) : -1;
+        },
+
+        /**
+         * Drops rows beyond maxRows from one end of the list.
+         *
+         * Dropping from the start keeps the visible rows in place.
+         *
+         * @param {string} from - 'start' or 'end'.
+         */
+        trimRows: function (from) {
+            const rows = this.element.children('li');
+            const excess = rows.length - this.maxRows;
+
+            if (excess <= 0) {
+                return;
+            }
+
+            if ('start' === from) {
+                const scrollHeight = this.element[0].scrollHeight;
+                const next = rows.eq(excess).attr('data-index');
+
+                rows.slice(0, excess).remove();
+                this.element.scrollTop(Math.max(0, this.element.scrollTop() - (scrollHeight - this.element[0].scrollHeight)));
+
+                if (undefined !== next) {
+                    this.firstIndex = parseInt(next, 10);
+                }
+            } else {
+                rows.slice(rows.length - excess).remove();
+                this.endIndex = this.lastRowIndex() + 1;
+                this.atTail = false;
+            }
+        },
+
+        /**
+         * Loads older or newer entries when the list is scrolled to either end.
+         */
+        maybeLoadHistory: function () {
+            const element = this.element[0];
+
+            if (this.loadingHistory || !this.converter || !element) {
+                return;
+            }
+
+            if (element.scrollTop < 40 && this.firstIndex > this.historyStart) {
+                const offset = Math.max(0, this.firstIndex - this.pageSize);
+                this.loadHistory(offset, this.firstIndex - offset, 'start');
+            } else if (!this.atTail && element.scrollHeight - element.clientHeight - element.scrollTop < 40) {
+                this.loadHistory(this.endIndex, this.pageSize, 'end');
+            }
+        },
+
+        /**
+         * Fetches a page of stored entries and renders it at one end of the list.
+         *
+         * @param {number} offset - Log index of the first entry.
+         * @param {number} limit - Number of entries.
+         * @param {string} where - 'start' to prepend, 'end' to append, 'tail' to append the newest entries.
+         */
+        loadHistory: function (offset, limit, where) {
+            const self = this;
+            const spinner = $('<li class="geodir-converter-logs-loading text-center text-muted small py-1">').text(GeoDir_Converter.i18n.loading);
+
+            this.loadingHistory = true;
+            this.element.attr('aria-busy', 'true');
+            this.element[where === 'start' ? 'prepend' : 'append'](spinner);
+
+            GeoDir_Converter.ajax(GeoDir_Converter.actions.logs, function (success, data) {
+                const scrollHeight = self.element[0].scrollHeight;
+
+                spinner.remove();
+                self.loadingHistory = false;
+                self.element.removeAttr('aria-busy');
+
+                if (!success) {
+                    GeoDir_Converter.notifyError(data);
+                    return;
+                }
+
+                const entries = data.entries || [];
+                self.historyStart = data.first || 0;
+
+                const items = $($.map(entries, function (entry) {
+                    return self.renderEntry(entry)[0];
+                }));
+
+                self.applySearch(items);
+
+                if ('start' === where) {
+                    // Older entries may have been discarded on the server meanwhile.
+                    self.firstIndex = entries.length ? entries[0].index : data.first;
+                    self.element.prepend(items);
+                    self.element.scrollTop(self.element.scrollTop() + self.element[0].scrollHeight - scrollHeight + spinner.outerHeight());
+                    self.trimRows('end');
+                } else {
+                    if ('tail' === where) {
+                        self.firstIndex = entries.length ? entries[0].index : data.total;
+                    }
+
+                    self.element.append(items);
+                    self.endIndex = entries.length ? entries[entries.length - 1].index + 1 : data.total;
+                    self.atTail = self.endIndex >= data.total;
+                    self.trimRows('start');
+
+                    if (self.following) {
+                        self.scrollToBottom();
+                    }
+                }
+            }, { importerId: this.converter.importerId, logsShown: offset, limit: limit, tail: 'tail' === where ? 1 : 0 });
+        },
+
+        /**
+         * Builds the list item for a structured entry.
+         *
+         * @param {Object} entry - Entry with level, timestamp, elapsed, message, source_id, post_id.
+         * @return {jQuery} The list item.
+         */
+        renderEntry: function (entry) {
+            const level = this.levels.indexOf(entry.level) > -1 ? entry.level : 'info';
+            const item = $('<li>').attr('data-level', level);
+
+            if ('number' === typeof entry.index) {
+                item.attr('data-index', entry.index);
+            }
+            const notice = $('<p class="notice ms-0 me-0 mb-2">').addClass('notice-' + level).appendTo(item);
+
+            if (entry.timestamp) {
+                item.attr('title', new Date(entry.timestamp).toLocaleString());
+            }
+
+            if (entry.elapsed) {
+                notice.append($('<span class="geodir-converter-log-elapsed">').text(entry.elapsed + ' – '));
+            }
+
+            notice.append(document.createTextNode(entry.message || ''));
+
+            if (null !== entry.source_id && undefined !== entry.source_id) {
+                item.attr('data-source-id', entry.source_id);
+                notice.append(' ', $('<span class="geodir-converter-log-id">').text(GeoDir_Converter.i18n.logSourceId.replace('%s', entry.source_id)));
+            }
+
+            if (entry.post_id) {
+                item.attr('data-post-id', entry.post_id);
+                notice.append(' ', $('<a class="geodir-converter-log-id" target="_blank">')
+                    .attr('href', GeoDir_Converter.editPostUrl.replace('%d', entry.post_id))
+                    .text(GeoDir_Converter.i18n.logPostId.replace('%d', entry.post_id)));
+            }
+
+            return item;
+        },
+
+        /**
+         * Adds list items to the per-level counts.
+         *
+         * @param {jQuery} items - Log list items.
+         */
+        countEntries: function (items) {
+            const counts = this.counts;
+
+            items.each(function () {
+                const level = $(this).attr('data-level') || 'info';
+                counts[level] = (counts[level] || 0) + 1;
+            });
+        },
+
+        /**
+         * Shows the per-level counts in the toolbar.
+         */
+        renderCounts: function () {
+            if (!this.toolbar || !this.toolbar.length) {
+                return;
+            }
+
+            const counts = this.counts;
+            let total = 0;
+
+            this.toolbar.find('.geodir-converter-logs-count').each(function () {
+                const count = counts[$(this).data('level')] || 0;
+                total += count;
+                $(this).text(count);
+            });
+
+            this.toolbar.toggleClass('d-none', 0 === total).toggleClass('d-flex', 0 !== total);
+        },
+
+        /**
+         * Hides list items that don't match the search term.
+         *
+         * Matches the message and the source and post IDs.
+         *
+         * @param {jQuery} items - Log list items.
+         */
+        applySearch: function (items) {
+            const term = this.searchTerm;
+
+            items.each(function () {
+                const item = $(this);
+                const matches = !term ||
+                    item.text().toLowerCase().indexOf(term) > -1 ||
+                    String(item.attr('data-source-id') || '') === term ||
+                    String(item.attr('data-post-id') || '') === term;
+
+                item.toggleClass('geodir-converter-log-nomatch', !matches);
+            });
+        },
+
+        /**
+         * Downloads the complete log of the importer.
+         *
+         * Entries come from the server, so entries not rendered on the page
+         * are included. Stats and elapsed time come from the progress bar.
+         *
+         * @param {string} format - One of 'txt', 'json', 'csv'.
+         * @param {jQuery} button - The export button (optional).
+         */
+        exportLogs: function (format, button) {
+            const self = this;
+            const converter = this.converter;
+
+            if (!converter) {
+                return;
+            }
+
+            if (button) {
+                button.prop('disabled', true);
+            }
+
+            GeoDir_Converter.ajax(GeoDir_Converter.actions.export_logs, function (success, data) {
+                if (button) {
+                    button.prop('disabled', false);
+                }
+
+                if (!success) {
+                    GeoDir_Converter.notifyError(data);
+                    return;
+                }
+
+                const progressBar = converter.progressBar;
+                const meta = {
+                    importer: converter.importerId,
+                    exportedAt: new Date().toISOString(),
+                    stats: progressBar.stats || data.stats,
+                    elapsed: progressBar.formatTime(progressBar.elapsed || 0),
+                    discarded: data.discarded || 0
+                };
+                const name = 'geodir-converter-' + converter.importerId + '-log-' + meta.exportedAt.replace(/[:.]/g, '-').substring(0, 19);
+                const types = { txt: 'text/plain', json: 'application/json', csv: 'text/csv' };
+
+                format = types.hasOwnProperty(format) ? format : 'txt';
+
+                GeoDir_Converter.download(name + '.' + format, self.formatExport(format, meta, data.entries || []), types[format] + ';charset=utf-8');
+            }, { importerId: converter.importerId });
+        },
+
+        /**
+         * Builds the content of a log export.
+         *
+         * @param {string} format - One of 'txt', 'json', 'csv'.
+         * @param {Object} meta - Header data: importer, exportedAt, stats, elapsed, discarded.
+         * @param {Array} entries - Structured log entries.
+         * @return {string} File content.
+         */
+        formatExport: function (format, meta, entries) {
+            const stats = $.extend({ succeed: 0, skipped: 0, failed: 0, total: 0 }, meta.stats);
+            const columns = ['timestamp', 'level', 'elapsed', 'message', 'source_id', 'post_id'];
+
+            if ('json' === format) {
+                const converter = this.converter;
+
+                return JSON.stringify($.extend({}, meta, {
+                    stats: stats,
+                    entries: entries,
+                    series: converter && converter.chart ? converter.chart.getSeries() : [],
+                    seriesInterval: converter && converter.chart ? converter.chart.bucketSize / 1000 : 0
+                }), null, 2);
+            }
+
+            if ('csv' === format) {
+                const rows = [
+                    ['importer', meta.importer],
+                    ['exported_at', meta.exportedAt],
+                    ['imported', stats.succeed],
+                    ['skipped', stats.skipped],
+                    ['failed', stats.failed],
+                    ['total', stats.total],
+                    ['elapsed', meta.elapsed],
+                    ['discarded_entries', meta.discarded],
+                    [],
+                    columns
+                ];
+
+                entries.forEach(function (entry) {
+                    rows.push(columns.map(function (column) {
+                        return entry[column];
+                    }));
+                });
+
+                return GeoDir_Converter.toCSV(rows);
+            }
+
+            const i18n = GeoDir_Converter.i18n;
+            const lines = [
+                i18n.logsExportImporter.replace('%s', meta.importer),
+                i18n.logsExportDate.replace('%s', meta.exportedAt),
+                i18n.logsExportStats
+                    .replace('%1$d', stats.succeed)
+                    .replace('%2$d', stats.skipped)
+                    .replace('%3$d', stats.failed)
+                    .replace('%4$d', stats.total),
+                i18n.logsExportElapsed.replace('%s', meta.elapsed)
+            ];
+
+            if (meta.discarded > 0) {
+                lines.push(i18n.logsExportDiscarded.replace('%d', meta.discarded));
+            }
+
+            lines.push('');
+
+            entries.forEach(function (entry) {
+                let line = '[' + (entry.timestamp || '-') + '] [' + String(entry.level).toUpperCase() + '] ';
+                line += (entry.elapsed ? entry.elapsed + ' – ' : '') + entry.message;
+
+                if (null !== entry.source_id && undefined !== entry.source_id) {
+                    line += ' (' + i18n.logSourceId.replace('%s', entry.source_id) + (entry.post_id ? ', ' + i18n.logPostId.replace('%d', entry.post_id) : '') + ')';
+                } else if (entry.post_id) {
+                    line += ' (' + i18n.logPostId.replace('%d', entry.post_id) + ')';
+                }
+
+                lines.push(line);
+            });
+
+            return lines.join('\n');
+        },
+
+        /**
+         * Sets the number of logs shown.
+         *
+         * @param {number} count - Number of logs shown.
+         */
+        setShown: function (count) {
+            this.shown = count;
+        },
+
+        /**
+         * Clears the logs.
+         */
+        clear: function () {
+            this.shown = 0;
+            this.pending = 0;
+            this.renderPending();
+            this.counts = {};
+            this.firstIndex = 0;
+            this.endIndex = 0;
+            this.historyStart = 0;
+            this.atTail = true;
+            if (this.element.length) {
+                this.element.html('');
+            }
+            this.renderCounts();
+        },
+
+    });
+
+    /**
+    * Error Handler.
+    *
+    * @type {Object}
+    */
+    GeoDir_Converter.ErrorHandler = {
+        /**
+         * Initializes the error handler.
+         * @param {jQuery} el - The element where errors will be displayed.
+         * @returns {Object} - The error handler instance.
+         */
+        init: function (el) {
+            this.element = el;
+            return this;
+        },
+
+        /**
+         * Displays an error message.
+         * @param {string} message - The error message to display.
+         */
+        show: function (message) {
+            this.element.html(message).removeClass('d-none');
+        },
+
+        /**
+         * Displays the message of a failed request.
+         * @param {Object} error - Error object or response data.
+         * @param {string} fallback - Message to use when the error has none (optional).
+         */
+        showError: function (error, fallback) {
+            this.show(GeoDir_Converter.getErrorMessage(error, fallback));
+        },
+
+        /**
+         * Hides the error message.
+         */
+        hide: function () {
+            this.element.html('').addClass('d-none');
+        },
+
+        /**
+         * Clears the error message and hides the error container.
+         */
+        clear: function () {
+            this.hide();
+        },
+
+        /**
+         * Checks if the error container is currently visible.
+         * @returns {boolean} - True if the error container is visible, otherwise false.
+         */
+        isVisible: function () {
+            return !this.element.hasClass('d-none');
+        }
+    };
+
+    /**
+     * Connection Monitor.
+     *
+     * Shows a "connection lost" banner when progress requests keep failing and
+     * retries with exponential backoff. Waits while the browser is offline and
+     * retries as soon as it's back online.
+     *
+     * @type {Object}
+     */
+    GeoDir_Converter.ConnectionMonitor = {
+        /**
+         * Delay before the first reconnect attempt (in milliseconds).
+         * @type {number}
+         */
+        baseDelay: 2000,
+
+        /**
+         * Upper bound for the reconnect delay (in milliseconds).
+         * @type {number}
+         */
+        maxDelay: 60000,
+        lost: false,
+        attempt: 0,
+        retryTimeout: null,
+        countdownInterval: null,
+        converter: null,
+
+        /**
+         * Initializes the connection monitor.
+         *
+         * @param {jQuery} el - Connection banner element.
+         * @param {Object} args - Arguments including the converter instance.
+         * @return {Object} The connection monitor instance.
+         */
+        init: function (el, args) {
+            this.converter = args.converter;
+            this.setElement(el);
+
+            $(window).on('online', this.onOnline.bind(this));
+            $(window).on('offline', this.onOffline.bind(this));
+
+            return this;
+        },
+
+        /**
+         * Binds the monitor to a (re-rendered) banner element.
+         *
+         * @param {jQuery} el - Connection banner element.
+         */
+        setElement: function (el) {
+            this.element = el;
+            this.messageEl = el.find('.geodir-converter-connection-message');
+            this.element.find('.geodir-converter-connection-retry').on('click', this.retryNow.bind(this));
+
+            if (this.lost) {
+                this.element.removeClass('d-none').addClass('d-flex');
+            }
+        },
+
+        /**
+         * Checks whether the connection is currently considered lost.
+         *
+         * @return {boolean} True if lost.
+         */
+        isLost: function () {
+            return this.lost;
+        },
+
+        /**
+         * Records a failed request and schedules the next attempt.
+         */
+        fail: function () {
+            this.lost = true;
+            this.attempt++;
+            this.element.removeClass('d-none').addClass('d-flex');
+
+            if (this.isOffline()) {
+                this.onOffline();
+                return;
+            }
+
+            this._schedule(Math.min(this.baseDelay * Math.pow(2, this.attempt - 1), this.maxDelay));
+        },
+
+        /**
+         * Clears the lost state once the server answers again.
+         */
+        restore: function () {
+            if (!this.lost) {
+                return;
+            }
+
+            this.lost = false;
+            this.attempt = 0;
+            this._clearTimers();
+            this.element.removeClass('d-flex').addClass('d-none');
+            this.messageEl.text('');
+        },
+
+        /**
+         * Retries right away.
+         */
+        retryNow: function () {
+            this._clearTimers();
+            this.messageEl.text(GeoDir_Converter.i18n.connectionReconnecting);
+            this.converter.reconnect();
+        },
+
+        /**
+         * Checks whether the browser reports being offline.
+         *
+         * @return {boolean} True if offline.
+         */
+        isOffline: function () {
+            return typeof navigator.onLine !== 'undefined' && !navigator.onLine;
+        },
+
+        /**
+         * Holds retries while the browser is offline.
+         */
+        onOffline: function () {
+            if (!this.lost) {
+                return;
+            }
+
+            this._clearTimers();
+            this.messageEl.text(GeoDir_Converter.i18n.connectionOffline);
+        },
+
+        /**
+         * Retries as soon as the browser is back online.
+         */
+        onOnline: function () {
+            if (this.lost) {
+                this.retryNow();
+            }
+        },
+
+        /**
+         * Schedules a reconnect attempt with a visible countdown.
+         *
+         * @private
+         * @param {number} delay - Delay in milliseconds.
+         */
+        _schedule: function (delay) {
+            const self = this;
+            const retryAt = Date.now() + delay;
+            const render = function () {
+                const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+                self.messageEl.text(GeoDir_Converter.i18n.connectionRetrying.replace('%d', seconds));
+            };
+
+            this._clearTimers();
+            render();
+
+            this.countdownInterval = setInterval(render, 1000);
+            this.retryTimeout = setTimeout(this.retryNow.bind(this), delay);
+        },
+
+        /**
+         * Clears pending retry and countdown timers.
+         *
+         * @private
+         */
+        _clearTimers: function () {
+            clearTimeout(this.retryTimeout);
+            clearInterval(this.countdownInterval);
+        }
+    };
+
+    /**
+     * Progress Bar.
+     *
+     * @type {Object}
+     */
+    GeoDir_Converter.ProgressBar = $.extend({}, {
+        barEl: null,
+        elapsedEl: null,
+        elapsedValueEl: null,
+        statsEl: null,
+        throughputEl: null,
+
+        /**
+         * Latest stats and elapsed seconds, as received from the server.
+         * @type {Object|null}
+         */
+        stats: null,
+        elapsed: 0,
+
+        /**
+         * Rolling window used to smooth the throughput (in milliseconds of active time).
+         * @type {number}
+         */
+        throughputWindow: 60000,
+
+        /**
+         * Minimum span of samples before an estimate is shown (in milliseconds).
+         * @type {number}
+         */
+        minSampleSpan: 5000,
+
+        /**
+         * Throughput samples, as {time, processed}, where time is active (unpaused) time.
+         * @type {Array}
+         */
+        samples: null,
+        activeTime: 0,
+        lastSampleAt: 0,
+
+        /**
+         * Latest estimate: {rate, remaining, eta, paused}. Rate is items per minute
+         * and eta is seconds; both are null while still estimating.
+         * @type {Object|null}
+         */
+        estimate: null,
+
+        /**
+         * Initializes the progress bar.
+         *
+         * @param {jQuery} el - Progress bar container element.
+         * @return {Object} The progress bar instance.
+         */
+        init: function (el) {
+            this.element = el;
+            this.barEl = this.element.find('.progress-bar');
+            this.elapsedEl = this.element.find('.geodir-converter-elapsed-time');
+            this.elapsedValueEl = this.element.find('.geodir-converter-elapsed-value');
+            this.statsEl = this.element.find('.geodir-converter-stats-summary');
+            this.throughputEl = this.element.find('.geodir-converter-throughput');
+            this.resetThroughput();
+            return this;
+        },
+
+        /**
+         * Updates the progress bar.
+         *
+         * @param {number} newProgress - New progress percentage.
+         */
+        updateProgress: function (newProgress) {
+            this.element.removeClass('d-none');
+            this.barEl.css('width', newProgress + '%').text(newProgress + '%');
+        },
+
+        /**
+         * Formats seconds into HH:MM:SS.
+         *
+         * @param {number} totalSeconds - Total elapsed seconds.
+         * @return {string} Formatted time string.
+         */
+        formatTime: function (totalSeconds) {
+            var hours = Math.floor(totalSeconds / 3600);
+            var minutes = Math.floor((totalSeconds % 3600) / 60);
+            var seconds = totalSeconds % 60;
+            return (hours < 10 ? '0' : '') + hours + ':' +
+                (minutes < 10 ? '0' : '') + minutes + ':' +
+                (seconds < 10 ? '0' : '') + seconds;
+        },
+
+        /**
+         * Updates the elapsed time display.
+         *
+         * @param {number} elapsed - Elapsed time in seconds.
+         */
+        updateElapsed: function (elapsed) {
+            this.elapsed = elapsed || 0;
+
+            if (elapsed > 0 && this.elapsedEl && this.elapsedEl.length) {
+                this.elapsedEl.removeClass('d-none');
+                this.elapsedValueEl.text(this.formatTime(elapsed));
+            }
+        },
+
+        /**
+         * Updates the stats counters.
+         *
+         * @param {Object} stats - Stats object with total, succeed, skipped, failed.
+         */
+        updateStats: function (stats) {
+            if (stats) {
+                this.stats = stats;
+            }
+
+            if (!stats || !this.statsEl || !this.statsEl.length) {
+                return;
+            }
+
+            var fields = ['succeed', 'skipped', 'failed', 'total'];
+            for (var i = 0; i < fields.length; i++) {
+                var field = fields[i];
+                var val = stats[field] || 0;
+                var wrapper = this.statsEl.find('> .geodir-converter-stat-' + field);
+                var countEl = wrapper.find('.geodir-converter-stat-' + field + '-count');
+
+                if (val > 0) {
+                    wrapper.removeClass('d-none');
+                    countEl.text(val);
+                } else {
+                    wrapper.addClass('d-none');
+                }
+            }
+        },
+
+        /**
+         * Updates throughput, remaining count and estimated time left.
+         *
+         * Only time spent running counts towards the rate, so a pause doesn't
+         * skew it: the estimate freezes while paused and picks up after resume.
+         *
+         * @param {Object} stats - Stats object with total, succeed, skipped, failed.
+         * @param {boolean} isPaused - Whether the import is paused.
+         * @param {boolean} inProgress - Whether the import is running.
+         */
+        updateThroughput: function (stats, isPaused, inProgress) {
+            if (!stats || (!inProgress && !isPaused)) {
+                this.resetThroughput();
+                return;
+            }
+
+            const now = Date.now();
+            const processed = (stats.succeed || 0) + (stats.skipped || 0) + (stats.failed || 0);
+            const remaining = Math.max(0, (stats.total || 0) - processed);
+
+            if (isPaused) {
+                this.lastSampleAt = 0;
+                this.estimate = $.extend({ rate: null, eta: null }, this.estimate, { remaining: remaining, paused: true });
+                this.renderThroughput();
+                return;
+            }
+
+            if (this.lastSampleAt) {
+                this.activeTime += now - this.lastSampleAt;
+            }
+            this.lastSampleAt = now;
+
+            const last = this.samples[this.samples.length - 1];
+            if (last && processed < last.processed) {
+                // Counters went back (e.g. a retry run started), so start over.
+                this.samples = [];
+            }
+
+            this.samples.push({ time: this.activeTime, processed: processed });
+
+            while (this.samples.length > 2 && this.activeTime - this.samples[1].time >= this.throughputWindow) {
+                this.samples.shift();
+            }
+
+            const first = this.samples[0];
+            const span = this.activeTime - first.time;
+            let rate = null;
+            let eta = null;
+
+            if (span >= this.minSampleSpan) {
+                rate = (processed - first.processed) / span * 60000;
+                eta = rate > 0 ? Math.round(remaining / rate * 60) : null;
+            }
+
+            this.estimate = { rate: rate, remaining: remaining, eta: eta, paused: false };
+            this.renderThroughput();
+        },
+
+        /**
+         * Renders the current estimate.
+         */
+        renderThroughput: function () {
+            if (!this.throughputEl || !this.throughputEl.length || !this.estimate) {
+                return;
+            }
+
+            const i18n = GeoDir_Converter.i18n;
+            const estimate = this.estimate;
+            let etaText = i18n.etaCalculating;
+
+            if (estimate.paused) {
+                etaText = i18n.etaPaused;
+            } else if (null !== estimate.eta) {
+                const finish = new Date(Date.now() + estimate.eta * 1000);
+                etaText = i18n.etaLeft
+                    .replace('%1$s', this.formatTime(estimate.eta))
+                    .replace('%2$s', finish.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }));
+            }
+
+            this.throughputEl.removeClass('d-none').addClass('d-flex');
+            this.throughputEl.find('.geodir-converter-throughput-rate').text(null !== estimate.rate ? Math.round(estimate.rate) : '-');
+            this.throughputEl.find('.geodir-converter-throughput-remaining').text(estimate.remaining);
+            this.throughputEl.find('.geodir-converter-throughput-eta').text(etaText);
+        },
+
+        /**
+         * Clears the throughput samples and hides the estimate.
+         */
+        resetThroughput: function () {
+            this.samples = [];
+            this.activeTime = 0;
+            this.lastSampleAt = 0;
+            this.estimate = null;
+
+            if (this.throughputEl && this.throughputEl.length) {
+                this.throughputEl.removeClass('d-flex').addClass('d-none');
+            }
+        },
+
+        /**
+         * Resets the stats display.
+         */
+        resetStats: function () {
+            this.stats = null;
+            this.elapsed = 0;
+
+            if (this.statsEl && this.statsEl.length) {
+                this.statsEl.find('> span').addClass('d-none');
+                this.statsEl.find('strong').text('0');
+            }
+            if (this.elapsedEl && this.elapsedEl.length) {
+                this.elapsedEl.addClass('d-none');
+            }
+            this.resetThroughput();
+        }
+    });
+
+    /**
+     * Throughput Chart.
+     *
+     * Plots successes, skips and failures per interval as stacked bars on a
+     * canvas, so slowdowns and bursts of failures stand out.
+     *
+     * @type {Object}
+     */
+    GeoDir_Converter.ThroughputChart = {
+        canvas: null,
+        exportBtn: null,
+        converter: null,
+        storageKey: '',
+
+        /**
+         * Length of one interval (in milliseconds).
+         * @type {number}
+         */
+        bucketSize: 15000,
+
+        /**
+         * Number of intervals kept and drawn.
+         * @type {number}
+         */
+        maxBuckets: 80,
+
+        /**
+         * Bar colors per series.
+         * @type {Object}
+         */
+        colors: {
+            succeed: '#00a32a',
+            skipped: '#dba617',
+            failed: '#d63638'
+        },
+
+        /**
+         * Intervals, as {start, succeed, skipped, failed, resumed}.
+         * @type {Array}
+         */
+        buckets: null,
+
+        /**
+         * Counters from the previous update, or null before the first one.
+         * @type {Object|null}
+         */
+        lastStats: null,
+        wasPaused: false,
+
+        /**
+         * Initializes the chart.
+         *
+         * @param {jQuery} el - Chart container element.
+         * @param {Object} args - Arguments including the converter instance.
+         * @return {Object} The chart instance.
+         */
+        init: function (el, args) {
+            const self = this;
+
+            this.converter = args.converter;
+            this.storageKey = 'geodir_converter_chart_' + this.converter.importerId;
+            this.buckets = [];
+            this.lastStats = null;
+            this.wasPaused = false;
+            this.restore();
+            this.setElement(el);
+
+            $(window).off(this.getResizeEvent()).on(this.getResizeEvent(), function () {
+                self.render();
+            });
+
+            return this;
+        },
+
+        /**
+         * Gets the namespaced window resize event of this chart.
+         *
+         * @return {string} Event name.
+         */
+        getResizeEvent: function () {
+            return 'resize.geodirConverterChart-' + this.converter.importerId;
+        },
+
+        /**
+         * Stops redrawing the chart on window resize.
+         */
+        destroy: function () {
+            $(window).off(this.getResizeEvent());
+        },
+
+        /**
+         * Binds the chart to a (new) container element.
+         *
+         * @param {jQuery} el - Chart container element.
+         */
+        setElement: function (el) {
+            const self = this;
+
+            this.element = el;
+            this.canvas = el.find('.geodir-converter-chart-canvas');
+            this.exportBtn = el.find('.geodir-converter-chart-export');
+
+            this.exportBtn.off('click').on('click', function (e) {
+                e.preventDefault();
+                self.exportWithLogs();
+            });
+
+            if (this.buckets.length) {
+                this.render();
+            }
+        },
+
+        /**
+         * Adds the change since the previous update to the current interval.
+         *
+         * Paused time adds no intervals, and the first interval after a
+         * resume is marked so the gap shows on the chart.
+         *
+         * @param {Object} stats - Stats object with succeed, skipped, failed.
+         * @param {boolean} isPaused - Whether the import is paused.
+         * @param {boolean} inProgress - Whether the import is running.
+         */
+        update: function (stats, isPaused, inProgress) {
+            if (!stats) {
+                return;
+            }
+
+            const current = {
+                succeed: stats.succeed || 0,
+                skipped: stats.skipped || 0,
+                failed: stats.failed || 0
+            };
+            const last = this.lastStats;
+
+            this.lastStats = current;
+
+            if (isPaused) {
+                this.wasPaused = true;
+                return;
+            }
+
+            // First update on this page, or counters went back (a retry run): only set the baseline.
+            if (!last || current.succeed < last.succeed || current.skipped < last.skipped || current.failed < last.failed) {
+                return;
+            }
+
+            const now = Date.now();
+            let bucket = this.buckets[this.buckets.length - 1];
+
+            if (!bucket || now - bucket.start >= this.bucketSize || this.wasPaused) {
+                if (!inProgress && current.succeed === last.succeed && current.skipped === last.skipped && current.failed === last.failed) {
+                    return;
+                }
+
+                bucket = { start: now, succeed: 0, skipped: 0, failed: 0, resumed: this.wasPaused };
+                this.buckets.push(bucket);
+
+                if (this.buckets.length > this.maxBuckets) {
+                    this.buckets.shift();
+                }
+            }
+
+            this.wasPaused = false;
+            bucket.succeed += current.succeed - last.succeed;
+            bucket.skipped += current.skipped - last.skipped;
+            bucket.failed += current.failed - last.failed;
+
+            this.save();
+            this.render();
+        },
+
+        /**
+         * Draws the chart.
+         */
+        render: function () {
+            if (!this.canvas || !this.canvas.length || !this.buckets.length) {
+                return;
+            }
+
+            this.element.removeClass('d-none');
+
+            const canvas = this.canvas[0];
+            const ratio = window.devicePixelRatio || 1;
+            const width = this.canvas.parent().width() || 300;
+            const height = parseInt(this.canvas.attr('height'), 10) || 80;
+            const ctx = canvas.getContext('2d');
+
+            canvas.width = width * ratio;
+            canvas.height = height * ratio;
+            canvas.style.width = width + 'px';
+            canvas.style.height = height + 'px';
+
+            ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+            ctx.clearRect(0, 0, width, height);
+
+            let max = 1;
+            this.buckets.forEach(function (bucket) {
+                max = Math.max(max, bucket.succeed + bucket.skipped + bucket.failed);
+            });
+
+            const slot = width / this.maxBuckets;
+            const barWidth = Math.max(1, slot - 2);
+            const offset = (this.maxBuckets - this.buckets.length) * slot;
+            const series = ['succeed', 'skipped', 'failed'];
+            const colors = this.colors;
+
+            this.buckets.forEach(function (bucket, index) {
+                const x = offset + index * slot;
+                let y = height;
+
+                if (bucket.resumed) {
+                    ctx.strokeStyle = '#8c8f94';
+                    ctx.setLineDash([2, 2]);
+                    ctx.beginPath();
+                    ctx.moveTo(x - 1, 0);
+                    ctx.lineTo(x - 1, height);
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+                }
+
+                series.forEach(function (key) {
+                    const barHeight = bucket[key] / max * (height - 2);
+
+                    if (barHeight > 0) {
+                        y -= barHeight;
+                        ctx.fillStyle = colors[key];
+                        ctx.fillRect(x, y, barWidth, barHeight);
+                    }
+                });
+            });
+        },
+
+        /**
+         * Stores the series so it survives reloads.
+         */
+        save: function () {
+            try {
+                window.localStorage.setItem(this.storageKey, JSON.stringify(this.buckets));
+            } catch (e) {
+                // Storage full or disabled; the chart still works for this page.
+            }
+        },
+
+        /**
+         * Restores a stored series.
+         */
+        restore: function () {
+            try {
+                const stored = JSON.parse(window.localStorage.getItem(this.storageKey) || '[]');
+                this.buckets = Array.isArray(stored) ? stored.slice(-this.maxBuckets) : [];
+            } catch (e) {
+                this.buckets = [];
+            }
+        },
+
+        /**
+         * Clears the series for a new run.
+         */
+        reset: function () {
+            this.buckets = [];
+            this.lastStats = null;
+            this.wasPaused = false;
+
+            try {
+                window.localStorage.removeItem(this.storageKey);
+            } catch (e) {
+                // Nothing stored.
+            }
+
+            if (this.element) {
+                this.element.addClass('d-none');
+            }
+        },
+
+        /**
+         * Gets the series as plain rows.
+         *
+         * @return {Array} Rows of {time, succeed, skipped, failed, resumed}.
+         */
+        getSeries: function () {
+            return this.buckets.map(function (bucket) {
+                return {
+                    time: new Date(bucket.start).toISOString(),
+                    succeed: bucket.succeed,
+                    skipped: bucket.skipped,
+                    failed: bucket.failed,
+                    resumed: !!bucket.resumed
+                };
+            });
+        },
+
+        /**
+         * Downloads the series together with the complete log.
+         */
+        exportWithLogs: function () {
+            // The JSON log export carries the series; only part of the log is rendered.
+            this.converter.logsHandler.exportLogs('json', this.exportBtn);
+        }
+    };
+
+    /**
+     * Builds CSV content from rows of values.
+     *
+     * @param {Array} rows - Rows, each an array of cell values.
+     * @return {string} CSV content.
+     */
+    GeoDir_Converter.toCSV = function (rows) {
+        const cell = function (value) {
+            value = null === value || undefined === value ? '' : String(value);
+            return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+        };
+
+        return rows.map(function (row) {
+            return row.map(cell).join(',');
+        }).join('\r\n');
+    };
+
+    /**
+     * Triggers a download of generated content.
+     *
+     * @param {string} filename - File name.
+     * @param {string} content - File content.
+     * @param {string} type - MIME type.
+     */
+    GeoDir_Converter.download = function (filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: type }));
+        const link = $('<a>').attr({ href: url, download: filename }).appendTo('body');
+
+        link[0].click();
+        link.remove();
+
+        setTimeout(function () {
+            URL.revokeObjectURL(url);
+        }, 1000);
+    };
+
+    /**
+     * CSV Sniffer.
+     *
+     * Reads the start of a CSV file in the browser to detect its encoding,
+     * delimiter, quote character and whether it has a header row.
+     *
+     * @type {Object}
+     */
+    GeoDir_Converter.CSVSniffer = {
+        /**
+         * Bytes read from the start of the file.
+         * @type {number}
+         */
+        sampleSize: 65536,
+
+        /**
+         * Rows parsed to compare delimiters.
+         * @type {number}
+         */
+        sampleRows: 20,
+        delimiters: [',', ';', '\t', '|'],
+        quotes: ['"', "'"],
+
+        /**
+         * Checks whether the browser can read files.
+         *
+         * @return {boolean} True if sniffing is available.
+         */
+        isSupported: function () {
+            return typeof window.FileReader === 'function' && typeof window.TextDecoder === 'function';
+        },
+
+        /**
+         * Reads the start of a file and detects its format.
+         *
+         * @param {File} file - The file.
+         * @param {Function} callback - Receives the sample, or null if the file can't be read.
+         *     The sample has bytes, complete (whether the whole file was read) and format.
+         */
+        sniff: function (file, callback) {
+            const self = this;
+            const reader = new FileReader();
+
+            reader.onload = function () {
+                const bytes = new Uint8Array(reader.result);
+                const sample = {
+                    bytes: bytes,
+                    complete: file.size <= self.sampleSize
+                };
+
+                sample.format = self.detect(sample);
+                callback(sample);
+            };
+
+            reader.onerror = function () {
+                callback(null);
+            };
+
+            reader.readAsArrayBuffer(file.slice(0, this.sampleSize));
+        },
+
+        /**
+         * Detects the format of a sample.
+         *
+         * @param {Object} sample - Sample with bytes and complete.
+         * @return {Object} Format with encoding, delimiter, quote and hasHeader.
+         */
+        detect: function (sample) {
+            const encoding = this.detectEncoding(sample.bytes);
+            const text = this.decode(sample.bytes, encoding);
+            let delimiter = this.detectDelimiter(text, '"', sample.complete);
+            const quote = this.detectQuote(text, delimiter);
+
+            if ('"' !== quote) {
+                delimiter = this.detectDelimiter(text, quote, sample.complete);
+            }
+
+            return {
+                encoding: encoding,
+                delimiter: delimiter,
+                quote: quote,
+                hasHeader: this.detectHeader(this.parse(text, delimiter, quote, this.sampleRows, sample.complete))
+            };
+        },
+
+        /**
+         * Detects the character encoding from the byte order mark or the bytes themselves.
+         *
+         * @param {Uint8Array} bytes - Start of the file.
+         * @return {string} Encoding name, as used by the server.
+         */
+        detectEncoding: function (bytes) {
+            if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+                return 'UTF-8';
+            }
+
+            if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+                return 'UTF-16LE';
+            }
+
+            if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+                return 'UTF-16BE';
+            }
+
+            // Without a byte order mark, UTF-16 text still has a zero byte in most characters.
+            let evenZeros = 0;
+            let oddZeros = 0;
+            const length = Math.min(bytes.length, 512);
+
+            for (let i = 0; i < length; i++) {
+                if (0 === bytes[i]) {
+                    if (i % 2) {
+                        oddZeros++;
+                    } else {
+                        evenZeros++;
+                    }
+                }
+            }
+
+            if (oddZeros > length / 4) {
+                return 'UTF-16LE';
+            }
+
+            if (evenZeros > length / 4) {
+                return 'UTF-16BE';
+            }
+
+            try {
+                // Streaming tolerates a character cut off at the end of the sample.
+                new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+                return 'UTF-8';
+            } catch (e) {
+                return 'Windows-1252';
+            }
+        },
+
+        /**
+         * Decodes the sample, without the byte order mark.
+         *
+         * @param {Uint8Array} bytes - Start of the file.
+         * @param {string} encoding - Encoding name.
+         * @return {string} Text.
+         */
+        decode: function (bytes, encoding) {
+            let decoder;
+
+            try {
+                decoder = new TextDecoder(encoding);
+            } catch (e) {
+                decoder = new TextDecoder('utf-8');
+            }
+
+            return decoder.decode(bytes, { stream: true });
+        },
+
+        /**
+         * Splits text into rows of fields.
+         *
+         * Quoted fields may contain delimiters, line breaks and doubled quotes.
+         * Unless the sample is the whole file, its last, possibly cut off row is dropped.
+         *
+         * @param {string} text - Text.
+         * @param {string} delimiter - Field delimiter.
+         * @param {string} quote - Quote character.
+         * @param {number} maxRows - Maximum rows.
+         * @param {boolean} complete - Whether the text is the whole file.
+         * @return {Array} Rows, each an array of fields. Blank lines are left out.
+         */
+        parse: function (text, delimiter, quote, maxRows, complete) {
+            const rows = [];
+            let row = [];
+            let field = '';
+            let inQuotes = false;
+
+            for (let i = 0; i < text.length && rows.length < maxRows; i++) {
+                const c = text[i];
+
+                if (inQuotes) {
+                    if (c !== quote) {
+                        field += c;
+                    } else if (text[i + 1] === quote) {
+                        field += quote;
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else if (c === quote && '' === field) {
+                    inQuotes = true;
+                } else if (c === delimiter) {
+                    row.push(field);
+                    field = '';
+                } else if (c === '\n' || c === '\r') {
+                    if (c === '\r' && text[i + 1] === '\n') {
+                        i++;
+                    }
+
+                    row.push(field);
+                    rows.push(row);
+                    row = [];
+                    field = '';
+                } else {
+                    field += c;
+                }
+            }
+
+            if (complete && rows.length < maxRows && (row.length || '' !== field)) {
+                row.push(field);
+                rows.push(row);
+            }
+
+            return rows.filter(function (fields) {
+                return fields.length > 1 || '' !== fields[0];
+            });
+        },
+
+        /**
+         * Picks the delimiter that splits the rows into the most consistent number of columns.
+         *
+         * @param {string} text - Text.
+         * @param {string} quote - Quote character.
+         * @param {boolean} complete - Whether the text is the whole file.
+         * @return {string} Delimiter. Default ','.
+         */
+        detectDelimiter: function (text, quote, complete) {
+            const self = this;
+            let best = ',';
+            let bestScore = 0;
+
+            this.delimiters.forEach(function (delimiter) {
+                const rows = self.parse(text, delimiter, quote, self.sampleRows, complete);
+                const counts = {};
+                let columns = 0;
+                let matches = 0;
+
+                rows.forEach(function (fields) {
+                    counts[fields.length] = (counts[fields.length] || 0) + 1;
+
+                    if (counts[fields.length] > matches || (counts[fields.length] === matches && fields.length > columns)) {
+                        matches = counts[fields.length];
+                        columns = fields.length;
+                    }
+                });
+
+                // Share of rows with the usual column count, with more columns breaking ties.
+                const score = columns > 1 ? matches / rows.length + Math.min(columns, 100) / 1000 : 0;
+
+                if (score > bestScore) {
+                    best = delimiter;
+                    bestScore = score;
+                }
+            });
+
+            return best;
+        },
+
+        /**
+         * Picks the quote character found most often at the edges of fields.
+         *
+         * @param {string} text - Text.
+         * @param {string} delimiter - Field delimiter.
+         * @return {string} Quote character. Default '"'.
+         */
+        detectQuote: function (text, delimiter) {
+            const edge = delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            let best = '"';
+            let bestCount = 0;
+
+            this.quotes.forEach(function (quote) {
+                const count = (text.match(new RegExp('(^|' + edge + ')' + quote + '|' + quote + '(' + edge + '|\\r?$)', 'gm')) || []).length;
+
+                if (count > bestCount) {
+                    best = quote;
+                    bestCount = count;
+                }
+            });
+
+            return best;
+        },
+
+        /**
+         * Guesses whether the first row holds column names.
+         *
+         * Column names are filled in, unique and not numbers.
+         *
+         * @param {Array} rows - Parsed rows.
+         * @return {boolean} True if the first row looks like a header.
+         */
+        detectHeader: function (rows) {
+            const first = (rows[0] || []).map(function (field) {
+                return field.trim();
+            });
+
+            if (!first.length) {
+                return true;
+            }
+
+            return first.every(function (field, i) {
+                return '' !== field && first.indexOf(field) === i && !/^[-+]?[\d.,\s]+$/.test(field);
+            });
+        }
+    };
+
+    /**
+     * CSV Upload Handler.
+     *
+     * Handles drag & drop, file selection, and AJAX upload with progress bar.
+     */
+    GeoDir_Converter.DropZone = $.extend({}, {
+        dropzone: null,
+        input: null,
+        btn: null,
+        uploads: null,
+        formatPanel: null,
+        uploadContexts: null,
+        replacing: null,
+        csvFile: null,
+        csvSample: null,
+        csvQueue: null,
+        csvChain: null,
+
+        /**
+         * Attempts per chunk before the upload stops.
+         * @type {number}
+         */
+        chunkRetries: 5,
+
+        /**
+         * How long the server keeps an unfinished upload (in milliseconds).
+         * @type {number}
+         */
+        resumeWindow: 86400000,
+
+        /**
+         * Initializes the drop zone.
+         *
+         * @param {jQuery} el - Drop zone wrapper element.
+         * @param {Object} args - Arguments including the converter instance.
+         * @return {Object} The drop zone instance.
+         */
+        init: function (el, args) {
+            this.element = el;
+            this.converter = args.converter;
+            this.dropzone = this.element.find('.geodir-converter-drop-zone');
+            this.btn = this.element.find('.geodir-converter-files-btn');
+            this.input = this.element.find('.geodir-converter-files-input');
+            this.uploads = this.element.find('.geodir-converter-uploads');
+            this.formatPanel = this.element.find('.geodir-converter-csv-format');
+            this.uploadContexts = {};
+            this.replacing = null;
+            this.csvQueue = [];
+            this.csvChain = Promise.resolve();
+
+            const self = this;
+
+            this.disableStep2Inputs(true);
+
+            this.formatPanel.on('change', 'select, input', function () {
+                self.formatPanel.find('.geodir-converter-csv-format-delimiter-custom').toggleClass('d-none', '' !== self.formatPanel.find('.geodir-converter-csv-format-delimiter').val());
+                self.renderFormatPreview();
+            });
+
+            this.formatPanel.on('input', '.geodir-converter-csv-format-delimiter-custom', function () {
+                self.renderFormatPreview();
+            });
+
+            this.formatPanel.on('click', '.geodir-converter-csv-format-confirm', function () {
+                self.confirmFormat();
+            });
+
+            this.formatPanel.on('click', '.geodir-converter-csv-format-cancel', function () {
+                self.closeFormatPanel();
+                self.sniffNextFile();
+            });
+
+            this.renderUnfinishedUploads();
+
+            this.uploads.on('click', '.geodir-converter-upload-cancel', function () {
+                self.cancelUpload($(this).closest('.upload-item').data('id'));
+            });
+
+            this.uploads.on('click', '.geodir-converter-upload-remove', function () {
+                self.removeUpload($(this).closest('.upload-item').data('id'));
+            });
+
+            this.uploads.on('click', '.geodir-converter-upload-sheet-confirm', function () {
+                self.confirmSheet($(this).closest('.upload-item').data('id'));
+            });
+
+            this.uploads.on('click', '.geodir-converter-upload-replace', function () {
+                self.replacing = $(this).closest('.upload-item').data('id');
+                self.input.trigger('click');
+            });
+
+            this.btn.on('click', function () {
+                self.replacing = null;
+                self.input.trigger('click');
+            });
+
+            this.input.on('cancel', function () {
+                self.replacing = null;
+            });
+
+            this.dropzone.on('dragover dragenter', function (e) {
+                e.preventDefault();
+                e.stopPropagation();
+                self.dropzone.addClass('dragover');
+            });
+
+            this.dropzone.on('dragleave dragend drop', function (e) {
+                e.preventDefault();
+                e.stopPropagation();
+                self.dropzone.removeClass('dragover');
+            });
+
+            this.dropzone.on('drop', function (e) {
+                self.handleFiles(e.originalEvent.dataTransfer.files);
+            });
+
+            this.input.on('change', function (e) {
+                e.preventDefault();
+                self.handleFiles(this.files);
+
+                // Lets the same file be selected again, to resume or replace it.
+                $(this).val('');
+            });
+
+            return this;
+        },
+
+        /**
+         * Handles CSV files dropped or selected.
+         *
+         * CSV files are checked one at a time, each waiting for its format to be confirmed.
+         * The CSV importer also takes spreadsheets and JSON files, which the server converts.
+         *
+         * @param {FileList} files
+         */
+        handleFiles: function (files) {
+            const self = this;
+            const importerId = this.converter ? this.converter.importerId : 'edirectory';
+            const isCSV = importerId === 'csv';
+
+            const replacing = this.replacing;
+
+            if (replacing) {
+                this.replacing = null;
+                files = Array.from(files).slice(0, 1);
+            }
+
+            Array.from(files).forEach(function (file) {
+                const isCSVFile = /\.(csv|tsv|txt)$/i.test(file.name);
+                const isSourceFile = /\.(xlsx|ods|json|geojson)$/i.test(file.name);
+                if (isCSVFile && isCSV && self.formatPanel.length && GeoDir_Converter.CSVSniffer.isSupported()) {
+                    self.csvQueue.push(file);
+                } else if (isCSVFile || !isCSV || isSourceFile) {
+                    self.uploadFile(file);
+                } else {
+                    aui_toast("geodir_converter_error", "error", GeoDir_Converter.i18n.uploadUnsupported.replace('%s', file.name));
+                }
+            });
+
+            // Removed once the new file is queued, so the batch doesn't look finished in between.
+            if (replacing) {
+                this.removeUpload(replacing);
+            }
+
+            if (!this.csvFile) {
+                this.sniffNextFile();
+            }
+        },
+
+        /**
+         * Checks the format of the next queued CSV file.
+         *
+         * @returns {void}
+         */
+        sniffNextFile: function () {
+            const file = this.csvQueue.shift();
+
+            if (file) {
+                this.sniffFile(file);
+            } else {
+                this._maybeSwitchToCSVMapping();
+            }
+        },
+
+        /**
+         * Detects the format of a CSV file and asks the user to confirm it before uploading.
+         *
+         * Falls back to uploading with the default format if the file can't be read.
+         *
+         * @param {File} file - The CSV file.
+         * @returns {void}
+         */
+        sniffFile: function (file) {
+            const self = this;
+
+            // Holds the queue until the format is known.
+            this.csvFile = file;
+
+            GeoDir_Converter.CSVSniffer.sniff(file, function (sample) {
+                if (!sample) {
+                    self.csvFile = null;
+                    self.uploadFile(file, null);
+                    self.sniffNextFile();
+                    return;
+                }
+
+                const format = sample.format;
+
+                self.csvSample = sample;
+
+                self.formatPanel.find('.geodir-converter-csv-format-file').text(file.name);
+                self.formatPanel.find('.geodir-converter-csv-format-delimiter').val('\t' === format.delimiter ? 'tab' : format.delimiter);
+                self.formatPanel.find('.geodir-converter-csv-format-delimiter-custom').val('').addClass('d-none');
+                self.formatPanel.find('.geodir-converter-csv-format-quote').val(format.quote);
+                self.formatPanel.find('.geodir-converter-csv-format-encoding').val(format.encoding);
+                self.formatPanel.find('.geodir-converter-csv-format-header').prop('checked', format.hasHeader);
+
+                self.renderFormatPreview();
+                self.formatPanel.removeClass('d-none');
+            });
+        },
+
+        /**
+         * Reads the format chosen in the format panel.
+         *
+         * @returns {Object} Format with delimiter, quote, encoding and hasHeader.
+         */
+        getFormat: function () {
+            let delimiter = this.formatPanel.find('.geodir-converter-csv-format-delimiter').val();
+
+            // "Other" takes the character typed next to it.
+            if ('' === delimiter) {
+                delimiter = this.formatPanel.find('.geodir-converter-csv-format-delimiter-custom').val();
+            }
+
+            delimiter = delimiter || ',';
+
+            return {
+                delimiter: 'tab' === delimiter ? '\t' : delimiter,
+                quote: this.formatPanel.find('.geodir-converter-csv-format-quote').val() || '"',
+                encoding: this.formatPanel.find('.geodir-converter-csv-format-encoding').val() || 'UTF-8',
+                hasHeader: this.formatPanel.find('.geodir-converter-csv-format-header').is(':checked')
+            };
+        },
+
+        /**
+         * Previews the first rows of the sniffed file with the chosen format.
+         *
+         * @returns {void}
+         */
+        renderFormatPreview: function () {
+            if (!this.csvSample) {
+                return;
+            }
+
+            const sniffer = GeoDir_Converter.CSVSniffer;
+            const format = this.getFormat();
+            const text = sniffer.decode(this.csvSample.bytes, format.encoding);
+            const rows = sniffer.parse(text, format.delimiter, format.quote, 6, this.csvSample.complete);
+            const head = this.formatPanel.find('.geodir-converter-csv-format-head').empty();
+            const body = this.formatPanel.find('.geodir-converter-csv-format-body').empty();
+
+            if (!rows.length) {
+                body.append($('<tr>').append($('<td class="text-muted">').text(GeoDir_Converter.i18n.csvFormatEmpty)));
+                return;
+            }
+
+            const columns = Math.max.apply(null, rows.map(function (fields) {
+                return fields.length;
+            }));
+            const headers = format.hasHeader ? rows.shift() : [];
+            const headRow = $('<tr>');
+
+            for (let i = 0; i < columns; i++) {
+                headRow.append($('<th>').text(headers[i] || GeoDir_Converter.i18n.csvFormatColumn.replace('%d', i + 1)));
+            }
+
+            head.append(headRow);
+
+            rows.slice(0, 5).forEach(function (fields) {
+                const row = $('<tr>');
+
+                for (let i = 0; i < columns; i++) {
+                    row.append($('<td>').text(fields[i] || ''));
+                }
+
+                body.append(row);
+            });
+        },
+
+        /**
+         * Uploads the sniffed file with the confirmed format and moves on to the next one.
+         *
+         * @returns {void}
+         */
+        confirmFormat: function () {
+            const file = this.csvFile;
+
+            if (!file) {
+                return;
+            }
+
+            const format = this.getFormat();
+
+            this.closeFormatPanel();
+            this.uploadFile(file, format);
+            this.sniffNextFile();
+        },
+
+        /**
+         * Hides the format panel and forgets the sniffed file.
+         *
+         * @returns {void}
+         */
+        closeFormatPanel: function () {
+            this.formatPanel.addClass('d-none');
+            this.formatPanel.find('.geodir-converter-csv-format-head, .geodir-converter-csv-format-body').empty();
+            this.csvFile = null;
+            this.csvSample = null;
+            this.input.val('');
+        },
+
+        /**
+         * Uploads a single file.
+         *
+         * @param {File} file - The file to upload.
+         * @param {Object|null} [csvFormat] - Format confirmed for a CSV file, see getFormat().
+         * @returns {void}
+         */
+        uploadFile: function (file, csvFormat) {
+            const self = this;
+            const importerId = this.converter ? this.converter.importerId : 'edirectory';
+            const uploadContext = this._createUploadContext(file, importerId);
+
+            uploadContext.csvFormat = csvFormat || null;
+
+            this.uploads.find('.geodir-converter-upload-unfinished').filter(function () {
+                return $(this).data('uploadId') === uploadContext.uploadId;
+            }).remove();
+
+            this._sendChunks(uploadContext).then(function () {
+                // Processing is quick and may already have stored the file, so it can't be cancelled.
+                uploadContext.item.find('.geodir-converter-upload-cancel').addClass('d-none');
+                uploadContext.status.text(GeoDir_Converter.i18n.uploadProcessing);
+
+                if (importerId === 'csv') {
+                    self._uploadCSVFile(uploadContext);
+                } else {
+                    self._uploadEDirectoryFile(uploadContext);
+                }
+            }, function (error) {
+                if (uploadContext.cancelled) {
+                    return;
+                }
+
+                self._failUpload(uploadContext, error);
+                uploadContext.status.text(uploadContext.status.text() + ' ' + GeoDir_Converter.i18n.uploadResume);
+                self._maybeSwitchToCSVMapping();
+            }).catch(function (error) {
+                self._failUpload(uploadContext, error);
+            });
+        },
+
+        /**
+         * Asks which sheet of a workbook to import.
+         *
+         * The server keeps the uploaded workbook until a sheet is chosen. The batch
+         * waits for the choice, or for the file to be removed.
+         *
+         * @param {Object} context - Upload context object.
+         * @param {string[]} sheets - Sheet names, in workbook order.
+         * @param {string} [message] - Why a sheet is needed.
+         * @returns {void}
+         */
+        renderSheetPicker: function (context, sheets, message) {
+            const i18n = GeoDir_Converter.i18n;
+            const selectId = context.fileId + '-sheet';
+            const select = $('<select class="form-select form-select-sm geodir-converter-upload-sheet-select">').attr('id', selectId);
+
+            sheets.forEach(function (sheet) {
+                select.append($('<option>').val(sheet).text(sheet));
+            });
+
+            context.item.find('.geodir-converter-upload-sheet').remove();
+            context.progress.barEl.removeClass('progress-bar-animated');
+            context.icon.removeClass('fa-sync').addClass('fa-table-list text-primary');
+            context.status.text(message || '');
+            this._showFinishedActions(context);
+            context.item.find('.geodir-converter-upload-replace').addClass('d-none');
+
+            context.item.append(
+                $('<div class="geodir-converter-upload-sheet mt-2">').append(
+                    $('<label class="form-label small mb-1">').attr('for', selectId).text(i18n.uploadChooseSheet),
+                    $('<div class="input-group input-group-sm">').append(
+                        select,
+                        $('<button type="button" class="btn btn-primary geodir-converter-upload-sheet-confirm">').text(i18n.uploadImportSheet)
+                    )
+                )
+            );
+        },
+
+        /**
+         * Imports the sheet chosen for a workbook.
+         *
+         * @param {string} id - Upload item ID.
+         * @returns {void}
+         */
+        confirmSheet: function (id) {
+            const context = this.uploadContexts[id];
+
+            if (!context) {
+                return;
+            }
+
+            const picker = context.item.find('.geodir-converter-upload-sheet');
+
+            context.sheet = picker.find('.geodir-converter-upload-sheet-select').val() || '';
+            picker.remove();
+            context.item.find('.geodir-converter-upload-remove').addClass('d-none');
+            context.progress.barEl.addClass('progress-bar-animated');
+            context.icon.removeClass('fa-table-list text-primary').addClass('fa-sync');
+            context.status.text(GeoDir_Converter.i18n.uploadProcessing);
+
+            this._uploadCSVFile(context);
+        },
+
+        /**
+         * Opens the mapping step once every CSV file of the batch has been processed.
+         *
+         * Waits while a format is being confirmed, files are queued or uploads are
+         * still running. Files that failed are left out.
+         *
+         * @private
+         * @returns {void}
+         */
+        _maybeSwitchToCSVMapping: function () {
+            const self = this;
+
+            if (!this.converter || this.converter.importerId !== 'csv' || this.csvFile || this.csvQueue.length) {
+                return;
+            }
+
+            const contexts = Object.keys(this.uploadContexts).map(function (id) {
+                return self.uploadContexts[id];
+            });
+
+            if (contexts.some(function (context) {
+                return !context.settled;
+            })) {
+                return;
+            }
+
+            const fileIds = this._getCSVFileIds();
+
+            if (fileIds.length) {
+                // The files are already saved as one batch, led by the first.
+                this.converter.switchToCSVMappingStep({
+                    file_id: fileIds[0]
+                });
+            }
+        },
+
+        /**
+         * Gets the attachment IDs of the CSV files processed so far, in upload order.
+         *
+         * @private
+         * @returns {number[]} Attachment IDs.
+         */
+        _getCSVFileIds: function () {
+            const self = this;
+
+            return Object.keys(this.uploadContexts).map(function (id) {
+                return self.uploadContexts[id].attachmentId;
+            }).filter(Boolean);
+        },
+
+        /**
+         * Cancels an upload in progress and removes it.
+         *
+         * @param {string} id - Upload item ID.
+         * @returns {void}
+         */
+        cancelUpload: function (id) {
+            const context = this.uploadContexts[id];
+
+            if (context) {
+                context.cancelled = true;
+
+                if (context.request) {
+                    context.request.abort();
+                }
+            }
+
+            this.removeUpload(id);
+        },
+
+        /**
+         * Removes an upload: its item, its file and whatever the server kept of it.
+         *
+         * @param {string} id - Upload item ID.
+         * @returns {void}
+         */
+        removeUpload: function (id) {
+            const self = this;
+            const item = this.uploads.find('[data-id="' + id + '"]');
+            const context = this.uploadContexts[id];
+            const uploadId = context ? context.uploadId : item.data('uploadId');
+            const attachmentId = context ? context.attachmentId : 0;
+
+            if (context) {
+                delete this.uploadContexts[id];
+
+                // Another item may hold the same file.
+                const kept = Object.keys(this.uploadContexts).some(function (otherId) {
+                    return self._isSameFile(self.uploadContexts[otherId].file, context.file);
+                });
+
+                if (!kept && this.converter) {
+                    this.converter.files = this.converter.files.filter(function (file) {
+                        return !self._isSameFile(file, context.file);
+                    });
+                }
+            }
+
+            if (uploadId) {
+                this._forgetUpload(uploadId);
+
+                GeoDir_Converter.ajax(GeoDir_Converter.actions.upload_delete, null, {
+                    upload_id: uploadId
+                }, {
+                    method: 'POST'
+                }).catch(function () {
+                    // The server deletes unfinished uploads after a day anyway.
+                });
+            }
+
+            if (attachmentId) {
+                this._removeCSVFile(attachmentId);
+            }
+
+            item.remove();
+            this.syncModuleInputs();
+            this.disableStep2Inputs(!this.converter || !this.converter.files.length);
+            this._maybeSwitchToCSVMapping();
+        },
+
+        /**
+         * Deletes a processed CSV file and drops it from the files to import.
+         *
+         * @private
+         * @param {number} fileId - Attachment ID of the file.
+         * @returns {void}
+         */
+        _removeCSVFile: function (fileId) {
+            const self = this;
+
+            this._syncCSVFileInputs(this._getCSVFileIds());
+
+            GeoDir_Converter.ajax(GeoDir_Converter.actions.csv_remove_file, function (success, data) {
+                if (success && Array.isArray(data.file_ids)) {
+                    self._syncCSVFileInputs(data.file_ids);
+                }
+            }, {
+                file_id: fileId
+            }, {
+                method: 'POST'
+            });
+        },
+
+        /**
+         * Points the form's CSV file inputs at the given files.
+         *
+         * @private
+         * @param {number[]} fileIds - Attachment IDs, in upload order.
+         * @returns {void}
+         */
+        _syncCSVFileInputs: function (fileIds) {
+            if (!this.converter) {
+                return;
+            }
+
+            this.converter.element.find('input[name="csv_file_id"]').val(fileIds.length ? fileIds[0] : 0);
+            this.converter.element.find('input[name="csv_file_ids"]').val(fileIds.join(','));
+        },
+
+        /**
+         * Checks whether two files are the same file on the user's disk.
+         *
+         * @private
+         * @param {File} a - First file.
+         * @param {File} b - Second file.
+         * @returns {boolean} True if name, size and modification time match.
+         */
+        _isSameFile: function (a, b) {
+            return a.name === b.name && a.size === b.size && a.lastModified === b.lastModified;
+        },
+
+        /**
+         * Keeps one `edirectory_modules[]` input per module type found in the uploaded files.
+         *
+         * @returns {void}
+         */
+        syncModuleInputs: function () {
+            const self = this;
+            const modules = [];
+
+            Object.keys(this.uploadContexts).forEach(function (id) {
+                const moduleType = self.uploadContexts[id].moduleType;
+
+                if (moduleType && modules.indexOf(moduleType) === -1) {
+                    modules.push(moduleType);
+                }
+            });
+
+            this.element.find('[name="edirectory_modules[]"]').remove();
+
+            modules.forEach(function (moduleType) {
+                self.element.append($('<input type="hidden" name="edirectory_modules[]">').val(moduleType));
+            });
+        },
+
+        /**
+         * Builds the ID the server stores a file's chunks under.
+         *
+         * The same file selected again gets the same ID, so its upload resumes.
+         *
+         * @param {File} file - The file.
+         * @param {string} importerId - The importer identifier.
+         * @returns {string} Upload ID of 16 hex characters.
+         */
+        getUploadId: function (file, importerId) {
+            const key = [importerId, file.name, file.size, file.lastModified].join('|');
+            let uploadId = '';
+
+            // Two FNV-1a hashes with different offsets.
+            [0x811c9dc5, 0x050c5d1f].forEach(function (seed) {
+                let hash = seed;
+
+                for (let i = 0; i < key.length; i++) {
+                    hash ^= key.charCodeAt(i);
+                    hash = Math.imul(hash, 0x01000193);
+                }
+
+                uploadId += ('0000000' + (hash >>> 0).toString(16)).slice(-8);
+            });
+
+            return uploadId;
+        },
+
+        /**
+         * Sends a file to the server in chunks.
+         *
+         * Starts from whatever the server already has of the file, retries a failed
+         * chunk with a growing delay and waits for the connection to come back
+         * when the browser goes offline.
+         *
+         * @private
+         * @param {Object} context - Upload context object.
+         * @returns {Promise} Resolves once the server has the whole file.
+         */
+        _sendChunks: function (context) {
+            const self = this;
+            const file = context.file;
+            const i18n = GeoDir_Converter.i18n;
+            const chunkSize = parseInt(GeoDir_Converter.chunkSize, 10) || 1048576;
+            let retries = 0;
+
+            const showProgress = function (loaded) {
+                context.progress.updateProgress(Math.min(100, Math.floor((loaded / file.size) * 100)));
+            };
+
+            return new Promise(function (resolve, reject) {
+                const retry = function (error) {
+                    if (context.cancelled || error.type === GeoDir_Converter.AjaxError.ABORT) {
+                        reject(error);
+                        return;
+                    }
+
+                    if (!navigator.onLine) {
+                        context.status.text(i18n.uploadOffline);
+                        $(window).one('online', resume);
+                        return;
+                    }
+
+                    // Errors the server reports on purpose won't go away by sending the chunk again.
+                    if (retries >= self.chunkRetries || (error.type === GeoDir_Converter.AjaxError.RESPONSE && 'chunk_upload_failed' !== error.code)) {
+                        reject(error);
+                        return;
+                    }
+
+                    retries++;
+                    context.status.text(i18n.uploadRetrying.replace('%1$d', retries).replace('%2$d', self.chunkRetries));
+                    setTimeout(resume, 1000 * Math.pow(2, retries - 1));
+                };
+
+                const send = function (offset) {
+                    if (context.cancelled) {
+                        return;
+                    }
+
+                    self._rememberUpload(context, offset);
+                    showProgress(offset);
+
+                    // An empty file still sends one chunk, so the server can reject it.
+                    if (offset >= file.size && file.size > 0) {
+                        self._forgetUpload(context.uploadId);
+                        resolve();
+                        return;
+                    }
+
+                    const chunk = file.slice(offset, offset + chunkSize);
+                    const formData = new FormData();
+
+                    formData.append('upload_id', context.uploadId);
+                    formData.append('file_name', file.name);
+                    formData.append('file_size', file.size);
+                    formData.append('offset', offset);
+                    formData.append('chunk', chunk, file.name);
+
+                    context.request = GeoDir_Converter.ajax(GeoDir_Converter.actions.upload_chunk, null, formData, {
+                        method: 'POST',
+                        timeout: 120000,
+                        xhr: function () {
+                            const xhr = new window.XMLHttpRequest();
+                            xhr.upload.addEventListener('progress', function (evt) {
+                                showProgress(offset + Math.min(chunk.size, evt.loaded));
+                            }, false);
+                            return xhr;
+                        }
+                    });
+
+                    // Keep the request itself on the context, so cancelling can abort it.
+                    context.request.then(function (data) {
+                        retries = 0;
+                        context.status.text(i18n.uploading);
+                        send(data.received);
+                    }, function (error) {
+                        // The server has a different part of the file than expected; carry on from there.
+                        if ('chunk_offset_mismatch' === error.code && error.upload) {
+                            send(error.upload.received);
+                            return;
+                        }
+
+                        retry(error);
+                    });
+                };
+
+                const resume = function () {
+                    if (context.cancelled) {
+                        return;
+                    }
+
+                    context.request = GeoDir_Converter.ajax(GeoDir_Converter.actions.upload_status, null, {
+                        upload_id: context.uploadId
+                    }, {
+                        method: 'GET',
+                        timeout: 30000
+                    });
+
+                    context.request.then(function (data) {
+                        send(data.size === file.size ? data.received : 0);
+                    }, retry);
+                };
+
+                resume();
+            });
+        },
+
+        /**
+         * Remembers an unfinished upload, so it can be offered for resuming after a reload.
+         *
+         * @private
+         * @param {Object} context - Upload context object.
+         * @param {number} received - Bytes the server has.
+         * @returns {void}
+         */
+        _rememberUpload: function (context, received) {
+            const uploads = this._getUnfinishedUploads();
+
+            uploads[context.uploadId] = {
+                name: context.file.name,
+                size: context.file.size,
+                received: received,
+                time: Date.now()
+            };
+
+            this._saveUnfinishedUploads(uploads);
+        },
+
+        /**
+         * Forgets an upload once the server has the whole file.
+         *
+         * @private
+         * @param {string} uploadId - Upload ID.
+         * @returns {void}
+         */
+        _forgetUpload: function (uploadId) {
+            const uploads = this._getUnfinishedUploads();
+
+            delete uploads[uploadId];
+            this._saveUnfinishedUploads(uploads);
+        },
+
+        /**
+         * Gets the unfinished uploads of the importer that the server still keeps.
+         *
+         * @private
+         * @returns {Object} Uploads keyed by upload ID, each with name, size, received and time.
+         */
+        _getUnfinishedUploads: function () {
+            const self = this;
+            const uploads = {};
+
+            try {
+                const stored = JSON.parse(window.localStorage.getItem(this._getUploadsKey()) || '{}');
+
+                Object.keys(stored || {}).forEach(function (uploadId) {
+                    if (stored[uploadId] && Date.now() - stored[uploadId].time < self.resumeWindow) {
+                        uploads[uploadId] = stored[uploadId];
+                    }
+                });
+            } catch (e) {
+                // Storage disabled or unreadable; nothing to resume.
+            }
+
+            return uploads;
+        },
+
+        /**
+         * Stores the unfinished uploads.
+         *
+         * @private
+         * @param {Object} uploads - Uploads keyed by upload ID.
+         * @returns {void}
+         */
+        _saveUnfinishedUploads: function (uploads) {
+            try {
+                if (Object.keys(uploads).length) {
+                    window.localStorage.setItem(this._getUploadsKey(), JSON.stringify(uploads));
+                } else {
+                    window.localStorage.removeItem(this._getUploadsKey());
+                }
+            } catch (e) {
+                // Storage full or disabled; uploads still resume within this page.
+            }
+        },
+
+        /**
+         * Gets the storage key for the importer's unfinished uploads.
+         *
+         * @private
+         * @returns {string} Storage key.
+         */
+        _getUploadsKey: function () {
+            return 'geodir_converter_uploads_' + (this.converter ? this.converter.importerId : 'edirectory');
+        },
+
+        /**
+         * Lists uploads interrupted by a reload, asking for the file again to resume them.
+         *
+         * @returns {void}
+         */
+        renderUnfinishedUploads: function () {
+            const self = this;
+            const uploads = this._getUnfinishedUploads();
+
+            Object.keys(uploads).forEach(function (uploadId) {
+                const upload = uploads[uploadId];
+                const item = self.renderUploadItem('unfinished-' + uploadId, upload.name);
+                const percent = upload.size ? Math.floor((upload.received / upload.size) * 100) : 0;
+
+                item.addClass('geodir-converter-upload-unfinished').data('uploadId', uploadId);
+                item.find('.geodir-converter-upload-cancel').addClass('d-none');
+                item.find('.geodir-converter-upload-remove').removeClass('d-none');
+                item.find('.geodir-converter-progress-icon').removeClass('fa-sync text-muted').addClass('fa-pause text-warning');
+                item.find('.geodir-converter-progress-status').text(GeoDir_Converter.i18n.uploadUnfinished.replace('%s', percent + '%'));
+            });
+        },
+
+        /**
+         * Creates upload context object with UI elements and progress tracking.
+         *
+         * @private
+         * @param {File} file - The file being uploaded.
+         * @param {string} importerId - The importer identifier.
+         * @returns {Object} Upload context object.
+         */
+        _createUploadContext: function (file, importerId) {
+            const fileId = 'upload-' + Date.now() + '-' + Object.keys(this.uploadContexts).length;
+            const item = this.renderUploadItem(fileId, file.name);
+            const progressBar = $.extend({}, GeoDir_Converter.ProgressBar);
+            const progress = progressBar.init(item.find('.progress'));
+
+            const context = {
+                file: file,
+                fileId: fileId,
+                uploadId: this.getUploadId(file, importerId),
+                item: item,
+                progress: progress,
+                status: item.find('.geodir-converter-progress-status'),
+                icon: item.find('.geodir-converter-progress-icon'),
+                importerId: importerId,
+                request: null,
+                cancelled: false,
+                settled: false,
+                moduleType: '',
+                csvFormat: null,
+                sheet: '',
+                attachmentId: 0
+            };
+
+            this.uploadContexts[fileId] = context;
+
+            return context;
+        },
+
+        /**
+         * Handles CSV file upload.
+         *
+         * Files are processed one after another, each added to the files processed
+         * before it, so they end up in one import in the order they were uploaded.
+         *
+         * @private
+         * @param {Object} context - Upload context object.
+         * @returns {void}
+         */
+        _uploadCSVFile: function (context) {
+            const self = this;
+
+            this.csvChain = this.csvChain.then(function () {
+                if (context.cancelled) {
+                    return;
+                }
+
+                const formData = self._buildCSVFormData(context);
+
+                context.request = GeoDir_Converter.ajax(GeoDir_Converter.actions.csv_parse, function (success, data) {
+                    if (success) {
+                        context.attachmentId = parseInt(data.file_id, 10) || 0;
+                    } else if (('sheet_required' === data.code || 'sheet_not_found' === data.code) && data.sheets && data.sheets.length) {
+                        self.renderSheetPicker(context, data.sheets, data.message);
+                        return;
+                    }
+
+                    self._handleUploadResponse(success, data, context);
+                }, formData, self._getUploadAjaxOptions(context));
+
+                return context.request.catch(function () {
+                    // Reported by the callback or the error handler.
+                });
+            }).then(function () {
+                self._maybeSwitchToCSVMapping();
+            }).catch(function () {
+                // Keep the chain usable for the next file.
+            });
+        },
+
+        /**
+         * Handles eDirectory file upload.
+         *
+         * @private
+         * @param {Object} context - Upload context object.
+         * @returns {void}
+         */
+        _uploadEDirectoryFile: function (context) {
+            const self = this;
+            const formData = this._buildEDirectoryFormData(context.uploadId, context.importerId);
+
+            GeoDir_Converter.ajax(GeoDir_Converter.actions.upload, function (success, data) {
+                self._handleUploadResponse(success, data, context, function () {
+                    context.moduleType = data.module_type || '';
+                    self.syncModuleInputs();
+                });
+            }, formData, this._getUploadAjaxOptions(context));
+        },
+
+        /**
+         * Builds FormData for CSV upload.
+         *
+         * @private
+         * @param {Object} context - Upload context object.
+         * @returns {FormData} FormData object for CSV upload.
+         */
+        _buildCSVFormData: function (context) {
+            const formData = new FormData();
+            formData.append('upload_id', context.uploadId);
+            formData.append('importerId', 'csv');
+            formData.append('csv_file_ids', this._getCSVFileIds().join(','));
+
+            if (context.sheet) {
+                formData.append('sheet', context.sheet);
+            }
+
+            const format = $.extend({
+                delimiter: ',',
+                quote: '"',
+                encoding: 'UTF-8',
+                hasHeader: true
+            }, context.csvFormat);
+
+            formData.append('csv_delimiter', format.delimiter);
+            formData.append('csv_enclosure', format.quote);
+            formData.append('csv_encoding', format.encoding);
+            formData.append('csv_has_header', format.hasHeader ? 'yes' : 'no');
+
+            const postType = this.element.find('select[name="gd_post_type"]').val();
+            if (postType) {
+                formData.append('gd_post_type', postType);
+            }
+
+            return formData;
+        },
+
+        /**
+         * Builds FormData for eDirectory upload.
+         *
+         * @private
+         * @param {string} uploadId - ID of the chunked upload holding the file.
+         * @param {string} importerId - The importer identifier.
+         * @returns {FormData} FormData object for eDirectory upload.
+         */
+        _buildEDirectoryFormData: function (uploadId, importerId) {
+            const formData = new FormData();
+            formData.append('upload_id', uploadId);
+            formData.append('importerId', importerId);
+            return formData;
+        },
+
+        /**
+         * Gets AJAX options for processing an uploaded file.
+         *
+         * @private
+         * @param {Object} context - Upload context object.
+         * @returns {Object} AJAX options object.
+         */
+        _getUploadAjaxOptions: function (context) {
+            const self = this;
+
+            return {
+                method: 'POST',
+                error: function (error) {
+                    self._failUpload(context, error);
+                }
+            };
+        },
+
+        /**
+         * Marks an upload as failed.
+         *
+         * @private
+         * @param {Object} context - Upload context object.
+         * @param {Object} error - The error object.
+         * @returns {void}
+         */
+        _failUpload: function (context, error) {
+            const message = GeoDir_Converter.getErrorMessage(error, GeoDir_Converter.i18n.serverErrorUpload);
+
+            context.progress.barEl.removeClass('progress-bar-animated').addClass('bg-danger');
+            context.icon.removeClass('fa-sync').addClass('fa-triangle-exclamation text-danger');
+            context.status.text(GeoDir_Converter.i18n.uploadFailed + message);
+            context.settled = true;
+            this._showFinishedActions(context);
+            this.disableStep2Inputs(!this.converter.files.length);
+            GeoDir_Converter.notifyError(error, GeoDir_Converter.i18n.serverErrorUpload);
+        },
+
+        /**
+         * Swaps the cancel action of a finished upload for replace and remove.
+         *
+         * @private
+         * @param {Object} context - Upload context object.
+         * @returns {void}
+         */
+        _showFinishedActions: function (context) {
+            context.request = null;
+            context.item.find('.geodir-converter-upload-cancel').addClass('d-none');
+            context.item.find('.geodir-converter-upload-replace, .geodir-converter-upload-remove').removeClass('d-none');
+        },
+
+        /**
+         * Handles upload response and updates UI accordingly.
+         *
+         * @private
+         * @param {boolean} success - Whether the upload was successful.
+         * @param {Object} data - Response data from server.
+         * @param {Object} context - Upload context object.
+         * @param {Function} onSuccessCallback - Callback to execute on success.
+         * @returns {void}
+         */
+        _handleUploadResponse: function (success, data, context, onSuccessCallback) {
+            const progress = context.progress;
+            const icon = context.icon;
+            const status = context.status;
+            const file = context.file;
+
+            progress.barEl.removeClass('progress-bar-animated');
+            icon.removeClass('fa-sync');
+            context.settled = true;
+            this._showFinishedActions(context);
+
+            if (success) {
+                progress.barEl.addClass('bg-success');
+                icon.addClass('fa-check text-success');
+                status.text(data.message || GeoDir_Converter.i18n.fileUploadSuccess);
+
+                if (!this.converter.files.some(function (f) {
+                    return f.name === file.name && f.size === file.size && f.lastModified === file.lastModified;
+                })) {
+                    this.converter.files.push(file);
+                }
+
+                if (onSuccessCallback) {
+                    onSuccessCallback();
+                }
+
+                this.disableStep2Inputs(false);
+            } else {
+                progress.barEl.addClass('bg-danger');
+                icon.addClass('fa-triangle-exclamation text-danger');
+                status.text(GeoDir_Converter.i18n.uploadFailed + (data.message || GeoDir_Converter.i18n.unknownError));
+                this.disableStep2Inputs(!this.converter.files.length);
+            }
+        },
+
+        /**
+         * Disables or enables step 2 form inputs.
+         *
+         * @param {boolean} disabled - Whether to disable the inputs.
+         */
+        disableStep2Inputs: function (disabled) {
+            const configureWrapper = this.element.find('.geodir-converter-configure-wrapper');
+            if (configureWrapper.length) {
+                configureWrapper.find('input, select, textarea, button').not('[name="edirectory_modules[]"]').prop('disabled', disabled);
+            }
+        },
+
+
+        /**
+         * Renders an upload item in the uploads list.
+         *
+         * @param {string} id - Unique identifier for the upload item.
+         * @param {string} name - The file name to display.
+         * @return {jQuery} The rendered upload item element.
+         */
+        renderUploadItem: function (id, name) {
+            const i18n = GeoDir_Converter.i18n;
+            const item = $(`
+                <div class="upload-item my-2">
+                    <div class="d-flex justify-content-between align-items-center">
+                        <span class="fw-bold text-truncate"></span>
+                        <span class="d-flex align-items-center flex-shrink-0">
+                            <button type="button" class="btn btn-link btn-sm p-0 ms-2 text-muted geodir-converter-upload-cancel" title="${i18n.uploadCancel}" aria-label="${i18n.uploadCancel}"><i class="fas fa-xmark" aria-hidden="true"></i></button>
+                            <button type="button" class="btn btn-link btn-sm p-0 ms-2 text-muted d-none geodir-converter-upload-replace" title="${i18n.uploadReplace}" aria-label="${i18n.uploadReplace}"><i class="fas fa-arrows-rotate" aria-hidden="true"></i></button>
+                            <button type="button" class="btn btn-link btn-sm p-0 ms-2 text-muted d-none geodir-converter-upload-remove" title="${i18n.uploadRemove}" aria-label="${i18n.uploadRemove}"><i class="fas fa-trash-can" aria-hidden="true"></i></button>
+                            <i class="fas fa-solid fa-sync text-muted ms-2 geodir-converter-progress-icon" aria-hidden="true"></i>
+                        </span>
+                    </div>
+                    <div class="progress my-1 d-none" role="progressbar" aria-valuemin="0" aria-valuemax="100">
+                        <div class="progress-bar progress-bar-striped progress-bar-animated" style="width: 0%"></div>
+                    </div>
+                    <div class="geodir-converter-progress-status small text-muted mt-1">${i18n.uploading}</div>
+                </div>
+            `);
+
+            // The name comes from the user's disk or from localStorage, so it's never parsed as markup.
+            item.attr('data-id', id);
+            item.find('.fw-bold').text(name);
+
+            this.uploads.append(item);
+
+            return item;
+        }
+    });
+
+    /**
+     * Polling progress transport.
+     *
+     * Requests progress on a timer through Converter.tick. Always available,
+     * and used as the fallback when streaming isn't.
+     *
+     * @type {Object}
+     */
+    GeoDir_Converter.PollingTransport = {
+        name: 'polling',
+        converter: null,
+
+        /**
+         * Initializes the transport.
+         *
+         * @param {Object} converter - The converter instance.
+         * @return {Object} The transport instance.
+         */
+        init: function (converter) {
+            this.converter = converter;
+            return this;
+        },
+
+        /**
+         * Checks whether the transport can be used in this browser.
+         *
+         * @return {boolean} Always true.
+         */
+        isSupported: function () {
+            return true;
+        },
+
+        /**
+         * Starts receiving progress.
+         *
+         * @param {number} delay - Delay before the first request (in milliseconds).
+         */
+        open: function (delay) {
+            this.converter.scheduleTick(delay);
+        },
+
+        /**
+         * Stops receiving progress.
+         */
+        close: function () {
+            clearTimeout(this.converter.updateTimeout);
+            this.converter.updateTimeout = null;
+
+            if (this.converter.tickRequest) {
+                this.converter.tickRequest.abort();
+                this.converter.tickRequest = null;
+            }
+        }
+    };
+
+    /**
+     * Streaming progress transport.
+     *
+     * Receives progress over Server-Sent Events from the progress_stream action.
+     * The browser reconnects on its own when the server ends a stream, resuming
+     * from the last event ID. Falls back to polling for a while if no event arrives.
+     *
+     * @type {Object}
+     */
+    GeoDir_Converter.StreamTransport = {
+        name: 'stream',
+        converter: null,
+        source: null,
+        received: false,
+        openTimeout: null,
+        connectTimeout: null,
+
+        /**
+         * Time to wait for the first event before falling back to polling (in milliseconds).
+         * @type {number}
+         */
+        connectTimeoutInterval: 10000,
+
+        /**
+         * Initializes the transport.
+         *
+         * @param {Object} converter - The converter instance.
+         * @return {Object} The transport instance.
+         */
+        init: function (converter) {
+            this.converter = converter;
+            return this;
+        },
+
+        /**
+         * Checks whether the transport can be used in this browser.
+         *
+         * @return {boolean} True if EventSource and the stream action are available.
+         */
+        isSupported: function () {
+            return typeof window.EventSource === 'function' && !!GeoDir_Converter.actions.progress_stream;
+        },
+
+        /**
+         * Starts receiving progress.
+         *
+         * @param {number} delay - Delay before connecting (in milliseconds).
+         */
+        open: function (delay) {
+            this.close();
+            this.openTimeout = setTimeout(this._connect.bind(this), delay || 0);
+        },
+
+        /**
+         * Stops receiving progress.
+         */
+        close: function () {
+            clearTimeout(this.openTimeout);
+            clearTimeout(this.connectTimeout);
+
+            if (this.source) {
+                this.source.close();
+                this.source = null;
+            }
+        },
+
+        /**
+         * Opens the event stream.
+         *
+         * @private
+         */
+        _connect: function () {
+            const self = this;
+            const converter = this.converter;
+            const action = GeoDir_Converter.actions.progress_stream;
+            const url = GeoDir_Converter.ajaxUrl + (GeoDir_Converter.ajaxUrl.indexOf('?') > -1 ? '&' : '?') + $.param({
+                action: action,
+                geodir_converter_nonce: GeoDir_Converter.nonces.hasOwnProperty(action) ? GeoDir_Converter.nonces[action] : '',
+                importerId: converter.importerId,
+                logsShown: converter.logsHandler.shown,
+                structured: 1
+            });
+
+            this.received = false;
+            this.source = new window.EventSource(url);
+
+            this.source.addEventListener('progress', function (e) {
+                const data = self._parse(e.data);
+
+                self.received = true;
+                converter.transportRetryDelay = 0;
+                clearTimeout(self.connectTimeout);
+
+                if (!data || converter.preventUpdates) {
+                    return;
+                }
+
+                converter.handleProgress(data);
+
+                if (!data.inProgress && !data.isPaused) {
+                    self.close();
+                }
+            });
+
+            this.source.addEventListener('done', function () {
+                self.close();
+            });
+
+            this.source.addEventListener('error', function () {
+                // Reconnects after a completed stream are handled by the browser.
+                if (!self.received || !self.source || self.source.readyState === window.EventSource.CLOSED) {
+                    self._fallback();
+                }
+            });
+
+            this.connectTimeout = setTimeout(function () {
+                if (!self.received) {
+                    self._fallback();
+                }
+            }, this.connectTimeoutInterval);
+        },
+
+        /**
+         * Parses an event payload.
+         *
+         * @private
+         * @param {string} raw - Raw event data.
+         * @return {Object|null} Parsed data, or null if invalid.
+         */
+        _parse: function (raw) {
+            try {
+                return JSON.parse(raw);
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * Switches the converter over to polling until streaming is worth trying again.
+         *
+         * @private
+         */
+        _fallback: function () {
+            const converter = this.converter;
+
+            this.close();
+
+            if (converter.preventUpdates) {
+                return;
+            }
+
+            converter.fallBackToPolling();
+            converter.transport.open(converter.shortTickInterval);
+        }
+    };
+
+    /**
+     * Registered progress transports, keyed by name.
+     *
+     * @type {Object}
+     */
+    GeoDir_Converter.transports = {
+        polling: GeoDir_Converter.PollingTransport,
+        stream: GeoDir_Converter.StreamTransport
+    };
+
+    /**
+     * Cross-tab coordinator.
+     *
+     * Elects one leader tab per importer through a localStorage lease, so only
+     * that tab requests progress. The leader relays each progress payload over
+     * a BroadcastChannel, and every tab announces pause/resume/abort so the
+     * others update their buttons at once. Each tab acts on its own when
+     * BroadcastChannel or localStorage is unavailable.
+     *
+     * @type {Object}
+     */
+    GeoDir_Converter.TabCoordinator = {
+        /**
+         * How long a leader's lease stays valid without renewal (in milliseconds).
+         * @type {number}
+         */
+        leaseTime: 6000,
+
+        /**
+         * Interval for renewing or contesting the lease (in milliseconds).
+         * @type {number}
+         */
+        heartbeatInterval: 2000,
+
+        /**
+         * Wait before a tab that claimed a free lease checks it still holds it (in milliseconds).
+         * @type {number}
+         */
+        confirmDelay: 100,
+        converter: null,
+        channel: null,
+        tabId: '',
+        lockKey: '',
+        leader: true,
+        heartbeat: null,
+
+        /**
+         * Initializes the coordinator.
+         *
+         * @param {Object} converter - The converter instance.
+         * @return {Object} The coordinator instance.
+         */
+        init: function (converter) {
+            const self = this;
+
+            this.converter = converter;
+            this.tabId = Date.now().toString(36) + Math.random().toString(36).slice(2);
+            this.lockKey = 'geodir_converter_leader_' + converter.importerId;
+            this.leader = true;
+
+            if (!this.isSupported()) {
+                return this;
+            }
+
+            this.leader = false;
+            this.channel = new window.BroadcastChannel('geodir_converter_' + converter.importerId);
+            this.channel.onmessage = function (e) {
+                self.onMessage(e.data || {});
+            };
+
+            this.elect();
+            this.heartbeat = setInterval(this.elect.bind(this), this.heartbeatInterval);
+
+            $(window).on('pagehide', this.release.bind(this));
+            $(document).on('visibilitychange', this.onVisibilityChange.bind(this));
+
+            return this;
+        },
+
+        /**
+         * Checks whether cross-tab coordination is available.
+         *
+         * @return {boolean} True if BroadcastChannel and localStorage can be used.
+         */
+        isSupported: function () {
+            try {
+                return typeof window.BroadcastChannel === 'function' && !!window.localStorage;
+            } catch (e) {
+                return false;
+            }
+        },
+
+        /**
+         * Checks whether this tab is the leader.
+         *
+         * @return {boolean} True if this tab should request progress.
+         */
+        isLeader: function () {
+            return this.leader;
+        },
+
+        /**
+         * Renews the lease, or takes it over when it's free or expired.
+         *
+         * Where the Web Locks API exists, the lease is read and written while
+         * holding a lock, so two tabs can't both claim it.
+         */
+        elect: function () {
+            const self = this;
+
+            if (window.navigator.locks && typeof window.navigator.locks.request === 'function') {
+                window.navigator.locks.request(this.lockKey, function () {
+                    self._contest(false);
+                }).catch(function () {
+                    self._contest(true);
+                });
+                return;
+            }
+
+            this._contest(true);
+        },
+
+        /**
+         * Claims the lease if it's free, expired or already this tab's.
+         *
+         * @private
+         * @param {boolean} confirm - Whether to check again after a moment that a new claim held,
+         *                            as another tab may have written the lease in between.
+         */
+        _contest: function (confirm) {
+            const self = this;
+            const lock = this._readLock();
+
+            if (lock && lock.id && lock.expires >= Date.now() && lock.id !== this.tabId) {
+                this._setLeader(false);
+                return;
+            }
+
+            this._writeLock(this.tabId);
+
+            if (!confirm || (lock && lock.id === this.tabId)) {
+                this._setLeader(true);
+                return;
+            }
+
+            // Of two tabs that claimed the lease at once, the later write wins.
+            setTimeout(function () {
+                const current = self._readLock();
+                self._setLeader(!!current && current.id === self.tabId);
+            }, this.confirmDelay);
+        },
+
+        /**
+         * Gives up leadership, letting another tab take over right away.
+         */
+        release: function () {
+            if (!this.channel || !this.leader) {
+                return;
+            }
+
+            try {
+                window.localStorage.removeItem(this.lockKey);
+            } catch (e) { }
+
+            this.leader = false;
+            this.broadcast('release');
+        },
+
+        /**
+         * Sends a message to the other tabs.
+         *
+         * @param {string} type - Message type.
+         * @param {Object} data - Message data (optional).
+         */
+        broadcast: function (type, data) {
+            if (!this.channel) {
+                return;
+            }
+
+            try {
+                this.channel.postMessage({ type: type, data: data || {}, from: this.tabId });
+            } catch (e) { }
+        },
+
+        /**
+         * Handles a message from another tab.
+         *
+         * @param {Object} message - Message with type, data and sender tab ID.
+         */
+        onMessage: function (message) {
+            const data = message.data || {};
+
+            switch (message.type) {
+                case 'progress':
+                    if (!this.leader) {
+                        this.converter.applyRemoteProgress(data);
+                    }
+                    break;
+                case 'state':
+                    this.converter.applyRemoteState(data.state);
+                    break;
+                case 'takeover':
+                    // A hidden leader polls slowly, so hand over to the visible tab.
+                    if (this.leader && this.converter.isPageHidden()) {
+                        this._writeLock(message.from);
+                        this._setLeader(false);
+                        this.broadcast('handover', { to: message.from });
+                    }
+                    break;
+                case 'handover':
+                    if (data.to === this.tabId) {
+                        this._writeLock(this.tabId);
+                        this._setLeader(true);
+                    }
+                    break;
+                case 'release':
+                    if (!this.leader) {
+                        this.elect();
+                    }
+                    break;
+            }
+        },
+
+        /**
+         * Asks a hidden leader to hand over when this tab becomes visible.
+         */
+        onVisibilityChange: function () {
+            if (!this.leader && !this.converter.isPageHidden()) {
+                this.broadcast('takeover');
+            }
+        },
+
+        /**
+         * Switches leadership and notifies the converter.
+         *
+         * @private
+         * @param {boolean} leader - Whether this tab is now the leader.
+         */
+        _setLeader: function (leader) {
+            if (leader === this.leader) {
+                return;
+            }
+
+            this.leader = leader;
+
+            if (leader) {
+                this.converter.onBecomeLeader();
+            } else {
+                this.converter.onBecomeFollower();
+            }
+        },
+
+        /**
+         * Reads the leader lease.
+         *
+         * @private
+         * @return {Object|null} Lease with id and expires, or null.
+         */
+        _readLock: function () {
+            try {
+                return JSON.parse(window.localStorage.getItem(this.lockKey)) || null;
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * Writes the leader lease.
+         *
+         * @private
+         * @param {string} id - Tab ID that owns the lease.
+         */
+        _writeLock: function (id) {
+            try {
+                window.localStorage.setItem(this.lockKey, JSON.stringify({ id: id, expires: Date.now() + this.leaseTime }));
+            } catch (e) { }
+        }
+    };
+
+    /**
+     * Notifier.
+     *
+     * Page-wide alerts for long-running imports: desktop notifications
+     * (opt-in, per user) when a run completes, starts failing or pauses
+     * unexpectedly, plus progress in the tab title and favicon.
+     *
+     * @type {Object}
+     */
+    GeoDir_Converter.Notifier = {
+        /**
+         * Window over which failures are counted for a spike (in milliseconds).
+         * @type {number}
+         */
+        spikeWindow: 60000,
+
+        /**
+         * Minimum failures within the window to count as a spike.
+         * @type {number}
+         */
+        spikeThreshold: 10,
+
+        /**
+         * Minimum share of the items processed within the window that must have failed.
+         * @type {number}
+         */
+        spikeRatio: 0.5,
+
+        /**
+         * Minimum time between two spike notifications for the same run (in milliseconds).
+         * @type {number}
+         */
+        spikeCooldown: 300000,
+
+        /**
+         * Favicon badge colors by run state.
+         * @type {Object}
+         */
+        colors: {
+            running: '#2271b1',
+            paused: '#dba617',
+            done: '#00a32a'
+        },
+
+        enabled: false,
+        toggle: null,
+        baseTitle: '',
+        faviconEl: null,
+        faviconHref: '',
+        faviconImage: null,
+        faviconCreated: false,
+        faviconKey: '',
+        canvas: null,
+
+        /**
+         * Run state by importer ID.
+         * @type {Object|null}
+         */
+        runs: null,
+
+        /**
+         * Whether a run finished while the page was hidden.
+         * @type {boolean}
+         */
+        done: false,
+
+        /**
+         * Initializes the notifier.
+         *
+         * @param {jQuery} toggle - Notifications preference switch.
+         * @return {Object} The notifier.
+         */
+        init: function (toggle) {
+            const self = this;
+            const preferences = GeoDir_Converter.preferences || {};
 
-            const postType = this.element.find('select[name="gd_post_type"]').val();
-            if (postType) {
-                formData.append('gd_post_type', postType);
-            }
+            this.toggle = toggle;
+            this.runs = {};
+            this.baseTitle = document.title;
+            this.enabled = !!preferences.notifications;
 
-            return formData;
+            this.toggle.on('change', function () {
+                self.setEnabled($(this).prop('checked'));
+            });
+
+            $(document).on('visibilitychange', function () {
+                if (!document.hidden && self.done) {
+                    self.done = false;
+                    self.render();
+                }
+            });
+
+            this.loadFavicon();
+
+            return this;
         },
 
         /**
-         * Builds FormData for eDirectory upload.
+         * Checks whether the browser supports notifications.
          *
-         * @private
-         * @param {File} file - The file to upload.
-         * @param {string} importerId - The importer identifier.
-         * @returns {FormData} FormData object for eDirectory upload.
+         * @return {boolean} True if supported.
          */
-        _buildEDirectoryFormData: function (file, importerId) {
-            const formData = new FormData();
-            formData.append('file', file);
-            formData.append('importerId', importerId);
-            return formData;
+        isSupported: function () {
+            return 'Notification' in window;
         },
 
         /**
-         * Gets AJAX options for file upload with progress tracking.
+         * Turns notifications on or off, asking for permission first when needed.
          *
-         * @private
-         * @param {Object} context - Upload context object.
-         * @returns {Object} AJAX options object.
+         * @param {boolean} enabled - Whether notifications are wanted.
          */
-        _getUploadAjaxOptions: function (context) {
+        setEnabled: function (enabled) {
             const self = this;
-            const progress = context.progress;
-            const icon = context.icon;
-            const status = context.status;
 
-            return {
-                method: 'POST',
-                xhr: function () {
-                    const xhr = new window.XMLHttpRequest();
-                    xhr.upload.addEventListener('progress', function (evt) {
-                        if (evt.lengthComputable) {
-                            const percent = Math.round((evt.loaded / evt.total) * 100);
-                            progress.updateProgress(percent);
-                        }
-                    }, false);
-                    return xhr;
-                },
-                error: function () {
-                    progress.barEl.removeClass('progress-bar-animated').addClass('bg-danger');
-                    icon.removeClass('fa-sync').addClass('fa-triangle-exclamation text-danger');
-                    status.text(GeoDir_Converter.i18n.serverErrorUpload);
-                    self.disableStep2Inputs(true);
+            if (!enabled) {
+                this.enabled = false;
+                this.save();
+                return;
+            }
+
+            if (!this.isSupported()) {
+                this.reject(GeoDir_Converter.i18n.notifyUnsupported);
+                return;
+            }
+
+            let answered = false;
+            const apply = function (permission) {
+                // Browsers that return a promise may call the callback as well.
+                if (answered) {
+                    return;
+                }
+
+                answered = true;
+
+                if ('granted' === permission) {
+                    self.enabled = true;
+                    self.save();
+                } else {
+                    self.reject(GeoDir_Converter.i18n.notifyDenied);
                 }
             };
+
+            if ('default' === Notification.permission) {
+                // Older Safari only takes a callback and returns nothing.
+                const request = Notification.requestPermission(apply);
+
+                if (request && typeof request.then === 'function') {
+                    request.then(apply);
+                }
+            } else {
+                apply(Notification.permission);
+            }
         },
 
         /**
-         * Handles upload response and updates UI accordingly.
+         * Switches the preference back off and tells the user why.
          *
-         * @private
-         * @param {boolean} success - Whether the upload was successful.
-         * @param {Object} data - Response data from server.
-         * @param {Object} context - Upload context object.
-         * @param {Function} onSuccessCallback - Callback to execute on success.
-         * @returns {void}
+         * @param {string} message - Reason shown to the user.
          */
-        _handleUploadResponse: function (success, data, context, onSuccessCallback) {
-            const progress = context.progress;
-            const icon = context.icon;
-            const status = context.status;
-            const file = context.file;
+        reject: function (message) {
+            this.toggle.prop('checked', false);
+            GeoDir_Converter.notifyError(null, message);
 
-            progress.barEl.removeClass('progress-bar-animated');
-            icon.removeClass('fa-sync');
+            if (this.enabled) {
+                this.enabled = false;
+                this.save();
+            }
+        },
 
-            if (success) {
-                progress.barEl.addClass('bg-success');
-                icon.addClass('fa-check text-success');
-                status.text(data.message || GeoDir_Converter.i18n.fileUploadSuccess);
+        /**
+         * Stores the preference for the current user.
+         */
+        save: function () {
+            GeoDir_Converter.preferences = $.extend({}, GeoDir_Converter.preferences, { notifications: this.enabled });
 
-                if (!this.converter.files.some(function (f) {
-                    return f.name === file.name && f.size === file.size && f.lastModified === file.lastModified;
-                })) {
-                    this.converter.files.push(file);
+            GeoDir_Converter.ajax(GeoDir_Converter.actions.save_preferences, function (success, data) {
+                if (!success) {
+                    GeoDir_Converter.notifyError(data);
                 }
+            }, { notifications: this.enabled ? 1 : 0 }, { method: 'POST' });
+        },
 
-                if (onSuccessCallback) {
-                    onSuccessCallback();
-                }
+        /**
+         * Gets the tracked state of an importer's run.
+         *
+         * @param {string} importerId - Importer ID.
+         * @return {Object} Run state.
+         */
+        getRun: function (importerId) {
+            if (!this.runs[importerId]) {
+                this.runs[importerId] = {
+                    state: null,
+                    percent: 0,
+                    updatedAt: 0,
+                    samples: [],
+                    lastSpikeAt: 0
+                };
+            }
 
-                this.disableStep2Inputs(false);
+            return this.runs[importerId];
+        },
+
+        /**
+         * Applies a progress payload.
+         *
+         * Only the tab that requests progress sends notifications; every tab
+         * updates its own title and favicon.
+         *
+         * @param {Object} converter - Converter instance.
+         * @param {Object} data - Progress data.
+         * @param {Object|null} transition - Run state change, see Converter.trackRunState().
+         */
+        update: function (converter, data, transition) {
+            const run = this.getRun(converter.importerId);
+            const state = converter.runState;
+            const notify = converter.tabs.isLeader();
+            const stats = data.stats || {};
+
+            run.state = state;
+            run.percent = parseInt(data.progress, 10) || 0;
+            run.updatedAt = Date.now();
+
+            if ('running' === state) {
+                this.trackFailures(converter, run, stats, notify);
             } else {
-                progress.barEl.addClass('bg-danger');
-                icon.addClass('fa-triangle-exclamation text-danger');
-                status.text(GeoDir_Converter.i18n.uploadFailed + (data.message || GeoDir_Converter.i18n.unknownError));
-                this.disableStep2Inputs(true);
+                run.samples = [];
             }
+
+            if (transition) {
+                if (transition.finished) {
+                    this.done = document.hidden;
+
+                    if (notify) {
+                        this.notify(converter, 'complete',
+                            GeoDir_Converter.i18n.notifyCompleteTitle.replace('%s', this.getName(converter)),
+                            GeoDir_Converter.i18n.notifyCompleteBody
+                                .replace('%1$d', stats.succeed || 0)
+                                .replace('%2$d', stats.skipped || 0)
+                                .replace('%3$d', stats.failed || 0)
+                        );
+                    }
+                } else if ('paused' === state && 'paused' !== transition.expected && notify) {
+                    this.notify(converter, 'paused',
+                        GeoDir_Converter.i18n.notifyPausedTitle.replace('%s', this.getName(converter)),
+                        GeoDir_Converter.i18n.notifyPausedBody
+                    );
+                }
+            }
+
+            this.render();
         },
 
         /**
-         * Disables or enables step 2 form inputs.
+         * Notifies when failures pile up within the spike window.
          *
-         * @param {boolean} disabled - Whether to disable the inputs.
+         * @param {Object} converter - Converter instance.
+         * @param {Object} run - Run state.
+         * @param {Object} stats - Import statistics.
+         * @param {boolean} notify - Whether this tab sends notifications.
          */
-        disableStep2Inputs: function (disabled) {
-            const configureWrapper = this.element.find('.geodir-converter-configure-wrapper');
-            if (configureWrapper.length) {
-                configureWrapper.find('input, select, textarea, button').not('[name="edirectory_modules[]"]').prop('disabled', disabled);
+        trackFailures: function (converter, run, stats, notify) {
+            const now = Date.now();
+            const failed = stats.failed || 0;
+            const processed = (stats.succeed || 0) + (stats.skipped || 0) + failed;
+
+            run.samples.push({ time: now, processed: processed, failed: failed });
+
+            while (run.samples.length > 1 && now - run.samples[0].time > this.spikeWindow) {
+                run.samples.shift();
+            }
+
+            const recentFailed = failed - run.samples[0].failed;
+            const recentProcessed = processed - run.samples[0].processed;
+
+            if (!notify || recentFailed < this.spikeThreshold || recentFailed < recentProcessed * this.spikeRatio || now - run.lastSpikeAt < this.spikeCooldown) {
+                return;
             }
+
+            run.lastSpikeAt = now;
+            this.notify(converter, 'failures',
+                GeoDir_Converter.i18n.notifyFailuresTitle.replace('%s', this.getName(converter)),
+                GeoDir_Converter.i18n.notifyFailuresBody.replace('%d', recentFailed)
+            );
         },
 
+        /**
+         * Gets the display name of an importer.
+         *
+         * @param {Object} converter - Converter instance.
+         * @return {string} Importer name.
+         */
+        getName: function (converter) {
+            return $.trim(converter.element.find('.geodir-converter-title').first().text());
+        },
 
         /**
-         * Renders an upload item in the uploads list.
+         * Shows a desktop notification if the user opted in.
          *
-         * @param {string} id - Unique identifier for the upload item.
-         * @param {string} name - The file name to display.
-         * @return {jQuery} The rendered upload item element.
+         * @param {Object} converter - Converter instance.
+         * @param {string} type - Event type, used to replace older notifications of the same kind.
+         * @param {string} title - Notification title.
+         * @param {string} body - Notification body.
          */
-        renderUploadItem: function (id, name) {
-            const item = $(`
-                <div class="upload-item my-2" data-id="${id}">
-                    <div class="d-flex justify-content-between align-items-center">
-                        <span class="fw-bold text-truncate">${name}</span>
-                        <i class="fas fa-solid fa-sync text-muted ms-2 geodir-converter-progress-icon" aria-hidden="true"></i>
-                    </div>
-                    <div class="progress my-1 d-none" role="progressbar" aria-valuemin="0" aria-valuemax="100">
-                        <div class="progress-bar progress-bar-striped progress-bar-animated" style="width: 0%"></div>
-                    </div>
-                    <div class="geodir-converter-progress-status small text-muted mt-1">${GeoDir_Converter.i18n.uploading}</div>
-                </div>
-            `);
+        notify: function (converter, type, title, body) {
+            if (!this.enabled || !this.isSupported() || 'granted' !== Notification.permission) {
+                return;
+            }
 
-            this.uploads.append(item);
+            try {
+                const notification = new Notification(title, {
+                    body: body,
+                    tag: 'geodir-converter-' + converter.importerId + '-' + type,
+                    icon: converter.element.find('.geodir-converter-icon').attr('src')
+                });
+
+                notification.onclick = function () {
+                    window.focus();
+                    converter.element[0].scrollIntoView({ block: 'start' });
+                    notification.close();
+                };
+            } catch (e) {
+                // Some mobile browsers only allow notifications from a service worker.
+            }
+        },
+
+        /**
+         * Gets the most recently updated run that is still active.
+         *
+         * @return {Object|null} Run state, or null when nothing is running.
+         */
+        getActiveRun: function () {
+            let active = null;
+
+            $.each(this.runs, function (importerId, run) {
+                if (('running' === run.state || 'paused' === run.state) && (!active || run.updatedAt > active.updatedAt)) {
+                    active = run;
+                }
+            });
+
+            return active;
+        },
+
+        /**
+         * Updates the tab title and favicon.
+         */
+        render: function () {
+            const run = this.getActiveRun();
+            let label = '';
+
+            if (run) {
+                label = 'paused' === run.state ? GeoDir_Converter.i18n.paused : run.percent + '%';
+                this.drawFavicon(run.percent, this.colors[run.state]);
+            } else if (this.done) {
+                label = GeoDir_Converter.i18n.titleDone;
+                this.drawFavicon(100, this.colors.done);
+            } else {
+                this.restoreFavicon();
+            }
+
+            const title = label ? GeoDir_Converter.i18n.titleProgress.replace('%1$s', label).replace('%2$s', this.baseTitle) : this.baseTitle;
+
+            if (document.title !== title) {
+                document.title = title;
+            }
+        },
+
+        /**
+         * Loads the site icon to draw the badge on.
+         */
+        loadFavicon: function () {
+            const self = this;
+
+            this.faviconEl = $('link[rel~="icon"]').last();
+            this.faviconHref = this.faviconEl.attr('href') || '';
+
+            if (!this.faviconHref) {
+                return;
+            }
+
+            const image = new Image();
+            image.crossOrigin = 'anonymous';
+            image.onload = function () {
+                self.faviconImage = image;
+                self.faviconKey = '';
+                self.render();
+            };
+            image.src = this.faviconHref;
+        },
+
+        /**
+         * Draws the favicon with a progress badge.
+         *
+         * @param {number} percent - Progress percentage.
+         * @param {string} color - Badge color.
+         */
+        drawFavicon: function (percent, color) {
+            const key = percent + color;
+
+            if (key === this.faviconKey) {
+                return;
+            }
+
+            this.canvas = this.canvas || document.createElement('canvas');
+
+            const size = 32;
+            const ctx = this.canvas.getContext && this.canvas.getContext('2d');
+
+            if (!ctx) {
+                return;
+            }
+
+            this.canvas.width = size;
+            this.canvas.height = size;
+            ctx.clearRect(0, 0, size, size);
+
+            // Without a site icon the badge fills the whole favicon.
+            let radius = size / 2 - 1;
+            let center = size / 2;
+
+            if (this.faviconImage) {
+                ctx.drawImage(this.faviconImage, 0, 0, size, size);
+                radius = 9;
+                center = size - radius - 1;
+            }
+
+            ctx.beginPath();
+            ctx.arc(center, center, radius + 1, 0, 2 * Math.PI);
+            ctx.fillStyle = '#fff';
+            ctx.fill();
+
+            ctx.beginPath();
+            ctx.arc(center, center, radius, 0, 2 * Math.PI);
+            ctx.fillStyle = '#dcdcde';
+            ctx.fill();
+
+            ctx.beginPath();
+            ctx.moveTo(center, center);
+            ctx.arc(center, center, radius, -Math.PI / 2, -Math.PI / 2 + 2 * Math.PI * Math.min(100, Math.max(0, percent)) / 100);
+            ctx.closePath();
+            ctx.fillStyle = color;
+            ctx.fill();
+
+            let href;
+            try {
+                href = this.canvas.toDataURL('image/png');
+            } catch (e) {
+                // The site icon is cross-origin and tainted the canvas.
+                return;
+            }
+
+            if (!this.faviconEl.length) {
+                this.faviconEl = $('<link rel="icon" type="image/png">').appendTo('head');
+                this.faviconCreated = true;
+            }
+
+            this.faviconEl.attr('href', href);
+            this.faviconKey = key;
+        },
+
+        /**
+         * Restores the original favicon.
+         */
+        restoreFavicon: function () {
+            if (!this.faviconKey) {
+                return;
+            }
+
+            if (this.faviconCreated) {
+                this.faviconEl.remove();
+                this.faviconEl = $();
+                this.faviconCreated = false;
+            } else {
+                this.faviconEl.attr('href', this.faviconHref);
+            }
 
-            return this.uploads.find(`[data-id="${id}"]`);
+            this.faviconKey = '';
         }
-    });
+    };
 
     /**
      * Converter main object.
@@ -1086,22 +6632,97 @@
      */
     GeoDir_Converter.Converter = {
         /**
-         * Interval for regular progress checks (in milliseconds).
-         * @type {number}
+         * Interval for regular progress checks (in milliseconds).
+         * @type {number}
+         */
+        tickInterval: 2000,
+
+        /**
+         * Interval for the initial progress check (in milliseconds).
+         * provides quick feedback when the import starts.
+         * @type {number}
+         */
+        shortTickInterval: 400,
+
+        /**
+         * Timeout for a single progress request (in milliseconds).
+         * @type {number}
+         */
+        requestTimeout: 30000,
+
+        /**
+         * Upper bound for the back-off applied when polls return no changes (in milliseconds).
+         * @type {number}
+         */
+        maxTickInterval: 15000,
+
+        /**
+         * Minimum interval between progress checks while the import is paused (in milliseconds).
+         * @type {number}
+         */
+        pausedTickInterval: 10000,
+
+        /**
+         * Minimum interval between progress checks while the page is hidden (in milliseconds).
+         * @type {number}
+         */
+        hiddenTickInterval: 30000,
+
+        /**
+         * Multiplier applied to the interval after each poll that returns no changes.
+         * @type {number}
+         */
+        tickBackoffFactor: 1.5,
+
+        /**
+         * Current delay between progress checks, grown by the back-off (in milliseconds).
+         * @type {number}
+         */
+        currentTickInterval: 2000,
+
+        /**
+         * Progress, stats and state of the last poll, used to detect unchanged responses.
+         * @type {string}
+         */
+        lastTickSignature: '',
+        retriesCount: 1,
+        retriesLeft: 0,
+        inProgress: false,
+        updateTimeout: null,
+        preventUpdates: false,
+        transport: null,
+
+        /**
+         * When the configured transport may be tried again after falling back to polling (timestamp in milliseconds).
+         * @type {number}
+         */
+        transportRetryAt: 0,
+
+        /**
+         * Wait before the configured transport is tried again, doubled after each fallback (in milliseconds).
+         * @type {number}
+         */
+        transportRetryDelay: 0,
+        minTransportRetryDelay: 30000,
+        maxTransportRetryDelay: 600000,
+        tickRequest: null,
+        failedItems: null,
+        report: null,
+        history: null,
+
+        /**
+         * Run state seen in the last progress payload ('running', 'paused' or 'stopped').
+         * @type {string|null}
          */
-        tickInterval: 2000,
+        runState: null,
 
         /**
-         * Interval for the initial progress check (in milliseconds).
-         * provides quick feedback when the import starts.
-         * @type {number}
+         * State change last requested by the user, in this tab or another.
+         * @type {string|null}
          */
-        shortTickInterval: 400,
-        retriesCount: 1,
-        retriesLeft: 0,
-        inProgress: false,
-        updateTimeout: null,
-        preventUpdates: false,
+        expectedState: null,
+        tabs: null,
+        syncing: false,
         importerId: null,
         files: [],
 
@@ -1124,7 +6745,9 @@
             this.progressBar = progressBar.init(this.element.find('.geodir-converter-progress'));
 
             let logsHandler = $.extend({}, GeoDir_Converter.LogsHandler);
-            this.logsHandler = logsHandler.init(this.element.find('.geodir-converter-logs'));
+            this.logsHandler = logsHandler.init(this.element.find('.geodir-converter-logs').not('.geodir-converter-rollback-logs'), {
+                converter: this
+            });
 
             let configureButton = $.extend({}, GeoDir_Converter.ConfigureButton);
             this.configureButton = configureButton.init(this.element.find('.geodir-converter-configure'), {
@@ -1172,6 +6795,55 @@
                 converter: this
             });
 
+            let failedItems = $.extend({}, GeoDir_Converter.FailedItemsPanel);
+            this.failedItems = failedItems.init(this.element.find('.geodir-converter-failed-items'), {
+                converter: this,
+                toggleBtn: this.element.find('.geodir-converter-inspect-failed')
+            });
+
+            let report = $.extend({}, GeoDir_Converter.ReportPanel);
+            this.report = report.init(this.element.find('.geodir-converter-report'), {
+                converter: this,
+                toggleBtn: this.element.find('.geodir-converter-view-report')
+            });
+
+            // The CSV importer only renders its history panel on the mapping step.
+            const historyEl = this.element.find('.geodir-converter-history');
+            if (historyEl.length) {
+                let history = $.extend({}, GeoDir_Converter.HistoryPanel);
+                this.history = history.init(historyEl, {
+                    converter: this,
+                    toggleBtn: this.element.find('.geodir-converter-view-history')
+                });
+            }
+
+            let preview = $.extend({}, GeoDir_Converter.PreviewPanel);
+            this.preview = preview.init(this.element.find('.geodir-converter-preview-panel'), {
+                converter: this,
+                toggleBtn: this.element.find('.geodir-converter-preview')
+            });
+
+            let rollback = $.extend({}, GeoDir_Converter.RollbackPanel);
+            this.rollback = rollback.init(this.element.find('.geodir-converter-rollback'), {
+                converter: this,
+                toggleBtn: this.element.find('.geodir-converter-rollback-run')
+            });
+
+            let scheduleStatus = $.extend({}, GeoDir_Converter.ScheduleStatus);
+            this.scheduleStatus = scheduleStatus.init(this.element.find('.geodir-converter-schedule'), {
+                converter: this
+            });
+
+            let chart = $.extend({}, GeoDir_Converter.ThroughputChart);
+            this.chart = chart.init(this.element.find('.geodir-converter-chart'), {
+                converter: this
+            });
+
+            let connection = $.extend({}, GeoDir_Converter.ConnectionMonitor);
+            this.connection = connection.init(this.element.find('.geodir-converter-connection'), {
+                converter: this
+            });
+
             const connectWrapper = this.element.find('.geodir-converter-connect-wrapper');
             if (connectWrapper.length) {
                 let dropZone = $.extend({}, GeoDir_Converter.DropZone);
@@ -1183,10 +6855,21 @@
             this.miniProgress = this.element.find('.geodir-converter-mini-progress');
             this.miniProgressBar = this.miniProgress.find('.progress-bar');
 
+            this.useTransport(GeoDir_Converter.transport || 'polling');
+
+            let tabs = $.extend({}, GeoDir_Converter.TabCoordinator);
+            this.tabs = tabs.init(this);
+
+            $(document).on('visibilitychange', this.onVisibilityChange.bind(this));
+
             if (this.inProgress) {
                 this.start();
             }
 
+            this.element.on('click', '.geodir-converter-pipeline-add', function () {
+                GeoDir_Converter.pipeline.addStep(this);
+            }.bind(this));
+
             this.element.data('converter', this);
 
             return this;
@@ -1209,7 +6892,7 @@
 
             GeoDir_Converter.ajax(GeoDir_Converter.actions.csv_get_mapping_step, function (success, responseData) {
                 if (!success) {
-                    alert(responseData.message || GeoDir_Converter.i18n.failedLoadMapping);
+                    GeoDir_Converter.notifyError(responseData, GeoDir_Converter.i18n.failedLoadMapping);
                     return;
                 }
 
@@ -1240,6 +6923,19 @@
                 aui_init_select2();
             }
 
+            const connectionEl = container.find('.geodir-converter-connection');
+            if (connectionEl.length) {
+                this.connection.setElement(connectionEl);
+            }
+
+            // The mapping step brings its own progress element.
+            const progressEl = container.find('.geodir-converter-progress');
+            if (progressEl.length) {
+                const progressBar = $.extend({}, GeoDir_Converter.ProgressBar);
+                this.progressBar = progressBar.init(progressEl);
+                this.chart.setElement(container.find('.geodir-converter-chart'));
+            }
+
             if (importBtn.length) {
                 const importButton = $.extend({}, GeoDir_Converter.ImportButton);
                 this.importButton = importButton.init(importBtn, {
@@ -1264,6 +6960,55 @@
                 });
             }
 
+            const failedItemsEl = container.find('.geodir-converter-failed-items');
+            if (failedItemsEl.length) {
+                const failedItems = $.extend({}, GeoDir_Converter.FailedItemsPanel);
+                this.failedItems = failedItems.init(failedItemsEl, {
+                    converter: this,
+                    toggleBtn: container.find('.geodir-converter-inspect-failed')
+                });
+            }
+
+            const reportEl = container.find('.geodir-converter-report');
+            if (reportEl.length) {
+                const report = $.extend({}, GeoDir_Converter.ReportPanel);
+                this.report = report.init(reportEl, {
+                    converter: this,
+                    toggleBtn: container.find('.geodir-converter-view-report')
+                });
+            }
+
+            const historyEl = container.find('.geodir-converter-history');
+            if (historyEl.length) {
+                const history = $.extend({}, GeoDir_Converter.HistoryPanel);
+                this.history = history.init(historyEl, {
+                    converter: this,
+                    toggleBtn: container.find('.geodir-converter-view-history')
+                });
+            }
+
+            const previewEl = container.find('.geodir-converter-preview-panel');
+            if (previewEl.length) {
+                const preview = $.extend({}, GeoDir_Converter.PreviewPanel);
+                this.preview = preview.init(previewEl, {
+                    converter: this,
+                    toggleBtn: container.find('.geodir-converter-preview')
+                });
+            }
+
+            this.scheduleStatus.syncForm();
+
+            const rollbackEl = container.find('.geodir-converter-rollback');
+            if (rollbackEl.length) {
+                clearTimeout(this.rollback.timer);
+
+                const rollback = $.extend({}, GeoDir_Converter.RollbackPanel);
+                this.rollback = rollback.init(rollbackEl, {
+                    converter: this,
+                    toggleBtn: container.find('.geodir-converter-rollback-run')
+                });
+            }
+
             if (retryBtn.length) {
                 const retryFailedButton = $.extend({}, GeoDir_Converter.RetryFailedButton);
                 this.retryFailedButton = retryFailedButton.init(retryBtn, {
@@ -1282,7 +7027,13 @@
             this.preventUpdates = false;
             this.logsHandler.clear();
             this.progressBar.resetStats();
-            this.updateTimeout = setTimeout(this.tick.bind(this), this.shortTickInterval);
+            this.chart.reset();
+            this.resetTickInterval();
+            this.restoreTransport();
+
+            if (this.tabs.isLeader()) {
+                this.transport.open(this.shortTickInterval);
+            }
         },
 
         /**
@@ -1290,17 +7041,271 @@
          */
         resumePolling: function () {
             this.preventUpdates = false;
-            this.updateTimeout = setTimeout(this.tick.bind(this), this.shortTickInterval);
+            this.resetTickInterval();
+            this.restoreTransport();
+
+            if (this.tabs.isLeader()) {
+                this.transport.open(this.shortTickInterval);
+            }
+        },
+
+        /**
+         * Takes over progress requests when this tab is elected leader.
+         */
+        onBecomeLeader: function () {
+            if (this.inProgress && !this.preventUpdates) {
+                this.resetTickInterval();
+                this.transport.open(this.shortTickInterval);
+            }
+        },
+
+        /**
+         * Stops requesting progress once another tab leads.
+         */
+        onBecomeFollower: function () {
+            this.transport.close();
+        },
+
+        /**
+         * Announces a state change made in this tab to the other tabs.
+         *
+         * @param {string} state - One of 'started', 'paused', 'resumed', 'aborting', 'aborted'.
+         */
+        announce: function (state) {
+            this.expectedState = state;
+            this.tabs.broadcast('state', { state: state });
+        },
+
+        /**
+         * Applies a state change announced by another tab.
+         *
+         * @param {string} state - The announced state.
+         */
+        applyRemoteState: function (state) {
+            this.expectedState = state;
+
+            switch (state) {
+                case 'started':
+                case 'aborted':
+                    this.start();
+                    break;
+                case 'paused':
+                    this.markPaused();
+                    this.configureButton.markPausedState();
+                    break;
+                case 'resumed':
+                    this.markInProgress();
+                    this.configureButton.activate();
+                    this.resumePolling();
+                    break;
+                case 'aborting':
+                    this.abortButton.activate();
+                    break;
+            }
+        },
+
+        /**
+         * Applies a progress payload relayed by the leader tab.
+         *
+         * The payload's logs continue the leader's cursor, so only the entries
+         * this tab hasn't shown yet are kept: structured entries by their log
+         * index, HTML logs by position after splitting them into one item per
+         * entry. If this tab is behind, it fetches its missing entries once.
+         *
+         * @param {Object} data - Progress data.
+         */
+        applyRemoteProgress: function (data) {
+            if (this.preventUpdates || this.syncing) {
+                return;
+            }
+
+            const structured = Array.isArray(data.logs);
+            let logs = structured ? data.logs : [];
+
+            if ('string' === typeof data.logs) {
+                logs = $($.parseHTML(data.logs)).filter('li').map(function () {
+                    return this.outerHTML;
+                }).get();
+            }
+
+            const shown = this.logsHandler.shown;
+            const first = data.logsFrom;
+
+            if (shown < first) {
+                this.syncProgress();
+                return;
+            }
+
+            if (structured) {
+                // Notices have no index and always follow the stored entries.
+                logs = logs.filter(function (entry) {
+                    return 'number' !== typeof entry.index || entry.index >= shown;
+                });
+            } else {
+                logs = logs.slice(Math.min(shown - first, logs.length));
+            }
+
+            this.handleProgress($.extend({}, data, {
+                logs: logs,
+                logsShown: Math.max(shown, data.logsShown)
+            }));
+        },
+
+        /**
+         * Requests progress once with this tab's own log cursor.
+         */
+        syncProgress: function () {
+            const self = this;
+
+            this.syncing = true;
+
+            GeoDir_Converter.ajax(GeoDir_Converter.actions.progress, function (success, data) {
+                self.syncing = false;
+
+                if (success && !self.preventUpdates) {
+                    self.handleProgress(data);
+                }
+            }, { logsShown: this.logsHandler.shown, importerId: this.importerId, structured: 1 });
         },
 
         /**
          * Stops the converter.
          */
         stop: function () {
-            clearTimeout(this.updateTimeout);
+            this.transport.close();
             this.preventUpdates = true;
         },
 
+        /**
+         * Switches the progress transport.
+         *
+         * Falls back to polling if the requested transport is unknown or unsupported.
+         *
+         * @param {string} name - Transport name (a key of GeoDir_Converter.transports).
+         */
+        useTransport: function (name) {
+            let transport = GeoDir_Converter.transports[name];
+
+            if (!transport || !transport.isSupported()) {
+                transport = GeoDir_Converter.transports.polling;
+            }
+
+            if (this.transport) {
+                this.transport.close();
+            }
+
+            this.transport = $.extend({}, transport).init(this);
+        },
+
+        /**
+         * Polls instead of the configured transport until its retry delay has passed.
+         *
+         * Called when the transport fails, such as a stream a proxy cuts off.
+         */
+        fallBackToPolling: function () {
+            this.transportRetryDelay = Math.min(Math.max(this.transportRetryDelay * 2, this.minTransportRetryDelay), this.maxTransportRetryDelay);
+            this.transportRetryAt = Date.now() + this.transportRetryDelay;
+            this.useTransport('polling');
+        },
+
+        /**
+         * Switches back to the configured transport once its retry delay has passed.
+         *
+         * Called when a run starts or resumes, so a transport that failed once is tried again.
+         */
+        restoreTransport: function () {
+            const name = GeoDir_Converter.transport || 'polling';
+
+            if (this.transport.name !== name && Date.now() >= this.transportRetryAt) {
+                this.useTransport(name);
+            }
+        },
+
+        /**
+         * Schedules the next progress check, replacing any pending one.
+         *
+         * @param {number} delay - Delay in milliseconds.
+         */
+        scheduleTick: function (delay) {
+            clearTimeout(this.updateTimeout);
+            this.updateTimeout = setTimeout(this.tick.bind(this), delay);
+        },
+
+        /**
+         * Requests progress again after a connection loss.
+         */
+        reconnect: function () {
+            if (this.preventUpdates) {
+                return;
+            }
+
+            this.resetTickInterval();
+
+            if (this.tabs.isLeader()) {
+                this.scheduleTick(0);
+            }
+        },
+
+        /**
+         * Resets the adaptive polling interval back to the fast rate.
+         */
+        resetTickInterval: function () {
+            this.currentTickInterval = this.tickInterval;
+            this.lastTickSignature = '';
+        },
+
+        /**
+         * Checks whether the page is currently hidden (background tab, minimized window).
+         *
+         * @return {boolean} True if the page is hidden.
+         */
+        isPageHidden: function () {
+            return typeof document.hidden !== 'undefined' && document.hidden;
+        },
+
+        /**
+         * Polls again right away when the user returns to the page.
+         */
+        onVisibilityChange: function () {
+            if (this.transport.name !== 'polling' || this.isPageHidden() || this.preventUpdates || !this.updateTimeout) {
+                return;
+            }
+
+            this.resetTickInterval();
+            this.scheduleTick(this.shortTickInterval);
+        },
+
+        /**
+         * Works out the delay before the next progress check.
+         *
+         * Backs off while the server reports no changes, and slows down further
+         * while the import is paused or the page is hidden.
+         *
+         * @param {Object} data - Progress response data.
+         * @return {number} Delay in milliseconds.
+         */
+        getNextTickInterval: function (data) {
+            // New log entries move the logs cursor; the paused notice is re-sent on every poll but doesn't.
+            const signature = JSON.stringify([data.progress, data.stats, data.isPaused, data.inProgress, data.failedItemsCount, data.logsShown]);
+
+            if (signature !== this.lastTickSignature) {
+                this.currentTickInterval = this.tickInterval;
+            } else {
+                this.currentTickInterval = Math.min(Math.round(this.currentTickInterval * this.tickBackoffFactor), this.maxTickInterval);
+            }
+            this.lastTickSignature = signature;
+
+            if (this.isPageHidden()) {
+                return Math.max(this.currentTickInterval, this.hiddenTickInterval);
+            }
+
+            if (data.isPaused) {
+                return Math.max(this.currentTickInterval, this.pausedTickInterval);
+            }
+
+            return this.currentTickInterval;
+        },
+
         /**
          * Resets the retry count.
          */
@@ -1314,68 +7319,151 @@
         tick: function () {
             const self = this;
 
-            GeoDir_Converter.ajax(GeoDir_Converter.actions.progress, function (success, data) {
+            this.updateTimeout = null;
+
+            this.tickRequest = GeoDir_Converter.ajax(GeoDir_Converter.actions.progress, function (success, data) {
+                self.tickRequest = null;
+
                 if (self.preventUpdates) {
                     return;
                 }
 
                 if (!success) {
-                    if (self.retriesLeft > 0) {
+                    // Retrying can't fix an expired session; tell the user instead.
+                    if (data.type === GeoDir_Converter.AjaxError.AUTH || data.type === GeoDir_Converter.AjaxError.NONCE) {
+                        // Polling stops here, so no progress payload will bring the controls back.
+                        self.connection.restore();
+                        self.restoreControls();
+                        self.errorHandler.showError(data);
+                        return;
+                    }
+
+                    if (self.retriesLeft > 0 && !self.connection.isLost()) {
                         self.retriesLeft--;
-                        self.updateTimeout = setTimeout(self.tick.bind(self), self.tickInterval);
+                        self.scheduleTick(self.tickInterval);
                     } else {
+                        // Controls come back through handleProgress() once the server answers.
                         self.abortButton.disable();
                         self.importButton.element.prop('disabled', true);
+                        self.connection.fail();
                     }
                     return;
                 }
 
-                self.resetRetries();
+                self.handleProgress(data);
 
-                self.progressBar.updateProgress(data.progress);
-                self.progressBar.updateStats(data.stats);
-                self.progressBar.updateElapsed(data.elapsed);
-                self.logsHandler.setShown(data.logsShown);
-                self.logsHandler.insertLogs(data.logs);
+                // Continue polling while in progress or paused.
+                if (data.inProgress || data.isPaused) {
+                    self.scheduleTick(self.getNextTickInterval(data));
+                }
 
-                // Update mini progress bar.
-                self.updateMiniProgress(data.progress, data.stats);
+            }, { logsShown: self.logsHandler.shown, importerId: this.importerId, structured: 1 }, { timeout: this.requestTimeout });
+        },
 
-                if (data.isPaused) {
-                    self.markPaused();
-                    self.configureButton.markPausedState();
-                    self.progressBar.barEl.removeClass('progress-bar-animated');
-                    self.miniProgressBar.removeClass('progress-bar-animated');
-                } else if (data.inProgress) {
-                    self.markInProgress();
-                    self.configureButton.activate();
-                    self.progressBar.barEl.addClass('progress-bar-animated');
-                    self.miniProgressBar.addClass('progress-bar-animated');
-                } else {
-                    self.markStopped();
-                    self.configureButton.enable();
-                    self.progressBar.barEl.removeClass('progress-bar-animated progress-bar-striped');
-                    self.miniProgress.addClass('d-none');
-                }
+        /**
+         * Applies a progress payload to the UI.
+         *
+         * Shared by every progress transport.
+         *
+         * @param {Object} data - Progress data (progress, stats, elapsed, logs, logsShown, logsFrom, isPaused, inProgress, failedItemsCount).
+         */
+        handleProgress: function (data) {
+            this.resetRetries();
+            this.connection.restore();
 
-                // Show retry button when complete with failures.
-                if (!data.inProgress && !data.isPaused && data.failedItemsCount > 0) {
-                    self.retryFailedButton.element.removeClass('d-none');
-                    self.retryFailedButton.enable();
-                } else {
-                    self.retryFailedButton.element.addClass('d-none');
-                }
+            if (this.tabs.isLeader()) {
+                this.tabs.broadcast('progress', data);
+            }
 
-                if (self.dropZone && self.dropZone.btn) {
-                    self.dropZone.btn.prop('disabled', data.inProgress || data.isPaused);
-                }
+            const transition = this.trackRunState(data);
+
+            GeoDir_Converter.Notifier.update(this, data, transition);
+            this.scheduleStatus.set(data.schedule || null);
+
+            this.progressBar.updateProgress(data.progress);
+            this.progressBar.updateStats(data.stats);
+            this.progressBar.updateElapsed(data.elapsed);
+            this.progressBar.updateThroughput(data.stats, data.isPaused, data.inProgress);
+            this.chart.update(data.stats, data.isPaused, data.inProgress);
+            this.logsHandler.setShown(data.logsShown);
+            this.logsHandler.insertLogs(data.logs);
+
+            // Update mini progress bar.
+            this.updateMiniProgress(data.progress, data.stats, this.progressBar.estimate);
+
+            if (data.isPaused) {
+                this.markPaused();
+                this.configureButton.markPausedState();
+                this.progressBar.barEl.removeClass('progress-bar-animated');
+                this.miniProgressBar.removeClass('progress-bar-animated');
+            } else if (data.inProgress) {
+                this.markInProgress();
+                this.configureButton.activate();
+                this.progressBar.barEl.addClass('progress-bar-animated');
+                this.miniProgressBar.addClass('progress-bar-animated');
+            } else {
+                this.markStopped();
+                this.configureButton.enable();
+                this.progressBar.barEl.removeClass('progress-bar-animated progress-bar-striped');
+                this.miniProgress.addClass('d-none');
+            }
 
-                // Continue polling while in progress or paused.
-                if (data.inProgress || data.isPaused) {
-                    self.updateTimeout = setTimeout(self.tick.bind(self), self.tickInterval);
+            // Show retry button when complete with failures.
+            if (!data.inProgress && !data.isPaused && data.failedItemsCount > 0) {
+                this.retryFailedButton.element.removeClass('d-none');
+                this.retryFailedButton.enable();
+                this.failedItems.toggleBtn.removeClass('d-none');
+            } else {
+                this.retryFailedButton.element.addClass('d-none');
+                this.failedItems.toggleBtn.addClass('d-none');
+                this.failedItems.close();
+            }
+
+            if (this.dropZone && this.dropZone.btn) {
+                this.dropZone.btn.prop('disabled', data.inProgress || data.isPaused);
+            }
+
+            if (transition && 'stopped' === transition.to) {
+                this.rollback.refresh();
+
+                if (this.history && this.history.isOpen()) {
+                    this.history.load();
                 }
+            }
+
+            if (transition && transition.finished) {
+                this.report.open();
+            }
+        },
+
+        /**
+         * Records the run state of a progress payload.
+         *
+         * @param {Object} data - Progress data.
+         * @return {Object|null} The state change, with from, to, the state the user
+         *                       expected and whether the run finished on its own;
+         *                       null if the state is unchanged or first seen.
+         */
+        trackRunState: function (data) {
+            const state = data.isPaused ? 'paused' : (data.inProgress ? 'running' : 'stopped');
+            const previous = this.runState;
+
+            this.runState = state;
+
+            if (!previous || previous === state) {
+                return null;
+            }
+
+            const transition = {
+                from: previous,
+                to: state,
+                expected: this.expectedState,
+                finished: 'stopped' === state && 'aborting' !== this.expectedState && 'aborted' !== this.expectedState
+            };
+
+            this.expectedState = null;
 
-            }, { logsShown: self.logsHandler.shown, importerId: this.importerId });
+            return transition;
         },
 
         /**
@@ -1386,6 +7474,13 @@
             this.importButton.setImporting();
             this.abortButton.enable();
             this.retryFailedButton.element.addClass('d-none');
+            this.failedItems.toggleBtn.addClass('d-none');
+            this.failedItems.close();
+            this.report.toggleBtn.addClass('d-none');
+            this.report.close();
+            this.preview.toggleBtn.prop('disabled', true);
+            this.preview.close();
+            this.rollback.toggleBtn.addClass('d-none');
             this.miniProgress.removeClass('d-none');
         },
 
@@ -1397,6 +7492,13 @@
             this.importButton.setPaused();
             this.abortButton.enable();
             this.retryFailedButton.element.addClass('d-none');
+            this.failedItems.toggleBtn.addClass('d-none');
+            this.failedItems.close();
+            this.report.toggleBtn.addClass('d-none');
+            this.report.close();
+            this.preview.toggleBtn.prop('disabled', true);
+            this.preview.close();
+            this.rollback.toggleBtn.addClass('d-none');
         },
 
         /**
@@ -1406,6 +7508,22 @@
             this.inProgress = false;
             this.importButton.setIdle();
             this.abortButton.disable();
+            this.preview.toggleBtn.prop('disabled', false);
+        },
+
+        /**
+         * Puts the Start and Abort buttons back in line with the last known run state.
+         */
+        restoreControls: function () {
+            if ('paused' === this.runState) {
+                this.importButton.setPaused();
+                this.abortButton.enable();
+            } else if ('running' === this.runState) {
+                this.importButton.setImporting();
+                this.abortButton.enable();
+            } else {
+                this.markStopped();
+            }
         },
 
         /**
@@ -1413,8 +7531,9 @@
          *
          * @param {number} percent - Progress percentage.
          * @param {Object} stats - Import statistics.
+         * @param {Object|null} estimate - Throughput estimate from the progress bar (optional).
          */
-        updateMiniProgress: function (percent, stats) {
+        updateMiniProgress: function (percent, stats, estimate) {
             this.miniProgress.removeClass('d-none');
             this.miniProgressBar.css('width', percent + '%');
 
@@ -1430,8 +7549,15 @@
                     );
                     infoEl = this.miniProgress.find('.geodir-converter-mini-info');
                 }
+                var percentText = percent + '%';
+                if (estimate && estimate.paused) {
+                    percentText = GeoDir_Converter.i18n.etaPaused + ' · ' + percentText;
+                } else if (estimate && null !== estimate.eta) {
+                    percentText = GeoDir_Converter.i18n.etaShort.replace('%s', this.progressBar.formatTime(estimate.eta)) + ' · ' + percentText;
+                }
+
                 infoEl.find('.geodir-converter-mini-count').text(processed + ' / ' + stats.total);
-                infoEl.find('.geodir-converter-mini-percent').text(percent + '%');
+                infoEl.find('.geodir-converter-mini-percent').text(percentText);
             }
         }
     };
@@ -1543,7 +7669,7 @@
                 $backButton.html(originalText);
 
                 if (!success) {
-                    alert(data.message || GeoDir_Converter.i18n.failedClearFile);
+                    GeoDir_Converter.notifyError(data, GeoDir_Converter.i18n.failedClearFile);
                     return;
                 }
 
@@ -1574,6 +7700,7 @@
          * @returns {void}
          */
         saveTemplate: function () {
+            const self = this;
             const form = $('.geodir-converter-csv-form');
             const templateNameInput = $('#csv_template_name');
             const templateName = templateNameInput.val().trim();
@@ -1585,11 +7712,11 @@
                 return;
             }
 
-            // Get all mapping values from the form.
+            // Get the mapping values of the tab being edited.
             const mapping = {};
-            form.find('select.geodir-converter-field-mapping').each(function () {
+            this._getActiveMappingPane(form).find('select.geodir-converter-field-mapping').each(function () {
                 const $select = $(this);
-                const columnName = $select.attr('name').replace('csv_mapping[', '').replace(']', '');
+                const columnName = self._getMappingColumn($select);
                 const fieldValue = $select.val();
                 if (fieldValue) {
                     mapping[columnName] = fieldValue;
@@ -1628,6 +7755,8 @@
          * @returns {void}
          */
         loadTemplate: function () {
+            const self = this;
+            const pane = this._getActiveMappingPane($('.geodir-converter-csv-form'));
             const templateSelect = $('#csv_template_select');
             const templateId = templateSelect.val();
             const loadBtn = $('.geodir-converter-load-template');
@@ -1646,10 +7775,12 @@
                     const form = $('.geodir-converter-csv-form');
                     const mapping = data.mapping || {};
 
-                    // Apply mapping to form selects.
+                    // Apply mapping to the selects of the tab being edited.
                     Object.keys(mapping).forEach(function (columnName) {
                         const fieldValue = mapping[columnName];
-                        const $select = form.find('select[name="csv_mapping[' + columnName + ']"]');
+                        const $select = pane.find('select.geodir-converter-field-mapping').filter(function () {
+                            return self._getMappingColumn($(this)) === columnName;
+                        });
                         if ($select.length) {
                             // Set the value
                             $select.val(fieldValue);
@@ -1687,18 +7818,48 @@
                     aui_toast('geodir_converter_error', 'error', data.message || GeoDir_Converter.i18n.templateLoadFailed);
                 }
             }, {
-                template_id: templateId
+                template_id: templateId,
+                group: pane.data('group') || 0
             }, {
                 method: 'POST'
             });
         },
 
+        /**
+         * Gets the mapping tab being edited.
+         *
+         * Files with different columns each get a tab; with a single set of columns there is one pane.
+         *
+         * @private
+         * @param {jQuery} form - The CSV form.
+         * @returns {jQuery} The active pane, or the form if there are no panes.
+         */
+        _getActiveMappingPane: function (form) {
+            const pane = form.find('.geodir-converter-mapping-pane.active');
+
+            return pane.length ? pane.first() : form;
+        },
+
+        /**
+         * Gets the CSV column a mapping select belongs to.
+         *
+         * @private
+         * @param {jQuery} $select - Select named like `csv_mapping[column]` or `csv_mapping_1[column]`.
+         * @returns {string} Column name.
+         */
+        _getMappingColumn: function ($select) {
+            const match = ($select.attr('name') || '').match(/\[(.*)\]$/);
+
+            return match ? match[1] : '';
+        },
+
         /**
          * Deletes a saved mapping template.
          *
          * @returns {void}
          */
         deleteTemplate: function () {
+            const self = this;
             const templateSelect = $('#csv_template_select');
             const templateId = templateSelect.val();
             const deleteBtn = $('.geodir-converter-delete-template');
@@ -1834,6 +7995,10 @@
     };
 
     $(function () {
+        GeoDir_Converter.Notifier.init($('.geodir-converter-notify-toggle'));
+
+        GeoDir_Converter.pipeline = $.extend({}, GeoDir_Converter.Pipeline).init($('.geodir-converter-pipeline'));
+
         const importers = $('.geodir-converter-importer');
         importers.each(function () {
             let converter = $.extend({}, GeoDir_Converter.Converter);
@@ -1 +1 @@
-!function(e,t){"use strict";var n="idle",i="importing",s="paused";t.ajax=function(n,i,s,r){r=void 0!==r?r:{},s=void 0!==s?s:{};const o=t.nonces.hasOwnProperty(n)?t.nonces[n]:"";return s instanceof FormData?(s.append("action",n),s.append("geodir_converter_nonce",o),r.processData=!1,r.contentType=!1):(s.action=n,s.geodir_converter_nonce=o),r=e.extend(r,{url:t.ajaxUrl,dataType:"json",data:s,success:function(e){const t=!0===e.success,n=e.data||{};i(t,n)}}),e.ajax(r)},t.ControlButton={inSuspended:!1,wasDisabled:!1,defaultText:"",actionText:"",ajaxAction:"",converter:null,iconHtml:"",init:function(e,t){this.element=e,this.defaultText=t.defaultText,this.actionText=t.actionText,this.ajaxAction=t.ajaxAction,this.converter=t.converter;var n=this.element.find("i").first();return this.iconHtml=n.length?n.prop("outerHTML"):"",this.element.on("click",this.click.bind(this)),this},_setText:function(e){this.iconHtml?this.element.html(this.iconHtml+e):this.element.text(e)},click:function(){if(this.inSuspended)return!1;this.doAction()},doAction:function(){},activate:function(){this.inSuspended=!0,this.element.prop("disabled",!0),this._setText(this.actionText)},enable:function(){this.inSuspended=!1,this.element.prop("disabled",!1),this._setText(this.defaultText)},disable:function(){this.inSuspended=!1,this.element.prop("disabled",!0),this._setText(this.defaultText)},suspend:function(){this.inSuspended=!0,this.wasDisabled=!!this.element.prop("disabled"),this.element.prop("disabled",!0)},restore:function(){this.inSuspended=!1,this.element.prop("disabled",this.wasDisabled)}},t.ImportButton=e.extend({},t.ControlButton,{state:n,_setIcon:function(e){var t=this.element.find("i").first();t.length&&(t.attr("class",e+" me-1"),this.iconHtml=t.prop("outerHTML"))},setIdle:function(){this.state=n,this.inSuspended=!1,this.element.removeClass("btn-warning btn-success").addClass("btn-primary").prop("disabled",!1),this._setIcon("fas fa-play"),this._setText(this.defaultText)},setImporting:function(){this.state=i,this.inSuspended=!1,this.element.removeClass("btn-primary btn-success").addClass("btn-warning").prop("disabled",!1),this._setIcon("fas fa-pause"),this._setText(this.pauseText)},setPaused:function(){this.state=s,this.inSuspended=!1,this.element.removeClass("btn-primary btn-warning").addClass("btn-success").prop("disabled",!1),this._setIcon("fas fa-play"),this._setText(this.resumeText)},doAction:function(){this.state===n?this._doStartImport():this.state===i?this._doPause():this.state===s&&this._doResume()},_doStartImport:function(){const e=this,n=this.converter.importerId,i=this.converter.errorHandler,s=this.converter.settings.find("form"),r=this.converter.files,o=s.serializeObject(),a=s.find("#test_mode").is(":checked")?"yes":"no",l=new FormData;if(n){if(l.append("test_mode",a),l.append("importerId",n),l.append("settings",JSON.stringify(o)),r.length>0)for(let e=0;e<r.length;e++)l.append("files[]",r[e]);this.activate(),i.hide(),t.ajax(e.ajaxAction,(function(t,n){t?e.converter.start():(e.setIdle(),e.converter.stop(),i.show(n.message))}),l,{method:"POST",contentType:!1,processData:!1})}},_doPause:function(){const e=this,n=this.converter.importerId;this.inSuspended=!0,this.element.prop("disabled",!0),this._setIcon("fas fa-spinner fa-spin"),this._setText(this.pausingText),t.ajax(t.actions.pause,(function(t,n){t?(e.setPaused(),e.converter.markPaused()):e.setImporting()}),{importerId:n},{method:"POST"})},_doResume:function(){const e=this,n=this.converter.importerId;this.inSuspended=!0,this.element.prop("disabled",!0),this._setIcon("fas fa-spinner fa-spin"),this._setText(this.resumingText),t.ajax(t.actions.resume,(function(t,n){t?(e.setImporting(),e.converter.markInProgress(),e.converter.resumePolling()):e.setPaused()}),{importerId:n},{method:"POST"})}}),t.ConfigureButton=e.extend({},t.ControlButton,{activate:function(){this.element.addClass("btn-translucent-success").removeClass("btn-outline-primary btn-translucent-warning").text(this.actionText)},markPausedState:function(){this.element.addClass("btn-translucent-warning").removeClass("btn-outline-primary btn-translucent-success").text(this.pausedText||this.actionText)},enable:function(){this.element.addClass("btn-outline-primary").removeClass("btn-translucent-success btn-translucent-warning").text(this.defaultText)},doAction:function(){const n=e(".geodir-converter-wrapper"),i=this.converter.element,s=this.converter.settings;n.find(".card-header h6").text(t.i18n.importSource),n.find(".geodir-converter-importer").not(i).addClass("d-none"),e(".geodir-converter-settings").not(s).addClass("d-none"),this.element.addClass("d-none"),this.converter.backButton.element.removeClass("d-none"),i.addClass("border-bottom-0"),s.removeClass("d-none")}}),t.BackButton=e.extend({},t.ControlButton,{doAction:function(){const n=e(".geodir-converter-wrapper"),i=this.converter.element,s=this.converter.settings;this.element.addClass("d-none"),this.converter.configureButton.element.removeClass("d-none"),i.removeClass("border-bottom-0"),s.addClass("d-none"),n.find(".card-header h6").text(t.i18n.selectImport),n.find(".geodir-converter-importer").removeClass("d-none"),s.find("form").length&&(s.find("form")[0].reset(),this.converter.errorHandler.clear())}}),t.AbortButton=e.extend({},t.ControlButton,{doAction:function(){this.activate(),this.converter.stop();const e=this.converter.importerId,n=this;t.ajax(n.ajaxAction,(function(e,t){n.converter.start(),e||n.enable()}),{importerId:e},{method:"POST"})}}),t.RetryFailedButton=e.extend({},t.ControlButton,{doAction:function(){this.activate();const e=this.converter.importerId,n=this;t.ajax(n.ajaxAction,(function(e,t){e?n.converter.start():(n.enable(),t&&t.message&&n.converter.errorHandler.show(t.message))}),{importerId:e},{method:"POST"})}}),t.LogsHandler=e.extend({},{shown:0,userInteracting:!1,interactionTimeout:null,init:function(e){var t=this;return this.element=e,this.element.length&&this.element[0]?(this.element.scrollTop(this.element[0].scrollHeight),this.element.on("mouseenter",(function(){t.userInteracting=!0})),this.element.on("mouseleave",(function(){clearTimeout(t.interactionTimeout),t.interactionTimeout=setTimeout((function(){t.userInteracting=!1}),1e3)})),this.element.on("wheel scroll touchstart",(function(){if(t.element.length&&t.element[0]){t.userInteracting=!0,clearTimeout(t.interactionTimeout);var e=t.element[0],n=Math.abs(e.scrollHeight-e.clientHeight-e.scrollTop)<5;t.interactionTimeout=n?setTimeout((function(){t.userInteracting=!1}),500):setTimeout((function(){t.userInteracting=!1}),3e3)}})),this):this},insertLogs:function(e){this.element.length&&this.element[0]&&(this.element.append(e),this.userInteracting||this.element.scrollTop(this.element[0].scrollHeight))},setShown:function(e){this.shown=e},clear:function(){this.shown=0,this.userInteracting=!1,clearTimeout(this.interactionTimeout),this.element.length&&this.element.html("")}}),t.ErrorHandler={init:function(e){return this.element=e,this},show:function(e){this.element.html(e).removeClass("d-none")},hide:function(){this.element.html("").addClass("d-none")},clear:function(){this.hide()},isVisible:function(){return!this.element.hasClass("d-none")}},t.ProgressBar=e.extend({},{barEl:null,elapsedEl:null,elapsedValueEl:null,statsEl:null,init:function(e){return this.element=e,this.barEl=this.element.find(".progress-bar"),this.elapsedEl=this.element.find(".geodir-converter-elapsed-time"),this.elapsedValueEl=this.element.find(".geodir-converter-elapsed-value"),this.statsEl=this.element.find(".geodir-converter-stats-summary"),this},updateProgress:function(e){this.element.removeClass("d-none"),this.barEl.css("width",e+"%").text(e+"%")},formatTime:function(e){var t=Math.floor(e/3600),n=Math.floor(e%3600/60),i=e%60;return(t<10?"0":"")+t+":"+(n<10?"0":"")+n+":"+(i<10?"0":"")+i},updateElapsed:function(e){e>0&&this.elapsedEl&&this.elapsedEl.length&&(this.elapsedEl.removeClass("d-none"),this.elapsedValueEl.text(this.formatTime(e)))},updateStats:function(e){if(e&&this.statsEl&&this.statsEl.length)for(var t=["succeed","skipped","failed","total"],n=0;n<t.length;n++){var i=t[n],s=e[i]||0,r=this.statsEl.find("> .geodir-converter-stat-"+i),o=r.find(".geodir-converter-stat-"+i+"-count");s>0?(r.removeClass("d-none"),o.text(s)):r.addClass("d-none")}},resetStats:function(){this.statsEl&&this.statsEl.length&&(this.statsEl.find("> span").addClass("d-none"),this.statsEl.find("strong").text("0")),this.elapsedEl&&this.elapsedEl.length&&this.elapsedEl.addClass("d-none")}}),t.DropZone=e.extend({},{dropzone:null,input:null,btn:null,uploads:null,init:function(e,t){this.element=e,this.converter=t.converter,this.dropzone=this.element.find(".geodir-converter-drop-zone"),this.btn=this.element.find(".geodir-converter-files-btn"),this.input=this.element.find(".geodir-converter-files-input"),this.uploads=this.element.find(".geodir-converter-uploads");const n=this;return this.disableStep2Inputs(!0),this.btn.on("click",(function(){n.input.trigger("click")})),this.dropzone.on("dragover dragenter",(function(e){e.preventDefault(),e.stopPropagation(),n.dropzone.addClass("dragover")})),this.dropzone.on("dragleave dragend drop",(function(e){e.preventDefault(),e.stopPropagation(),n.dropzone.removeClass("dragover")})),this.dropzone.on("drop",(function(e){n.handleFiles(e.originalEvent.dataTransfer.files)})),this.input.on("change",(function(e){e.preventDefault(),n.handleFiles(this.files)})),this},handleFiles:function(e){const t=this,n="csv"===(this.converter?this.converter.importerId:"edirectory");Array.from(e).forEach((function(e){e.name.toLowerCase().endsWith(".csv")||e.name.toLowerCase().endsWith(".txt")||!n?t.uploadFile(e):aui_toast("geodir_converter_error","error",`${e.name} is not a CSV file.`)}))},uploadFile:function(e){const t=this.converter?this.converter.importerId:"edirectory",n=this._createUploadContext(e,t);"csv"===t?this._uploadCSVFile(n):this._uploadEDirectoryFile(n)},_createUploadContext:function(n,i){const s="upload-"+Date.now(),r=this.renderUploadItem(s,n.name),o=e.extend({},t.ProgressBar).init(r.find(".progress"));return{file:n,fileId:s,item:r,progress:o,status:r.find(".geodir-converter-progress-status"),icon:r.find(".geodir-converter-progress-icon"),importerId:i}},_uploadCSVFile:function(e){const n=this,i=this._buildCSVFormData(e.file);t.ajax(t.actions.csv_parse,(function(t,i){n._handleUploadResponse(t,i,e,(function(){if(i.file_id){const e=n.element.find("#csv_delimiter").val()||",";n.converter.switchToCSVMappingStep({file_id:i.file_id,delimiter:e,headers:i.headers||[]})}}))}),i,this._getUploadAjaxOptions(e))},_uploadEDirectoryFile:function(n){const i=this,s=this._buildEDirectoryFormData(n.file,n.importerId),r=this.element.find('[name="edirectory_modules[]"]');t.ajax(t.actions.upload,(function(t,s){i._handleUploadResponse(t,s,n,(function(){if(s.module_type){const t=r.map((function(){return e(this).val()})).get();if(!t.includes(s.module_type)){t.push(s.module_type),r.remove();const e=t.map((function(e){return'<input type="hidden" name="edirectory_modules[]" value="'+e+'">'})).join("");i.element.append(e)}}}))}),s,this._getUploadAjaxOptions(n))},_buildCSVFormData:function(e){const t=new FormData;t.append("file",e),t.append("importerId","csv");const n=this.element.find("#csv_delimiter").val()||",";t.append("csv_delimiter",n);const i=this.element.find('select[name="gd_post_type"]').val();return i&&t.append("gd_post_type",i),t},_buildEDirectoryFormData:function(e,t){const n=new FormData;return n.append("file",e),n.append("importerId",t),n},_getUploadAjaxOptions:function(e){const n=this,i=e.progress,s=e.icon,r=e.status;return{method:"POST",xhr:function(){const e=new window.XMLHttpRequest;return e.upload.addEventListener("progress",(function(e){if(e.lengthComputable){const t=Math.round(e.loaded/e.total*100);i.updateProgress(t)}}),!1),e},error:function(){i.barEl.removeClass("progress-bar-animated").addClass("bg-danger"),s.removeClass("fa-sync").addClass("fa-triangle-exclamation text-danger"),r.text(t.i18n.serverErrorUpload),n.disableStep2Inputs(!0)}}},_handleUploadResponse:function(e,n,i,s){const r=i.progress,o=i.icon,a=i.status,l=i.file;r.barEl.removeClass("progress-bar-animated"),o.removeClass("fa-sync"),e?(r.barEl.addClass("bg-success"),o.addClass("fa-check text-success"),a.text(n.message||t.i18n.fileUploadSuccess),this.converter.files.some((function(e){return e.name===l.name&&e.size===l.size&&e.lastModified===l.lastModified}))||this.converter.files.push(l),s&&s(),this.disableStep2Inputs(!1)):(r.barEl.addClass("bg-danger"),o.addClass("fa-triangle-exclamation text-danger"),a.text(t.i18n.uploadFailed+(n.message||t.i18n.unknownError)),this.disableStep2Inputs(!0))},disableStep2Inputs:function(e){const t=this.element.find(".geodir-converter-configure-wrapper");t.length&&t.find("input, select, textarea, button").not('[name="edirectory_modules[]"]').prop("disabled",e)},renderUploadItem:function(n,i){const s=e(`\n                <div class="upload-item my-2" data-id="${n}">\n                    <div class="d-flex justify-content-between align-items-center">\n                        <span class="fw-bold text-truncate">${i}</span>\n                        <i class="fas fa-solid fa-sync text-muted ms-2 geodir-converter-progress-icon" aria-hidden="true"></i>\n                    </div>\n                    <div class="progress my-1 d-none" role="progressbar" aria-valuemin="0" aria-valuemax="100">\n                        <div class="progress-bar progress-bar-striped progress-bar-animated" style="width: 0%"></div>\n                    </div>\n                    <div class="geodir-converter-progress-status small text-muted mt-1">${t.i18n.uploading}</div>\n                </div>\n            `);return this.uploads.append(s),this.uploads.find(`[data-id="${n}"]`)}}),t.Converter={tickInterval:2e3,shortTickInterval:400,retriesCount:1,retriesLeft:0,inProgress:!1,updateTimeout:null,preventUpdates:!1,importerId:null,files:[],init:function(n,i){this.element=n,this.inProgress=i.inProgress,this.resetRetries(),this.importerId=this.element.data("importer"),this.settings=this.element.find(".geodir-converter-settings");let s=e.extend({},t.ProgressBar);this.progressBar=s.init(this.element.find(".geodir-converter-progress"));let r=e.extend({},t.LogsHandler);this.logsHandler=r.init(this.element.find(".geodir-converter-logs"));let o=e.extend({},t.ConfigureButton);this.configureButton=o.init(this.element.find(".geodir-converter-configure"),{defaultText:t.i18n.runConverter,actionText:t.i18n.importing,converter:this}),this.configureButton.pausedText=t.i18n.paused;let a=e.extend({},t.BackButton);this.backButton=a.init(this.element.find(".geodir-converter-back"),{converter:this});let l=e.extend({},t.ImportButton);this.importButton=l.init(this.element.find(".geodir-converter-import"),{defaultText:t.i18n.import,actionText:t.i18n.importing,ajaxAction:t.actions.import,converter:this}),this.importButton.pauseText=t.i18n.pause,this.importButton.pausingText=t.i18n.pausing,this.importButton.resumeText=t.i18n.resume,this.importButton.resumingText=t.i18n.resuming;let d=e.extend({},t.AbortButton);this.abortButton=d.init(this.element.find(".geodir-converter-abort"),{defaultText:t.i18n.abort,actionText:t.i18n.aborting,ajaxAction:t.actions.abort,converter:this});let c=e.extend({},t.RetryFailedButton);this.retryFailedButton=c.init(this.element.find(".geodir-converter-retry-failed"),{defaultText:t.i18n.retryFailed,actionText:t.i18n.retrying,ajaxAction:t.actions.retry_failed,converter:this});let p=e.extend({},t.ErrorHandler);this.errorHandler=p.init(this.element.find(".geodir-converter-error"),{converter:this});const u=this.element.find(".geodir-converter-connect-wrapper");if(u.length){let n=e.extend({},t.DropZone);this.dropZone=n.init(u,{converter:this})}return this.miniProgress=this.element.find(".geodir-converter-mini-progress"),this.miniProgressBar=this.miniProgress.find(".progress-bar"),this.inProgress&&this.start(),this.element.data("converter",this),this},switchToCSVMappingStep:function(n){const i=this.element.find(".geodir-converter-csv-form");i.length&&t.ajax(t.actions.csv_get_mapping_step,function(n,s){if(!n)return void alert(s.message||t.i18n.failedLoadMapping);const r=e(s.html);i.html(r.html()),this._initializeMappingStepButtons(i)}.bind(this),{file_id:n.file_id,delimiter:n.delimiter||","},{method:"POST"})},_initializeMappingStepButtons:function(n){const i=n.find(".geodir-converter-import"),s=n.find(".geodir-converter-abort"),r=n.find(".geodir-converter-retry-failed");if("function"==typeof aui_init_select2&&aui_init_select2(),i.length){const n=e.extend({},t.ImportButton);this.importButton=n.init(i,{defaultText:t.i18n.import,actionText:t.i18n.importing,ajaxAction:t.actions.import,converter:this}),this.importButton.pauseText=t.i18n.pause,this.importButton.pausingText=t.i18n.pausing,this.importButton.resumeText=t.i18n.resume,this.importButton.resumingText=t.i18n.resuming}if(s.length){const n=e.extend({},t.AbortButton);this.abortButton=n.init(s,{defaultText:t.i18n.abort,actionText:t.i18n.aborting,ajaxAction:t.actions.abort,converter:this})}if(r.length){const n=e.extend({},t.RetryFailedButton);this.retryFailedButton=n.init(r,{defaultText:t.i18n.retryFailed,actionText:t.i18n.retrying,ajaxAction:t.actions.retry_failed,converter:this})}},start:function(){this.preventUpdates=!1,this.logsHandler.clear(),this.progressBar.resetStats(),this.updateTimeout=setTimeout(this.tick.bind(this),this.shortTickInterval)},resumePolling:function(){this.preventUpdates=!1,this.updateTimeout=setTimeout(this.tick.bind(this),this.shortTickInterval)},stop:function(){clearTimeout(this.updateTimeout),this.preventUpdates=!0},resetRetries:function(){this.retriesLeft=this.retriesCount},tick:function(){const e=this;t.ajax(t.actions.progress,(function(t,n){e.preventUpdates||(t?(e.resetRetries(),e.progressBar.updateProgress(n.progress),e.progressBar.updateStats(n.stats),e.progressBar.updateElapsed(n.elapsed),e.logsHandler.setShown(n.logsShown),e.logsHandler.insertLogs(n.logs),e.updateMiniProgress(n.progress,n.stats),n.isPaused?(e.markPaused(),e.configureButton.markPausedState(),e.progressBar.barEl.removeClass("progress-bar-animated"),e.miniProgressBar.removeClass("progress-bar-animated")):n.inProgress?(e.markInProgress(),e.configureButton.activate(),e.progressBar.barEl.addClass("progress-bar-animated"),e.miniProgressBar.addClass("progress-bar-animated")):(e.markStopped(),e.configureButton.enable(),e.progressBar.barEl.removeClass("progress-bar-animated progress-bar-striped"),e.miniProgress.addClass("d-none")),!n.inProgress&&!n.isPaused&&n.failedItemsCount>0?(e.retryFailedButton.element.removeClass("d-none"),e.retryFailedButton.enable()):e.retryFailedButton.element.addClass("d-none"),e.dropZone&&e.dropZone.btn&&e.dropZone.btn.prop("disabled",n.inProgress||n.isPaused),(n.inProgress||n.isPaused)&&(e.updateTimeout=setTimeout(e.tick.bind(e),e.tickInterval))):e.retriesLeft>0?(e.retriesLeft--,e.updateTimeout=setTimeout(e.tick.bind(e),e.tickInterval)):(e.abortButton.disable(),e.importButton.element.prop("disabled",!0)))}),{logsShown:e.logsHandler.shown,importerId:this.importerId})},markInProgress:function(){this.inProgress=!0,this.importButton.setImporting(),this.abortButton.enable(),this.retryFailedButton.element.addClass("d-none"),this.miniProgress.removeClass("d-none")},markPaused:function(){this.inProgress=!0,this.importButton.setPaused(),this.abortButton.enable(),this.retryFailedButton.element.addClass("d-none")},markStopped:function(){this.inProgress=!1,this.importButton.setIdle(),this.abortButton.disable()},updateMiniProgress:function(e,t){this.miniProgress.removeClass("d-none"),this.miniProgressBar.css("width",e+"%");var n=this.miniProgress.find(".geodir-converter-mini-info");if(t&&t.total>0){var i=(t.succeed||0)+(t.skipped||0)+(t.failed||0);n.length||(this.miniProgress.append('<div class="d-flex justify-content-between mt-1 geodir-converter-mini-info" style="font-size: 11px;"><span class="text-muted geodir-converter-mini-count"></span><span class="text-muted geodir-converter-mini-percent"></span></div>'),n=this.miniProgress.find(".geodir-converter-mini-info")),n.find(".geodir-converter-mini-count").text(i+" / "+t.total),n.find(".geodir-converter-mini-percent").text(e+"%")}}},t.CSVImporter={init:function(){const t=this;e(".geodir-converter-csv-form").length&&("function"==typeof aui_init_select2&&aui_init_select2(),e(document).on("click",".geodir-converter-csv-back",(function(e){e.preventDefault(),t.goBack()})),e(document).on("click",".geodir-converter-refresh-fields",(function(e){e.preventDefault(),t.refreshFields()})),e(document).on("change",'.geodir-converter-csv-form select[name="gd_post_type"]',(function(){t.refreshFields()})),e(document).on("click",".geodir-converter-save-template",(function(e){e.preventDefault(),t.saveTemplate()})),e(document).on("click",".geodir-converter-load-template",(function(e){e.preventDefault(),t.loadTemplate()})),e(document).on("click",".geodir-converter-delete-template",(function(e){e.preventDefault(),t.deleteTemplate()})))},refreshFields:function(){const n=e(".geodir-converter-csv-form").find('select[name="gd_post_type"]').val(),i=e("#geodir-converter-csv-mapping-wrapper"),s=e(".geodir-converter-refresh-fields");n&&(s.prop("disabled",!0).find("i").addClass("fa-spin"),t.ajax(t.actions.csv_refresh_fields,(function(e,n){s.prop("disabled",!1).find("i").removeClass("fa-spin"),e?(i.html(n.html),"function"==typeof aui_init_select2&&aui_init_select2()):i.html('<div class="alert alert-danger">'+(n.message||t.i18n.failedRefreshFields)+"</div>")}),{gd_post_type:n},{method:"POST"}))},goBack:function(){const n=e(".geodir-converter-csv-form"),i=n.closest(".geodir-converter-importer"),s=i.length?i.data("converter"):null,r=e(".geodir-converter-csv-back"),o=r.html(),a=r.prop("disabled");r.prop("disabled",!0),r.html('<span class="spinner-border spinner-border-sm me-1" role="status" aria-hidden="true"></span>'+t.i18n.loading),t.ajax(t.actions.csv_clear_file,(function(i,l){if(r.prop("disabled",a),r.html(o),!i)return void alert(l.message||t.i18n.failedClearFile);const d=e(l.html);if(n.html(d.html()),s){const i=n.find(".geodir-converter-connect-wrapper");if(i.length){const n=e.extend({},t.DropZone);s.dropZone=n.init(i,{converter:s})}}"function"==typeof aui_init_select2&&aui_init_select2()}),{},{method:"POST"})},saveTemplate:function(){const n=e(".geodir-converter-csv-form"),i=e("#csv_template_name"),s=i.val().trim(),r=e(".geodir-converter-save-template");if(!s)return aui_toast("geodir_converter_error","error",t.i18n.templateNameRequired),void i.focus();const o={};n.find("select.geodir-converter-field-mapping").each((function(){const t=e(this),n=t.attr("name").replace("csv_mapping[","").replace("]",""),i=t.val();i&&(o[n]=i)})),0!==Object.keys(o).length?(r.prop("disabled",!0),t.ajax(t.actions.csv_save_template,(function(e,n){r.prop("disabled",!1),e?(i.val(""),aui_toast("geodir_converter_success","success",n.message||t.i18n.templateSaved),self.refreshTemplateList(n.template_id,n.template_name)):aui_toast("geodir_converter_error","error",n.message||t.i18n.templateSaveFailed)}),{template_name:s,csv_mapping:o},{method:"POST"})):aui_toast("geodir_converter_error","error",t.i18n.templateMappingRequired)},loadTemplate:function(){const n=e("#csv_template_select").val(),i=e(".geodir-converter-load-template");n?(i.prop("disabled",!0),t.ajax(t.actions.csv_load_template,(function(n,s){if(i.prop("disabled",!1),n){const n=e(".geodir-converter-csv-form"),i=s.mapping||{};Object.keys(i).forEach((function(e){const t=i[e],s=n.find('select[name="csv_mapping['+e+']"]');s.length&&(s.val(t),s.hasClass("select2-hidden-accessible")&&s.data("select2")?s.trigger("change.select2"):s.trigger("change"))})),setTimeout((function(){"function"==typeof aui_init_select2&&aui_init_select2(),n.find(".geodir-converter-field-mapping").each((function(){const t=e(this);t.hasClass("select2-hidden-accessible")&&t.trigger("change.select2")}))}),150),aui_toast("geodir_converter_success","success",s.message||t.i18n.templateLoaded)}else aui_toast("geodir_converter_error","error",s.message||t.i18n.templateLoadFailed)}),{template_id:n},{method:"POST"})):aui_toast("geodir_converter_error","error",t.i18n.templateSelectRequired)},deleteTemplate:function(){const n=e("#csv_template_select"),i=n.val(),s=e(".geodir-converter-delete-template");i?confirm(t.i18n.templateDeleteConfirm)&&(s.prop("disabled",!0),t.ajax(t.actions.csv_delete_template,(function(e,r){if(s.prop("disabled",!1),e){n.find('option[value="'+i+'"]').data("name");n.val("").find('option[value="'+i+'"]').remove(),n.find("option").length<=1&&self.hideTemplateLoadSection(),aui_toast("geodir_converter_success","success",r.message||t.i18n.templateDeleted)}else aui_toast("geodir_converter_error","error",r.message||t.i18n.templateDeleteFailed)}),{template_id:i},{method:"POST"})):aui_toast("geodir_converter_error","error",t.i18n.templateSelectRequired)},refreshTemplateList:function(n,i){let s=e("#csv_template_select");const r=e(".geodir-converter-templates-section").find(".row");let o=e(".geodir-converter-template-load-section");if(o.length){if(o.hasClass("d-none")){o.removeClass("d-none");const t=e(".geodir-converter-template-save-section");t.length&&t.removeClass("col-12").addClass("col-md-6")}}else{const n=e(".geodir-converter-template-save-section"),i=e("<div>",{class:"col-md-6 geodir-converter-template-load-section",html:'<label class="form-label mb-2">'+t.i18n.loadTemplate+'</label><div class="input-group"><select class="form-select form-select-sm" id="csv_template_select"><option value="">'+t.i18n.chooseTemplate+'</option></select><button type="button" class="btn btn-sm btn-primary geodir-converter-load-template" title="'+t.i18n.loadSelectedTemplate+'"><i class="fas fa-arrow-down"></i></button><button type="button" class="btn btn-sm btn-outline-danger geodir-converter-delete-template" title="'+t.i18n.deleteSelectedTemplate+'"><i class="fas fa-trash-alt"></i></button></div>'});n.length?(n.before(i),n.removeClass("col-12").addClass("col-md-6")):r.prepend(i),s=e("#csv_template_select"),o=e(".geodir-converter-template-load-section")}if(n&&i){const t=e("<option>",{value:n,text:i,"data-name":i});s.append(t),s.val(n),s.hasClass("select2-hidden-accessible")&&s.trigger("change.select2")}"function"==typeof aui_init_select2&&aui_init_select2()},hideTemplateLoadSection:function(){const t=e(".geodir-converter-template-load-section");if(t.length){t.addClass("d-none");const n=e(".geodir-converter-template-save-section");n.length&&n.removeClass("col-md-6").addClass("col-12")}}},e((function(){e(".geodir-converter-importer").each((function(){e.extend({},t.Converter).init(e(this),{inProgress:Boolean(e(this).data("progress"))})})),t.CSVImporter.init()})),e.fn.serializeObject=function(){let t={},n=this.serializeArray();return e.each(n,(function(){let e=this.name.replace(/\[\]$/,""),n=this.value||"";if(e.indexOf("[")>-1){let i=e.split("["),s=i[0],r=i[1].replace(/\]$/,"");t[s]=t[s]||{},t[s][r]=n}else t[e]=n})),t}}(jQuery,GeoDir_Converter);
\ No newline at end of file
+!function(e,t){"use strict";var n="idle",i="importing",s="paused";t.AjaxError={NETWORK:"network",TIMEOUT:"timeout",ABORT:"abort",AUTH:"auth",NONCE:"nonce",SERVER:"server",PARSE:"parse",RESPONSE:"response",create:function(t,n,i){return e.extend({type:t,message:n||"",status:0,isConnectionError:t===this.NETWORK||t===this.TIMEOUT},i||{})},fromXHR:function(n,i){const s=t.i18n,r=n.status||0,o=e.trim(n.responseText||"");return"abort"===i?this.create(this.ABORT,""):"timeout"===i?this.create(this.TIMEOUT,s.errorTimeout):"-1"===o?this.create(this.NONCE,s.errorNonce,{status:r}):"0"===o||401===r||403===r?this.create(this.AUTH,s.errorAuth,{status:r}):0===r?this.create(this.NETWORK,s.connectionError):"parsererror"===i?this.create(this.PARSE,s.errorParse,{status:r,responseText:o.substring(0,500)}):this.create(this.SERVER,s.errorServer.replace("%d",r),{status:r})},fromResponse:function(n){const i=t.i18n;if(-1===n||"-1"===n)return this.create(this.NONCE,i.errorNonce,{status:200});if(0===n||"0"===n)return this.create(this.AUTH,i.errorAuth,{status:200});if(!n||"object"!=typeof n)return this.create(this.PARSE,i.errorParse,{status:200});const s=n.data||{},r="invalid_nonce"===s.code?this.NONCE:this.RESPONSE;return e.extend({},s,this.create(r,s.message,{status:200,data:s}))}},t.nonceRefresh=null,t.refreshNonces=function(){return t.nonceRefresh||(t.nonceRefresh=t.ajax(t.actions.refresh_nonces,null,{},{timeout:3e4,refreshNonce:!1}).then((function(n){e.extend(t.nonces,n.nonces||{}),t.nonceRefresh=null}),(function(e){throw t.nonceRefresh=null,e}))),t.nonceRefresh},t.requestLogin=function(){e("#wp-auth-check-wrap").length?e(document).trigger("heartbeat-tick.wp-auth-check",[{"wp-auth-check":!1}]):t.notifyError({message:t.i18n.errorAuth})},t.ajax=function(n,i,s,r){r=void 0!==r?r:{},s=void 0!==s?s:{};const o=t.AjaxError,a="function"==typeof i,l=r.error,c=r.signal;let d=!1!==r.refreshNonce,h=!1,p=null,u=null;delete r.error,delete r.signal,delete r.refreshNonce,s instanceof FormData?(s.set("action",n),r.processData=!1,r.contentType=!1):s.action=n;return u=new Promise((function(c,f){const m=function(e,n){if(e.type===o.NONCE&&d&&!h)return d=!1,void t.refreshNonces().then((function(){h?m(o.create(o.ABORT,""),!0):g()}),(function(t){m(t.type===o.AUTH?t:e,n)}));e.type===o.AUTH&&t.requestLogin(),e.type!==o.ABORT&&(n&&"function"==typeof l?l(e):a&&i(!1,e)),f(e)},g=function(){!function(){const e=t.nonces.hasOwnProperty(n)?t.nonces[n]:"";s instanceof FormData?s.set("geodir_converter_nonce",e):s.geodir_converter_nonce=e}(),p=e.ajax(r),u&&(u.xhr=p)};r=e.extend(r,{url:t.ajaxUrl,dataType:"json",data:s,success:function(e){if(!e||"object"!=typeof e||!0!==e.success)return void m(o.fromResponse(e),!1);const t=e.data||{};a&&i(!0,t),c(t)},error:function(e,t){m(o.fromXHR(e,t),!0)}}),g()})),(a||"function"==typeof l)&&u.catch((function(){})),u.xhr=p,u.abort=function(){h=!0,p&&p.abort()},c&&(c.aborted?u.abort():c.addEventListener("abort",u.abort)),u},t.getErrorMessage=function(e,n){return e&&e.message||n||t.i18n.unknownError},t.notifyError=function(e,n){const i=t.getErrorMessage(e,n);"function"==typeof aui_toast?aui_toast("geodir_converter_error","error",i):window.alert(i)},t.ControlButton={inSuspended:!1,wasDisabled:!1,defaultText:"",actionText:"",ajaxAction:"",converter:null,iconHtml:"",init:function(e,t){this.element=e,this.defaultText=t.defaultText,this.actionText=t.actionText,this.ajaxAction=t.ajaxAction,this.converter=t.converter;var n=this.element.find("i").first();return this.iconHtml=n.length?n.prop("outerHTML"):"",this.element.on("click",this.click.bind(this)),this},_setText:function(e){this.iconHtml?this.element.html(this.iconHtml+e):this.element.text(e)},click:function(){if(this.inSuspended)return!1;this.doAction()},doAction:function(){},activate:function(){this.inSuspended=!0,this.element.prop("disabled",!0),this._setText(this.actionText)},enable:function(){this.inSuspended=!1,this.element.prop("disabled",!1),this._setText(this.defaultText)},disable:function(){this.inSuspended=!1,this.element.prop("disabled",!0),this._setText(this.defaultText)},suspend:function(){this.inSuspended=!0,this.wasDisabled=!!this.element.prop("disabled"),this.element.prop("disabled",!0)},restore:function(){this.inSuspended=!1,this.element.prop("disabled",this.wasDisabled)}},t.ImportButton=e.extend({},t.ControlButton,{state:n,_setIcon:function(e){var t=this.element.find("i").first();t.length&&(t.attr("class",e+" me-1"),this.iconHtml=t.prop("outerHTML"))},setIdle:function(){this.state=n,this.inSuspended=!1,this.element.removeClass("btn-warning btn-success").addClass("btn-primary").prop("disabled",!1),this._setIcon("fas fa-play"),this._setText(this.defaultText)},setImporting:function(){this.state=i,this.inSuspended=!1,this.element.removeClass("btn-primary btn-success").addClass("btn-warning").prop("disabled",!1),this._setIcon("fas fa-pause"),this._setText(this.pauseText)},setPaused:function(){this.state=s,this.inSuspended=!1,this.element.removeClass("btn-primary btn-warning").addClass("btn-success").prop("disabled",!1),this._setIcon("fas fa-play"),this._setText(this.resumeText)},doAction:function(){this.state===n?this._doStartImport():this.state===i?this._doPause():this.state===s&&this._doResume()},_doStartImport:function(){const e=this,n=this.converter.importerId,i=this.converter.errorHandler,s=this.converter.settings.find("form"),r=this.converter.files,o=s.serializeObject(),a=s.find("#test_mode").is(":checked")?"yes":"no",l=this.converter.scheduleStatus.isEnabled(),c=new FormData;if(n){if(c.append("test_mode",a),c.append("importerId",n),c.append("settings",JSON.stringify(o)),r.length>0&&"csv"!==n&&this.converter.dropZone)for(let e=0;e<r.length;e++)c.append("upload_ids[]",this.converter.dropZone.getUploadId(r[e],n));this.activate(),i.hide(),t.ajax(l?t.actions.schedule:e.ajaxAction,(function(t,n){t?l?(e.setIdle(),e.converter.scheduleStatus.set(n.schedule)):(e.converter.start(),e.converter.announce("started")):(e.setIdle(),l||e.converter.stop(),i.showError(n))}),c,{method:"POST",contentType:!1,processData:!1})}},_doPause:function(){const e=this,n=this.converter.importerId;this.inSuspended=!0,this.element.prop("disabled",!0),this._setIcon("fas fa-spinner fa-spin"),this._setText(this.pausingText),t.ajax(t.actions.pause,(function(t,n){t?(e.setPaused(),e.converter.markPaused(),e.converter.announce("paused")):(e.setImporting(),e.converter.errorHandler.showError(n))}),{importerId:n},{method:"POST"})},_doResume:function(){const e=this,n=this.converter.importerId;this.inSuspended=!0,this.element.prop("disabled",!0),this._setIcon("fas fa-spinner fa-spin"),this._setText(this.resumingText),t.ajax(t.actions.resume,(function(t,n){t?(e.setImporting(),e.converter.markInProgress(),e.converter.resumePolling(),e.converter.announce("resumed")):(e.setPaused(),e.converter.errorHandler.showError(n))}),{importerId:n},{method:"POST"})}}),t.ConfigureButton=e.extend({},t.ControlButton,{activate:function(){this.element.addClass("btn-translucent-success").removeClass("btn-outline-primary btn-translucent-warning").text(this.actionText)},markPausedState:function(){this.element.addClass("btn-translucent-warning").removeClass("btn-outline-primary btn-translucent-success").text(this.pausedText||this.actionText)},enable:function(){this.element.addClass("btn-outline-primary").removeClass("btn-translucent-success btn-translucent-warning").text(this.defaultText)},doAction:function(){const n=e(".geodir-converter-wrapper"),i=this.converter.element,s=this.converter.settings;n.find(".card-header h6").text(t.i18n.importSource),n.find(".geodir-converter-importer").not(i).addClass("d-none"),e(".geodir-converter-settings").not(s).addClass("d-none"),this.element.addClass("d-none"),this.converter.backButton.element.removeClass("d-none"),i.addClass("border-bottom-0"),s.removeClass("d-none")}}),t.BackButton=e.extend({},t.ControlButton,{doAction:function(){const n=e(".geodir-converter-wrapper"),i=this.converter.element,s=this.converter.settings;this.element.addClass("d-none"),this.converter.configureButton.element.removeClass("d-none"),i.removeClass("border-bottom-0"),s.addClass("d-none"),n.find(".card-header h6").text(t.i18n.selectImport),n.find(".geodir-converter-importer").removeClass("d-none"),s.find("form").length&&(s.find("form")[0].reset(),this.converter.errorHandler.clear())}}),t.AbortButton=e.extend({},t.ControlButton,{doAction:function(){this.activate(),this.converter.stop(),this.converter.announce("aborting");const e=this.converter.importerId,n=this;t.ajax(n.ajaxAction,(function(e,t){n.converter.start(),n.converter.announce("aborted"),e||(n.enable(),n.converter.errorHandler.showError(t))}),{importerId:e},{method:"POST"})}}),t.RetryFailedButton=e.extend({},t.ControlButton,{doAction:function(){this.activate();const e=this.converter.importerId,n=this;t.ajax(n.ajaxAction,(function(e,t){e?(n.converter.start(),n.converter.announce("started")):(n.enable(),n.converter.errorHandler.showError(t))}),{importerId:e},{method:"POST"})}}),t.FailedItemsPanel={converter:null,toggleBtn:null,items:null,selected:null,init:function(t,n){const i=this;return this.element=t,this.converter=n.converter,this.toggleBtn=n.toggleBtn,this.items=[],this.selected={},this.toggleBtn.on("click",(function(){i.element.hasClass("d-none")?i.open():i.close()})),this.element.on("click",".geodir-converter-failed-items-close",(function(){i.close(),i.toggleBtn.trigger("focus")})),this.element.on("input",".geodir-converter-failed-items-search",(function(){i.render()})),this.element.on("change",".geodir-converter-failed-items-group",(function(){i.render()})),this.element.on("change",".geodir-converter-failed-items-all",(function(){const t=e(this).prop("checked");i.getVisibleItems().forEach((function(e){i.setSelected(e.key,t)})),i.render()})),this.element.on("change",".geodir-converter-failed-items-group-check",(function(){const t=e(this).prop("checked"),n=e(this).data("group");i.getVisibleItems().forEach((function(e){i.getGroupKey(e)===n&&i.setSelected(e.key,t)})),i.render()})),this.element.on("change",".geodir-converter-failed-items-check",(function(){i.setSelected(e(this).val(),e(this).prop("checked")),i.renderSelection()})),this.element.on("click",".geodir-converter-failed-items-retry",(function(){i.retrySelected()})),this.element.on("click",".geodir-converter-failed-items-skip",(function(){i.skipSelected()})),this.element.on("click",".geodir-converter-failed-items-export",(function(){i.exportCSV()})),this},open:function(){this.element.removeClass("d-none"),this.toggleBtn.attr("aria-expanded","true"),this.load()},close:function(){this.element.addClass("d-none"),this.toggleBtn.attr("aria-expanded","false")},load:function(){const n=this,i=this.element.find(".geodir-converter-failed-items-body");i.html(e("<tr>").append(e('<td colspan="6" class="text-center text-muted py-3">').text(t.i18n.loading))),t.ajax(t.actions.failed_items,(function(e,s){if(!e)return i.empty(),void t.notifyError(s);n.items=s.items||[];const r={};n.items.forEach((function(e){r[e.key]=!0})),Object.keys(n.selected).forEach((function(e){r[e]||delete n.selected[e]})),n.render()}),{importerId:this.converter.importerId})},getReason:function(e){let n=e.error||t.i18n.unknownError;return e.title&&(n=n.split(e.title).join("…")),n.replace(/#?\d+/g,"#")},getGroupKey:function(e){const t=this.element.find(".geodir-converter-failed-items-group").val();return"reason"===t?this.getReason(e):"step"===t?e.step:""},getVisibleItems:function(){const t=e.trim(this.element.find(".geodir-converter-failed-items-search").val()||"").toLowerCase();return t?this.items.filter((function(e){return[e.sourceId,e.title,e.step,e.error].join(" ").toLowerCase().indexOf(t)>-1})):this.items},setSelected:function(e,t){t?this.selected[e]=!0:delete this.selected[e]},getSelectedKeys:function(){return Object.keys(this.selected)},render:function(){const n=this,i=this.element.find(".geodir-converter-failed-items-body"),s=this.getVisibleItems(),r={},o=[];s.forEach((function(e){const t=n.getGroupKey(e);r.hasOwnProperty(t)||(r[t]=[],o.push(t)),r[t].push(e)})),i.empty(),this.element.find(".geodir-converter-failed-items-count").text(this.items.length),s.length||i.append(e("<tr>").append(e('<td colspan="6" class="text-center text-muted py-3">').text(t.i18n.failedItemsEmpty))),o.sort((function(e,t){return r[t].length-r[e].length})),o.forEach((function(s){if(""!==s){const t=r[s].every((function(e){return n.selected[e.key]}));i.append(e('<tr class="table-light">').append(e('<th scope="row" class="ps-3">').append(e('<input type="checkbox" class="form-check-input geodir-converter-failed-items-group-check">').attr("data-group",s).attr("aria-label",s).prop("checked",t)),e('<th colspan="5">').text(s+" ("+r[s].length+")")))}r[s].forEach((function(s){i.append(e("<tr>").append(e('<td class="ps-3">').append(e('<input type="checkbox" class="form-check-input geodir-converter-failed-items-check">').val(s.key).attr("aria-label",s.title||s.sourceId).prop("checked",!!n.selected[s.key])),e("<td>").text(s.sourceId),e("<td>").text(s.title),e("<td>").text(s.step),e('<td class="text-break">').text(s.error).append(s.retryable?null:e('<div class="small text-muted">').text(t.i18n.failedItemsNoRetry)),e("<td>").text(s.retryCount)))}))})),this.renderSelection()},getRetryableKeys:function(){const e=this;return this.items.filter((function(t){return t.retryable&&e.selected[t.key]})).map((function(e){return e.key}))},renderSelection:function(){const e=this.getSelectedKeys().length,n=this.getVisibleItems(),i=this;this.element.find(".geodir-converter-failed-items-selected").text(e?t.i18n.failedItemsSelected.replace("%d",e):""),this.element.find(".geodir-converter-failed-items-retry").prop("disabled",!this.getRetryableKeys().length||this.converter.inProgress),this.element.find(".geodir-converter-failed-items-skip").prop("disabled",!e||this.converter.inProgress),this.element.find(".geodir-converter-failed-items-all").prop("checked",n.length>0&&n.every((function(e){return i.selected[e.key]})))},retrySelected:function(){const e=this,n=this.getRetryableKeys();n.length&&(this.element.find(".geodir-converter-failed-items-retry").prop("disabled",!0),t.ajax(t.actions.retry_failed,(function(n,i){if(!n)return e.renderSelection(),void t.notifyError(i);e.selected={},e.close(),e.converter.start(),e.converter.announce("started")}),{importerId:this.converter.importerId,keys:n},{method:"POST"}))},skipSelected:function(){const e=this,n=this.getSelectedKeys();n.length&&window.confirm(t.i18n.confirmSkipFailed.replace("%d",n.length))&&(this.element.find(".geodir-converter-failed-items-skip").prop("disabled",!0),t.ajax(t.actions.skip_failed,(function(n,i){if(!n)return e.renderSelection(),void t.notifyError(i);"function"==typeof aui_toast&&aui_toast("geodir_converter_success","success",i.message),e.selected={},e.load(),e.converter.syncProgress()}),{importerId:this.converter.importerId,keys:n},{method:"POST"}))},exportCSV:function(){const e=this,n=[["source_id","title","type","step","error","reason","retries","failed_at"]];this.getVisibleItems().forEach((function(t){n.push([t.sourceId,t.title,t.type,t.step,t.error,e.getReason(t),t.retryCount,t.timestamp])})),t.download("geodir-converter-"+this.converter.importerId+"-failed-items.csv",t.toCSV(n),"text/csv;charset=utf-8")}},t.ReportPanel={converter:null,toggleBtn:null,report:null,init:function(e,t){const n=this;return this.element=e,this.converter=t.converter,this.toggleBtn=t.toggleBtn,this.report=null,this.toggleBtn.on("click",(function(){n.element.hasClass("d-none")?n.open():n.close()})),this.element.on("click",".geodir-converter-report-close",(function(){n.close(),n.toggleBtn.trigger("focus")})),this.element.on("click",".geodir-converter-report-print",(function(){n.print()})),this.element.on("click",".geodir-converter-report-download",(function(){n.download()})),this},open:function(){this.toggleBtn.removeClass("d-none"),this.element.removeClass("d-none"),this.toggleBtn.attr("aria-expanded","true"),this.load()},close:function(){this.element.addClass("d-none"),this.toggleBtn.attr("aria-expanded","false")},load:function(){const n=this,i=this.element.find(".geodir-converter-report-body");i.empty().append(e('<p class="text-muted mb-0">').text(t.i18n.loading)),this.element.find(".geodir-converter-report-print, .geodir-converter-report-download").prop("disabled",!0),t.ajax(t.actions.report,(function(e,s){if(!e)return i.empty(),void t.notifyError(s);n.report=s.report,i.empty().append(n.buildContent(n.report)),n.element.find(".geodir-converter-report-print, .geodir-converter-report-download").prop("disabled",!1)}),{importerId:this.converter.importerId})},formatDate:function(e){return e?new Date(e).toLocaleString():"–"},buildTable:function(t,n){const i=e('<table class="table table-sm mb-3">'),s=e("<tr>"),r=e("<tbody>");return t.forEach((function(t,n){s.append(e('<th scope="col">').addClass(n?"text-end":"").text(t))})),n.forEach((function(t){const n=e("<tr>");t.forEach((function(t,i){n.append(e("<td>").addClass(i?"text-end":"").text(t))})),r.append(n)})),i.append(e("<thead>").append(s),r)},buildContent:function(n){const i=t.i18n,s=n.stats||{},r=e('<div class="geodir-converter-report-content">'),o=e('<dl class="geodir-converter-report-summary row mb-3">'),a=(s.succeed||0)+(s.skipped||0)+(s.failed||0);if(r.append(e('<h2 class="h5 mb-3">').text(i.reportTitle.replace("%s",n.importer))),n.inProgress&&r.append(e('<p class="alert alert-info py-2">').text(i.reportRunning)),n.testMode&&r.append(e('<p class="alert alert-warning py-2">').text(i.reportTestMode)),[[i.reportStarted,this.formatDate(n.startedAt)],[i.reportFinished,this.formatDate(n.finishedAt)],[i.reportDuration,this.converter.progressBar.formatTime(n.duration||0)],[i.reportProcessed,a+" / "+(s.total||0)],[i.reportSucceeded,s.succeed||0],[i.reportSkipped,s.skipped||0],[i.reportFailed,s.failed||0]].forEach((function(t){o.append(e('<dt class="col-sm-3 fw-normal text-muted">').text(t[0]),e('<dd class="col-sm-9">').text(t[1]))})),r.append(o),n.breakdown&&n.breakdown.length&&(r.append(e('<h3 class="h6">').text(i.reportByType)),r.append(this.buildTable([i.reportType,i.reportTotal,i.reportSucceeded,i.reportSkipped,i.reportFailed],n.breakdown.map((function(e){return[e.label,e.total,e.succeed,e.skipped,e.failed]}))))),r.append(e('<h3 class="h6">').text(i.reportTopErrors)),n.topErrors&&n.topErrors.length?r.append(this.buildTable([i.reportFailed,i.reportCount],n.topErrors.map((function(e){return[e.reason,e.count]})))):r.append(e('<p class="text-muted">').text(i.reportNoErrors)),n.links&&n.links.length){const t=e('<ul class="list-inline mb-3">');n.links.forEach((function(n){t.append(e('<li class="list-inline-item">').append(e('<a target="_blank" rel="noopener">').attr("href",n.url).text(n.label)))})),r.append(e('<h3 class="h6">').text(i.reportLinks),t)}if(n.recent&&n.recent.length){const t=e('<ul class="mb-3">');n.recent.forEach((function(n){const s=e("<li>").text(n.title+" ");n.editUrl&&s.append(e('<a target="_blank" rel="noopener">').attr("href",n.editUrl).text(i.reportEdit)," "),n.viewUrl&&s.append(e('<a target="_blank" rel="noopener">').attr("href",n.viewUrl).text(i.reportView)),t.append(s)})),r.append(e('<h3 class="h6">').text(i.reportRecent),t)}return r.append(e('<p class="small text-muted mb-0">').text(i.reportGenerated.replace("%s",(new Date).toLocaleString()))),r},buildDocument:function(){const n=t.i18n.reportTitle.replace("%s",this.report.importer),i=['body{font:14px/1.5 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;color:#1d2327;max-width:800px;margin:24px auto;padding:0 16px}',"table{border-collapse:collapse;width:100%;margin-bottom:16px}","th,td{border-bottom:1px solid #dcdcde;padding:4px 8px;text-align:left}",".text-end{text-align:right}",".text-muted{color:#646970}",".alert{padding:8px 12px;border:1px solid #dcdcde;border-radius:4px}",".geodir-converter-report-summary{display:grid;grid-template-columns:160px 1fr;gap:4px 16px}","dd{margin:0}",".list-inline{padding:0}",".list-inline-item{display:inline-block;margin-right:16px}"].join("");return'<!DOCTYPE html><html><head><meta charset="utf-8"><title>'+e("<div>").text(n).html()+"</title><style>"+i+"</style></head><body>"+e("<div>").append(this.buildContent(this.report)).html()+"</body></html>"},print:function(){if(!this.report)return;const e=window.open("","_blank");e&&(e.document.open(),e.document.write(this.buildDocument()),e.document.close(),e.focus(),e.print())},download:function(){this.report&&t.download("geodir-converter-"+this.converter.importerId+"-report.html",this.buildDocument(),"text/html;charset=utf-8")}},t.ScheduleStatus={converter:null,timer:null,dueDelay:15e3,retryDelay:3e4,init:function(t,n){const i=this;return this.element=t,this.converter=n.converter,this.element.on("click",".geodir-converter-schedule-edit",(function(){i.edit()})),this.element.on("click",".geodir-converter-schedule-cancel",(function(){i.cancel(e(this))})),this.converter.settings.on("change",'[name="schedule_enabled"]',(function(){i.syncForm()})),this.syncForm(),this.element.hasClass("d-none")||this.set({pending:"1"===String(this.element.data("pending")),startTime:this.element.data("start-time"),label:this.element.find(".geodir-converter-schedule-label").text()}),this},isEnabled:function(){return this.converter.settings.find('[name="schedule_enabled"]').is(":checked")},syncForm:function(){const e=t.i18n,i=this.isEnabled(),s=this.converter.importButton;this.converter.settings.find(".geodir-converter-schedule-fields").toggleClass("d-none",!i),s&&(s.defaultText=i?e.scheduleImport:e.import,s.actionText=i?e.scheduling:e.importing,n!==s.state||s.inSuspended||s._setText(s.defaultText))},set:function(e){const t=this,n=!(!e||!e.pending);if(clearTimeout(this.timer),this.element.toggleClass("d-none",!e).toggleClass("d-flex",!!e),this.element.find(".geodir-converter-schedule-label").text(e?e.label:""),this.element.find(".geodir-converter-schedule-edit, .geodir-converter-schedule-cancel").toggleClass("d-none",!n),n&&e.startTime){const n=Math.max(0,new Date(e.startTime).getTime()-Date.now())+this.dueDelay;this.timer=setTimeout((function(){t.check()}),Math.min(n,2147483647))}},check:function(){const e=this,n=this.converter;t.ajax(t.actions.progress,(function(t,i){t&&(i.inProgress||i.isPaused)?n.applyRemoteState("started"):!t||i.schedule&&i.schedule.pending?e.timer=setTimeout((function(){e.check()}),e.retryDelay):e.set(i.schedule)}),{logsShown:n.logsHandler.shown,importerId:n.importerId,structured:1})},edit:function(){const e=this.converter.settings;e.hasClass("d-none")&&this.converter.configureButton.doAction(),e.find('[name="schedule_enabled"]').prop("checked",!0),this.syncForm(),e.find('[name="schedule_start"]').trigger("focus")},cancel:function(e){const n=this;window.confirm(t.i18n.scheduleCancelConfirm)&&(e.prop("disabled",!0),t.ajax(t.actions.cancel_schedule,(function(i,s){e.prop("disabled",!1),i?(n.converter.settings.find('[name="schedule_enabled"]').prop("checked",!1),n.syncForm(),n.set(s.schedule)):t.notifyError(s)}),{importerId:n.converter.importerId},{method:"POST"}))}},t.PreviewPanel={converter:null,toggleBtn:null,maxListed:3,init:function(e,t){const n=this;return this.element=e,this.converter=t.converter,this.toggleBtn=t.toggleBtn,this.toggleBtn.on("click",(function(){n.element.hasClass("d-none")?n.open():n.close()})),this.element.on("click",".geodir-converter-preview-close",(function(){n.close(),n.toggleBtn.trigger("focus")})),this.element.on("click",".geodir-converter-preview-refresh",(function(){n.load()})),this.element.on("change",".geodir-converter-preview-limit",(function(){n.load()})),this},open:function(){this.element.removeClass("d-none"),this.toggleBtn.attr("aria-expanded","true"),this.load()},close:function(){this.element.addClass("d-none"),this.toggleBtn.attr("aria-expanded","false")},load:function(){const n=this,i=this.element.find(".geodir-converter-preview-body"),s=this.converter.settings.find("form"),r=s.serializeObject();r.test_mode=s.find("#test_mode").is(":checked")?"yes":"no",i.html(e("<tr>").append(e('<td colspan="7" class="text-center text-muted py-3">').text(t.i18n.previewLoading))),this.element.find(".geodir-converter-preview-refresh").prop("disabled",!0),t.ajax(t.actions.preview,(function(e,s){if(n.element.find(".geodir-converter-preview-refresh").prop("disabled",!1),!e)return i.empty(),void t.notifyError(s,t.i18n.previewFailed);n.render(s.records||[])}),{importerId:this.converter.importerId,settings:JSON.stringify(r),limit:this.element.find(".geodir-converter-preview-limit").val()},{method:"POST"})},buildListCell:function(n,i){const s=e("<td>");return n.slice(0,this.maxListed).forEach((function(t){s.append(e('<div class="text-truncate">').append(t))})),n.length>this.maxListed&&s.append(e('<div class="small text-muted">').attr("title",i).text(t.i18n.previewMoreFields.replace("%d",n.length-this.maxListed))),s},render:function(n){const i=this,s=t.i18n,r=this.element.find(".geodir-converter-preview-body");r.empty(),n.length?n.forEach((function(t){const n=e("<tr>").append(e('<td class="ps-3 text-muted">').text(t.sourceId));if(t.error)return void r.append(n.addClass("table-danger").append(e('<td colspan="6" class="pe-3">').text(s.previewWouldFail.replace("%s",t.error))));const o=e.map(t.fields||{},(function(e,t){return t+": "+e})),a=(t.images||[]).map((function(t){return e('<a target="_blank" rel="noopener noreferrer">').attr("href",t).text(t.split("/").pop()||t)})),l=t.latitude||t.longitude?t.latitude+", "+t.longitude:"";r.append(n.append(e("<td>").append(t.title?e("<strong>").text(t.title):e('<em class="text-muted">').text(s.previewUntitled)),e("<td>").text((t.categories||[]).join(", ")),e("<td>").text(t.address),e('<td class="text-nowrap">').text(l),i.buildListCell(o,o.join("\n")).addClass("small"),i.buildListCell(a,(t.images||[]).join("\n")).addClass("small pe-3")))})):r.append(e("<tr>").append(e('<td colspan="7" class="text-center text-muted py-3">').text(s.previewEmpty)))}},t.HistoryPanel={converter:null,toggleBtn:null,runs:null,init:function(t,n){const i=this;return this.element=t,this.converter=n.converter,this.toggleBtn=n.toggleBtn,this.runs=[],this.toggleBtn.on("click",(function(){i.element.hasClass("d-none")?i.open():i.close()})),this.element.on("click",".geodir-converter-history-close",(function(){i.close(),i.toggleBtn.trigger("focus")})),this.element.on("click",".geodir-converter-history-settings",(function(){const t=i.element.find("#"+e(this).attr("aria-controls")),n=t.hasClass("d-none");t.toggleClass("d-none",!n),e(this).attr("aria-expanded",n?"true":"false")})),this.element.on("click",".geodir-converter-history-log",(function(){i.downloadLog(e(this).data("run"),e(this))})),this.element.on("click",".geodir-converter-history-rollback",(function(){const t=i.runs[e(this).data("run")];t&&i.converter.rollback.start(t.id,t.created)})),this},isOpen:function(){return!this.element.hasClass("d-none")},open:function(){this.element.removeClass("d-none"),this.toggleBtn.attr("aria-expanded","true"),this.load()},close:function(){this.element.addClass("d-none"),this.toggleBtn.attr("aria-expanded","false")},load:function(){const n=this,i=this.element.find(".geodir-converter-history-body");i.html(e("<tr>").append(e('<td colspan="8" class="text-center text-muted py-3">').text(t.i18n.loading))),t.ajax(t.actions.history,(function(e,s){if(!e)return i.empty(),void t.notifyError(s);n.runs=s.runs||[],n.render()}),{importerId:this.converter.importerId})},render:function(){const n=t.i18n,i=this.element.find(".geodir-converter-history-body"),s=this.converter.importerId;i.empty(),this.runs.length?this.runs.forEach((function(t,r){const o=t.stats||{},a="geodir-converter-history-"+s+"-"+r,l=e("<td>").append(e('<span class="badge">').addClass("aborted"===t.status?"bg-secondary":"bg-success").text("aborted"===t.status?n.historyAborted:n.historyCompleted));t.testMode&&l.append(" ",e('<span class="badge bg-warning text-dark">').text(n.historyTestMode)),t.rolledBackAt&&l.append(" ",e('<span class="badge bg-danger">').attr("title",new Date(t.rolledBackAt).toLocaleString()).text(n.historyRolledBack));const c=e('<td class="pe-3 text-nowrap text-end">').append(e('<button type="button" class="btn btn-link btn-sm p-0 me-2 geodir-converter-history-settings" aria-expanded="false">').attr("aria-controls",a).text(n.historySettings),e('<button type="button" class="btn btn-link btn-sm p-0 geodir-converter-history-log">').attr("data-run",r).text(n.historyLog));t.canRollBack&&c.append(e('<button type="button" class="btn btn-link btn-sm p-0 ms-2 text-danger geodir-converter-history-rollback">').attr("data-run",r).text(n.historyRollBack)),i.append(e("<tr>").append(e('<td class="ps-3">').text(new Date(t.startedAt).toLocaleString()),e("<td>").text(new Date(t.finishedAt).toLocaleString()),e("<td>").text(t.user||n.historyUnknownUser),l,e('<td class="text-end">').text(o.succeed||0),e('<td class="text-end">').text(o.skipped||0),e('<td class="text-end">').text(o.failed||0),c)),i.append(e('<tr class="d-none">').attr("id",a).append(e('<td colspan="8" class="ps-3 pe-3">').append(e('<pre class="geodir-converter-history-settings-json small mb-0">').text(JSON.stringify(t.settings||{},null,2)))))})):i.append(e("<tr>").append(e('<td colspan="8" class="text-center text-muted py-3">').text(n.historyEmpty)))},downloadLog:function(e,n){const i=this.runs[e],s=this.converter;i&&(n.prop("disabled",!0),t.ajax(t.actions.history_log,(function(e,r){if(n.prop("disabled",!1),!e)return void t.notifyError(r);const o={importer:s.importerId,exportedAt:(new Date).toISOString(),stats:i.stats,elapsed:s.progressBar.formatTime(i.duration||0),discarded:r.discarded||0};t.download("geodir-converter-"+s.importerId+"-run-"+i.startedAt.replace(/[:+]/g,"-").substring(0,19)+".txt",s.logsHandler.formatExport("txt",o,r.entries||[]),"text/plain;charset=utf-8")}),{importerId:s.importerId,runId:i.id}))}},t.RollbackPanel={converter:null,toggleBtn:null,progressBar:null,logsHandler:null,logsShown:0,running:!1,timer:null,pollInterval:2e3,init:function(n,i){const s=this;this.element=n,this.converter=i.converter,this.toggleBtn=i.toggleBtn,this.logsShown=0,this.running=!1;const r=e.extend({},t.ProgressBar);this.progressBar=r.init(this.element.find(".geodir-converter-rollback-progress"));const o=e.extend({},t.LogsHandler);return this.logsHandler=o.init(this.element.find(".geodir-converter-rollback-logs")),this.toggleBtn.on("click",(function(){s.start(e(this).attr("data-run-id"),e(this).attr("data-created"))})),this.element.on("click",".geodir-converter-rollback-close",(function(){s.close()})),"1"===String(this.element.data("in-progress"))&&(this.open(),this.poll()),this},open:function(){this.element.removeClass("d-none")},close:function(){this.element.addClass("d-none")},start:function(e,n){const i=this;e&&!this.running&&window.confirm(t.i18n.rollbackConfirm.replace("%d",n||0))&&(this.toggleBtn.prop("disabled",!0),t.ajax(t.actions.rollback,(function(e,n){i.toggleBtn.prop("disabled",!1),e?(i.logsShown=0,i.logsHandler.clear(),i.progressBar.resetStats(),i.progressBar.updateProgress(0),i.setRunning(!0),i.open(),i.poll()):t.notifyError(n)}),{importerId:this.converter.importerId,runId:e},{method:"POST"}))},poll:function(){const e=this;clearTimeout(this.timer),t.ajax(t.actions.rollback_progress,(function(t,n){t?(e.update(n),n.inProgress&&(e.timer=setTimeout((function(){e.poll()}),e.pollInterval))):e.running&&(e.timer=setTimeout((function(){e.poll()}),2*e.pollInterval))}),{importerId:this.converter.importerId,logsShown:this.logsShown})},refresh:function(){this.running||this.poll()},update:function(e){const n=t.i18n,i=e.logs||[],s=this.running;e.status&&(this.progressBar.updateProgress(e.progress),this.progressBar.updateStats(e.stats),this.progressBar.updateElapsed(e.elapsed),this.progressBar.barEl.toggleClass("progress-bar-animated",!!e.inProgress),this.element.find(".geodir-converter-rollback-status").text(e.inProgress?n.rollbackRunning:n.rollbackCompleted)),this.logsHandler.insertLogs(i),this.logsShown+=i.length,this.setRunning(!!e.inProgress),this.setAvailable(e.available),this.running?this.open():s&&this.converter.history&&this.converter.history.isOpen()&&this.converter.history.load()},setAvailable:function(e){this.toggleBtn.attr("data-run-id",e?e.id:"").attr("data-created",e?e.created:0).toggleClass("d-none",!e||this.running||this.converter.inProgress)},setRunning:function(e){e!==this.running&&(this.running=e,e?this.converter.importButton.suspend():this.converter.importButton.restore())}},t.Pipeline={progressBar:null,stepsEl:null,data:{},running:!1,followedRunId:"",timer:null,pollInterval:3e3,init:function(n){const i=this;if(this.element=n,this.data={},this.running="running"===String(n.data("status")),!n.length)return this;const s=e.extend({},t.ProgressBar);return this.progressBar=s.init(this.element.find(".geodir-converter-pipeline-progress")),this.stepsEl=this.element.find(".geodir-converter-pipeline-steps"),this.element.on("click",".geodir-converter-pipeline-start",(function(){i.start()})),this.element.on("click",".geodir-converter-pipeline-stop",(function(){i.stop()})),this.stepsEl.on("change",".geodir-converter-pipeline-policy",(function(){i.request(t.actions.pipeline_update_step,{stepId:i.getStepId(this),onFailure:e(this).val()})})),this.stepsEl.on("change",".geodir-converter-pipeline-template",(function(){i.request(t.actions.pipeline_update_step,{stepId:i.getStepId(this),templateId:e(this).val()})})),this.stepsEl.on("click",".geodir-converter-pipeline-move",(function(){i.request(t.actions.pipeline_update_step,{stepId:i.getStepId(this),move:e(this).data("move")})})),this.stepsEl.on("click",".geodir-converter-pipeline-remove",(function(){i.request(t.actions.pipeline_remove_step,{stepId:i.getStepId(this)})})),this.load(),this},getStepId:function(t){return e(t).closest(".geodir-converter-pipeline-step").attr("data-step-id")},load:function(){const e=this;clearTimeout(this.timer),t.ajax(t.actions.pipeline_status,(function(t,n){t?e.update(n):e.running&&(e.timer=setTimeout((function(){e.load()}),2*e.pollInterval))}))},request:function(e,n,i){const s=this;this.element.find("button, select").prop("disabled",!0),t.ajax(e,(function(e,n){if(!e)return t.notifyError(n),void s.update(s.data);s.update(n),i&&i(n)}),n,{method:"POST"})},addStep:function(e){if(e.files.length>0)return void t.notifyError({message:t.i18n.pipelineFiles});const n=e.settings.find("form").serializeObject();this.request(t.actions.pipeline_add_step,{importerId:e.importerId,settings:JSON.stringify(n)},(function(){"function"==typeof aui_toast&&aui_toast("geodir_converter_success","success",t.i18n.pipelineAdded)}))},start:function(){this.request(t.actions.pipeline_start,{})},stop:function(){window.confirm(t.i18n.pipelineStopConfirm)&&this.request(t.actions.pipeline_stop,{})},update:function(e){const t=this,n=e.steps||[],i=!!e.status;clearTimeout(this.timer),this.data=e,this.running=!!e.inProgress,this.render(n),i?(this.progressBar.updateProgress(e.progress||0),this.progressBar.updateStats(e.stats),this.progressBar.updateElapsed(e.elapsed),this.progressBar.barEl.toggleClass("progress-bar-animated",this.running)):this.progressBar.element.addClass("d-none"),this.element.find(".geodir-converter-pipeline-status").attr("class","badge geodir-converter-pipeline-status "+this.getBadgeClass(e.status)).toggleClass("d-none",!i).text(i?this.getStatusLabel(e.status):""),this.element.find(".geodir-converter-pipeline-start").prop("disabled",this.running||!n.length),this.element.find(".geodir-converter-pipeline-stop").prop("disabled",!1).toggleClass("d-none",!this.running),this.element.find(".geodir-converter-pipeline-empty").toggleClass("d-none",n.length>0),this.follow(n),this.running&&(this.timer=setTimeout((function(){t.load()}),this.pollInterval))},render:function(n){const i=this,s=t.i18n;this.stepsEl.empty(),n.forEach((function(t,r){const o=t.stats||{},a=t.isPaused?"paused":t.status,l=e('<div class="small text-muted">').text(t.summary||""),c=e('<div class="d-flex flex-wrap align-items-center gap-2 ms-auto">'),d=Object.keys(t.templates||{});if("pending"!==t.status&&"skipped"!==t.status&&l.append(e("<div>").text(s.notifyCompleteBody.replace("%1$d",o.succeed||0).replace("%2$d",o.skipped||0).replace("%3$d",o.failed||0))),"running"===t.status&&l.append(e('<div class="progress mt-1" style="height: 4px;">').append(e('<div class="progress-bar" role="progressbar">').css("width",(t.progress||0)+"%"))),d.length){const n=e('<select class="form-select form-select-sm w-auto geodir-converter-pipeline-template">').attr("aria-label",s.loadTemplate).append(e('<option value="">').text(s.pipelineMappingAsAdded));d.forEach((function(i){n.append(e("<option>").val(i).text(t.templates[i]))})),c.append(n.val(t.templateId||""))}c.append(e('<select class="form-select form-select-sm w-auto geodir-converter-pipeline-policy">').append(e('<option value="stop">').text(s.pipelinePolicyStop),e('<option value="continue">').text(s.pipelinePolicyContinue)).val(t.onFailure),e('<button type="button" class="btn btn-outline-secondary btn-sm geodir-converter-pipeline-move" data-move="up">').attr({title:s.pipelineMoveUp,"aria-label":s.pipelineMoveUp}).prop("disabled",0===r).append('<i class="fas fa-arrow-up"></i>'),e('<button type="button" class="btn btn-outline-secondary btn-sm geodir-converter-pipeline-move" data-move="down">').attr({title:s.pipelineMoveDown,"aria-label":s.pipelineMoveDown}).prop("disabled",r===n.length-1).append('<i class="fas fa-arrow-down"></i>'),e('<button type="button" class="btn btn-outline-danger btn-sm geodir-converter-pipeline-remove">').attr({title:s.pipelineRemove,"aria-label":s.pipelineRemove}).append('<i class="fas fa-trash-alt"></i>')),i.running&&c.find("button, select").prop("disabled",!0),i.stepsEl.append(e('<li class="list-group-item d-flex flex-wrap align-items-center gap-2 geodir-converter-pipeline-step">').attr("data-step-id",t.id).append(t.icon?e('<img class="geodir-converter-pipeline-icon" alt="">').attr("src",t.icon):"",e('<div class="geodir-converter-pipeline-details">').append(e("<strong>").text(t.title)," ",e('<span class="badge">').addClass(i.getBadgeClass(a)).text(i.getStatusLabel(a)),l,t.error?e('<div class="small text-danger">').text(t.error):""),c))}))},follow:function(t){const n=this.running?t[this.data.current]:null;if(!n||"running"!==n.status||n.runId===this.followedRunId)return;this.followedRunId=n.runId;const i=e('.geodir-converter-importer[data-importer="'+n.importerId+'"]').data("converter");i&&!i.inProgress&&i.applyRemoteState("started")},getStatusLabel:function(e){return t.i18n["pipeline"+e.charAt(0).toUpperCase()+e.slice(1)]||e},getBadgeClass:function(e){switch(e){case"running":return"bg-primary";case"paused":return"bg-warning text-dark";case"completed":return"bg-success";case"failed":return"bg-danger";case"stopped":return"bg-secondary"}return"bg-light text-dark"}},t.LogsHandler=e.extend({},{shown:0,following:!0,pending:0,followBtn:null,newEntriesBtn:null,levels:["info","success","warning","error"],counts:null,hiddenLevels:null,searchTerm:"",searchTimeout:null,toolbar:null,maxRows:300,pageSize:100,firstIndex:0,endIndex:0,historyStart:0,atTail:!0,loadingHistory:!1,init:function(t,n){var i=this;return this.element=t,this.converter=n&&n.converter,this.counts={},this.hiddenLevels={},this.searchTerm="",this.element.length&&this.element[0]?(this.toolbar=this.element.prev(".geodir-converter-logs-toolbar"),this.firstIndex=parseInt(this.element.data("first-index"),10)||0,this.endIndex=parseInt(this.element.data("end-index"),10)||0,this.atTail=!0,this.loadingHistory=!1,this.toolbar.find(".geodir-converter-logs-count").each((function(){i.counts[e(this).data("level")]=parseInt(e(this).text(),10)||0})),this.renderCounts(),this.element.on("scroll",(function(){i.maybeLoadHistory()})),this.toolbar.on("click",".geodir-converter-logs-level",(function(){const t=e(this).data("level"),n=!i.hiddenLevels[t];i.hiddenLevels[t]=n,e(this).toggleClass("active",!n).attr("aria-pressed",n?"false":"true"),i.element.toggleClass("geodir-converter-logs-hide-"+t,n)})),this.toolbar.on("click",".geodir-converter-logs-export",(function(){i.exportLogs(e(this).data("format"),e(this))})),this.toolbar.on("input",".geodir-converter-logs-search",(function(){const t=e(this);clearTimeout(i.searchTimeout),i.searchTimeout=setTimeout((function(){i.searchTerm=e.trim(t.val()).toLowerCase(),i.applySearch(i.element.children("li"))}),200)})),this.followBtn=this.toolbar.find(".geodir-converter-logs-follow"),this.newEntriesBtn=this.element.next(".geodir-converter-logs-new"),this.setFollowing(this.getFollowPreference(),!1),this.following&&this.scrollToBottom(),this.followBtn.on("click",(function(){i.following?i.setFollowing(!1,!0):i.jumpToLatest(!0)})),this.newEntriesBtn.on("click",(function(){i.jumpToLatest(!1),i.element.trigger("focus")})),this.element.on("scroll",(function(){i.following&&!i.isAtBottom()&&i.setFollowing(!1,!1)})),this.element.on("keydown",(function(e){"End"===e.key?(e.preventDefault(),i.jumpToLatest(!1)):"Home"===e.key&&(e.preventDefault(),i.setFollowing(!1,!1),i.element.scrollTop(0))})),this):this},insertLogs:function(t){if(!(this.element.length&&this.element[0]&&t&&t.length))return;const n=this;let i;"object"==typeof t[0]?(t=t.filter((function(e){return"number"!=typeof e.index||e.index>=n.endIndex})),i=e(e.map(t,(function(e){return n.renderEntry(e)[0]})))):i=e(e.parseHTML(Array.isArray(t)?t.join(""):t)).filter("li"),this.countEntries(i),this.renderCounts(),this.atTail?(!this.element.children("li[data-index]").length&&i.filter("[data-index]").length&&(this.firstIndex=parseInt(i.filter("[data-index]").first().attr("data-index"),10)),this.applySearch(i),this.element.append(i),this.endIndex=Math.max(this.endIndex,this.lastRowIndex()+1),this.trimRows("start"),this.following?this.scrollToBottom():this.addPending(i.length)):this.addPending(i.length)},isAtBottom:function(){const e=this.element[0];return e.scrollHeight-e.clientHeight-e.scrollTop<5},scrollToBottom:function(){this.element.scrollTop(this.element[0].scrollHeight)},setFollowing:function(e,t){if(this.following=e,this.followBtn.toggleClass("active",e).attr("aria-pressed",e?"true":"false"),this.element.attr("aria-live",e?"polite":"off"),e&&(this.pending=0,this.renderPending()),t&&this.converter)try{window.localStorage.setItem("geodir_converter_follow_"+this.converter.importerId,e?"1":"0")}catch(e){}},getFollowPreference:function(){try{return!this.converter||"0"!==window.localStorage.getItem("geodir_converter_follow_"+this.converter.importerId)}catch(e){return!0}},jumpToLatest:function(e){this.setFollowing(!0,e),this.atTail?this.scrollToBottom():(this.element.children("li").remove(),this.loadHistory(0,this.pageSize,"tail"))},addPending:function(e){this.pending+=e,this.renderPending()},renderPending:function(){if(!this.newEntriesBtn||!this.newEntriesBtn.length)return;const e=t.i18n;this.newEntriesBtn.toggleClass("d-none",this.pending<1).text(1===this.pending?e.logsNewEntry:e.logsNewEntries.replace("%d",this.pending))},lastRowIndex:function(){const e=this.element.children("li[data-index]").last();return e.length?parseInt(e.attr("data-index"),10):-1},trimRows:function(e){const t=this.element.children("li"),n=t.length-this.maxRows;if(!(n<=0))if("start"===e){const e=this.element[0].scrollHeight,i=t.eq(n).attr("data-index");t.slice(0,n).remove(),this.element.scrollTop(Math.max(0,this.element.scrollTop()-(e-this.element[0].scrollHeight))),void 0!==i&&(this.firstIndex=parseInt(i,10))}else t.slice(t.length-n).remove(),this.endIndex=this.lastRowIndex()+1,this.atTail=!1},maybeLoadHistory:function(){const e=this.element[0];if(!this.loadingHistory&&this.converter&&e)if(e.scrollTop<40&&this.firstIndex>this.historyStart){const e=Math.max(0,this.firstIndex-this.pageSize);this.loadHistory(e,this.firstIndex-e,"start")}else!this.atTail&&e.scrollHeight-e.clientHeight-e.scrollTop<40&&this.loadHistory(this.endIndex,this.pageSize,"end")},loadHistory:function(n,i,s){const r=this,o=e('<li class="geodir-converter-logs-loading text-center text-muted small py-1">').text(t.i18n.loading);this.loadingHistory=!0,this.element.attr("aria-busy","true"),this.element["start"===s?"prepend":"append"](o),t.ajax(t.actions.logs,(function(n,i){const a=r.element[0].scrollHeight;if(o.remove(),r.loadingHistory=!1,r.element.removeAttr("aria-busy"),!n)return void t.notifyError(i);const l=i.entries||[];r.historyStart=i.first||0;const c=e(e.map(l,(function(e){return r.renderEntry(e)[0]})));r.applySearch(c),"start"===s?(r.firstIndex=l.length?l[0].index:i.first,r.element.prepend(c),r.element.scrollTop(r.element.scrollTop()+r.element[0].scrollHeight-a+o.outerHeight()),r.trimRows("end")):("tail"===s&&(r.firstIndex=l.length?l[0].index:i.total),r.element.append(c),r.endIndex=l.length?l[l.length-1].index+1:i.total,r.atTail=r.endIndex>=i.total,r.trimRows("start"),r.following&&r.scrollToBottom())}),{importerId:this.converter.importerId,logsShown:n,limit:i,tail:"tail"===s?1:0})},renderEntry:function(n){const i=this.levels.indexOf(n.level)>-1?n.level:"info",s=e("<li>").attr("data-level",i);"number"==typeof n.index&&s.attr("data-index",n.index);const r=e('<p class="notice ms-0 me-0 mb-2">').addClass("notice-"+i).appendTo(s);return n.timestamp&&s.attr("title",new Date(n.timestamp).toLocaleString()),n.elapsed&&r.append(e('<span class="geodir-converter-log-elapsed">').text(n.elapsed+" – ")),r.append(document.createTextNode(n.message||"")),null!==n.source_id&&void 0!==n.source_id&&(s.attr("data-source-id",n.source_id),r.append(" ",e('<span class="geodir-converter-log-id">').text(t.i18n.logSourceId.replace("%s",n.source_id)))),n.post_id&&(s.attr("data-post-id",n.post_id),r.append(" ",e('<a class="geodir-converter-log-id" target="_blank">').attr("href",t.editPostUrl.replace("%d",n.post_id)).text(t.i18n.logPostId.replace("%d",n.post_id)))),s},countEntries:function(t){const n=this.counts;t.each((function(){const t=e(this).attr("data-level")||"info";n[t]=(n[t]||0)+1}))},renderCounts:function(){if(!this.toolbar||!this.toolbar.length)return;const t=this.counts;let n=0;this.toolbar.find(".geodir-converter-logs-count").each((function(){const i=t[e(this).data("level")]||0;n+=i,e(this).text(i)})),this.toolbar.toggleClass("d-none",0===n).toggleClass("d-flex",0!==n)},applySearch:function(t){const n=this.searchTerm;t.each((function(){const t=e(this),i=!n||t.text().toLowerCase().indexOf(n)>-1||String(t.attr("data-source-id")||"")===n||String(t.attr("data-post-id")||"")===n;t.toggleClass("geodir-converter-log-nomatch",!i)}))},exportLogs:function(e,n){const i=this,s=this.converter;s&&(n&&n.prop("disabled",!0),t.ajax(t.actions.export_logs,(function(r,o){if(n&&n.prop("disabled",!1),!r)return void t.notifyError(o);const a=s.progressBar,l={importer:s.importerId,exportedAt:(new Date).toISOString(),stats:a.stats||o.stats,elapsed:a.formatTime(a.elapsed||0),discarded:o.discarded||0},c="geodir-converter-"+s.importerId+"-log-"+l.exportedAt.replace(/[:.]/g,"-").substring(0,19),d={txt:"text/plain",json:"application/json",csv:"text/csv"};e=d.hasOwnProperty(e)?e:"txt",t.download(c+"."+e,i.formatExport(e,l,o.entries||[]),d[e]+";charset=utf-8")}),{importerId:s.importerId}))},formatExport:function(n,i,s){const r=e.extend({succeed:0,skipped:0,failed:0,total:0},i.stats),o=["timestamp","level","elapsed","message","source_id","post_id"];if("json"===n){const t=this.converter;return JSON.stringify(e.extend({},i,{stats:r,entries:s,series:t&&t.chart?t.chart.getSeries():[],seriesInterval:t&&t.chart?t.chart.bucketSize/1e3:0}),null,2)}if("csv"===n){const e=[["importer",i.importer],["exported_at",i.exportedAt],["imported",r.succeed],["skipped",r.skipped],["failed",r.failed],["total",r.total],["elapsed",i.elapsed],["discarded_entries",i.discarded],[],o];return s.forEach((function(t){e.push(o.map((function(e){return t[e]})))})),t.toCSV(e)}const a=t.i18n,l=[a.logsExportImporter.replace("%s",i.importer),a.logsExportDate.replace("%s",i.exportedAt),a.logsExportStats.replace("%1$d",r.succeed).replace("%2$d",r.skipped).replace("%3$d",r.failed).replace("%4$d",r.total),a.logsExportElapsed.replace("%s",i.elapsed)];return i.discarded>0&&l.push(a.logsExportDiscarded.replace("%d",i.discarded)),l.push(""),s.forEach((function(e){let t="["+(e.timestamp||"-")+"] ["+String(e.level).toUpperCase()+"] ";t+=(e.elapsed?e.elapsed+" – ":"")+e.message,null!==e.source_id&&void 0!==e.source_id?t+=" ("+a.logSourceId.replace("%s",e.source_id)+(e.post_id?", "+a.logPostId.replace("%d",e.post_id):"")+")":e.post_id&&(t+=" ("+a.logPostId.replace("%d",e.post_id)+")"),l.push(t)})),l.join("\n")},setShown:function(e){this.shown=e},clear:function(){this.shown=0,this.pending=0,this.renderPending(),this.counts={},this.firstIndex=0,this.endIndex=0,this.historyStart=0,this.atTail=!0,this.element.length&&this.element.html(""),this.renderCounts()}}),t.ErrorHandler={init:function(e){return this.element=e,this},show:function(e){this.element.html(e).removeClass("d-none")},showError:function(e,n){this.show(t.getErrorMessage(e,n))},hide:function(){this.element.html("").addClass("d-none")},clear:function(){this.hide()},isVisible:function(){return!this.element.hasClass("d-none")}},t.ConnectionMonitor={baseDelay:2e3,maxDelay:6e4,lost:!1,attempt:0,retryTimeout:null,countdownInterval:null,converter:null,init:function(t,n){return this.converter=n.converter,this.setElement(t),e(window).on("online",this.onOnline.bind(this)),e(window).on("offline",this.onOffline.bind(this)),this},setElement:function(e){this.element=e,this.messageEl=e.find(".geodir-converter-connection-message"),this.element.find(".geodir-converter-connection-retry").on("click",this.retryNow.bind(this)),this.lost&&this.element.removeClass("d-none").addClass("d-flex")},isLost:function(){return this.lost},fail:function(){this.lost=!0,this.attempt++,this.element.removeClass("d-none").addClass("d-flex"),this.isOffline()?this.onOffline():this._schedule(Math.min(this.baseDelay*Math.pow(2,this.attempt-1),this.maxDelay))},restore:function(){this.lost&&(this.lost=!1,this.attempt=0,this._clearTimers(),this.element.removeClass("d-flex").addClass("d-none"),this.messageEl.text(""))},retryNow:function(){this._clearTimers(),this.messageEl.text(t.i18n.connectionReconnecting),this.converter.reconnect()},isOffline:function(){return void 0!==navigator.onLine&&!navigator.onLine},onOffline:function(){this.lost&&(this._clearTimers(),this.messageEl.text(t.i18n.connectionOffline))},onOnline:function(){this.lost&&this.retryNow()},_schedule:function(e){const n=this,i=Date.now()+e,s=function(){const e=Math.max(0,Math.ceil((i-Date.now())/1e3));n.messageEl.text(t.i18n.connectionRetrying.replace("%d",e))};this._clearTimers(),s(),this.countdownInterval=setInterval(s,1e3),this.retryTimeout=setTimeout(this.retryNow.bind(this),e)},_clearTimers:function(){clearTimeout(this.retryTimeout),clearInterval(this.countdownInterval)}},t.ProgressBar=e.extend({},{barEl:null,elapsedEl:null,elapsedValueEl:null,statsEl:null,throughputEl:null,stats:null,elapsed:0,throughputWindow:6e4,minSampleSpan:5e3,samples:null,activeTime:0,lastSampleAt:0,estimate:null,init:function(e){return this.element=e,this.barEl=this.element.find(".progress-bar"),this.elapsedEl=this.element.find(".geodir-converter-elapsed-time"),this.elapsedValueEl=this.element.find(".geodir-converter-elapsed-value"),this.statsEl=this.element.find(".geodir-converter-stats-summary"),this.throughputEl=this.element.find(".geodir-converter-throughput"),this.resetThroughput(),this},updateProgress:function(e){this.element.removeClass("d-none"),this.barEl.css("width",e+"%").text(e+"%")},formatTime:function(e){var t=Math.floor(e/3600),n=Math.floor(e%3600/60),i=e%60;return(t<10?"0":"")+t+":"+(n<10?"0":"")+n+":"+(i<10?"0":"")+i},updateElapsed:function(e){this.elapsed=e||0,e>0&&this.elapsedEl&&this.elapsedEl.length&&(this.elapsedEl.removeClass("d-none"),this.elapsedValueEl.text(this.formatTime(e)))},updateStats:function(e){if(e&&(this.stats=e),e&&this.statsEl&&this.statsEl.length)for(var t=["succeed","skipped","failed","total"],n=0;n<t.length;n++){var i=t[n],s=e[i]||0,r=this.statsEl.find("> .geodir-converter-stat-"+i),o=r.find(".geodir-converter-stat-"+i+"-count");s>0?(r.removeClass("d-none"),o.text(s)):r.addClass("d-none")}},updateThroughput:function(t,n,i){if(!t||!i&&!n)return void this.resetThroughput();const s=Date.now(),r=(t.succeed||0)+(t.skipped||0)+(t.failed||0),o=Math.max(0,(t.total||0)-r);if(n)return this.lastSampleAt=0,this.estimate=e.extend({rate:null,eta:null},this.estimate,{remaining:o,paused:!0}),void this.renderThroughput();this.lastSampleAt&&(this.activeTime+=s-this.lastSampleAt),this.lastSampleAt=s;const a=this.samples[this.samples.length-1];for(a&&r<a.processed&&(this.samples=[]),this.samples.push({time:this.activeTime,processed:r});this.samples.length>2&&this.activeTime-this.samples[1].time>=this.throughputWindow;)this.samples.shift();const l=this.samples[0],c=this.activeTime-l.time;let d=null,h=null;c>=this.minSampleSpan&&(d=(r-l.processed)/c*6e4,h=d>0?Math.round(o/d*60):null),this.estimate={rate:d,remaining:o,eta:h,paused:!1},this.renderThroughput()},renderThroughput:function(){if(!this.throughputEl||!this.throughputEl.length||!this.estimate)return;const e=t.i18n,n=this.estimate;let i=e.etaCalculating;if(n.paused)i=e.etaPaused;else if(null!==n.eta){const t=new Date(Date.now()+1e3*n.eta);i=e.etaLeft.replace("%1$s",this.formatTime(n.eta)).replace("%2$s",t.toLocaleTimeString([],{hour:"2-digit",minute:"2-digit"}))}this.throughputEl.removeClass("d-none").addClass("d-flex"),this.throughputEl.find(".geodir-converter-throughput-rate").text(null!==n.rate?Math.round(n.rate):"-"),this.throughputEl.find(".geodir-converter-throughput-remaining").text(n.remaining),this.throughputEl.find(".geodir-converter-throughput-eta").text(i)},resetThroughput:function(){this.samples=[],this.activeTime=0,this.lastSampleAt=0,this.estimate=null,this.throughputEl&&this.throughputEl.length&&this.throughputEl.removeClass("d-flex").addClass("d-none")},resetStats:function(){this.stats=null,this.elapsed=0,this.statsEl&&this.statsEl.length&&(this.statsEl.find("> span").addClass("d-none"),this.statsEl.find("strong").text("0")),this.elapsedEl&&this.elapsedEl.length&&this.elapsedEl.addClass("d-none"),this.resetThroughput()}}),t.ThroughputChart={canvas:null,exportBtn:null,converter:null,storageKey:"",bucketSize:15e3,maxBuckets:80,colors:{succeed:"#00a32a",skipped:"#dba617",failed:"#d63638"},buckets:null,lastStats:null,wasPaused:!1,init:function(t,n){const i=this;return this.converter=n.converter,this.storageKey="geodir_converter_chart_"+this.converter.importerId,this.buckets=[],this.lastStats=null,this.wasPaused=!1,this.restore(),this.setElement(t),e(window).off(this.getResizeEvent()).on(this.getResizeEvent(),(function(){i.render()})),this},getResizeEvent:function(){return"resize.geodirConverterChart-"+this.converter.importerId},destroy:function(){e(window).off(this.getResizeEvent())},setElement:function(e){const t=this;this.element=e,this.canvas=e.find(".geodir-converter-chart-canvas"),this.exportBtn=e.find(".geodir-converter-chart-export"),this.exportBtn.off("click").on("click",(function(e){e.preventDefault(),t.exportWithLogs()})),this.buckets.length&&this.render()},update:function(e,t,n){if(!e)return;const i={succeed:e.succeed||0,skipped:e.skipped||0,failed:e.failed||0},s=this.lastStats;if(this.lastStats=i,t)return void(this.wasPaused=!0);if(!s||i.succeed<s.succeed||i.skipped<s.skipped||i.failed<s.failed)return;const r=Date.now();let o=this.buckets[this.buckets.length-1];if(!o||r-o.start>=this.bucketSize||this.wasPaused){if(!n&&i.succeed===s.succeed&&i.skipped===s.skipped&&i.failed===s.failed)return;o={start:r,succeed:0,skipped:0,failed:0,resumed:this.wasPaused},this.buckets.push(o),this.buckets.length>this.maxBuckets&&this.buckets.shift()}this.wasPaused=!1,o.succeed+=i.succeed-s.succeed,o.skipped+=i.skipped-s.skipped,o.failed+=i.failed-s.failed,this.save(),this.render()},render:function(){if(!this.canvas||!this.canvas.length||!this.buckets.length)return;this.element.removeClass("d-none");const e=this.canvas[0],t=window.devicePixelRatio||1,n=this.canvas.parent().width()||300,i=parseInt(this.canvas.attr("height"),10)||80,s=e.getContext("2d");e.width=n*t,e.height=i*t,e.style.width=n+"px",e.style.height=i+"px",s.setTransform(t,0,0,t,0,0),s.clearRect(0,0,n,i);let r=1;this.buckets.forEach((function(e){r=Math.max(r,e.succeed+e.skipped+e.failed)}));const o=n/this.maxBuckets,a=Math.max(1,o-2),l=(this.maxBuckets-this.buckets.length)*o,c=["succeed","skipped","failed"],d=this.colors;this.buckets.forEach((function(e,t){const n=l+t*o;let h=i;e.resumed&&(s.strokeStyle="#8c8f94",s.setLineDash([2,2]),s.beginPath(),s.moveTo(n-1,0),s.lineTo(n-1,i),s.stroke(),s.setLineDash([])),c.forEach((function(t){const o=e[t]/r*(i-2);o>0&&(h-=o,s.fillStyle=d[t],s.fillRect(n,h,a,o))}))}))},save:function(){try{window.localStorage.setItem(this.storageKey,JSON.stringify(this.buckets))}catch(e){}},restore:function(){try{const e=JSON.parse(window.localStorage.getItem(this.storageKey)||"[]");this.buckets=Array.isArray(e)?e.slice(-this.maxBuckets):[]}catch(e){this.buckets=[]}},reset:function(){this.buckets=[],this.lastStats=null,this.wasPaused=!1;try{window.localStorage.removeItem(this.storageKey)}catch(e){}this.element&&this.element.addClass("d-none")},getSeries:function(){return this.buckets.map((function(e){return{time:new Date(e.start).toISOString(),succeed:e.succeed,skipped:e.skipped,failed:e.failed,resumed:!!e.resumed}}))},exportWithLogs:function(){this.converter.logsHandler.exportLogs("json",this.exportBtn)}},t.toCSV=function(e){const t=function(e){return e=null==e?"":String(e),/[",\r\n]/.test(e)?'"'+e.replace(/"/g,'""')+'"':e};return e.map((function(e){return e.map(t).join(",")})).join("\r\n")},t.download=function(t,n,i){const s=URL.createObjectURL(new Blob([n],{type:i})),r=e("<a>").attr({href:s,download:t}).appendTo("body");r[0].click(),r.remove(),setTimeout((function(){URL.revokeObjectURL(s)}),1e3)},t.CSVSniffer={sampleSize:65536,sampleRows:20,delimiters:[",",";","\t","|"],quotes:['"',"'"],isSupported:function(){return"function"==typeof window.FileReader&&"function"==typeof window.TextDecoder},sniff:function(e,t){const n=this,i=new FileReader;i.onload=function(){const s={bytes:new Uint8Array(i.result),complete:e.size<=n.sampleSize};s.format=n.detect(s),t(s)},i.onerror=function(){t(null)},i.readAsArrayBuffer(e.slice(0,this.sampleSize))},detect:function(e){const t=this.detectEncoding(e.bytes),n=this.decode(e.bytes,t);let i=this.detectDelimiter(n,'"',e.complete);const s=this.detectQuote(n,i);return'"'!==s&&(i=this.detectDelimiter(n,s,e.complete)),{encoding:t,delimiter:i,quote:s,hasHeader:this.detectHeader(this.parse(n,i,s,this.sampleRows,e.complete))}},detectEncoding:function(e){if(239===e[0]&&187===e[1]&&191===e[2])return"UTF-8";if(255===e[0]&&254===e[1])return"UTF-16LE";if(254===e[0]&&255===e[1])return"UTF-16BE";let t=0,n=0;const i=Math.min(e.length,512);for(let s=0;s<i;s++)0===e[s]&&(s%2?n++:t++);if(n>i/4)return"UTF-16LE";if(t>i/4)return"UTF-16BE";try{return new TextDecoder("utf-8",{fatal:!0}).decode(e,{stream:!0}),"UTF-8"}catch(e){return"Windows-1252"}},decode:function(e,t){let n;try{n=new TextDecoder(t)}catch(e){n=new TextDecoder("utf-8")}return n.decode(e,{stream:!0})},parse:function(e,t,n,i,s){const r=[];let o=[],a="",l=!1;for(let s=0;s<e.length&&r.length<i;s++){const i=e[s];l?i!==n?a+=i:e[s+1]===n?(a+=n,s++):l=!1:i===n&&""===a?l=!0:i===t?(o.push(a),a=""):"\n"===i||"\r"===i?("\r"===i&&"\n"===e[s+1]&&s++,o.push(a),r.push(o),o=[],a=""):a+=i}return s&&r.length<i&&(o.length||""!==a)&&(o.push(a),r.push(o)),r.filter((function(e){return e.length>1||""!==e[0]}))},detectDelimiter:function(e,t,n){const i=this;let s=",",r=0;return this.delimiters.forEach((function(o){const a=i.parse(e,o,t,i.sampleRows,n),l={};let c=0,d=0;a.forEach((function(e){l[e.length]=(l[e.length]||0)+1,(l[e.length]>d||l[e.length]===d&&e.length>c)&&(d=l[e.length],c=e.length)}));const h=c>1?d/a.length+Math.min(c,100)/1e3:0;h>r&&(s=o,r=h)})),s},detectQuote:function(e,t){const n=t.replace(/[.*+?^${}()|[\]\\]/g,"\\$&");let i='"',s=0;return this.quotes.forEach((function(t){const r=(e.match(new RegExp("(^|"+n+")"+t+"|"+t+"("+n+"|\\r?$)","gm"))||[]).length;r>s&&(i=t,s=r)})),i},detectHeader:function(e){const t=(e[0]||[]).map((function(e){return e.trim()}));return!t.length||t.every((function(e,n){return""!==e&&t.indexOf(e)===n&&!/^[-+]?[\d.,\s]+$/.test(e)}))}},t.DropZone=e.extend({},{dropzone:null,input:null,btn:null,uploads:null,formatPanel:null,uploadContexts:null,replacing:null,csvFile:null,csvSample:null,csvQueue:null,csvChain:null,chunkRetries:5,resumeWindow:864e5,init:function(t,n){this.element=t,this.converter=n.converter,this.dropzone=this.element.find(".geodir-converter-drop-zone"),this.btn=this.element.find(".geodir-converter-files-btn"),this.input=this.element.find(".geodir-converter-files-input"),this.uploads=this.element.find(".geodir-converter-uploads"),this.formatPanel=this.element.find(".geodir-converter-csv-format"),this.uploadContexts={},this.replacing=null,this.csvQueue=[],this.csvChain=Promise.resolve();const i=this;return this.disableStep2Inputs(!0),this.formatPanel.on("change","select, input",(function(){i.formatPanel.find(".geodir-converter-csv-format-delimiter-custom").toggleClass("d-none",""!==i.formatPanel.find(".geodir-converter-csv-format-delimiter").val()),i.renderFormatPreview()})),this.formatPanel.on("input",".geodir-converter-csv-format-delimiter-custom",(function(){i.renderFormatPreview()})),this.formatPanel.on("click",".geodir-converter-csv-format-confirm",(function(){i.confirmFormat()})),this.formatPanel.on("click",".geodir-converter-csv-format-cancel",(function(){i.closeFormatPanel(),i.sniffNextFile()})),this.renderUnfinishedUploads(),this.uploads.on("click",".geodir-converter-upload-cancel",(function(){i.cancelUpload(e(this).closest(".upload-item").data("id"))})),this.uploads.on("click",".geodir-converter-upload-remove",(function(){i.removeUpload(e(this).closest(".upload-item").data("id"))})),this.uploads.on("click",".geodir-converter-upload-sheet-confirm",(function(){i.confirmSheet(e(this).closest(".upload-item").data("id"))})),this.uploads.on("click",".geodir-converter-upload-replace",(function(){i.replacing=e(this).closest(".upload-item").data("id"),i.input.trigger("click")})),this.btn.on("click",(function(){i.replacing=null,i.input.trigger("click")})),this.input.on("cancel",(function(){i.replacing=null})),this.dropzone.on("dragover dragenter",(function(e){e.preventDefault(),e.stopPropagation(),i.dropzone.addClass("dragover")})),this.dropzone.on("dragleave dragend drop",(function(e){e.preventDefault(),e.stopPropagation(),i.dropzone.removeClass("dragover")})),this.dropzone.on("drop",(function(e){i.handleFiles(e.originalEvent.dataTransfer.files)})),this.input.on("change",(function(t){t.preventDefault(),i.handleFiles(this.files),e(this).val("")})),this},handleFiles:function(e){const n=this,i="csv"===(this.converter?this.converter.importerId:"edirectory"),s=this.replacing;s&&(this.replacing=null,e=Array.from(e).slice(0,1)),Array.from(e).forEach((function(e){const s=/\.(csv|tsv|txt)$/i.test(e.name),r=/\.(xlsx|ods|json|geojson)$/i.test(e.name);s&&i&&n.formatPanel.length&&t.CSVSniffer.isSupported()?n.csvQueue.push(e):s||!i||r?n.uploadFile(e):aui_toast("geodir_converter_error","error",t.i18n.uploadUnsupported.replace("%s",e.name))})),s&&this.removeUpload(s),this.csvFile||this.sniffNextFile()},sniffNextFile:function(){const e=this.csvQueue.shift();e?this.sniffFile(e):this._maybeSwitchToCSVMapping()},sniffFile:function(e){const n=this;this.csvFile=e,t.CSVSniffer.sniff(e,(function(t){if(!t)return n.csvFile=null,n.uploadFile(e,null),void n.sniffNextFile();const i=t.format;n.csvSample=t,n.formatPanel.find(".geodir-converter-csv-format-file").text(e.name),n.formatPanel.find(".geodir-converter-csv-format-delimiter").val("\t"===i.delimiter?"tab":i.delimiter),n.formatPanel.find(".geodir-converter-csv-format-delimiter-custom").val("").addClass("d-none"),n.formatPanel.find(".geodir-converter-csv-format-quote").val(i.quote),n.formatPanel.find(".geodir-converter-csv-format-encoding").val(i.encoding),n.formatPanel.find(".geodir-converter-csv-format-header").prop("checked",i.hasHeader),n.renderFormatPreview(),n.formatPanel.removeClass("d-none")}))},getFormat:function(){let e=this.formatPanel.find(".geodir-converter-csv-format-delimiter").val();return""===e&&(e=this.formatPanel.find(".geodir-converter-csv-format-delimiter-custom").val()),e=e||",",{delimiter:"tab"===e?"\t":e,quote:this.formatPanel.find(".geodir-converter-csv-format-quote").val()||'"',encoding:this.formatPanel.find(".geodir-converter-csv-format-encoding").val()||"UTF-8",hasHeader:this.formatPanel.find(".geodir-converter-csv-format-header").is(":checked")}},renderFormatPreview:function(){if(!this.csvSample)return;const n=t.CSVSniffer,i=this.getFormat(),s=n.decode(this.csvSample.bytes,i.encoding),r=n.parse(s,i.delimiter,i.quote,6,this.csvSample.complete),o=this.formatPanel.find(".geodir-converter-csv-format-head").empty(),a=this.formatPanel.find(".geodir-converter-csv-format-body").empty();if(!r.length)return void a.append(e("<tr>").append(e('<td class="text-muted">').text(t.i18n.csvFormatEmpty)));const l=Math.max.apply(null,r.map((function(e){return e.length}))),c=i.hasHeader?r.shift():[],d=e("<tr>");for(let n=0;n<l;n++)d.append(e("<th>").text(c[n]||t.i18n.csvFormatColumn.replace("%d",n+1)));o.append(d),r.slice(0,5).forEach((function(t){const n=e("<tr>");for(let i=0;i<l;i++)n.append(e("<td>").text(t[i]||""));a.append(n)}))},confirmFormat:function(){const e=this.csvFile;if(!e)return;const t=this.getFormat();this.closeFormatPanel(),this.uploadFile(e,t),this.sniffNextFile()},closeFormatPanel:function(){this.formatPanel.addClass("d-none"),this.formatPanel.find(".geodir-converter-csv-format-head, .geodir-converter-csv-format-body").empty(),this.csvFile=null,this.csvSample=null,this.input.val("")},uploadFile:function(n,i){const s=this,r=this.converter?this.converter.importerId:"edirectory",o=this._createUploadContext(n,r);o.csvFormat=i||null,this.uploads.find(".geodir-converter-upload-unfinished").filter((function(){return e(this).data("uploadId")===o.uploadId})).remove(),this._sendChunks(o).then((function(){o.item.find(".geodir-converter-upload-cancel").addClass("d-none"),o.status.text(t.i18n.uploadProcessing),"csv"===r?s._uploadCSVFile(o):s._uploadEDirectoryFile(o)}),(function(e){o.cancelled||(s._failUpload(o,e),o.status.text(o.status.text()+" "+t.i18n.uploadResume),s._maybeSwitchToCSVMapping())})).catch((function(e){s._failUpload(o,e)}))},renderSheetPicker:function(n,i,s){const r=t.i18n,o=n.fileId+"-sheet",a=e('<select class="form-select form-select-sm geodir-converter-upload-sheet-select">').attr("id",o);i.forEach((function(t){a.append(e("<option>").val(t).text(t))})),n.item.find(".geodir-converter-upload-sheet").remove(),n.progress.barEl.removeClass("progress-bar-animated"),n.icon.removeClass("fa-sync").addClass("fa-table-list text-primary"),n.status.text(s||""),this._showFinishedActions(n),n.item.find(".geodir-converter-upload-replace").addClass("d-none"),n.item.append(e('<div class="geodir-converter-upload-sheet mt-2">').append(e('<label class="form-label small mb-1">').attr("for",o).text(r.uploadChooseSheet),e('<div class="input-group input-group-sm">').append(a,e('<button type="button" class="btn btn-primary geodir-converter-upload-sheet-confirm">').text(r.uploadImportSheet))))},confirmSheet:function(e){const n=this.uploadContexts[e];if(!n)return;const i=n.item.find(".geodir-converter-upload-sheet");n.sheet=i.find(".geodir-converter-upload-sheet-select").val()||"",i.remove(),n.item.find(".geodir-converter-upload-remove").addClass("d-none"),n.progress.barEl.addClass("progress-bar-animated"),n.icon.removeClass("fa-table-list text-primary").addClass("fa-sync"),n.status.text(t.i18n.uploadProcessing),this._uploadCSVFile(n)},_maybeSwitchToCSVMapping:function(){const e=this;if(!this.converter||"csv"!==this.converter.importerId||this.csvFile||this.csvQueue.length)return;if(Object.keys(this.uploadContexts).map((function(t){return e.uploadContexts[t]})).some((function(e){return!e.settled})))return;const t=this._getCSVFileIds();t.length&&this.converter.switchToCSVMappingStep({file_id:t[0]})},_getCSVFileIds:function(){const e=this;return Object.keys(this.uploadContexts).map((function(t){return e.uploadContexts[t].attachmentId})).filter(Boolean)},cancelUpload:function(e){const t=this.uploadContexts[e];t&&(t.cancelled=!0,t.request&&t.request.abort()),this.removeUpload(e)},removeUpload:function(e){const n=this,i=this.uploads.find('[data-id="'+e+'"]'),s=this.uploadContexts[e],r=s?s.uploadId:i.data("uploadId"),o=s?s.attachmentId:0;if(s){delete this.uploadContexts[e];!Object.keys(this.uploadContexts).some((function(e){return n._isSameFile(n.uploadContexts[e].file,s.file)}))&&this.converter&&(this.converter.files=this.converter.files.filter((function(e){return!n._isSameFile(e,s.file)})))}r&&(this._forgetUpload(r),t.ajax(t.actions.upload_delete,null,{upload_id:r},{method:"POST"}).catch((function(){}))),o&&this._removeCSVFile(o),i.remove(),this.syncModuleInputs(),this.disableStep2Inputs(!this.converter||!this.converter.files.length),this._maybeSwitchToCSVMapping()},_removeCSVFile:function(e){const n=this;this._syncCSVFileInputs(this._getCSVFileIds()),t.ajax(t.actions.csv_remove_file,(function(e,t){e&&Array.isArray(t.file_ids)&&n._syncCSVFileInputs(t.file_ids)}),{file_id:e},{method:"POST"})},_syncCSVFileInputs:function(e){this.converter&&(this.converter.element.find('input[name="csv_file_id"]').val(e.length?e[0]:0),this.converter.element.find('input[name="csv_file_ids"]').val(e.join(",")))},_isSameFile:function(e,t){return e.name===t.name&&e.size===t.size&&e.lastModified===t.lastModified},syncModuleInputs:function(){const t=this,n=[];Object.keys(this.uploadContexts).forEach((function(e){const i=t.uploadContexts[e].moduleType;i&&-1===n.indexOf(i)&&n.push(i)})),this.element.find('[name="edirectory_modules[]"]').remove(),n.forEach((function(n){t.element.append(e('<input type="hidden" name="edirectory_modules[]">').val(n))}))},getUploadId:function(e,t){const n=[t,e.name,e.size,e.lastModified].join("|");let i="";return[2166136261,84696351].forEach((function(e){let t=e;for(let e=0;e<n.length;e++)t^=n.charCodeAt(e),t=Math.imul(t,16777619);i+=("0000000"+(t>>>0).toString(16)).slice(-8)})),i},_sendChunks:function(n){const i=this,s=n.file,r=t.i18n,o=parseInt(t.chunkSize,10)||1048576;let a=0;const l=function(e){n.progress.updateProgress(Math.min(100,Math.floor(e/s.size*100)))};return new Promise((function(c,d){const h=function(s){if(!n.cancelled&&s.type!==t.AjaxError.ABORT)return navigator.onLine?void(a>=i.chunkRetries||s.type===t.AjaxError.RESPONSE&&"chunk_upload_failed"!==s.code?d(s):(a++,n.status.text(r.uploadRetrying.replace("%1$d",a).replace("%2$d",i.chunkRetries)),setTimeout(u,1e3*Math.pow(2,a-1)))):(n.status.text(r.uploadOffline),void e(window).one("online",u));d(s)},p=function(e){if(n.cancelled)return;if(i._rememberUpload(n,e),l(e),e>=s.size&&s.size>0)return i._forgetUpload(n.uploadId),void c();const d=s.slice(e,e+o),u=new FormData;u.append("upload_id",n.uploadId),u.append("file_name",s.name),u.append("file_size",s.size),u.append("offset",e),u.append("chunk",d,s.name),n.request=t.ajax(t.actions.upload_chunk,null,u,{method:"POST",timeout:12e4,xhr:function(){const t=new window.XMLHttpRequest;return t.upload.addEventListener("progress",(function(t){l(e+Math.min(d.size,t.loaded))}),!1),t}}),n.request.then((function(e){a=0,n.status.text(r.uploading),p(e.received)}),(function(e){"chunk_offset_mismatch"===e.code&&e.upload?p(e.upload.received):h(e)}))},u=function(){n.cancelled||(n.request=t.ajax(t.actions.upload_status,null,{upload_id:n.uploadId},{method:"GET",timeout:3e4}),n.request.then((function(e){p(e.size===s.size?e.received:0)}),h))};u()}))},_rememberUpload:function(e,t){const n=this._getUnfinishedUploads();n[e.uploadId]={name:e.file.name,size:e.file.size,received:t,time:Date.now()},this._saveUnfinishedUploads(n)},_forgetUpload:function(e){const t=this._getUnfinishedUploads();delete t[e],this._saveUnfinishedUploads(t)},_getUnfinishedUploads:function(){const e=this,t={};try{const n=JSON.parse(window.localStorage.getItem(this._getUploadsKey())||"{}");Object.keys(n||{}).forEach((function(i){n[i]&&Date.now()-n[i].time<e.resumeWindow&&(t[i]=n[i])}))}catch(e){}return t},_saveUnfinishedUploads:function(e){try{Object.keys(e).length?window.localStorage.setItem(this._getUploadsKey(),JSON.stringify(e)):window.localStorage.removeItem(this._getUploadsKey())}catch(e){}},_getUploadsKey:function(){return"geodir_converter_uploads_"+(this.converter?this.converter.importerId:"edirectory")},renderUnfinishedUploads:function(){const e=this,n=this._getUnfinishedUploads();Object.keys(n).forEach((function(i){const s=n[i],r=e.renderUploadItem("unfinished-"+i,s.name),o=s.size?Math.floor(s.received/s.size*100):0;r.addClass("geodir-converter-upload-unfinished").data("uploadId",i),r.find(".geodir-converter-upload-cancel").addClass("d-none"),r.find(".geodir-converter-upload-remove").removeClass("d-none"),r.find(".geodir-converter-progress-icon").removeClass("fa-sync text-muted").addClass("fa-pause text-warning"),r.find(".geodir-converter-progress-status").text(t.i18n.uploadUnfinished.replace("%s",o+"%"))}))},_createUploadContext:function(n,i){const s="upload-"+Date.now()+"-"+Object.keys(this.uploadContexts).length,r=this.renderUploadItem(s,n.name),o=e.extend({},t.ProgressBar).init(r.find(".progress")),a={file:n,fileId:s,uploadId:this.getUploadId(n,i),item:r,progress:o,status:r.find(".geodir-converter-progress-status"),icon:r.find(".geodir-converter-progress-icon"),importerId:i,request:null,cancelled:!1,settled:!1,moduleType:"",csvFormat:null,sheet:"",attachmentId:0};return this.uploadContexts[s]=a,a},_uploadCSVFile:function(e){const n=this;this.csvChain=this.csvChain.then((function(){if(e.cancelled)return;const i=n._buildCSVFormData(e);return e.request=t.ajax(t.actions.csv_parse,(function(t,i){if(t)e.attachmentId=parseInt(i.file_id,10)||0;else if(("sheet_required"===i.code||"sheet_not_found"===i.code)&&i.sheets&&i.sheets.length)return void n.renderSheetPicker(e,i.sheets,i.message);n._handleUploadResponse(t,i,e)}),i,n._getUploadAjaxOptions(e)),e.request.catch((function(){}))})).then((function(){n._maybeSwitchToCSVMapping()})).catch((function(){}))},_uploadEDirectoryFile:function(e){const n=this,i=this._buildEDirectoryFormData(e.uploadId,e.importerId);t.ajax(t.actions.upload,(function(t,i){n._handleUploadResponse(t,i,e,(function(){e.moduleType=i.module_type||"",n.syncModuleInputs()}))}),i,this._getUploadAjaxOptions(e))},_buildCSVFormData:function(t){const n=new FormData;n.append("upload_id",t.uploadId),n.append("importerId","csv"),n.append("csv_file_ids",this._getCSVFileIds().join(",")),t.sheet&&n.append("sheet",t.sheet);const i=e.extend({delimiter:",",quote:'"',encoding:"UTF-8",hasHeader:!0},t.csvFormat);n.append("csv_delimiter",i.delimiter),n.append("csv_enclosure",i.quote),n.append("csv_encoding",i.encoding),n.append("csv_has_header",i.hasHeader?"yes":"no");const s=this.element.find('select[name="gd_post_type"]').val();return s&&n.append("gd_post_type",s),n},_buildEDirectoryFormData:function(e,t){const n=new FormData;return n.append("upload_id",e),n.append("importerId",t),n},_getUploadAjaxOptions:function(e){const t=this;return{method:"POST",error:function(n){t._failUpload(e,n)}}},_failUpload:function(e,n){const i=t.getErrorMessage(n,t.i18n.serverErrorUpload);e.progress.barEl.removeClass("progress-bar-animated").addClass("bg-danger"),e.icon.removeClass("fa-sync").addClass("fa-triangle-exclamation text-danger"),e.status.text(t.i18n.uploadFailed+i),e.settled=!0,this._showFinishedActions(e),this.disableStep2Inputs(!this.converter.files.length),t.notifyError(n,t.i18n.serverErrorUpload)},_showFinishedActions:function(e){e.request=null,e.item.find(".geodir-converter-upload-cancel").addClass("d-none"),e.item.find(".geodir-converter-upload-replace, .geodir-converter-upload-remove").removeClass("d-none")},_handleUploadResponse:function(e,n,i,s){const r=i.progress,o=i.icon,a=i.status,l=i.file;r.barEl.removeClass("progress-bar-animated"),o.removeClass("fa-sync"),i.settled=!0,this._showFinishedActions(i),e?(r.barEl.addClass("bg-success"),o.addClass("fa-check text-success"),a.text(n.message||t.i18n.fileUploadSuccess),this.converter.files.some((function(e){return e.name===l.name&&e.size===l.size&&e.lastModified===l.lastModified}))||this.converter.files.push(l),s&&s(),this.disableStep2Inputs(!1)):(r.barEl.addClass("bg-danger"),o.addClass("fa-triangle-exclamation text-danger"),a.text(t.i18n.uploadFailed+(n.message||t.i18n.unknownError)),this.disableStep2Inputs(!this.converter.files.length))},disableStep2Inputs:function(e){const t=this.element.find(".geodir-converter-configure-wrapper");t.length&&t.find("input, select, textarea, button").not('[name="edirectory_modules[]"]').prop("disabled",e)},renderUploadItem:function(n,i){const s=t.i18n,r=e(`\n                <div class="upload-item my-2">\n                    <div class="d-flex justify-content-between align-items-center">\n                        <span class="fw-bold text-truncate"></span>\n                        <span class="d-flex align-items-center flex-shrink-0">\n                            <button type="button" class="btn btn-link btn-sm p-0 ms-2 text-muted geodir-converter-upload-cancel" title="${s.uploadCancel}" aria-label="${s.uploadCancel}"><i class="fas fa-xmark" aria-hidden="true"></i></button>\n                            <button type="button" class="btn btn-link btn-sm p-0 ms-2 text-muted d-none geodir-converter-upload-replace" title="${s.uploadReplace}" aria-label="${s.uploadReplace}"><i class="fas fa-arrows-rotate" aria-hidden="true"></i></button>\n                            <button type="button" class="btn btn-link btn-sm p-0 ms-2 text-muted d-none geodir-converter-upload-remove" title="${s.uploadRemove}" aria-label="${s.uploadRemove}"><i class="fas fa-trash-can" aria-hidden="true"></i></button>\n                            <i class="fas fa-solid fa-sync text-muted ms-2 geodir-converter-progress-icon" aria-hidden="true"></i>\n                        </span>\n                    </div>\n                    <div class="progress my-1 d-none" role="progressbar" aria-valuemin="0" aria-valuemax="100">\n                        <div class="progress-bar progress-bar-striped progress-bar-animated" style="width: 0%"></div>\n                    </div>\n                    <div class="geodir-converter-progress-status small text-muted mt-1">${s.uploading}</div>\n                </div>\n            `);return r.attr("data-id",n),r.find(".fw-bold").text(i),this.uploads.append(r),r}}),t.PollingTransport={name:"polling",converter:null,init:function(e){return this.converter=e,this},isSupported:function(){return!0},open:function(e){this.converter.scheduleTick(e)},close:function(){clearTimeout(this.converter.updateTimeout),this.converter.updateTimeout=null,this.converter.tickRequest&&(this.converter.tickRequest.abort(),this.converter.tickRequest=null)}},t.StreamTransport={name:"stream",converter:null,source:null,received:!1,openTimeout:null,connectTimeout:null,connectTimeoutInterval:1e4,init:function(e){return this.converter=e,this},isSupported:function(){return"function"==typeof window.EventSource&&!!t.actions.progress_stream},open:function(e){this.close(),this.openTimeout=setTimeout(this._connect.bind(this),e||0)},close:function(){clearTimeout(this.openTimeout),clearTimeout(this.connectTimeout),this.source&&(this.source.close(),this.source=null)},_connect:function(){const n=this,i=this.converter,s=t.actions.progress_stream,r=t.ajaxUrl+(t.ajaxUrl.indexOf("?")>-1?"&":"?")+e.param({action:s,geodir_converter_nonce:t.nonces.hasOwnProperty(s)?t.nonces[s]:"",importerId:i.importerId,logsShown:i.logsHandler.shown,structured:1});this.received=!1,this.source=new window.EventSource(r),this.source.addEventListener("progress",(function(e){const t=n._parse(e.data);n.received=!0,i.transportRetryDelay=0,clearTimeout(n.connectTimeout),t&&!i.preventUpdates&&(i.handleProgress(t),t.inProgress||t.isPaused||n.close())})),this.source.addEventListener("done",(function(){n.close()})),this.source.addEventListener("error",(function(){n.received&&n.source&&n.source.readyState!==window.EventSource.CLOSED||n._fallback()})),this.connectTimeout=setTimeout((function(){n.received||n._fallback()}),this.connectTimeoutInterval)},_parse:function(e){try{return JSON.parse(e)}catch(e){return null}},_fallback:function(){const e=this.converter;this.close(),e.preventUpdates||(e.fallBackToPolling(),e.transport.open(e.shortTickInterval))}},t.transports={polling:t.PollingTransport,stream:t.StreamTransport},t.TabCoordinator={leaseTime:6e3,heartbeatInterval:2e3,confirmDelay:100,converter:null,channel:null,tabId:"",lockKey:"",leader:!0,heartbeat:null,init:function(t){const n=this;return this.converter=t,this.tabId=Date.now().toString(36)+Math.random().toString(36).slice(2),this.lockKey="geodir_converter_leader_"+t.importerId,this.leader=!0,this.isSupported()?(this.leader=!1,this.channel=new window.BroadcastChannel("geodir_converter_"+t.importerId),this.channel.onmessage=function(e){n.onMessage(e.data||{})},this.elect(),this.heartbeat=setInterval(this.elect.bind(this),this.heartbeatInterval),e(window).on("pagehide",this.release.bind(this)),e(document).on("visibilitychange",this.onVisibilityChange.bind(this)),this):this},isSupported:function(){try{return"function"==typeof window.BroadcastChannel&&!!window.localStorage}catch(e){return!1}},isLeader:function(){return this.leader},elect:function(){const e=this;window.navigator.locks&&"function"==typeof window.navigator.locks.request?window.navigator.locks.request(this.lockKey,(function(){e._contest(!1)})).catch((function(){e._contest(!0)})):this._contest(!0)},_contest:function(e){const t=this,n=this._readLock();n&&n.id&&n.expires>=Date.now()&&n.id!==this.tabId?this._setLeader(!1):(this._writeLock(this.tabId),!e||n&&n.id===this.tabId?this._setLeader(!0):setTimeout((function(){const e=t._readLock();t._setLeader(!!e&&e.id===t.tabId)}),this.confirmDelay))},release:function(){if(this.channel&&this.leader){try{window.localStorage.removeItem(this.lockKey)}catch(e){}this.leader=!1,this.broadcast("release")}},broadcast:function(e,t){if(this.channel)try{this.channel.postMessage({type:e,data:t||{},from:this.tabId})}catch(e){}},onMessage:function(e){const t=e.data||{};switch(e.type){case"progress":this.leader||this.converter.applyRemoteProgress(t);break;case"state":this.converter.applyRemoteState(t.state);break;case"takeover":this.leader&&this.converter.isPageHidden()&&(this._writeLock(e.from),this._setLeader(!1),this.broadcast("handover",{to:e.from}));break;case"handover":t.to===this.tabId&&(this._writeLock(this.tabId),this._setLeader(!0));break;case"release":this.leader||this.elect()}},onVisibilityChange:function(){this.leader||this.converter.isPageHidden()||this.broadcast("takeover")},_setLeader:function(e){e!==this.leader&&(this.leader=e,e?this.converter.onBecomeLeader():this.converter.onBecomeFollower())},_readLock:function(){try{return JSON.parse(window.localStorage.getItem(this.lockKey))||null}catch(e){return null}},_writeLock:function(e){try{window.localStorage.setItem(this.lockKey,JSON.stringify({id:e,expires:Date.now()+this.leaseTime}))}catch(e){}}},t.Notifier={spikeWindow:6e4,spikeThreshold:10,spikeRatio:.5,spikeCooldown:3e5,colors:{running:"#2271b1",paused:"#dba617",done:"#00a32a"},enabled:!1,toggle:null,baseTitle:"",faviconEl:null,faviconHref:"",faviconImage:null,faviconCreated:!1,faviconKey:"",canvas:null,runs:null,done:!1,init:function(n){const i=this,s=t.preferences||{};return this.toggle=n,this.runs={},this.baseTitle=document.title,this.enabled=!!s.notifications,this.toggle.on("change",(function(){i.setEnabled(e(this).prop("checked"))})),e(document).on("visibilitychange",(function(){!document.hidden&&i.done&&(i.done=!1,i.render())})),this.loadFavicon(),this},isSupported:function(){return"Notification"in window},setEnabled:function(e){const n=this;if(!e)return this.enabled=!1,void this.save();if(!this.isSupported())return void this.reject(t.i18n.notifyUnsupported);let i=!1;const s=function(e){i||(i=!0,"granted"===e?(n.enabled=!0,n.save()):n.reject(t.i18n.notifyDenied))};if("default"===Notification.permission){const e=Notification.requestPermission(s);e&&"function"==typeof e.then&&e.then(s)}else s(Notification.permission)},reject:function(e){this.toggle.prop("checked",!1),t.notifyError(null,e),this.enabled&&(this.enabled=!1,this.save())},save:function(){t.preferences=e.extend({},t.preferences,{notifications:this.enabled}),t.ajax(t.actions.save_preferences,(function(e,n){e||t.notifyError(n)}),{notifications:this.enabled?1:0},{method:"POST"})},getRun:function(e){return this.runs[e]||(this.runs[e]={state:null,percent:0,updatedAt:0,samples:[],lastSpikeAt:0}),this.runs[e]},update:function(e,n,i){const s=this.getRun(e.importerId),r=e.runState,o=e.tabs.isLeader(),a=n.stats||{};s.state=r,s.percent=parseInt(n.progress,10)||0,s.updatedAt=Date.now(),"running"===r?this.trackFailures(e,s,a,o):s.samples=[],i&&(i.finished?(this.done=document.hidden,o&&this.notify(e,"complete",t.i18n.notifyCompleteTitle.replace("%s",this.getName(e)),t.i18n.notifyCompleteBody.replace("%1$d",a.succeed||0).replace("%2$d",a.skipped||0).replace("%3$d",a.failed||0))):"paused"===r&&"paused"!==i.expected&&o&&this.notify(e,"paused",t.i18n.notifyPausedTitle.replace("%s",this.getName(e)),t.i18n.notifyPausedBody)),this.render()},trackFailures:function(e,n,i,s){const r=Date.now(),o=i.failed||0,a=(i.succeed||0)+(i.skipped||0)+o;for(n.samples.push({time:r,processed:a,failed:o});n.samples.length>1&&r-n.samples[0].time>this.spikeWindow;)n.samples.shift();const l=o-n.samples[0].failed,c=a-n.samples[0].processed;!s||l<this.spikeThreshold||l<c*this.spikeRatio||r-n.lastSpikeAt<this.spikeCooldown||(n.lastSpikeAt=r,this.notify(e,"failures",t.i18n.notifyFailuresTitle.replace("%s",this.getName(e)),t.i18n.notifyFailuresBody.replace("%d",l)))},getName:function(t){return e.trim(t.element.find(".geodir-converter-title").first().text())},notify:function(e,t,n,i){if(this.enabled&&this.isSupported()&&"granted"===Notification.permission)try{const s=new Notification(n,{body:i,tag:"geodir-converter-"+e.importerId+"-"+t,icon:e.element.find(".geodir-converter-icon").attr("src")});s.onclick=function(){window.focus(),e.element[0].scrollIntoView({block:"start"}),s.close()}}catch(e){}},getActiveRun:function(){let t=null;return e.each(this.runs,(function(e,n){"running"!==n.state&&"paused"!==n.state||t&&!(n.updatedAt>t.updatedAt)||(t=n)})),t},render:function(){const e=this.getActiveRun();let n="";e?(n="paused"===e.state?t.i18n.paused:e.percent+"%",this.drawFavicon(e.percent,this.colors[e.state])):this.done?(n=t.i18n.titleDone,this.drawFavicon(100,this.colors.done)):this.restoreFavicon();const i=n?t.i18n.titleProgress.replace("%1$s",n).replace("%2$s",this.baseTitle):this.baseTitle;document.title!==i&&(document.title=i)},loadFavicon:function(){const t=this;if(this.faviconEl=e('link[rel~="icon"]').last(),this.faviconHref=this.faviconEl.attr("href")||"",!this.faviconHref)return;const n=new Image;n.crossOrigin="anonymous",n.onload=function(){t.faviconImage=n,t.faviconKey="",t.render()},n.src=this.faviconHref},drawFavicon:function(t,n){const i=t+n;if(i===this.faviconKey)return;this.canvas=this.canvas||document.createElement("canvas");const s=32,r=this.canvas.getContext&&this.canvas.getContext("2d");if(!r)return;this.canvas.width=s,this.canvas.height=s,r.clearRect(0,0,s,s);let o,a=15,l=16;this.faviconImage&&(r.drawImage(this.faviconImage,0,0,s,s),a=9,l=s-a-1),r.beginPath(),r.arc(l,l,a+1,0,2*Math.PI),r.fillStyle="#fff",r.fill(),r.beginPath(),r.arc(l,l,a,0,2*Math.PI),r.fillStyle="#dcdcde",r.fill(),r.beginPath(),r.moveTo(l,l),r.arc(l,l,a,-Math.PI/2,-Math.PI/2+2*Math.PI*Math.min(100,Math.max(0,t))/100),r.closePath(),r.fillStyle=n,r.fill();try{o=this.canvas.toDataURL("image/png")}catch(e){return}this.faviconEl.length||(this.faviconEl=e('<link rel="icon" type="image/png">').appendTo("head"),this.faviconCreated=!0),this.faviconEl.attr("href",o),this.faviconKey=i},restoreFavicon:function(){this.faviconKey&&(this.faviconCreated?(this.faviconEl.remove(),this.faviconEl=e(),this.faviconCreated=!1):this.faviconEl.attr("href",this.faviconHref),this.faviconKey="")}},t.Converter={tickInterval:2e3,shortTickInterval:400,requestTimeout:3e4,maxTickInterval:15e3,pausedTickInterval:1e4,hiddenTickInterval:3e4,tickBackoffFactor:1.5,currentTickInterval:2e3,lastTickSignature:"",retriesCount:1,retriesLeft:0,inProgress:!1,updateTimeout:null,preventUpdates:!1,transport:null,transportRetryAt:0,transportRetryDelay:0,minTransportRetryDelay:3e4,maxTransportRetryDelay:6e5,tickRequest:null,failedItems:null,report:null,history:null,runState:null,expectedState:null,tabs:null,syncing:!1,importerId:null,files:[],init:function(n,i){this.element=n,this.inProgress=i.inProgress,this.resetRetries(),this.importerId=this.element.data("importer"),this.settings=this.element.find(".geodir-converter-settings");let s=e.extend({},t.ProgressBar);this.progressBar=s.init(this.element.find(".geodir-converter-progress"));let r=e.extend({},t.LogsHandler);this.logsHandler=r.init(this.element.find(".geodir-converter-logs").not(".geodir-converter-rollback-logs"),{converter:this});let o=e.extend({},t.ConfigureButton);this.configureButton=o.init(this.element.find(".geodir-converter-configure"),{defaultText:t.i18n.runConverter,actionText:t.i18n.importing,converter:this}),this.configureButton.pausedText=t.i18n.paused;let a=e.extend({},t.BackButton);this.backButton=a.init(this.element.find(".geodir-converter-back"),{converter:this});let l=e.extend({},t.ImportButton);this.importButton=l.init(this.element.find(".geodir-converter-import"),{defaultText:t.i18n.import,actionText:t.i18n.importing,ajaxAction:t.actions.import,converter:this}),this.importButton.pauseText=t.i18n.pause,this.importButton.pausingText=t.i18n.pausing,this.importButton.resumeText=t.i18n.resume,this.importButton.resumingText=t.i18n.resuming;let c=e.extend({},t.AbortButton);this.abortButton=c.init(this.element.find(".geodir-converter-abort"),{defaultText:t.i18n.abort,actionText:t.i18n.aborting,ajaxAction:t.actions.abort,converter:this});let d=e.extend({},t.RetryFailedButton);this.retryFailedButton=d.init(this.element.find(".geodir-converter-retry-failed"),{defaultText:t.i18n.retryFailed,actionText:t.i18n.retrying,ajaxAction:t.actions.retry_failed,converter:this});let h=e.extend({},t.ErrorHandler);this.errorHandler=h.init(this.element.find(".geodir-converter-error"),{converter:this});let p=e.extend({},t.FailedItemsPanel);this.failedItems=p.init(this.element.find(".geodir-converter-failed-items"),{converter:this,toggleBtn:this.element.find(".geodir-converter-inspect-failed")});let u=e.extend({},t.ReportPanel);this.report=u.init(this.element.find(".geodir-converter-report"),{converter:this,toggleBtn:this.element.find(".geodir-converter-view-report")});const f=this.element.find(".geodir-converter-history");if(f.length){let n=e.extend({},t.HistoryPanel);this.history=n.init(f,{converter:this,toggleBtn:this.element.find(".geodir-converter-view-history")})}let m=e.extend({},t.PreviewPanel);this.preview=m.init(this.element.find(".geodir-converter-preview-panel"),{converter:this,toggleBtn:this.element.find(".geodir-converter-preview")});let g=e.extend({},t.RollbackPanel);this.rollback=g.init(this.element.find(".geodir-converter-rollback"),{converter:this,toggleBtn:this.element.find(".geodir-converter-rollback-run")});let v=e.extend({},t.ScheduleStatus);this.scheduleStatus=v.init(this.element.find(".geodir-converter-schedule"),{converter:this});let b=e.extend({},t.ThroughputChart);this.chart=b.init(this.element.find(".geodir-converter-chart"),{converter:this});let x=e.extend({},t.ConnectionMonitor);this.connection=x.init(this.element.find(".geodir-converter-connection"),{converter:this});const y=this.element.find(".geodir-converter-connect-wrapper");if(y.length){let n=e.extend({},t.DropZone);this.dropZone=n.init(y,{converter:this})}this.miniProgress=this.element.find(".geodir-converter-mini-progress"),this.miniProgressBar=this.miniProgress.find(".progress-bar"),this.useTransport(t.transport||"polling");let w=e.extend({},t.TabCoordinator);return this.tabs=w.init(this),e(document).on("visibilitychange",this.onVisibilityChange.bind(this)),this.inProgress&&this.start(),this.element.on("click",".geodir-converter-pipeline-add",function(){t.pipeline.addStep(this)}.bind(this)),this.element.data("converter",this),this},switchToCSVMappingStep:function(n){const i=this.element.find(".geodir-converter-csv-form");i.length&&t.ajax(t.actions.csv_get_mapping_step,function(n,s){if(!n)return void t.notifyError(s,t.i18n.failedLoadMapping);const r=e(s.html);i.html(r.html()),this._initializeMappingStepButtons(i)}.bind(this),{file_id:n.file_id,delimiter:n.delimiter||","},{method:"POST"})},_initializeMappingStepButtons:function(n){const i=n.find(".geodir-converter-import"),s=n.find(".geodir-converter-abort"),r=n.find(".geodir-converter-retry-failed");"function"==typeof aui_init_select2&&aui_init_select2();const o=n.find(".geodir-converter-connection");o.length&&this.connection.setElement(o);const a=n.find(".geodir-converter-progress");if(a.length){const i=e.extend({},t.ProgressBar);this.progressBar=i.init(a),this.chart.setElement(n.find(".geodir-converter-chart"))}if(i.length){const n=e.extend({},t.ImportButton);this.importButton=n.init(i,{defaultText:t.i18n.import,actionText:t.i18n.importing,ajaxAction:t.actions.import,converter:this}),this.importButton.pauseText=t.i18n.pause,this.importButton.pausingText=t.i18n.pausing,this.importButton.resumeText=t.i18n.resume,this.importButton.resumingText=t.i18n.resuming}if(s.length){const n=e.extend({},t.AbortButton);this.abortButton=n.init(s,{defaultText:t.i18n.abort,actionText:t.i18n.aborting,ajaxAction:t.actions.abort,converter:this})}const l=n.find(".geodir-converter-failed-items");if(l.length){const i=e.extend({},t.FailedItemsPanel);this.failedItems=i.init(l,{converter:this,toggleBtn:n.find(".geodir-converter-inspect-failed")})}const c=n.find(".geodir-converter-report");if(c.length){const i=e.extend({},t.ReportPanel);this.report=i.init(c,{converter:this,toggleBtn:n.find(".geodir-converter-view-report")})}const d=n.find(".geodir-converter-history");if(d.length){const i=e.extend({},t.HistoryPanel);this.history=i.init(d,{converter:this,toggleBtn:n.find(".geodir-converter-view-history")})}const h=n.find(".geodir-converter-preview-panel");if(h.length){const i=e.extend({},t.PreviewPanel);this.preview=i.init(h,{converter:this,toggleBtn:n.find(".geodir-converter-preview")})}this.scheduleStatus.syncForm();const p=n.find(".geodir-converter-rollback");if(p.length){clearTimeout(this.rollback.timer);const i=e.extend({},t.RollbackPanel);this.rollback=i.init(p,{converter:this,toggleBtn:n.find(".geodir-converter-rollback-run")})}if(r.length){const n=e.extend({},t.RetryFailedButton);this.retryFailedButton=n.init(r,{defaultText:t.i18n.retryFailed,actionText:t.i18n.retrying,ajaxAction:t.actions.retry_failed,converter:this})}},start:function(){this.preventUpdates=!1,this.logsHandler.clear(),this.progressBar.resetStats(),this.chart.reset(),this.resetTickInterval(),this.restoreTransport(),this.tabs.isLeader()&&this.transport.open(this.shortTickInterval)},resumePolling:function(){this.preventUpdates=!1,this.resetTickInterval(),this.restoreTransport(),this.tabs.isLeader()&&this.transport.open(this.shortTickInterval)},onBecomeLeader:function(){this.inProgress&&!this.preventUpdates&&(this.resetTickInterval(),this.transport.open(this.shortTickInterval))},onBecomeFollower:function(){this.transport.close()},announce:function(e){this.expectedState=e,this.tabs.broadcast("state",{state:e})},applyRemoteState:function(e){switch(this.expectedState=e,e){case"started":case"aborted":this.start();break;case"paused":this.markPaused(),this.configureButton.markPausedState();break;case"resumed":this.markInProgress(),this.configureButton.activate(),this.resumePolling();break;case"aborting":this.abortButton.activate()}},applyRemoteProgress:function(t){if(this.preventUpdates||this.syncing)return;const n=Array.isArray(t.logs);let i=n?t.logs:[];"string"==typeof t.logs&&(i=e(e.parseHTML(t.logs)).filter("li").map((function(){return this.outerHTML})).get());const s=this.logsHandler.shown,r=t.logsFrom;s<r?this.syncProgress():(i=n?i.filter((function(e){return"number"!=typeof e.index||e.index>=s})):i.slice(Math.min(s-r,i.length)),this.handleProgress(e.extend({},t,{logs:i,logsShown:Math.max(s,t.logsShown)})))},syncProgress:function(){const e=this;this.syncing=!0,t.ajax(t.actions.progress,(function(t,n){e.syncing=!1,t&&!e.preventUpdates&&e.handleProgress(n)}),{logsShown:this.logsHandler.shown,importerId:this.importerId,structured:1})},stop:function(){this.transport.close(),this.preventUpdates=!0},useTransport:function(n){let i=t.transports[n];i&&i.isSupported()||(i=t.transports.polling),this.transport&&this.transport.close(),this.transport=e.extend({},i).init(this)},fallBackToPolling:function(){this.transportRetryDelay=Math.min(Math.max(2*this.transportRetryDelay,this.minTransportRetryDelay),this.maxTransportRetryDelay),this.transportRetryAt=Date.now()+this.transportRetryDelay,this.useTransport("polling")},restoreTransport:function(){const e=t.transport||"polling";this.transport.name!==e&&Date.now()>=this.transportRetryAt&&this.useTransport(e)},scheduleTick:function(e){clearTimeout(this.updateTimeout),this.updateTimeout=setTimeout(this.tick.bind(this),e)},reconnect:function(){this.preventUpdates||(this.resetTickInterval(),this.tabs.isLeader()&&this.scheduleTick(0))},resetTickInterval:function(){this.currentTickInterval=this.tickInterval,this.lastTickSignature=""},isPageHidden:function(){return void 0!==document.hidden&&document.hidden},onVisibilityChange:function(){"polling"!==this.transport.name||this.isPageHidden()||this.preventUpdates||!this.updateTimeout||(this.resetTickInterval(),this.scheduleTick(this.shortTickInterval))},getNextTickInterval:function(e){const t=JSON.stringify([e.progress,e.stats,e.isPaused,e.inProgress,e.failedItemsCount,e.logsShown]);return t!==this.lastTickSignature?this.currentTickInterval=this.tickInterval:this.currentTickInterval=Math.min(Math.round(this.currentTickInterval*this.tickBackoffFactor),this.maxTickInterval),this.lastTickSignature=t,this.isPageHidden()?Math.max(this.currentTickInterval,this.hiddenTickInterval):e.isPaused?Math.max(this.currentTickInterval,this.pausedTickInterval):this.currentTickInterval},resetRetries:function(){this.retriesLeft=this.retriesCount},tick:function(){const e=this;this.updateTimeout=null,this.tickRequest=t.ajax(t.actions.progress,(function(n,i){if(e.tickRequest=null,!e.preventUpdates){if(!n)return i.type===t.AjaxError.AUTH||i.type===t.AjaxError.NONCE?(e.connection.restore(),e.restoreControls(),void e.errorHandler.showError(i)):void(e.retriesLeft>0&&!e.connection.isLost()?(e.retriesLeft--,e.scheduleTick(e.tickInterval)):(e.abortButton.disable(),e.importButton.element.prop("disabled",!0),e.connection.fail()));e.handleProgress(i),(i.inProgress||i.isPaused)&&e.scheduleTick(e.getNextTickInterval(i))}}),{logsShown:e.logsHandler.shown,importerId:this.importerId,structured:1},{timeout:this.requestTimeout})},handleProgress:function(e){this.resetRetries(),this.connection.restore(),this.tabs.isLeader()&&this.tabs.broadcast("progress",e);const n=this.trackRunState(e);t.Notifier.update(this,e,n),this.scheduleStatus.set(e.schedule||null),this.progressBar.updateProgress(e.progress),this.progressBar.updateStats(e.stats),this.progressBar.updateElapsed(e.elapsed),this.progressBar.updateThroughput(e.stats,e.isPaused,e.inProgress),this.chart.update(e.stats,e.isPaused,e.inProgress),this.logsHandler.setShown(e.logsShown),this.logsHandler.insertLogs(e.logs),this.updateMiniProgress(e.progress,e.stats,this.progressBar.estimate),e.isPaused?(this.markPaused(),this.configureButton.markPausedState(),this.progressBar.barEl.removeClass("progress-bar-animated"),this.miniProgressBar.removeClass("progress-bar-animated")):e.inProgress?(this.markInProgress(),this.configureButton.activate(),this.progressBar.barEl.addClass("progress-bar-animated"),this.miniProgressBar.addClass("progress-bar-animated")):(this.markStopped(),this.configureButton.enable(),this.progressBar.barEl.removeClass("progress-bar-animated progress-bar-striped"),this.miniProgress.addClass("d-none")),!e.inProgress&&!e.isPaused&&e.failedItemsCount>0?(this.retryFailedButton.element.removeClass("d-none"),this.retryFailedButton.enable(),this.failedItems.toggleBtn.removeClass("d-none")):(this.retryFailedButton.element.addClass("d-none"),this.failedItems.toggleBtn.addClass("d-none"),this.failedItems.close()),this.dropZone&&this.dropZone.btn&&this.dropZone.btn.prop("disabled",e.inProgress||e.isPaused),n&&"stopped"===n.to&&(this.rollback.refresh(),this.history&&this.history.isOpen()&&this.history.load()),n&&n.finished&&this.report.open()},trackRunState:function(e){const t=e.isPaused?"paused":e.inProgress?"running":"stopped",n=this.runState;if(this.runState=t,!n||n===t)return null;const i={from:n,to:t,expected:this.expectedState,finished:"stopped"===t&&"aborting"!==this.expectedState&&"aborted"!==this.expectedState};return this.expectedState=null,i},markInProgress:function(){this.inProgress=!0,this.importButton.setImporting(),this.abortButton.enable(),this.retryFailedButton.element.addClass("d-none"),this.failedItems.toggleBtn.addClass("d-none"),this.failedItems.close(),this.report.toggleBtn.addClass("d-none"),this.report.close(),this.preview.toggleBtn.prop("disabled",!0),this.preview.close(),this.rollback.toggleBtn.addClass("d-none"),this.miniProgress.removeClass("d-none")},markPaused:function(){this.inProgress=!0,this.importButton.setPaused(),this.abortButton.enable(),this.retryFailedButton.element.addClass("d-none"),this.failedItems.toggleBtn.addClass("d-none"),this.failedItems.close(),this.report.toggleBtn.addClass("d-none"),this.report.close(),this.preview.toggleBtn.prop("disabled",!0),this.preview.close(),this.rollback.toggleBtn.addClass("d-none")},markStopped:function(){this.inProgress=!1,this.importButton.setIdle(),this.abortButton.disable(),this.preview.toggleBtn.prop("disabled",!1)},restoreControls:function(){"paused"===this.runState?(this.importButton.setPaused(),this.abortButton.enable()):"running"===this.runState?(this.importButton.setImporting(),this.abortButton.enable()):this.markStopped()},updateMiniProgress:function(e,n,i){this.miniProgress.removeClass("d-none"),this.miniProgressBar.css("width",e+"%");var s=this.miniProgress.find(".geodir-converter-mini-info");if(n&&n.total>0){var r=(n.succeed||0)+(n.skipped||0)+(n.failed||0);s.length||(this.miniProgress.append('<div class="d-flex justify-content-between mt-1 geodir-converter-mini-info" style="font-size: 11px;"><span class="text-muted geodir-converter-mini-count"></span><span class="text-muted geodir-converter-mini-percent"></span></div>'),s=this.miniProgress.find(".geodir-converter-mini-info"));var o=e+"%";i&&i.paused?o=t.i18n.etaPaused+" · "+o:i&&null!==i.eta&&(o=t.i18n.etaShort.replace("%s",this.progressBar.formatTime(i.eta))+" · "+o),s.find(".geodir-converter-mini-count").text(r+" / "+n.total),s.find(".geodir-converter-mini-percent").text(o)}}},t.CSVImporter={init:function(){const t=this;e(".geodir-converter-csv-form").length&&("function"==typeof aui_init_select2&&aui_init_select2(),e(document).on("click",".geodir-converter-csv-back",(function(e){e.preventDefault(),t.goBack()})),e(document).on("click",".geodir-converter-refresh-fields",(function(e){e.preventDefault(),t.refreshFields()})),e(document).on("change",'.geodir-converter-csv-form select[name="gd_post_type"]',(function(){t.refreshFields()})),e(document).on("click",".geodir-converter-save-template",(function(e){e.preventDefault(),t.saveTemplate()})),e(document).on("click",".geodir-converter-load-template",(function(e){e.preventDefault(),t.loadTemplate()})),e(document).on("click",".geodir-converter-delete-template",(function(e){e.preventDefault(),t.deleteTemplate()})))},refreshFields:function(){const n=e(".geodir-converter-csv-form").find('select[name="gd_post_type"]').val(),i=e("#geodir-converter-csv-mapping-wrapper"),s=e(".geodir-converter-refresh-fields");n&&(s.prop("disabled",!0).find("i").addClass("fa-spin"),t.ajax(t.actions.csv_refresh_fields,(function(e,n){s.prop("disabled",!1).find("i").removeClass("fa-spin"),e?(i.html(n.html),"function"==typeof aui_init_select2&&aui_init_select2()):i.html('<div class="alert alert-danger">'+(n.message||t.i18n.failedRefreshFields)+"</div>")}),{gd_post_type:n},{method:"POST"}))},goBack:function(){const n=e(".geodir-converter-csv-form"),i=n.closest(".geodir-converter-importer"),s=i.length?i.data("converter"):null,r=e(".geodir-converter-csv-back"),o=r.html(),a=r.prop("disabled");r.prop("disabled",!0),r.html('<span class="spinner-border spinner-border-sm me-1" role="status" aria-hidden="true"></span>'+t.i18n.loading),t.ajax(t.actions.csv_clear_file,(function(i,l){if(r.prop("disabled",a),r.html(o),!i)return void t.notifyError(l,t.i18n.failedClearFile);const c=e(l.html);if(n.html(c.html()),s){const i=n.find(".geodir-converter-connect-wrapper");if(i.length){const n=e.extend({},t.DropZone);s.dropZone=n.init(i,{converter:s})}}"function"==typeof aui_init_select2&&aui_init_select2()}),{},{method:"POST"})},saveTemplate:function(){const n=this,i=e(".geodir-converter-csv-form"),s=e("#csv_template_name"),r=s.val().trim(),o=e(".geodir-converter-save-template");if(!r)return aui_toast("geodir_converter_error","error",t.i18n.templateNameRequired),void s.focus();const a={};this._getActiveMappingPane(i).find("select.geodir-converter-field-mapping").each((function(){const t=e(this),i=n._getMappingColumn(t),s=t.val();s&&(a[i]=s)})),0!==Object.keys(a).length?(o.prop("disabled",!0),t.ajax(t.actions.csv_save_template,(function(e,i){o.prop("disabled",!1),e?(s.val(""),aui_toast("geodir_converter_success","success",i.message||t.i18n.templateSaved),n.refreshTemplateList(i.template_id,i.template_name)):aui_toast("geodir_converter_error","error",i.message||t.i18n.templateSaveFailed)}),{template_name:r,csv_mapping:a},{method:"POST"})):aui_toast("geodir_converter_error","error",t.i18n.templateMappingRequired)},loadTemplate:function(){const n=this,i=this._getActiveMappingPane(e(".geodir-converter-csv-form")),s=e("#csv_template_select").val(),r=e(".geodir-converter-load-template");s?(r.prop("disabled",!0),t.ajax(t.actions.csv_load_template,(function(s,o){if(r.prop("disabled",!1),s){const s=e(".geodir-converter-csv-form"),r=o.mapping||{};Object.keys(r).forEach((function(t){const s=r[t],o=i.find("select.geodir-converter-field-mapping").filter((function(){return n._getMappingColumn(e(this))===t}));o.length&&(o.val(s),o.hasClass("select2-hidden-accessible")&&o.data("select2")?o.trigger("change.select2"):o.trigger("change"))})),setTimeout((function(){"function"==typeof aui_init_select2&&aui_init_select2(),s.find(".geodir-converter-field-mapping").each((function(){const t=e(this);t.hasClass("select2-hidden-accessible")&&t.trigger("change.select2")}))}),150),aui_toast("geodir_converter_success","success",o.message||t.i18n.templateLoaded)}else aui_toast("geodir_converter_error","error",o.message||t.i18n.templateLoadFailed)}),{template_id:s,group:i.data("group")||0},{method:"POST"})):aui_toast("geodir_converter_error","error",t.i18n.templateSelectRequired)},_getActiveMappingPane:function(e){const t=e.find(".geodir-converter-mapping-pane.active");return t.length?t.first():e},_getMappingColumn:function(e){const t=(e.attr("name")||"").match(/\[(.*)\]$/);return t?t[1]:""},deleteTemplate:function(){const n=this,i=e("#csv_template_select"),s=i.val(),r=e(".geodir-converter-delete-template");s?confirm(t.i18n.templateDeleteConfirm)&&(r.prop("disabled",!0),t.ajax(t.actions.csv_delete_template,(function(e,o){if(r.prop("disabled",!1),e){i.find('option[value="'+s+'"]').data("name");i.val("").find('option[value="'+s+'"]').remove(),i.find("option").length<=1&&n.hideTemplateLoadSection(),aui_toast("geodir_converter_success","success",o.message||t.i18n.templateDeleted)}else aui_toast("geodir_converter_error","error",o.message||t.i18n.templateDeleteFailed)}),{template_id:s},{method:"POST"})):aui_toast("geodir_converter_error","error",t.i18n.templateSelectRequired)},refreshTemplateList:function(n,i){let s=e("#csv_template_select");const r=e(".geodir-converter-templates-section").find(".row");let o=e(".geodir-converter-template-load-section");if(o.length){if(o.hasClass("d-none")){o.removeClass("d-none");const t=e(".geodir-converter-template-save-section");t.length&&t.removeClass("col-12").addClass("col-md-6")}}else{const n=e(".geodir-converter-template-save-section"),i=e("<div>",{class:"col-md-6 geodir-converter-template-load-section",html:'<label class="form-label mb-2">'+t.i18n.loadTemplate+'</label><div class="input-group"><select class="form-select form-select-sm" id="csv_template_select"><option value="">'+t.i18n.chooseTemplate+'</option></select><button type="button" class="btn btn-sm btn-primary geodir-converter-load-template" title="'+t.i18n.loadSelectedTemplate+'"><i class="fas fa-arrow-down"></i></button><button type="button" class="btn btn-sm btn-outline-danger geodir-converter-delete-template" title="'+t.i18n.deleteSelectedTemplate+'"><i class="fas fa-trash-alt"></i></button></div>'});n.length?(n.before(i),n.removeClass("col-12").addClass("col-md-6")):r.prepend(i),s=e("#csv_template_select"),o=e(".geodir-converter-template-load-section")}if(n&&i){const t=e("<option>",{value:n,text:i,"data-name":i});s.append(t),s.val(n),s.hasClass("select2-hidden-accessible")&&s.trigger("change.select2")}"function"==typeof aui_init_select2&&aui_init_select2()},hideTemplateLoadSection:function(){const t=e(".geodir-converter-template-load-section");if(t.length){t.addClass("d-none");const n=e(".geodir-converter-template-save-section");n.length&&n.removeClass("col-md-6").addClass("col-12")}}},e((function(){t.Notifier.init(e(".geodir-converter-notify-toggle")),t.pipeline=e.extend({},t.Pipeline).init(e(".geodir-converter-pipeline"));e(".geodir-converter-importer").each((function(){e.extend({},t.Converter).init(e(this),{inProgress:Boolean(e(this).data("progress"))})})),t.CSVImporter.init()})),e.fn.serializeObject=function(){let t={},n=this.serializeArray();return e.each(n,(function(){let e=this.name.replace(/\[\]$/,""),n=this.value||"";if(e.indexOf("[")>-1){let i=e.split("["),s=i[0],r=i[1].replace(/\]$/,"");t[s]=t[s]||{},t[s][r]=n}else t[e]=n})),t}}(jQuery,GeoDir_Converter);
\ No newline at end of file
@@ -9,12 +9,14 @@
 
 namespace GeoDir_Converter\Abstracts;
 
+use DateTime;
 use WP_Error;
 use Geodir_Media;
 use GeoDir_Admin_Taxonomies;
 use GeoDir_Converter\GeoDir_Converter_Utils;
 use GeoDir_Converter\GeoDir_Converter_Options_Handler;
 use GeoDir_Converter\Importers\GeoDir_Converter_Background_Process;
+use GeoDir_Converter\Importers\GeoDir_Converter_Rollback_Process;
 use GeoDir_Converter\Traits\GeoDir_Converter_Trait_Singleton;
 
 defined( 'ABSPATH' ) || exit;
@@ -74,6 +76,22 @@ abstract class GeoDir_Converter_Importer {
 	 */
 	const MAX_LOG_ENTRIES = 1000;
 
+	/**
+	 * Number of log entries rendered with the page. Older ones load on demand.
+	 *
+	 * @since 2.3.0
+	 * @var int
+	 */
+	const LOG_WINDOW_SIZE = 300;
+
+	/**
+	 * Number of finished runs kept in the history, each with its log.
+	 *
+	 * @since 2.3.0
+	 * @var int
+	 */
+	const MAX_HISTORY_ENTRIES = 20;
+
 	/**
 	 * Action identifier for importing categories.
 	 *
@@ -215,6 +233,48 @@ abstract class GeoDir_Converter_Importer {
 	 */
 	private $stats_buffer = array();
 
+	/**
+	 * Buffered stats increments per item type, flushed with the totals.
+	 *
+	 * @since 2.3.0
+	 * @var array
+	 */
+	private $breakdown_buffer = array();
+
+	/**
+	 * Objects created by the running task and not yet written, by type.
+	 *
+	 * @since 2.3.0
+	 * @var array
+	 */
+	private $created_buffer = array();
+
+	/**
+	 * ID of the last listing saved since the previous import result.
+	 *
+	 * @since 2.3.0
+	 * @var int
+	 */
+	private $saved_post_id = 0;
+
+	/**
+	 * Whether a preview is being built.
+	 *
+	 * @since 2.3.0
+	 * @var bool
+	 */
+	private $preview_mode = false;
+
+	/**
+	 * Action of the task currently being processed.
+	 *
+	 * Stats increments are attributed to its item type.
+	 *
+	 * @since 2.3.0
+	 * @var string
+	 */
+	private $current_action = '';
+
 	/**
 	 * Buffered log entries to be flushed in a single write.
 	 *
@@ -281,6 +341,14 @@ abstract class GeoDir_Converter_Importer {
 	 */
 	public $background_process;
 
+	/**
+	 * Rollback process instance.
+	 *
+	 * @since 2.3.0
+	 * @var GeoDir_Converter_Rollback_Process
+	 */
+	public $rollback_process;
+
 	/**
 	 * Options handler instance.
 	 *
@@ -298,8 +366,11 @@ abstract class GeoDir_Converter_Importer {
 	public function __construct() {
 		$this->options_handler    = new GeoDir_Converter_Options_Handler( "geodir_converter_{$this->importer_id}" );
 		$this->background_process = new GeoDir_Converter_Background_Process( $this );
+		$this->rollback_process   = new GeoDir_Converter_Rollback_Process( $this );
 
 		add_filter( 'geodir_converter_importers', array( $this, 'register' ) );
+		add_action( "geodir_converter_{$this->importer_id}_scheduled_start", array( $this, 'run_scheduled_import' ) );
+		add_action( "geodir_converter_{$this->importer_id}_window_check", array( $this, 'enforce_run_window' ) );
 
 		$this->init();
 	}
@@ -437,16 +508,55 @@ abstract class GeoDir_Converter_Importer {
 	 *
 	 * @since 2.0.2
 	 *
+	 * Only the newest LOG_WINDOW_SIZE entries are rendered; the log viewer
+	 * loads older ones from the server as the user scrolls up.
+	 *
 	 * @param array $logs An array containing log entries.
 	 * @return void
 	 */
 	public function display_logs( array $logs = array() ) {
-		echo '<ul class="geodir-converter-logs ps-0 pe-0">';
-		foreach ( $logs as $log ) {
+		$first_index = (int) $this->options_handler->get_option_no_cache( 'log_offset', 0 );
+		$end_index   = $first_index + count( $logs );
+		$window      = array_slice( array_values( $logs ), -self::LOG_WINDOW_SIZE );
+		$counts      = array_count_values( wp_list_pluck( $this->logs_to_entries( $logs ), 'level' ) );
+
+		$levels = array(
+			'info'    => __( 'Info', 'geodir-converter' ),
+			'success' => __( 'Success', 'geodir-converter' ),
+			'warning' => __( 'Warning', 'geodir-converter' ),
+			'error'   => __( 'Error', 'geodir-converter' ),
+		);
+		?>
+		<div class="geodir-converter-logs-toolbar flex-wrap align-items-center gap-2 mb-2<?php echo empty( $logs ) ? ' d-none' : ' d-flex'; ?>">
+			<div class="btn-group btn-group-sm" role="group" aria-label="<?php esc_attr_e( 'Log levels', 'geodir-converter' ); ?>">
+				<?php foreach ( $levels as $level => $label ) : ?>
+					<button type="button" class="btn btn-outline-secondary active geodir-converter-logs-level" data-level="<?php echo esc_attr( $level ); ?>" aria-pressed="true">
+						<?php echo esc_html( $label ); ?>
+						<span class="badge bg-light text-dark ms-1 geodir-converter-logs-count" data-level="<?php echo esc_attr( $level ); ?>"><?php echo isset( $counts[ $level ] ) ? (int) $counts[ $level ] : 0; ?></span>
+					</button>
+				<?php endforeach; ?>
+			</div>
+			<button type="button" class="btn btn-sm btn-outline-secondary active geodir-converter-logs-follow" aria-pressed="true" title="<?php esc_attr_e( 'Keep the newest entry in view. Press End in the log to jump to it, Home to go to the top.', 'geodir-converter' ); ?>">
+				<i class="fas fa-arrow-down-long me-1" aria-hidden="true"></i><?php esc_html_e( 'Follow', 'geodir-converter' ); ?>
+			</button>
+			<input type="search" class="form-control form-control-sm geodir-converter-logs-search" placeholder="<?php esc_attr_e( 'Search logs or IDs...', 'geodir-converter' ); ?>" aria-label="<?php esc_attr_e( 'Search logs', 'geodir-converter' ); ?>">
+			<div class="btn-group btn-group-sm ms-auto" role="group" aria-label="<?php esc_attr_e( 'Export log', 'geodir-converter' ); ?>">
+				<span class="btn btn-sm disabled border-0 pe-1"><i class="fas fa-download me-1" aria-hidden="true"></i><?php esc_html_e( 'Export', 'geodir-converter' ); ?></span>
+				<button type="button" class="btn btn-outline-secondary geodir-converter-logs-export" data-format="txt"><?php esc_html_e( 'Text', 'geodir-converter' ); ?></button>
+				<button type="button" class="btn btn-outline-secondary geodir-converter-logs-export" data-format="json"><?php esc_html_e( 'JSON', 'geodir-converter' ); ?></button>
+				<button type="button" class="btn btn-outline-secondary geodir-converter-logs-export" data-format="csv"><?php esc_html_e( 'CSV', 'geodir-converter' ); ?></button>
+			</div>
+		</div>
+		<?php
+		echo '<ul class="geodir-converter-logs ps-0 pe-0" role="log" tabindex="0" aria-live="polite" aria-label="' . esc_attr__( 'Import log', 'geodir-converter' ) . '" data-first-index="' . esc_attr( $end_index - count( $window ) ) . '" data-end-index="' . esc_attr( $end_index ) . '">';
+		foreach ( $window as $i => $log ) {
+			$log['index'] = $end_index - count( $window ) + $i;
+
 			// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
 			echo $this->log_to_html( $log );
 		}
 		echo '</ul>';
+		echo '<button type="button" class="btn btn-sm btn-primary rounded-pill d-none geodir-converter-logs-new"></button>';
 	}
 
 	/**
@@ -458,6 +568,13 @@ abstract class GeoDir_Converter_Importer {
 	 */
 	public function display_progress() {
 		?>
+		<div class="alert alert-warning geodir-converter-connection d-none align-items-center justify-content-between gap-2 mt-3 mb-0" role="status" aria-live="polite">
+			<div class="d-flex align-items-center">
+				<i class="fas fa-plug-circle-exclamation me-2" aria-hidden="true"></i>
+				<span class="geodir-converter-connection-message"></span>
+			</div>
+			<button type="button" class="btn btn-sm btn-outline-dark geodir-converter-connection-retry"><?php esc_html_e( 'Retry now', 'geodir-converter' ); ?></button>
+		</div>
 		<div class="geodir-converter-progress mt-3 mb-3 d-none">
 			<div class="progress">
 				<div class="progress-bar progress-bar-striped progress-bar-animated" role="progressbar" style="width: 0%;" aria-valuenow="0" aria-valuemin="0" aria-valuemax="100">0%</div>
@@ -481,6 +598,26 @@ abstract class GeoDir_Converter_Importer {
 					<span class="geodir-converter-elapsed-value">00:00:00</span>
 				</span>
 			</div>
+			<div class="geodir-converter-throughput gap-3 mt-1 d-none" aria-live="off">
+				<span>
+					<strong class="geodir-converter-throughput-rate">-</strong> <?php esc_html_e( 'per minute', 'geodir-converter' ); ?>
+				</span>
+				<span>
+					<strong class="geodir-converter-throughput-remaining">0</strong> <?php esc_html_e( 'remaining', 'geodir-converter' ); ?>
+				</span>
+				<span class="geodir-converter-throughput-eta ms-auto"></span>
+			</div>
+			<div class="geodir-converter-chart mt-2 d-none">
+				<div class="d-flex justify-content-between align-items-center mb-1">
+					<div class="geodir-converter-chart-legend d-flex gap-3">
+						<span><i class="geodir-converter-chart-swatch geodir-converter-chart-swatch-succeed" aria-hidden="true"></i><?php esc_html_e( 'imported', 'geodir-converter' ); ?></span>
+						<span><i class="geodir-converter-chart-swatch geodir-converter-chart-swatch-skipped" aria-hidden="true"></i><?php esc_html_e( 'skipped', 'geodir-converter' ); ?></span>
+						<span><i class="geodir-converter-chart-swatch geodir-converter-chart-swatch-failed" aria-hidden="true"></i><?php esc_html_e( 'failed', 'geodir-converter' ); ?></span>
+					</div>
+					<button type="button" class="btn btn-link btn-sm p-0 geodir-converter-chart-export"><?php esc_html_e( 'Export chart & logs', 'geodir-converter' ); ?></button>
+				</div>
+				<canvas class="geodir-converter-chart-canvas" height="80" role="img" aria-label="<?php esc_attr_e( 'Items imported, skipped and failed per 15 second interval', 'geodir-converter' ); ?>"></canvas>
+			</div>
 		</div>
 		<?php
 	}
@@ -593,6 +730,111 @@ abstract class GeoDir_Converter_Importer {
 		);
 	}
 
+	/**
+	 * Display the fields that schedule the import for later.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function display_schedule_fields() {
+		$schedule = $this->get_schedule();
+		$window   = $schedule && ! empty( $schedule['window'] ) ? $schedule['window'] : array(
+			'start' => '',
+			'end'   => '',
+		);
+
+		aui()->input(
+			array(
+				'id'          => $this->importer_id . '_schedule_enabled',
+				'type'        => 'checkbox',
+				'name'        => 'schedule_enabled',
+				'label_type'  => 'top',
+				'label_class' => 'font-weight-bold fw-bold',
+				'label'       => esc_html__( 'Schedule Import', 'geodir-converter' ),
+				'checked'     => (bool) $schedule,
+				'value'       => 'yes',
+				'switch'      => 'md',
+				'help_text'   => esc_html__( 'Start the import later, e.g. during a low-traffic window. It runs on WP-Cron, so the site needs visitors or a server cron job around that time.', 'geodir-converter' ),
+			),
+			true
+		);
+		?>
+		<div class="geodir-converter-schedule-fields row <?php echo $schedule ? '' : 'd-none'; ?>">
+			<div class="col-md-6">
+				<?php
+				aui()->input(
+					array(
+						'id'          => $this->importer_id . '_schedule_start',
+						'type'        => 'datetime-local',
+						'name'        => 'schedule_start',
+						'label_type'  => 'top',
+						'label_class' => 'font-weight-bold fw-bold',
+						'label'       => esc_html__( 'Start At', 'geodir-converter' ),
+						'value'       => $schedule ? wp_date( 'Y-m-d\TH:i', (int) $schedule['startTime'] ) : '',
+						/* translators: %s: site timezone */
+						'help_text'   => esc_html( sprintf( __( 'Site time (%s).', 'geodir-converter' ), wp_timezone_string() ) ),
+					),
+					true
+				);
+				?>
+			</div>
+			<div class="col-md-3">
+				<?php
+				aui()->input(
+					array(
+						'id'          => $this->importer_id . '_schedule_window_start',
+						'type'        => 'time',
+						'name'        => 'schedule_window_start',
+						'label_type'  => 'top',
+						'label_class' => 'font-weight-bold fw-bold',
+						'label'       => esc_html__( 'Only Run Between', 'geodir-converter' ),
+						'value'       => $window['start'],
+						'help_text'   => esc_html__( 'Optional. Pauses outside the window and resumes when it opens.', 'geodir-converter' ),
+					),
+					true
+				);
+				?>
+			</div>
+			<div class="col-md-3">
+				<?php
+				aui()->input(
+					array(
+						'id'          => $this->importer_id . '_schedule_window_end',
+						'type'        => 'time',
+						'name'        => 'schedule_window_end',
+						'label_type'  => 'top',
+						'label_class' => 'font-weight-bold fw-bold',
+						'label'       => esc_html__( 'And', 'geodir-converter' ),
+						'value'       => $window['end'],
+					),
+					true
+				);
+				?>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Display the scheduled state on the importer card.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function display_schedule_status() {
+		$summary = $this->get_schedule_summary();
+		?>
+		<div class="geodir-converter-schedule small mt-2 flex-wrap align-items-center gap-2 <?php echo $summary ? 'd-flex' : 'd-none'; ?>" data-pending="<?php echo $summary && $summary['pending'] ? '1' : '0'; ?>" data-start-time="<?php echo esc_attr( $summary ? $summary['startTime'] : '' ); ?>">
+			<i class="fas fa-clock text-primary" aria-hidden="true"></i>
+			<span class="geodir-converter-schedule-label"><?php echo esc_html( $summary ? $summary['label'] : '' ); ?></span>
+			<button type="button" class="btn btn-link btn-sm p-0 geodir-converter-schedule-edit <?php echo $summary && $summary['pending'] ? '' : 'd-none'; ?>"><?php esc_html_e( 'Edit', 'geodir-converter' ); ?></button>
+			<button type="button" class="btn btn-link btn-sm p-0 text-danger geodir-converter-schedule-cancel <?php echo $summary && $summary['pending'] ? '' : 'd-none'; ?>"><?php esc_html_e( 'Cancel', 'geodir-converter' ); ?></button>
+		</div>
+		<?php
+	}
+
 	/**
 	 * Displays an error alert.
 	 *
@@ -635,7 +877,21 @@ abstract class GeoDir_Converter_Importer {
 	 * @return bool True if in test mode, false otherwise.
 	 */
 	protected function is_test_mode() {
-		return $this->get_import_setting( 'test_mode', 'no' ) === 'yes';
+		return $this->preview_mode || $this->get_import_setting( 'test_mode', 'no' ) === 'yes';
+	}
+
+	/**
+	 * Check if a preview is being built.
+	 *
+	 * A preview runs in test mode, so nothing is written. Importers can
+	 * check this to skip side effects that test mode still allows.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return bool True while building a preview.
+	 */
+	protected function is_preview() {
+		return $this->preview_mode;
 	}
 
 	/**
@@ -883,6 +1139,16 @@ abstract class GeoDir_Converter_Importer {
 		if ( class_exists( 'GeoDir_Pricing_Post' ) ) {
 			remove_filter( 'wp_insert_post_data', array( 'GeoDir_Pricing_Post', 'wp_insert_post_data' ), 9 );
 		}
+
+		// Record what the run creates so it can be rolled back.
+		if ( ! $this->is_test_mode() ) {
+			add_action( 'wp_insert_post', array( $this, 'track_created_post' ), 10, 3 );
+			add_action( 'created_term', array( $this, 'track_created_term' ), 10, 3 );
+			add_action( 'user_register', array( $this, 'track_created_user' ) );
+			add_action( 'wp_insert_comment', array( $this, 'track_created_comment' ) );
+		}
+
+		add_action( 'wp_insert_post', array( $this, 'track_saved_listing' ), 10, 2 );
 	}
 
 	/**
@@ -951,6 +1217,85 @@ abstract class GeoDir_Converter_Importer {
 		if ( class_exists( 'GeoDir_Pricing_Post' ) ) {
 			add_filter( 'wp_insert_post_data', array( 'GeoDir_Pricing_Post', 'wp_insert_post_data' ), 9, 2 );
 		}
+
+		remove_action( 'wp_insert_post', array( $this, 'track_created_post' ), 10 );
+		remove_action( 'created_term', array( $this, 'track_created_term' ), 10 );
+		remove_action( 'user_register', array( $this, 'track_created_user' ) );
+		remove_action( 'wp_insert_comment', array( $this, 'track_created_comment' ) );
+		remove_action( 'wp_insert_post', array( $this, 'track_saved_listing' ), 10 );
+	}
+
+	/**
+	 * Record a post or attachment created by the run.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param int     $post_id Post ID.
+	 * @param WP_Post $post    Post object.
+	 * @param bool    $update  Whether an existing post was updated.
+	 * @return void
+	 */
+	public function track_created_post( $post_id, $post, $update ) {
+		if ( $update || wp_is_post_revision( $post_id ) ) {
+			return;
+		}
+
+		$this->created_buffer[ 'attachment' === $post->post_type ? 'attachments' : 'posts' ][] = (int) $post_id;
+	}
+
+	/**
+	 * Remember the last listing saved, so its import result can link to it.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param int     $post_id Post ID.
+	 * @param WP_Post $post    Post object.
+	 * @return void
+	 */
+	public function track_saved_listing( $post_id, $post ) {
+		if ( wp_is_post_revision( $post_id ) || ! in_array( $post->post_type, geodir_get_posttypes(), true ) ) {
+			return;
+		}
+
+		$this->saved_post_id = (int) $post_id;
+	}
+
+	/**
+	 * Record a term created by the run.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param int    $term_id  Term ID.
+	 * @param int    $tt_id    Term taxonomy ID.
+	 * @param string $taxonomy Taxonomy slug.
+	 * @return void
+	 */
+	public function track_created_term( $term_id, $tt_id, $taxonomy ) {
+		$this->created_buffer['terms'][ $taxonomy ][] = (int) $term_id;
+	}
+
+	/**
+	 * Record a user created by the run.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param int $user_id User ID.
+	 * @return void
+	 */
+	public function track_created_user( $user_id ) {
+		$this->created_buffer['users'][] = (int) $user_id;
+	}
+
+	/**
+	 * Record a comment created by the run.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param int $comment_id Comment ID.
+	 * @return void
+	 */
+	public function track_created_comment( $comment_id ) {
+		$this->created_buffer['comments'][] = (int) $comment_id;
 	}
 
 	/**
@@ -1016,27 +1361,40 @@ abstract class GeoDir_Converter_Importer {
 	 * @param string $label     Display label for the item (e.g. 'My Listing (#123)').
 	 * @param int    $source_id Source post ID for failed item tracking.
 	 * @param string $action    Action identifier for failed item tracking.
+	 * @param int    $post_id   ID of the post the item was imported to. Defaults to the listing
+	 *                          saved while processing the item. Since 2.3.0.
 	 */
-	public function process_import_result( $status, $item_type, $label, $source_id = 0, $action = self::ACTION_IMPORT_LISTINGS ) {
+	public function process_import_result( $status, $item_type, $label, $source_id = 0, $action = self::ACTION_IMPORT_LISTINGS, $post_id = 0 ) {
+		if ( ! $post_id ) {
+			$post_id = $this->saved_post_id;
+		}
+
+		$this->saved_post_id = 0;
+
+		$context = array(
+			'source_id' => $source_id,
+			'post_id'   => $post_id,
+		);
+
 		switch ( $status ) {
 			case self::IMPORT_STATUS_SUCCESS:
 			case self::IMPORT_STATUS_UPDATED:
 				if ( self::IMPORT_STATUS_SUCCESS === $status ) {
-					$this->log( sprintf( self::LOG_TEMPLATE_SUCCESS, $item_type, $label ), 'success' );
+					$this->log( sprintf( self::LOG_TEMPLATE_SUCCESS, $item_type, $label ), 'success', $context );
 				} else {
-					$this->log( sprintf( self::LOG_TEMPLATE_UPDATED, $item_type, $label ), 'warning' );
+					$this->log( sprintf( self::LOG_TEMPLATE_UPDATED, $item_type, $label ), 'warning', $context );
 				}
 				$this->increase_succeed_imports( 1 );
 				break;
 
 			case self::IMPORT_STATUS_SKIPPED:
-				$this->log( sprintf( self::LOG_TEMPLATE_SKIPPED, $item_type, $label ), 'warning' );
+				$this->log( sprintf( self::LOG_TEMPLATE_SKIPPED, $item_type, $label ), 'warning', $context );
 				$this->increase_skipped_imports( 1 );
 				break;
 
 			case self::IMPORT_STATUS_FAILED:
 			default:
-				$this->log( sprintf( self::LOG_TEMPLATE_FAILED, $item_type, $label ), 'warning' );
+				$this->log( sprintf( self::LOG_TEMPLATE_FAILED, $item_type, $label ), 'error', $context );
 				$this->increase_failed_imports( 1 );
 				$this->record_failed_item( $source_id, $action, $item_type, $label, sprintf( self::LOG_TEMPLATE_FAILED, $item_type, $label ) );
 				break;
@@ -1310,6 +1668,10 @@ abstract class GeoDir_Converter_Importer {
 	 * @return WP_Error|void WP_Error on validation failure, void on success.
 	 */
 	public function import( $settings, $files = array() ) {
+		if ( $this->rollback_process->is_in_progress() ) {
+			return new WP_Error( 'rollback_in_progress', __( 'A rollback is in progress. Wait for it to finish before starting an import.', 'geodir-converter' ) );
+		}
+
 		// Parse CSV files.
 		$rows         = array();
 		$import_files = array();
@@ -1340,12 +1702,15 @@ abstract class GeoDir_Converter_Importer {
 		}
 
 		// Validate and sanitize settings.
-		$settings = $this->validate_settings( $settings, $import_files );
+		$settings = $this->validate_settings( $this->strip_schedule_settings( $settings ), $import_files );
 
 		if ( is_wp_error( $settings ) ) {
 			return $settings;
 		}
 
+		// Starting now replaces any scheduled start.
+		$this->cancel_schedule();
+
 		// reset all importer options.
 		$this->clear_import_options();
 
@@ -1353,6 +1718,9 @@ abstract class GeoDir_Converter_Importer {
 		$this->options_handler->update_option( 'import_settings', $settings );
 		// set import start time.
 		$this->options_handler->update_option( 'import_start_time', time() );
+		// identify the run for the history.
+		$this->options_handler->update_option( 'run_id', wp_generate_uuid4() );
+		$this->options_handler->update_option( 'import_user_id', get_current_user_id() );
 
 		if ( $this->is_test_mode() ) {
 			$this->log( esc_html__( 'Test mode is enabled. No data will be imported.', 'geodir-converter' ), 'error' );
@@ -1369,159 +1737,1305 @@ abstract class GeoDir_Converter_Importer {
 	}
 
 	/**
-	 * Increases the total count of imports by the specified increment.
+	 * Schedule an import to start later through WP-Cron.
 	 *
-	 * @since 2.0.2
-	 *
-	 * @param int $increment The amount by which to increase the total imports count.
-	 * @return void
-	 */
-	public function increase_imports_total( $increment ) {
-		$this->increase_field( 'total', $increment );
-	}
-
-	/**
-	 * Increases the count of successful imports by the specified increment.
+	 * Settings are validated now so mistakes surface straight away, and
+	 * again when the import starts. Replaces any earlier schedule.
 	 *
-	 * @since 2.0.2
+	 * @since 2.3.0
 	 *
-	 * @param int $increment The amount by which to increase the successful imports count.
-	 * @return void
+	 * @param array $settings The import settings, including the schedule fields.
+	 * @param array $files    Optional. Uploaded files. Scheduled imports can't use them. Default empty array.
+	 * @return array|WP_Error The schedule summary, see get_schedule_summary(), or WP_Error on failure.
 	 */
-	public function increase_succeed_imports( $increment ) {
-		$this->increase_field( 'succeed', $increment );
+	public function schedule_import( $settings, $files = array() ) {
+		if ( ! empty( $files ) ) {
+			return new WP_Error( 'schedule_files', __( 'Imports that upload files can\'t be scheduled. Start the import now instead.', 'geodir-converter' ) );
+		}
+
+		if ( $this->background_process->is_in_progress() || $this->background_process->is_paused() || $this->rollback_process->is_in_progress() ) {
+			return new WP_Error( 'schedule_busy', __( 'Wait for the current import or rollback to finish before scheduling another.', 'geodir-converter' ) );
+		}
+
+		$schedule = $this->parse_schedule_settings( (array) $settings );
+
+		if ( is_wp_error( $schedule ) ) {
+			return $schedule;
+		}
+
+		$settings  = $this->strip_schedule_settings( (array) $settings );
+		$validated = $this->validate_settings( $settings );
+
+		if ( is_wp_error( $validated ) ) {
+			return $validated;
+		}
+
+		$this->cancel_schedule();
+
+		// Show the scheduled settings in the form until the import starts.
+		$this->options_handler->update_option( 'import_settings', $validated );
+		$this->options_handler->update_option(
+			'schedule',
+			array(
+				'startTime' => $schedule['start'],
+				'window'    => $schedule['window'],
+				'settings'  => $settings,
+				'userId'    => get_current_user_id(),
+			)
+		);
+
+		wp_schedule_single_event( $schedule['start'], "geodir_converter_{$this->importer_id}_scheduled_start" );
+
+		return $this->get_schedule_summary();
 	}
 
 	/**
-	 * Increases the count of skipped imports by the specified increment.
+	 * Cancel a scheduled import.
 	 *
-	 * @since 2.0.2
+	 * @since 2.3.0
 	 *
-	 * @param int $increment The amount by which to increase the skipped imports count.
 	 * @return void
 	 */
-	public function increase_skipped_imports( $increment ) {
-		$this->increase_field( 'skipped', $increment );
+	public function cancel_schedule() {
+		wp_clear_scheduled_hook( "geodir_converter_{$this->importer_id}_scheduled_start" );
+		$this->options_handler->delete_option( 'schedule' );
 	}
 
 	/**
-	 * Increases the count of failed imports by the specified increment.
+	 * Get the scheduled import, if any.
 	 *
-	 * @since 2.0.2
+	 * @since 2.3.0
 	 *
-	 * @param int $increment The amount by which to increase the failed imports count.
-	 * @return void
+	 * @return array|null Array with startTime, window, settings and userId, or null.
 	 */
-	public function increase_failed_imports( $increment ) {
-		$this->increase_field( 'failed', $increment );
+	public function get_schedule() {
+		$schedule = $this->options_handler->get_option_no_cache( 'schedule', null );
+
+		return is_array( $schedule ) && ! empty( $schedule['startTime'] ) ? $schedule : null;
 	}
 
 	/**
-	 * Increases the value of a specific stats field by the specified increment.
+	 * Describe the scheduled import, or the window of the running one.
 	 *
-	 * Buffers the increment in memory. Call flush_stats() to write to the database.
+	 * @since 2.3.0
 	 *
-	 * @since 2.0.2
+	 * @return array|null {
+	 *     Summary, or null if nothing is scheduled and no window applies.
 	 *
-	 * @param string $field     The name of the stats field to increase.
-	 * @param int    $increment The amount by which to increase the field's value.
-	 * @return void
+	 *     @type bool   $pending   Whether the import has yet to start.
+	 *     @type string $startTime When it starts, as an ISO 8601 date. Empty once started.
+	 *     @type string $label     Human-readable description.
+	 * }
 	 */
-	protected function increase_field( $field, $increment ) {
-		if ( ! isset( $this->stats_buffer[ $field ] ) ) {
-			$this->stats_buffer[ $field ] = 0;
+	public function get_schedule_summary() {
+		$schedule = $this->get_schedule();
+		$window   = $schedule ? $schedule['window'] : $this->get_run_window();
+
+		if ( ! $schedule && ! $window ) {
+			return null;
 		}
-		$this->stats_buffer[ $field ] += (int) $increment;
+
+		$label = '';
+
+		if ( $schedule ) {
+			/* translators: %s: date and time */
+			$label = sprintf( __( 'Scheduled for %s', 'geodir-converter' ), wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), (int) $schedule['startTime'] ) );
+		}
+
+		if ( $window ) {
+			/* translators: 1: window start time, 2: window end time */
+			$window_label = sprintf( __( 'Runs only between %1$s and %2$s', 'geodir-converter' ), $window['start'], $window['end'] );
+			$label        = $label ? $label . ' · ' . $window_label : $window_label;
+		}
+
+		return array(
+			'pending'   => (bool) $schedule,
+			'startTime' => $schedule ? gmdate( 'c', (int) $schedule['startTime'] ) : '',
+			'label'     => $label,
+		);
 	}
 
 	/**
-	 * Flush buffered stats increments to the database in a single write.
+	 * Start the scheduled import. Runs on WP-Cron.
 	 *
-	 * @since 2.2.0
+	 * @since 2.3.0
 	 *
 	 * @return void
 	 */
-	public function flush_stats() {
-		if ( empty( $this->stats_buffer ) ) {
+	public function run_scheduled_import() {
+		$schedule = $this->get_schedule();
+
+		if ( ! $schedule ) {
 			return;
 		}
 
-		$stats       = (array) $this->options_handler->get_option_no_cache( 'stats', array() );
-		$empty_stats = self::empty_stats();
-		$stats       = wp_parse_args( $stats, $empty_stats );
+		$this->options_handler->delete_option( 'schedule' );
 
-		foreach ( $this->stats_buffer as $field => $increment ) {
-			$stats[ $field ] = (int) $stats[ $field ] + $increment;
+		// Settings fall back to the current user, e.g. for the listing author.
+		if ( ! empty( $schedule['userId'] ) ) {
+			wp_set_current_user( (int) $schedule['userId'] );
 		}
 
-		$this->options_handler->update_option( 'stats', (array) $stats );
-		$this->stats_buffer = array();
+		$result = $this->import( (array) $schedule['settings'] );
+
+		if ( is_wp_error( $result ) ) {
+			/* translators: %s: error message */
+			$this->log( sprintf( __( 'The scheduled import could not start: %s', 'geodir-converter' ), $result->get_error_message() ), 'error' );
+			$this->flush_logs();
+			return;
+		}
+
+		/* translators: %s: date and time */
+		$this->log( sprintf( __( 'Scheduled import started at %s.', 'geodir-converter' ), wp_date( get_option( 'time_format' ) ) ) );
+		$this->flush_logs();
+
+		if ( ! empty( $schedule['window'] ) ) {
+			$this->options_handler->update_option( 'run_window', $schedule['window'] );
+			$this->enforce_run_window();
+		}
 	}
 
 	/**
-	 * Retrieves the import statistics.
+	 * Get the daily window the running import is limited to.
 	 *
-	 * @since 2.0.2
-	 *
-	 * @return array {
-	 *     An array containing import statistics.
+	 * @since 2.3.0
 	 *
-	 *     @type int $total   Total items to import.
-	 *     @type int $succeed Successfully imported items.
-	 *     @type int $skipped Skipped items.
-	 *     @type int $failed  Failed items.
-	 * }
+	 * @return array|null Array with 'start' and 'end' (HH:MM, site time), or null.
 	 */
-	public function get_stats() {
-		$stats       = (array) $this->options_handler->get_option_no_cache( 'stats', array() );
-		$empty_stats = self::empty_stats();
+	public function get_run_window() {
+		$window = $this->options_handler->get_option_no_cache( 'run_window', null );
+
+		return is_array( $window ) && isset( $window['start'], $window['end'] ) ? $window : null;
+	}
+
+	/**
+	 * Stop limiting the run to a window.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function clear_run_window() {
+		wp_clear_scheduled_hook( "geodir_converter_{$this->importer_id}_window_check" );
+		$this->options_handler->delete_option( 'run_window' );
+		$this->options_handler->delete_option( 'window_paused' );
+	}
+
+	/**
+	 * Pause or resume the run to keep it inside its window.
+	 *
+	 * Runs on WP-Cron at each window boundary. A run the window paused is
+	 * resumed when the window opens; one the user paused is left alone.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function enforce_run_window() {
+		$window = $this->get_run_window();
+
+		wp_clear_scheduled_hook( "geodir_converter_{$this->importer_id}_window_check" );
+
+		if ( ! $window ) {
+			return;
+		}
+
+		$process = $this->background_process;
+
+		if ( ! $process->is_in_progress() && ! $process->is_paused() ) {
+			$this->clear_run_window();
+			return;
+		}
+
+		$now = time();
+
+		if ( $this->is_within_window( $window, $now ) ) {
+			if ( $process->is_paused() && $this->options_handler->get_option_no_cache( 'window_paused', false ) ) {
+				$process->resume();
+				$this->log( __( 'Import window opened. Resuming.', 'geodir-converter' ) );
+			}
+
+			$this->options_handler->delete_option( 'window_paused' );
+		} elseif ( ! $process->is_paused() ) {
+			$process->pause();
+			$this->options_handler->update_option( 'window_paused', true );
+
+			/* translators: %s: window start time */
+			$this->log( sprintf( __( 'Outside the import window. Pausing until %s.', 'geodir-converter' ), $window['start'] ), 'warning' );
+		}
+
+		$this->flush_logs();
+
+		wp_schedule_single_event( $this->get_next_window_change( $window, $now ), "geodir_converter_{$this->importer_id}_window_check" );
+	}
+
+	/**
+	 * Check whether a time falls inside a daily window.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $window Array with 'start' and 'end' (HH:MM, site time). The end may be past midnight.
+	 * @param int   $time   Unix timestamp.
+	 * @return bool True if inside the window.
+	 */
+	protected function is_within_window( array $window, $time ) {
+		$now = wp_date( 'H:i', $time );
+
+		if ( $window['start'] < $window['end'] ) {
+			return $now >= $window['start'] && $now < $window['end'];
+		}
+
+		return $now >= $window['start'] || $now < $window['end'];
+	}
+
+	/**
+	 * Get when a time next enters or leaves a daily window.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $window Array with 'start' and 'end' (HH:MM, site time).
+	 * @param int   $time   Unix timestamp.
+	 * @return int Unix timestamp of the next boundary.
+	 */
+	protected function get_next_window_change( array $window, $time ) {
+		$boundary = $this->is_within_window( $window, $time ) ? $window['end'] : $window['start'];
+		$date     = new DateTime( '@' . $time );
+
+		$date->setTimezone( wp_timezone() );
+		$date->setTime( (int) substr( $boundary, 0, 2 ), (int) substr( $boundary, 3, 2 ) );
+
+		if ( $date->getTimestamp() <= $time ) {
+			$date->modify( '+1 day' );
+		}
+
+		return $date->getTimestamp();
+	}
+
+	/**
+	 * Read and check the schedule fields of the settings form.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $settings Settings as sent by the form.
+	 * @return array|WP_Error Array with 'start' (Unix timestamp) and 'window' (array or null), or WP_Error.
+	 */
+	protected function parse_schedule_settings( array $settings ) {
+		$start_value = isset( $settings['schedule_start'] ) ? sanitize_text_field( $settings['schedule_start'] ) : '';
+		$start       = '' !== $start_value ? date_create_immutable_from_format( 'Y-m-d\TH:i', $start_value, wp_timezone() ) : false;
+
+		if ( ! $start ) {
+			return new WP_Error( 'schedule_start', __( 'Choose when the import should start.', 'geodir-converter' ) );
+		}
+
+		// Allow a minute of slack for a start time of "now".
+		if ( $start->getTimestamp() < time() - MINUTE_IN_SECONDS ) {
+			return new WP_Error( 'schedule_start', __( 'The start time has already passed. Choose a time in the future.', 'geodir-converter' ) );
+		}
+
+		$window_start = isset( $settings['schedule_window_start'] ) ? sanitize_text_field( $settings['schedule_window_start'] ) : '';
+		$window_end   = isset( $settings['schedule_window_end'] ) ? sanitize_text_field( $settings['schedule_window_end'] ) : '';
+		$window       = null;
+
+		if ( '' !== $window_start || '' !== $window_end ) {
+			if ( ! preg_match( '/^([01]\d|2[0-3]):[0-5]\d$/', $window_start ) || ! preg_match( '/^([01]\d|2[0-3]):[0-5]\d$/', $window_end ) ) {
+				return new WP_Error( 'schedule_window', __( 'Enter both times of the import window, as HH:MM.', 'geodir-converter' ) );
+			}
+
+			if ( $window_start === $window_end ) {
+				return new WP_Error( 'schedule_window', __( 'The import window must start and end at different times.', 'geodir-converter' ) );
+			}
+
+			$window = array(
+				'start' => $window_start,
+				'end'   => $window_end,
+			);
+		}
+
+		return array(
+			'start'  => max( time(), $start->getTimestamp() ),
+			'window' => $window,
+		);
+	}
+
+	/**
+	 * Remove the schedule fields from the settings.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $settings Settings as sent by the form.
+	 * @return array Settings without the schedule fields.
+	 */
+	protected function strip_schedule_settings( $settings ) {
+		return array_diff_key( (array) $settings, array_flip( array( 'schedule_enabled', 'schedule_start', 'schedule_window_start', 'schedule_window_end' ) ) );
+	}
+
+	/**
+	 * Check settings before they are added to the import pipeline.
+	 *
+	 * Settings are validated now so mistakes surface straight away, and
+	 * again when the step starts.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $settings The import settings, as sent by the form.
+	 * @return array|WP_Error Settings to store with the step, or WP_Error if they are invalid.
+	 */
+	public function prepare_pipeline_settings( array $settings ) {
+		$settings  = $this->strip_schedule_settings( $settings );
+		$validated = $this->validate_settings( $settings );
+
+		if ( is_wp_error( $validated ) ) {
+			return $validated;
+		}
+
+		return $settings;
+	}
+
+	/**
+	 * Get the mapping templates a pipeline step can apply over its settings.
+	 *
+	 * Importers with saved mappings override this and apply_mapping_template().
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return array Template names keyed by template ID.
+	 */
+	public function get_mapping_templates() {
+		return array();
+	}
+
+	/**
+	 * Apply a mapping template over import settings.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array  $settings    The import settings.
+	 * @param string $template_id Template ID.
+	 * @return array|WP_Error The settings with the template applied, or WP_Error on failure.
+	 */
+	public function apply_mapping_template( array $settings, $template_id ) {
+		return new WP_Error( 'template_not_found', __( 'Template not found.', 'geodir-converter' ) );
+	}
+
+	/**
+	 * Describe import settings in a few words, for the pipeline steps.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $settings The import settings.
+	 * @return array Short descriptions.
+	 */
+	public function describe_settings( array $settings ) {
+		$post_types  = geodir_get_posttypes( 'options' );
+		$description = array();
+
+		if ( ! empty( $settings['gd_post_type'] ) && isset( $post_types[ $settings['gd_post_type'] ] ) ) {
+			$description[] = $post_types[ $settings['gd_post_type'] ];
+		}
+
+		if ( ! empty( $settings['test_mode'] ) && 'no' !== $settings['test_mode'] ) {
+			$description[] = __( 'Test mode', 'geodir-converter' );
+		}
+
+		return $description;
+	}
+
+	/**
+	 * Increases the total count of imports by the specified increment.
+	 *
+	 * @since 2.0.2
+	 *
+	 * @param int $increment The amount by which to increase the total imports count.
+	 * @return void
+	 */
+	public function increase_imports_total( $increment ) {
+		$this->increase_field( 'total', $increment );
+	}
+
+	/**
+	 * Increases the count of successful imports by the specified increment.
+	 *
+	 * @since 2.0.2
+	 *
+	 * @param int $increment The amount by which to increase the successful imports count.
+	 * @return void
+	 */
+	public function increase_succeed_imports( $increment ) {
+		$this->increase_field( 'succeed', $increment );
+	}
+
+	/**
+	 * Increases the count of skipped imports by the specified increment.
+	 *
+	 * @since 2.0.2
+	 *
+	 * @param int $increment The amount by which to increase the skipped imports count.
+	 * @return void
+	 */
+	public function increase_skipped_imports( $increment ) {
+		$this->increase_field( 'skipped', $increment );
+	}
+
+	/**
+	 * Increases the count of failed imports by the specified increment.
+	 *
+	 * @since 2.0.2
+	 *
+	 * @param int $increment The amount by which to increase the failed imports count.
+	 * @return void
+	 */
+	public function increase_failed_imports( $increment ) {
+		$this->increase_field( 'failed', $increment );
+	}
+
+	/**
+	 * Increases the value of a specific stats field by the specified increment.
+	 *
+	 * Buffers the increment in memory. Call flush_stats() to write to the database.
+	 *
+	 * @since 2.0.2
+	 *
+	 * @param string $field     The name of the stats field to increase.
+	 * @param int    $increment The amount by which to increase the field's value.
+	 * @return void
+	 */
+	protected function increase_field( $field, $increment ) {
+		if ( ! isset( $this->stats_buffer[ $field ] ) ) {
+			$this->stats_buffer[ $field ] = 0;
+		}
+		$this->stats_buffer[ $field ] += (int) $increment;
+
+		if ( '' !== $this->current_action ) {
+			$type = $this->get_item_type_from_action( $this->current_action );
+
+			if ( ! isset( $this->breakdown_buffer[ $type ][ $field ] ) ) {
+				$this->breakdown_buffer[ $type ][ $field ] = 0;
+			}
+			$this->breakdown_buffer[ $type ][ $field ] += (int) $increment;
+		}
+	}
+
+	/**
+	 * Set the action of the task being processed.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $action Task action, or an empty string once the task is done.
+	 * @return void
+	 */
+	public function set_current_action( $action ) {
+		$this->current_action = (string) $action;
+	}
+
+	/**
+	 * Get the item type a task action works on.
+	 *
+	 * Parsing and importing the same items share a type, so
+	 * 'parse_listings' and 'import_listings' both map to 'listings'.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $action Task action.
+	 * @return string Item type.
+	 */
+	public function get_item_type_from_action( $action ) {
+		return preg_replace( '/^(import|parse)_/', '', (string) $action );
+	}
+
+	/**
+	 * Flush buffered stats increments to the database in a single write.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @return void
+	 */
+	public function flush_stats() {
+		if ( empty( $this->stats_buffer ) ) {
+			return;
+		}
+
+		$stats       = (array) $this->options_handler->get_option_no_cache( 'stats', array() );
+		$empty_stats = self::empty_stats();
+		$stats       = wp_parse_args( $stats, $empty_stats );
+
+		foreach ( $this->stats_buffer as $field => $increment ) {
+			$stats[ $field ] = (int) $stats[ $field ] + $increment;
+		}
+
+		$this->options_handler->update_option( 'stats', (array) $stats );
+		$this->stats_buffer = array();
+
+		if ( ! empty( $this->breakdown_buffer ) ) {
+			$breakdown = (array) $this->options_handler->get_option_no_cache( 'stats_breakdown', array() );
+
+			foreach ( $this->breakdown_buffer as $type => $increments ) {
+				$breakdown[ $type ] = wp_parse_args( isset( $breakdown[ $type ] ) ? (array) $breakdown[ $type ] : array(), $empty_stats );
+
+				foreach ( $increments as $field => $increment ) {
+					$breakdown[ $type ][ $field ] = (int) $breakdown[ $type ][ $field ] + $increment;
+				}
+			}
+
+			$this->options_handler->update_option( 'stats_breakdown', $breakdown );
+			$this->breakdown_buffer = array();
+		}
+	}
+
+	/**
+	 * Retrieves the import statistics per item type.
+	 *
+	 * Only increments made while a task was running are attributed, so the
+	 * breakdown may add up to less than the totals.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return array Stats keyed by item type (e.g. 'listings', 'categories'), in the order first seen.
+	 */
+	public function get_stats_breakdown() {
+		$breakdown = (array) $this->options_handler->get_option_no_cache( 'stats_breakdown', array() );
+
+		foreach ( $breakdown as $type => $stats ) {
+			$breakdown[ $type ] = array_map( 'intval', wp_parse_args( (array) $stats, $this->empty_stats() ) );
+		}
+
+		return $breakdown;
+	}
+
+	/**
+	 * Retrieves the import statistics.
+	 *
+	 * @since 2.0.2
+	 *
+	 * @return array {
+	 *     An array containing import statistics.
+	 *
+	 *     @type int $total   Total items to import.
+	 *     @type int $succeed Successfully imported items.
+	 *     @type int $skipped Skipped items.
+	 *     @type int $failed  Failed items.
+	 * }
+	 */
+	public function get_stats() {
+		$stats       = (array) $this->options_handler->get_option_no_cache( 'stats', array() );
+		$empty_stats = self::empty_stats();
 		$stats       = wp_parse_args( $stats, $empty_stats );
 
 		return array(
-			'total'   => (int) $stats['total'],
-			'succeed' => (int) $stats['succeed'],
-			'skipped' => (int) $stats['skipped'],
-			'failed'  => (int) $stats['failed'],
+			'total'   => (int) $stats['total'],
+			'succeed' => (int) $stats['succeed'],
+			'skipped' => (int) $stats['skipped'],
+			'failed'  => (int) $stats['failed'],
+		);
+	}
+
+	/**
+	 * Returns an array representing empty statistics, with all counts initialized to 0.
+	 *
+	 * @since 2.0.2
+	 *
+	 * @return array An array containing empty statistics.
+	 */
+	public function empty_stats() {
+		return array(
+			'total'   => 0,
+			'succeed' => 0,
+			'skipped' => 0,
+			'failed'  => 0,
+		);
+	}
+
+	/**
+	 * Get the import progress as a percentage.
+	 *
+	 * Always reflects the recorded stats. An import that stopped early reports
+	 * how far it actually got rather than claiming completion.
+	 *
+	 * @since 2.0.2
+	 *
+	 * @return float The import progress percentage (0-100).
+	 */
+	public function get_progress() {
+		$stats = $this->get_stats();
+
+		$total     = (int) $stats['total'];
+		$processed = (int) $stats['succeed'] + (int) $stats['skipped'] + (int) $stats['failed'];
+
+		if ( $total <= 0 ) {
+			return $this->background_process->is_in_progress() ? 0 : 100;
+		}
+
+		return (float) min( round( $processed / $total * 100 ), 100 );
+	}
+
+	/**
+	 * Check whether the importer can preview records before importing.
+	 *
+	 * Only the CSV importer builds its listing data apart from saving it, so
+	 * only it supports previews. Importers that support it override
+	 * get_preview_records(); the others point to test mode instead.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return bool True if a preview is available.
+	 */
+	public function supports_preview() {
+		return false;
+	}
+
+	/**
+	 * Build the first source records as they would be imported.
+	 *
+	 * Called in preview mode with the given settings in place of the saved
+	 * ones. Must not write anything.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param int $limit Maximum number of records.
+	 * @return array|WP_Error Records, each with 'source_id' and 'data' (the listing data, or a WP_Error).
+	 */
+	protected function get_preview_records( $limit ) {
+		return new WP_Error( 'preview_not_supported', __( 'Previews are only available for CSV imports. Run this import in test mode to check it without saving anything.', 'geodir-converter' ) );
+	}
+
+	/**
+	 * Preview the first source records without importing them.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $settings Import settings, as sent by the settings form.
+	 * @param int   $limit    Maximum number of records. Default 10.
+	 * @return array|WP_Error Preview rows, see format_preview_record().
+	 */
+	public function preview( array $settings, $limit = 10 ) {
+		if ( ! $this->supports_preview() ) {
+			return $this->get_preview_records( $limit );
+		}
+
+		$settings = $this->validate_settings( $settings );
+
+		if ( is_wp_error( $settings ) ) {
+			return $settings;
+		}
+
+		$this->preview_mode           = true;
+		$this->cached_import_settings = $settings;
+
+		try {
+			$records = $this->get_preview_records( max( 1, (int) $limit ) );
+		} finally {
+			$this->preview_mode           = false;
+			$this->cached_import_settings = null;
+
+			// Anything buffered while previewing belongs to no run.
+			$this->stats_buffer         = array();
+			$this->breakdown_buffer     = array();
+			$this->logs_buffer          = array();
+			$this->pending_failed_items = array();
+		}
+
+		if ( is_wp_error( $records ) ) {
+			return $records;
+		}
+
+		return array_map( array( $this, 'format_preview_record' ), $records );
+	}
+
+	/**
+	 * Reduce listing data to the GeoDirectory fields shown in a preview.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $record Record with 'source_id' and 'data'.
+	 * @return array {
+	 *     Preview row.
+	 *
+	 *     @type string $sourceId   ID of the record in the source.
+	 *     @type string $error      Why the record would fail, or empty.
+	 *     @type string $title      Listing title.
+	 *     @type array  $categories Category names.
+	 *     @type array  $tags       Tag names.
+	 *     @type string $address    Address parts joined with commas.
+	 *     @type string $latitude   Latitude.
+	 *     @type string $longitude  Longitude.
+	 *     @type array  $images     Image URLs.
+	 *     @type array  $fields     Other fields, keyed by field name.
+	 * }
+	 */
+	protected function format_preview_record( array $record ) {
+		$data = isset( $record['data'] ) ? $record['data'] : array();
+		$row  = array(
+			'sourceId'   => isset( $record['source_id'] ) ? (string) $record['source_id'] : '',
+			'error'      => '',
+			'title'      => '',
+			'categories' => array(),
+			'tags'       => array(),
+			'address'    => '',
+			'latitude'   => '',
+			'longitude'  => '',
+			'images'     => array(),
+			'fields'     => array(),
+		);
+
+		if ( is_wp_error( $data ) ) {
+			$row['error'] = $data->get_error_message();
+			return $row;
+		}
+
+		$data      = (array) $data;
+		$post_type = isset( $data['post_type'] ) ? $data['post_type'] : $this->get_import_post_type();
+		$tax_input = isset( $data['tax_input'] ) ? (array) $data['tax_input'] : array();
+
+		$row['title']      = isset( $data['post_title'] ) ? (string) $data['post_title'] : '';
+		$row['categories'] = $this->get_preview_terms( isset( $tax_input[ $post_type . 'category' ] ) ? $tax_input[ $post_type . 'category' ] : ( isset( $data['post_category'] ) ? $data['post_category'] : array() ), $post_type . 'category' );
+		$row['tags']       = $this->get_preview_terms( isset( $tax_input[ $post_type . '_tags' ] ) ? $tax_input[ $post_type . '_tags' ] : ( isset( $data['post_tags'] ) ? $data['post_tags'] : array() ), $post_type . '_tags' );
+		$row['address']    = implode( ', ', array_filter( array_map( 'strval', array_intersect_key( $data, array_flip( array( 'street', 'street2', 'city', 'region', 'country', 'zip' ) ) ) ) ) );
+		$row['latitude']   = isset( $data['latitude'] ) ? (string) $data['latitude'] : '';
+		$row['longitude']  = isset( $data['longitude'] ) ? (string) $data['longitude'] : '';
+
+		if ( ! empty( $data['featured_image'] ) ) {
+			$row['images'][] = (string) $data['featured_image'];
+		}
+
+		if ( ! empty( $data['post_images'] ) ) {
+			$images = is_array( $data['post_images'] ) ? $data['post_images'] : preg_split( '/::|,/', (string) $data['post_images'] );
+
+			foreach ( $images as $image ) {
+				// Formatted image data is "url|id|title|caption".
+				$url = trim( strtok( (string) $image, '|' ) );
+
+				if ( '' !== $url && ! in_array( $url, $row['images'], true ) ) {
+					$row['images'][] = $url;
+				}
+			}
+		}
+
+		$shown = array( 'post_type', 'post_status', 'post_author', 'post_title', 'tax_input', 'post_category', 'post_tags', 'street', 'street2', 'city', 'region', 'country', 'zip', 'latitude', 'longitude', 'featured_image', 'post_images', $this->importer_id . '_id' );
+
+		foreach ( array_diff_key( $data, array_flip( $shown ) ) as $key => $value ) {
+			if ( is_array( $value ) || is_object( $value ) ) {
+				$value = wp_json_encode( $value );
+			}
+
+			if ( '' !== (string) $value ) {
+				$row['fields'][ $key ] = wp_html_excerpt( (string) $value, 200, '…' );
+			}
+		}
+
+		return $row;
+	}
+
+	/**
+	 * Get term names for a preview from names or IDs.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array|string $terms    Term names or IDs, as an array or comma-separated.
+	 * @param string       $taxonomy Taxonomy the IDs belong to.
+	 * @return array Term names.
+	 */
+	protected function get_preview_terms( $terms, $taxonomy ) {
+		$terms = is_array( $terms ) ? $terms : explode( ',', (string) $terms );
+		$names = array();
+
+		foreach ( $terms as $term ) {
+			if ( is_numeric( $term ) ) {
+				$term = get_term( (int) $term, $taxonomy );
+				$term = $term && ! is_wp_error( $term ) ? $term->name : '';
+			}
+
+			$term = trim( (string) $term );
+			if ( '' !== $term ) {
+				$names[] = $term;
+			}
+		}
+
+		return $names;
+	}
+
+	/**
+	 * Get how long the current or last run took, in seconds.
+	 *
+	 * Counts up to now while the run is active and stops once it ends.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return int Elapsed seconds, or 0 when nothing has run.
+	 */
+	public function get_elapsed_time() {
+		$start_time = (int) $this->options_handler->get_option_no_cache( 'import_start_time', 0 );
+
+		if ( ! $start_time ) {
+			return 0;
+		}
+
+		$end_time = (int) $this->options_handler->get_option_no_cache( 'import_end_time', 0 );
+
+		return max( 0, ( $end_time ? $end_time : time() ) - $start_time );
+	}
+
+	/**
+	 * Build the summary report of the current or last run.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return array {
+	 *     Report data.
+	 *
+	 *     @type string $importer   Importer title.
+	 *     @type string $startedAt  Start time (ISO 8601), or empty.
+	 *     @type string $finishedAt End time (ISO 8601), or empty while running.
+	 *     @type int    $duration   Duration in seconds.
+	 *     @type bool   $inProgress Whether the run is still active.
+	 *     @type bool   $testMode   Whether the run was in test mode.
+	 *     @type array  $stats      Totals, as returned by get_stats().
+	 *     @type array  $breakdown  Totals per item type, each with 'type' and 'label'.
+	 *     @type array  $topErrors  Most common failure reasons, each with 'reason' and 'count'.
+	 *     @type array  $links      Admin and site links, each with 'label' and 'url'.
+	 *     @type array  $recent     Latest imported posts, each with 'title', 'editUrl' and 'viewUrl'.
+	 * }
+	 */
+	public function get_report() {
+		$start_time = (int) $this->options_handler->get_option_no_cache( 'import_start_time', 0 );
+		$end_time   = (int) $this->options_handler->get_option_no_cache( 'import_end_time', 0 );
+		$breakdown  = array();
+
+		foreach ( $this->get_stats_breakdown() as $type => $stats ) {
+			$breakdown[] = array_merge(
+				array(
+					'type'  => $type,
+					'label' => ucfirst( str_replace( '_', ' ', $type ) ),
+				),
+				$stats
+			);
+		}
+
+		return array(
+			'importer'   => $this->get_title(),
+			'startedAt'  => $start_time ? gmdate( 'c', $start_time ) : '',
+			'finishedAt' => $end_time ? gmdate( 'c', $end_time ) : '',
+			'duration'   => $this->get_elapsed_time(),
+			'inProgress' => $this->background_process->is_in_progress() || $this->background_process->is_paused(),
+			'testMode'   => $this->is_test_mode(),
+			'stats'      => $this->get_stats(),
+			'breakdown'  => $breakdown,
+			'topErrors'  => $this->get_top_errors(),
+			'links'      => $this->get_report_links(),
+			'recent'     => $this->get_recent_imports(),
 		);
 	}
 
 	/**
-	 * Returns an array representing empty statistics, with all counts initialized to 0.
+	 * Get the most common reasons items failed.
 	 *
-	 * @since 2.0.2
+	 * Item titles and numbers are masked so the same error on different
+	 * items is counted once.
 	 *
-	 * @return array An array containing empty statistics.
+	 * @since 2.3.0
+	 *
+	 * @param int $limit Maximum number of reasons. Default 5.
+	 * @return array Reasons with 'reason' and 'count', most common first.
 	 */
-	public function empty_stats() {
+	protected function get_top_errors( $limit = 5 ) {
+		$counts = array();
+
+		foreach ( $this->get_failed_items() as $item ) {
+			$reason = isset( $item['error_message'] ) && '' !== $item['error_message'] ? (string) $item['error_message'] : __( 'Unknown error', 'geodir-converter' );
+
+			if ( ! empty( $item['item_title'] ) ) {
+				$reason = str_replace( (string) $item['item_title'], '…', $reason );
+			}
+
+			$reason = preg_replace( '/#?\d+/', '#', $reason );
+
+			$counts[ $reason ] = isset( $counts[ $reason ] ) ? $counts[ $reason ] + 1 : 1;
+		}
+
+		arsort( $counts );
+
+		$errors = array();
+		foreach ( array_slice( $counts, 0, $limit, true ) as $reason => $count ) {
+			$errors[] = array(
+				'reason' => (string) $reason,
+				'count'  => (int) $count,
+			);
+		}
+
+		return $errors;
+	}
+
+	/**
+	 * Get links to where the imported listings and categories can be reviewed.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return array Links with 'label' and 'url'.
+	 */
+	protected function get_report_links() {
+		$post_type = $this->get_import_post_type();
+		$object    = get_post_type_object( $post_type );
+
+		if ( ! $object ) {
+			return array();
+		}
+
+		$links = array(
+			array(
+				/* translators: %s: post type name, e.g. Places */
+				'label' => sprintf( __( 'All %s', 'geodir-converter' ), $object->labels->name ),
+				'url'   => admin_url( 'edit.php?post_type=' . $post_type ),
+			),
+		);
+
+		$taxonomy = $post_type . 'category';
+		if ( taxonomy_exists( $taxonomy ) ) {
+			$links[] = array(
+				'label' => __( 'Categories', 'geodir-converter' ),
+				'url'   => admin_url( 'edit-tags.php?taxonomy=' . $taxonomy . '&post_type=' . $post_type ),
+			);
+		}
+
+		$archive = get_post_type_archive_link( $post_type );
+		if ( $archive ) {
+			$links[] = array(
+				'label' => __( 'View on site', 'geodir-converter' ),
+				'url'   => $archive,
+			);
+		}
+
+		return $links;
+	}
+
+	/**
+	 * Get the latest posts the run imported, from the retained log.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param int $limit Maximum number of posts. Default 10.
+	 * @return array Posts with 'title', 'editUrl' and 'viewUrl', newest first.
+	 */
+	protected function get_recent_imports( $limit = 10 ) {
+		$recent = array();
+
+		foreach ( array_reverse( $this->get_logs() ) as $log ) {
+			if ( empty( $log['post_id'] ) || isset( $recent[ $log['post_id'] ] ) ) {
+				continue;
+			}
+
+			$post = get_post( (int) $log['post_id'] );
+			if ( ! $post ) {
+				continue;
+			}
+
+			$recent[ $post->ID ] = array(
+				'title'   => $post->post_title,
+				'editUrl' => (string) get_edit_post_link( $post->ID, 'raw' ),
+				'viewUrl' => (string) get_permalink( $post ),
+			);
+
+			if ( count( $recent ) >= $limit ) {
+				break;
+			}
+		}
+
+		return array_values( $recent );
+	}
+
+	/**
+	 * Add the current run to the history and archive its log.
+	 *
+	 * Runs are identified by the ID set when they start, so a run that ends
+	 * again after a retry replaces its earlier entry. Only the latest
+	 * MAX_HISTORY_ENTRIES runs are kept.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $status How the run ended: 'completed' or 'aborted'. Default 'completed'.
+	 * @return void
+	 */
+	public function archive_run( $status = 'completed' ) {
+		$run_id     = (string) $this->options_handler->get_option_no_cache( 'run_id', '' );
+		$start_time = (int) $this->options_handler->get_option_no_cache( 'import_start_time', 0 );
+
+		// Runs started before the history was recorded have no ID.
+		if ( '' === $run_id || ! $start_time ) {
+			return;
+		}
+
+		$entry = array(
+			'id'        => $run_id,
+			'status'    => $status,
+			'startTime' => $start_time,
+			'endTime'   => (int) $this->options_handler->get_option_no_cache( 'import_end_time', time() ),
+			'userId'    => (int) $this->options_handler->get_option_no_cache( 'import_user_id', 0 ),
+			'settings'  => $this->redact_settings( $this->get_import_settings() ),
+			'testMode'  => $this->is_test_mode(),
+			'stats'     => $this->get_stats(),
+			'breakdown' => $this->get_stats_breakdown(),
+		);
+
+		$this->options_handler->update_option(
+			'run_log_' . $run_id,
+			array(
+				'logs'      => $this->get_logs(),
+				'discarded' => (int) $this->options_handler->get_option_no_cache( 'log_offset', 0 ),
+			)
+		);
+
+		$history = array();
+		foreach ( $this->get_run_history() as $run ) {
+			if ( $run['id'] !== $run_id ) {
+				$history[] = $run;
+			}
+		}
+		array_unshift( $history, $entry );
+
+		/**
+		 * Filters how many finished runs an importer keeps in its history.
+		 *
+		 * @since 2.3.0
+		 *
+		 * @param int $max_entries Maximum runs. Default MAX_HISTORY_ENTRIES.
+		 */
+		$max_entries = max( 1, (int) apply_filters( "geodir_converter_{$this->importer_id}_max_history_entries", self::MAX_HISTORY_ENTRIES ) );
+
+		foreach ( array_slice( $history, $max_entries ) as $run ) {
+			$this->options_handler->delete_option( 'run_log_' . $run['id'] );
+			$this->delete_created_objects( $run['id'] );
+		}
+
+		$this->options_handler->update_option( 'run_history', array_slice( $history, 0, $max_entries ) );
+	}
+
+	/**
+	 * Get the finished runs, newest first.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return array Runs with id, status, startTime, endTime, userId, settings, testMode, stats and breakdown.
+	 */
+	public function get_run_history() {
+		return (array) $this->options_handler->get_option_no_cache( 'run_history', array() );
+	}
+
+	/**
+	 * Get the archived log of a finished run.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $run_id Run ID.
+	 * @return array|false Array with 'logs' and 'discarded', or false if the run has no archived log.
+	 */
+	public function get_archived_log( $run_id ) {
+		$archive = $this->options_handler->get_option_no_cache( 'run_log_' . $run_id, false );
+
+		if ( ! is_array( $archive ) ) {
+			return false;
+		}
+
+		return wp_parse_args(
+			$archive,
+			array(
+				'logs'      => array(),
+				'discarded' => 0,
+			)
+		);
+	}
+
+	/**
+	 * Write the objects created since the last flush to the current run.
+	 *
+	 * Each flush is stored as a chunk of its own, so earlier chunks aren't
+	 * read or written again. The `run_objects_{run_id}` option holds the
+	 * number of chunks and objects.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function flush_created_objects() {
+		$run_id = (string) $this->options_handler->get_option_no_cache( 'run_id', '' );
+
+		if ( empty( $this->created_buffer ) || '' === $run_id ) {
+			$this->created_buffer = array();
+			return;
+		}
+
+		$index = $this->get_created_objects_index( $run_id );
+
+		$this->options_handler->update_option( 'run_objects_' . $run_id . '_' . $index['chunks'], $this->created_buffer );
+		$this->options_handler->update_option(
+			'run_objects_' . $run_id,
+			array(
+				'chunks' => $index['chunks'] + 1,
+				'count'  => $index['count'] + $this->count_objects( $this->created_buffer ),
+			)
+		);
+		$this->created_buffer = array();
+	}
+
+	/**
+	 * Get the objects a run created.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $run_id Run ID.
+	 * @return array IDs keyed by type: posts, attachments, terms (keyed by taxonomy), users and comments.
+	 */
+	public function get_created_objects( $run_id ) {
+		$index   = $this->get_created_objects_index( $run_id );
+		$objects = array(
+			'posts'       => array(),
+			'attachments' => array(),
+			'terms'       => array(),
+			'users'       => array(),
+			'comments'    => array(),
+		);
+
+		for ( $chunk = 0; $chunk < $index['chunks']; $chunk++ ) {
+			$ids_by_type = (array) $this->options_handler->get_option_no_cache( 'run_objects_' . $run_id . '_' . $chunk, array() );
+
+			foreach ( $ids_by_type as $type => $ids ) {
+				if ( 'terms' === $type ) {
+					foreach ( $ids as $taxonomy => $term_ids ) {
+						$objects['terms'][ $taxonomy ] = array_merge( isset( $objects['terms'][ $taxonomy ] ) ? $objects['terms'][ $taxonomy ] : array(), $term_ids );
+					}
+				} elseif ( isset( $objects[ $type ] ) ) {
+					$objects[ $type ] = array_merge( $objects[ $type ], $ids );
+				}
+			}
+		}
+
+		return $objects;
+	}
+
+	/**
+	 * Count the objects a run created that have not been rolled back.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $run_id Run ID.
+	 * @return int Number of objects.
+	 */
+	public function count_created_objects( $run_id ) {
+		$index = $this->get_created_objects_index( $run_id );
+
+		return $index['count'];
+	}
+
+	/**
+	 * Forget the objects a run created.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $run_id Run ID.
+	 * @return void
+	 */
+	public function delete_created_objects( $run_id ) {
+		$index = $this->get_created_objects_index( $run_id );
+
+		for ( $chunk = 0; $chunk < $index['chunks']; $chunk++ ) {
+			$this->options_handler->delete_option( 'run_objects_' . $run_id . '_' . $chunk );
+		}
+
+		$this->options_handler->delete_option( 'run_objects_' . $run_id );
+	}
+
+	/**
+	 * Get the number of stored chunks and objects of a run.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $run_id Run ID.
+	 * @return array Array with 'chunks' and 'count'.
+	 */
+	protected function get_created_objects_index( $run_id ) {
+		$index = (array) $this->options_handler->get_option_no_cache( 'run_objects_' . $run_id, array() );
+
 		return array(
-			'total'   => 0,
-			'succeed' => 0,
-			'skipped' => 0,
-			'failed'  => 0,
+			'chunks' => isset( $index['chunks'] ) ? (int) $index['chunks'] : 0,
+			'count'  => isset( $index['count'] ) ? (int) $index['count'] : 0,
 		);
 	}
 
 	/**
-	 * Get the import progress as a percentage.
-	 *
-	 * Always reflects the recorded stats. An import that stopped early reports
-	 * how far it actually got rather than claiming completion.
+	 * Count object IDs keyed by type.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $objects IDs keyed by type, with terms keyed by taxonomy.
+	 * @return int Number of IDs.
+	 */
+	protected function count_objects( array $objects ) {
+		$count = 0;
+
+		foreach ( $objects as $type => $ids ) {
+			$count += 'terms' === $type ? count( $ids, COUNT_RECURSIVE ) - count( $ids ) : count( $ids );
+		}
+
+		return $count;
+	}
+
+	/**
+	 * Get the last finished run, if it can be rolled back.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return array|null History entry, or null if there is nothing to roll back.
+	 */
+	public function get_rollback_run() {
+		$history = $this->get_run_history();
+
+		if ( empty( $history ) || ! $this->count_created_objects( $history[0]['id'] ) ) {
+			return null;
+		}
+
+		return $history[0];
+	}
+
+	/**
+	 * Note in the history that a run was rolled back.
 	 *
-	 * @since 2.0.2
+	 * @since 2.3.0
 	 *
-	 * @return float The import progress percentage (0-100).
+	 * @param string $run_id   Run ID.
+	 * @param bool   $complete Whether every object was deleted. If not, the
+	 *                         list is kept so the rollback can be repeated.
+	 * @return void
 	 */
-	public function get_progress() {
-		$stats = $this->get_stats();
+	public function mark_run_rolled_back( $run_id, $complete ) {
+		$history = $this->get_run_history();
 
-		$total     = (int) $stats['total'];
-		$processed = (int) $stats['succeed'] + (int) $stats['skipped'] + (int) $stats['failed'];
+		foreach ( $history as $i => $run ) {
+			if ( $run['id'] === $run_id ) {
+				$history[ $i ]['rolledBackAt'] = time();
+			}
+		}
 
-		if ( $total <= 0 ) {
-			return $this->background_process->is_in_progress() ? 0 : 100;
+		$this->options_handler->update_option( 'run_history', $history );
+
+		if ( $complete ) {
+			$this->delete_created_objects( $run_id );
 		}
+	}
 
-		return (float) min( round( $processed / $total * 100 ), 100 );
+	/**
+	 * Mask credentials in settings before they are kept in the history.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $settings Import settings.
+	 * @return array Settings with secret values replaced.
+	 */
+	protected function redact_settings( array $settings ) {
+		foreach ( $settings as $key => $value ) {
+			if ( is_array( $value ) ) {
+				$settings[ $key ] = $this->redact_settings( $value );
+			} elseif ( preg_match( '/pass|secret|token|api_?key/i', (string) $key ) && '' !== (string) $value ) {
+				$settings[ $key ] = '********';
+			}
+		}
+
+		return $settings;
 	}
 
 	/**
@@ -1533,18 +3047,25 @@ abstract class GeoDir_Converter_Importer {
 	 */
 	public function clear_import_options() {
 		$this->options_handler->delete_option( 'stats' );
+		$this->options_handler->delete_option( 'stats_breakdown' );
 		$this->options_handler->delete_option( 'import_log' );
 		$this->options_handler->delete_option( 'import_settings' );
 		$this->options_handler->delete_option( 'import_start_time' );
+		$this->options_handler->delete_option( 'import_end_time' );
+		$this->options_handler->delete_option( 'run_id' );
+		$this->options_handler->delete_option( 'import_user_id' );
 		$this->options_handler->delete_option( 'failed_items' );
+		$this->options_handler->delete_option( 'skipped_items' );
 		$this->options_handler->delete_option( 'paused' );
 		$this->options_handler->delete_option( 'checkpoint' );
 		$this->options_handler->delete_option( 'in_flight' );
 		$this->options_handler->delete_option( 'log_offset' );
 
-		$this->pending_checkpoint = null;
-		$this->in_flight_item     = null;
-		$this->items_since_flush  = 0;
+		$this->pending_checkpoint     = null;
+		$this->in_flight_item         = null;
+		$this->items_since_flush      = 0;
+		$this->breakdown_buffer       = array();
+		$this->cached_import_settings = null;
 	}
 
 	/**
@@ -1610,6 +3131,7 @@ abstract class GeoDir_Converter_Importer {
 		$this->flush_logs();
 		$this->flush_failed_items();
 		$this->flush_checkpoint();
+		$this->flush_created_objects();
 	}
 
 	/**
@@ -1735,7 +3257,8 @@ abstract class GeoDir_Converter_Importer {
 	 * @return bool True to process the item, false if it must be skipped.
 	 */
 	public function claim_item( $action, $source_id, $item_type = 'item', $label = '' ) {
-		$source_id = (int) $source_id;
+		$source_id           = (int) $source_id;
+		$this->saved_post_id = 0;
 
 		// Read the previous attempt's marker once, then keep it: comparing
 		// against the marker this request has written would only ever catch a
@@ -1773,7 +3296,7 @@ abstract class GeoDir_Converter_Importer {
 				$max_attempts
 			);
 
-			$this->log( sprintf( '%1$s: %2$s — %3$s', $item_type, $label, $error ), 'error' );
+			$this->log( sprintf( '%1$s: %2$s — %3$s', $item_type, $label, $error ), 'error', array( 'source_id' => $source_id ) );
 			$this->increase_failed_imports( 1 );
 			$this->record_failed_item( $source_id, $action, $item_type, $label, $error );
 
@@ -2027,6 +3550,159 @@ abstract class GeoDir_Converter_Importer {
 		$this->pending_failed_items = array();
 	}
 
+	/**
+	 * Remove failed items by key, without touching the stats.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $keys Failed item keys ("{$action}_{$source_id}").
+	 * @return array The removed items, keyed like get_failed_items().
+	 */
+	public function remove_failed_items( array $keys ) {
+		$failed_items = $this->get_failed_items();
+		$removed      = array_intersect_key( $failed_items, array_flip( $keys ) );
+
+		if ( ! empty( $removed ) ) {
+			$this->options_handler->update_option( 'failed_items', array_diff_key( $failed_items, $removed ) );
+		}
+
+		return $removed;
+	}
+
+	/**
+	 * Mark failed items as skipped for the rest of the run.
+	 *
+	 * They no longer count as failed, are left out of retries, and are kept
+	 * in the `skipped_items` option until the next import starts.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $keys Failed item keys ("{$action}_{$source_id}").
+	 * @return int Number of items skipped.
+	 */
+	public function skip_failed_items( array $keys ) {
+		$removed = $this->remove_failed_items( $keys );
+
+		if ( empty( $removed ) ) {
+			return 0;
+		}
+
+		$skipped = (array) $this->options_handler->get_option_no_cache( 'skipped_items', array() );
+
+		foreach ( $removed as $key => $item ) {
+			$skipped[ $key ] = $item;
+
+			$this->log(
+				/* translators: 1: item type, 2: item title */
+				sprintf( __( 'Skipped %1$s: %2$s (marked as skipped by user).', 'geodir-converter' ), $item['item_type'], $item['item_title'] ),
+				'warning',
+				array( 'source_id' => $item['source_id'] )
+			);
+		}
+
+		$this->options_handler->update_option( 'skipped_items', $skipped );
+
+		// Move the counts within each item's own type.
+		foreach ( $removed as $item ) {
+			$this->set_current_action( isset( $item['action'] ) ? $item['action'] : self::ACTION_IMPORT_LISTINGS );
+			$this->increase_failed_imports( -1 );
+			$this->increase_skipped_imports( 1 );
+		}
+
+		$this->set_current_action( '' );
+		$this->flush_progress();
+
+		return count( $removed );
+	}
+
+	/**
+	 * Whether failed items of a task action can be imported again one by one.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $action Task action the items failed in.
+	 * @return bool True if get_retry_tasks() can rebuild their tasks.
+	 */
+	public function can_retry_action( $action ) {
+		return array_key_exists( $action, $this->get_retry_task_keys() );
+	}
+
+	/**
+	 * Build the tasks that import failed items again.
+	 *
+	 * The default covers tasks listed in get_retry_task_keys(). Importers that
+	 * read their records from elsewhere override this and can_retry_action().
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $action     Task action the items failed in.
+	 * @param array  $source_ids Source IDs of the items.
+	 * @return array|null The tasks, or null if items of this action can't be retried.
+	 */
+	public function get_retry_tasks( $action, array $source_ids ) {
+		$keys = $this->get_retry_task_keys();
+
+		if ( ! isset( $keys[ $action ] ) ) {
+			return null;
+		}
+
+		$key   = $keys[ $action ];
+		$items = 'post_ids' === $key ? array_values( array_filter( array_map( 'absint', $source_ids ) ) ) : $this->get_source_post_rows( $source_ids );
+		$tasks = array();
+
+		foreach ( array_chunk( $items, $this->get_batch_size() ) as $batch ) {
+			$tasks[] = array(
+				'action' => $action,
+				$key     => $batch,
+			);
+		}
+
+		return $tasks;
+	}
+
+	/**
+	 * Get the task key that holds the source records, for each action whose
+	 * failed items can be retried.
+	 *
+	 * A `post_ids` key gets the source post IDs; any other key gets rows of
+	 * ID, post_title and post_status, as the parse tasks queue them.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return array Task keys, keyed by action.
+	 */
+	protected function get_retry_task_keys() {
+		return array();
+	}
+
+	/**
+	 * Load source posts as rows of ID, post_title and post_status.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $post_ids Source post IDs.
+	 * @return array Rows, in ID order.
+	 */
+	protected function get_source_post_rows( array $post_ids ) {
+		global $wpdb;
+
+		$post_ids = array_values( array_filter( array_map( 'absint', $post_ids ) ) );
+
+		if ( empty( $post_ids ) ) {
+			return array();
+		}
+
+		return $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT ID, post_title, post_status
+				FROM {$wpdb->posts}
+				WHERE ID IN (" . implode( ',', array_fill( 0, count( $post_ids ), '%d' ) ) . ')
+				ORDER BY ID ASC',
+				$post_ids
+			)
+		);
+	}
+
 	/**
 	 * Display the action buttons (Import, Pause, Resume, Abort, Retry Failed).
 	 *
@@ -2038,12 +3714,317 @@ abstract class GeoDir_Converter_Importer {
 			<button type="button" class="btn btn-primary btn-sm geodir-converter-import">
 				<i class="fas fa-circle-play me-1"></i><?php esc_html_e( 'Start Import', 'geodir-converter' ); ?>
 			</button>
+			<?php
+			$this->display_preview_button();
+			$this->display_pipeline_button();
+			?>
 			<button type="button" class="btn btn-outline-danger btn-sm geodir-converter-abort" disabled>
 				<i class="fas fa-circle-stop me-1"></i><?php esc_html_e( 'Abort', 'geodir-converter' ); ?>
 			</button>
 			<button type="button" class="btn btn-outline-warning btn-sm geodir-converter-retry-failed d-none">
 				<i class="fas fa-redo me-1"></i><?php esc_html_e( 'Retry Failed', 'geodir-converter' ); ?>
 			</button>
+			<button type="button" class="btn btn-outline-secondary btn-sm geodir-converter-inspect-failed d-none" aria-expanded="false">
+				<i class="fas fa-list-check me-1"></i><?php esc_html_e( 'Inspect Failed', 'geodir-converter' ); ?>
+			</button>
+			<button type="button" class="btn btn-outline-secondary btn-sm geodir-converter-view-report <?php echo $this->has_report() ? '' : 'd-none'; ?>" aria-expanded="false">
+				<i class="fas fa-file-lines me-1"></i><?php esc_html_e( 'View Report', 'geodir-converter' ); ?>
+			</button>
+			<?php $this->display_rollback_button(); ?>
+			<button type="button" class="btn btn-link btn-sm ms-auto geodir-converter-view-history" aria-expanded="false">
+				<i class="fas fa-clock-rotate-left me-1"></i><?php esc_html_e( 'History', 'geodir-converter' ); ?>
+			</button>
+		</div>
+		<?php
+		$this->display_preview_panel();
+		$this->display_failed_items_panel();
+		$this->display_report_panel();
+		$this->display_history_panel();
+		$this->display_rollback_panel();
+	}
+
+	/**
+	 * Display the preview button, if the importer supports previews.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function display_preview_button() {
+		if ( ! $this->supports_preview() ) {
+			return;
+		}
+		?>
+		<button type="button" class="btn btn-outline-primary btn-sm geodir-converter-preview" aria-expanded="false">
+			<i class="fas fa-eye me-1"></i><?php esc_html_e( 'Preview', 'geodir-converter' ); ?>
+		</button>
+		<?php
+	}
+
+	/**
+	 * Display the button that adds the current settings to the import pipeline.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function display_pipeline_button() {
+		?>
+		<button type="button" class="btn btn-outline-secondary btn-sm geodir-converter-pipeline-add">
+			<i class="fas fa-list-ol me-1"></i><?php esc_html_e( 'Add to Pipeline', 'geodir-converter' ); ?>
+		</button>
+		<?php
+	}
+
+	/**
+	 * Display the preview panel, or a note that the importer has no preview.
+	 *
+	 * Rows are loaded and rendered by the admin script.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function display_preview_panel() {
+		if ( ! $this->supports_preview() ) {
+			?>
+			<p class="small text-muted mt-2 mb-0 geodir-converter-preview-unavailable">
+				<i class="fas fa-circle-info me-1" aria-hidden="true"></i><?php esc_html_e( 'Previews are only available for CSV imports. Run this import in test mode to check it without saving anything.', 'geodir-converter' ); ?>
+			</p>
+			<?php
+			return;
+		}
+		?>
+		<div class="geodir-converter-preview-panel card p-0 mt-3 mw-100 d-none" role="region" aria-label="<?php esc_attr_e( 'Import preview', 'geodir-converter' ); ?>">
+			<div class="card-header d-flex flex-wrap align-items-center gap-2">
+				<strong><?php esc_html_e( 'Import preview', 'geodir-converter' ); ?></strong>
+				<span class="small text-muted"><?php esc_html_e( 'Nothing has been imported. This is how the first records would be written.', 'geodir-converter' ); ?></span>
+				<select class="form-select form-select-sm w-auto ms-auto geodir-converter-preview-limit" aria-label="<?php esc_attr_e( 'Number of records to preview', 'geodir-converter' ); ?>">
+					<option value="10">10</option>
+					<option value="25">25</option>
+					<option value="50">50</option>
+				</select>
+				<button type="button" class="btn btn-sm btn-outline-secondary geodir-converter-preview-refresh">
+					<i class="fas fa-sync-alt me-1" aria-hidden="true"></i><?php esc_html_e( 'Refresh', 'geodir-converter' ); ?>
+				</button>
+				<button type="button" class="btn-close geodir-converter-preview-close" aria-label="<?php esc_attr_e( 'Close', 'geodir-converter' ); ?>"></button>
+			</div>
+			<div class="card-body p-0 geodir-converter-preview-scroll">
+				<table class="table table-sm mb-0">
+					<thead>
+						<tr>
+							<th scope="col" class="ps-3"><?php esc_html_e( 'Source ID', 'geodir-converter' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Title', 'geodir-converter' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Categories', 'geodir-converter' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Address', 'geodir-converter' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Lat / Lng', 'geodir-converter' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Custom fields', 'geodir-converter' ); ?></th>
+							<th scope="col" class="pe-3"><?php esc_html_e( 'Images', 'geodir-converter' ); ?></th>
+						</tr>
+					</thead>
+					<tbody class="geodir-converter-preview-body"></tbody>
+				</table>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Check whether a finished run has a report to show.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return bool True if the last run has ended.
+	 */
+	public function has_report() {
+		return (bool) $this->options_handler->get_option_no_cache( 'import_end_time', 0 )
+			&& ! $this->background_process->is_in_progress()
+			&& ! $this->background_process->is_paused();
+	}
+
+	/**
+	 * Display the summary report panel.
+	 *
+	 * The report is loaded and rendered by the admin script.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function display_report_panel() {
+		?>
+		<div class="geodir-converter-report card p-0 mt-3 mw-100 d-none" role="region" aria-label="<?php esc_attr_e( 'Import report', 'geodir-converter' ); ?>">
+			<div class="card-header d-flex flex-wrap align-items-center gap-2">
+				<strong><?php esc_html_e( 'Import report', 'geodir-converter' ); ?></strong>
+				<button type="button" class="btn btn-sm btn-outline-secondary ms-auto geodir-converter-report-print">
+					<i class="fas fa-print me-1" aria-hidden="true"></i><?php esc_html_e( 'Print', 'geodir-converter' ); ?>
+				</button>
+				<button type="button" class="btn btn-sm btn-outline-secondary geodir-converter-report-download">
+					<i class="fas fa-download me-1" aria-hidden="true"></i><?php esc_html_e( 'Download', 'geodir-converter' ); ?>
+				</button>
+				<button type="button" class="btn-close geodir-converter-report-close" aria-label="<?php esc_attr_e( 'Close', 'geodir-converter' ); ?>"></button>
+			</div>
+			<div class="card-body geodir-converter-report-body" aria-live="polite"></div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Display the failed items panel.
+	 *
+	 * Rows are loaded and rendered by the admin script.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function display_failed_items_panel() {
+		?>
+		<div class="geodir-converter-failed-items card p-0 mt-3 mw-100 d-none" role="region" aria-label="<?php esc_attr_e( 'Failed items', 'geodir-converter' ); ?>">
+			<div class="card-header d-flex flex-wrap align-items-center gap-2">
+				<strong><?php esc_html_e( 'Failed items', 'geodir-converter' ); ?></strong>
+				<span class="badge bg-danger geodir-converter-failed-items-count">0</span>
+				<input type="search" class="form-control form-control-sm w-auto geodir-converter-failed-items-search" placeholder="<?php esc_attr_e( 'Filter by ID, title or error...', 'geodir-converter' ); ?>" aria-label="<?php esc_attr_e( 'Filter failed items', 'geodir-converter' ); ?>">
+				<select class="form-select form-select-sm w-auto geodir-converter-failed-items-group" aria-label="<?php esc_attr_e( 'Group failed items', 'geodir-converter' ); ?>">
+					<option value=""><?php esc_html_e( 'No grouping', 'geodir-converter' ); ?></option>
+					<option value="reason"><?php esc_html_e( 'Group by error', 'geodir-converter' ); ?></option>
+					<option value="step"><?php esc_html_e( 'Group by step', 'geodir-converter' ); ?></option>
+				</select>
+				<button type="button" class="btn-close ms-auto geodir-converter-failed-items-close" aria-label="<?php esc_attr_e( 'Close', 'geodir-converter' ); ?>"></button>
+			</div>
+			<div class="card-body p-0 geodir-converter-failed-items-scroll">
+				<table class="table table-sm table-hover mb-0">
+					<thead>
+						<tr>
+							<th scope="col" class="ps-3"><input type="checkbox" class="form-check-input geodir-converter-failed-items-all" aria-label="<?php esc_attr_e( 'Select all', 'geodir-converter' ); ?>"></th>
+							<th scope="col"><?php esc_html_e( 'Source ID', 'geodir-converter' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Title', 'geodir-converter' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Step', 'geodir-converter' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Error', 'geodir-converter' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Retries', 'geodir-converter' ); ?></th>
+						</tr>
+					</thead>
+					<tbody class="geodir-converter-failed-items-body"></tbody>
+				</table>
+			</div>
+			<div class="card-footer d-flex flex-wrap align-items-center gap-2">
+				<button type="button" class="btn btn-sm btn-warning geodir-converter-failed-items-retry" disabled>
+					<i class="fas fa-redo me-1" aria-hidden="true"></i><?php esc_html_e( 'Retry selected', 'geodir-converter' ); ?>
+				</button>
+				<button type="button" class="btn btn-sm btn-outline-secondary geodir-converter-failed-items-skip" disabled>
+					<i class="fas fa-forward me-1" aria-hidden="true"></i><?php esc_html_e( 'Skip selected', 'geodir-converter' ); ?>
+				</button>
+				<span class="small text-muted geodir-converter-failed-items-selected"></span>
+				<button type="button" class="btn btn-sm btn-link ms-auto geodir-converter-failed-items-export">
+					<i class="fas fa-download me-1" aria-hidden="true"></i><?php esc_html_e( 'Export CSV', 'geodir-converter' ); ?>
+				</button>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Display the run history panel.
+	 *
+	 * Runs are loaded and rendered by the admin script.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function display_history_panel() {
+		?>
+		<div class="geodir-converter-history card p-0 mt-3 mw-100 d-none" role="region" aria-label="<?php esc_attr_e( 'Run history', 'geodir-converter' ); ?>">
+			<div class="card-header d-flex align-items-center gap-2">
+				<strong><?php esc_html_e( 'Run history', 'geodir-converter' ); ?></strong>
+				<button type="button" class="btn-close ms-auto geodir-converter-history-close" aria-label="<?php esc_attr_e( 'Close', 'geodir-converter' ); ?>"></button>
+			</div>
+			<div class="card-body p-0 geodir-converter-history-scroll">
+				<table class="table table-sm mb-0">
+					<thead>
+						<tr>
+							<th scope="col" class="ps-3"><?php esc_html_e( 'Started', 'geodir-converter' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Finished', 'geodir-converter' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'User', 'geodir-converter' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Status', 'geodir-converter' ); ?></th>
+							<th scope="col" class="text-end"><?php esc_html_e( 'Imported', 'geodir-converter' ); ?></th>
+							<th scope="col" class="text-end"><?php esc_html_e( 'Skipped', 'geodir-converter' ); ?></th>
+							<th scope="col" class="text-end"><?php esc_html_e( 'Failed', 'geodir-converter' ); ?></th>
+							<th scope="col" class="pe-3"><span class="visually-hidden"><?php esc_html_e( 'Details', 'geodir-converter' ); ?></span></th>
+						</tr>
+					</thead>
+					<tbody class="geodir-converter-history-body"></tbody>
+				</table>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Display the button that rolls back the last run.
+	 *
+	 * Hidden until a finished run has created something.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function display_rollback_button() {
+		$run     = $this->get_rollback_run();
+		$visible = $run && ! $this->background_process->is_in_progress() && ! $this->background_process->is_paused() && ! $this->rollback_process->is_in_progress();
+		?>
+		<button type="button" class="btn btn-outline-danger btn-sm geodir-converter-rollback-run <?php echo $visible ? '' : 'd-none'; ?>" data-run-id="<?php echo esc_attr( $run ? $run['id'] : '' ); ?>" data-created="<?php echo esc_attr( $run ? $this->count_created_objects( $run['id'] ) : 0 ); ?>">
+			<i class="fas fa-rotate-left me-1"></i><?php esc_html_e( 'Roll back this run', 'geodir-converter' ); ?>
+		</button>
+		<?php
+	}
+
+	/**
+	 * Display the rollback panel with its own progress bar and log.
+	 *
+	 * Shown while a rollback is running; progress and log entries are
+	 * loaded by the admin script.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function display_rollback_panel() {
+		$in_progress = $this->rollback_process->is_in_progress();
+		?>
+		<div class="geodir-converter-rollback card p-0 mt-3 mw-100 <?php echo $in_progress ? '' : 'd-none'; ?>" data-in-progress="<?php echo $in_progress ? '1' : '0'; ?>" role="region" aria-label="<?php esc_attr_e( 'Rollback', 'geodir-converter' ); ?>">
+			<div class="card-header d-flex align-items-center gap-2">
+				<strong><?php esc_html_e( 'Rollback', 'geodir-converter' ); ?></strong>
+				<span class="small text-muted geodir-converter-rollback-status"></span>
+				<button type="button" class="btn-close ms-auto geodir-converter-rollback-close" aria-label="<?php esc_attr_e( 'Close', 'geodir-converter' ); ?>"></button>
+			</div>
+			<div class="card-body">
+				<div class="geodir-converter-rollback-progress mb-3">
+					<div class="progress">
+						<div class="progress-bar progress-bar-striped progress-bar-animated bg-danger" role="progressbar" style="width: 0%;" aria-valuenow="0" aria-valuemin="0" aria-valuemax="100">0%</div>
+					</div>
+					<div class="d-flex justify-content-between align-items-center mt-2">
+						<div class="geodir-converter-stats-summary d-flex gap-3">
+							<span class="geodir-converter-stat-succeed d-none">
+								<strong class="geodir-converter-stat-succeed-count">0</strong> <?php esc_html_e( 'deleted', 'geodir-converter' ); ?>
+							</span>
+							<span class="geodir-converter-stat-skipped d-none">
+								<strong class="geodir-converter-stat-skipped-count">0</strong> <?php esc_html_e( 'already gone', 'geodir-converter' ); ?>
+							</span>
+							<span class="geodir-converter-stat-failed d-none">
+								<strong class="geodir-converter-stat-failed-count">0</strong> <?php esc_html_e( 'failed', 'geodir-converter' ); ?>
+							</span>
+							<span class="geodir-converter-stat-total d-none">
+								<strong class="geodir-converter-stat-total-count">0</strong> <?php esc_html_e( 'total', 'geodir-converter' ); ?>
+							</span>
+						</div>
+						<span class="geodir-converter-elapsed-time d-none">
+							<span class="geodir-converter-elapsed-value">00:00:00</span>
+						</span>
+					</div>
+				</div>
+				<ul class="geodir-converter-logs geodir-converter-rollback-logs ps-0 pe-0 mb-0" role="log" tabindex="0" aria-live="polite" aria-label="<?php esc_attr_e( 'Rollback log', 'geodir-converter' ); ?>" data-first-index="0" data-end-index="0"></ul>
+			</div>
 		</div>
 		<?php
 	}
@@ -2139,19 +4120,37 @@ abstract class GeoDir_Converter_Importer {
 	 *
 	 * @param string $message The message to log.
 	 * @param string $status  The status of log message. Accepts 'info', 'success', 'warning', 'error'. Default 'info'.
+	 * @param array  $context {
+	 *     Optional. Item the entry is about.
+	 *
+	 *     @type int|string $source_id ID of the item in the source.
+	 *     @type int        $post_id   ID of the post it was imported to.
+	 * }
 	 * @return void
 	 */
-	public function log( $message, $status = 'info' ) {
+	public function log( $message, $status = 'info', $context = array() ) {
 		$start_time   = $this->options_handler->get_option( 'import_start_time' );
 		$current_time = time();
 		$elapsed      = $start_time ? $current_time - $start_time : 0;
 		$formatted    = $this->format_elapsed_time( $elapsed );
 
-		$this->logs_buffer[] = array(
+		$entry = array(
 			'message'   => "{$formatted} – {$message}",
 			'status'    => $status,
 			'timestamp' => gmdate( 'Y-m-d H:i:s', $current_time ),
+			'elapsed'   => $elapsed,
+			'text'      => $message,
 		);
+
+		if ( isset( $context['source_id'] ) && '' !== $context['source_id'] ) {
+			$entry['source_id'] = $context['source_id'];
+		}
+
+		if ( ! empty( $context['post_id'] ) ) {
+			$entry['post_id'] = (int) $context['post_id'];
+		}
+
+		$this->logs_buffer[] = $entry;
 	}
 
 	/**
@@ -2210,9 +4209,30 @@ abstract class GeoDir_Converter_Importer {
 		$html = '';
 
 		if ( ! empty( $log['message'] ) && ! $inline ) {
-			$html .= '<li>';
+			$entry = $this->log_to_entry( $log );
+			$attrs = ' data-level="' . esc_attr( $entry['level'] ) . '"';
+			$ids   = '';
+
+			if ( isset( $log['index'] ) ) {
+				$attrs .= ' data-index="' . esc_attr( $log['index'] ) . '"';
+			}
+
+			if ( null !== $entry['source_id'] ) {
+				$attrs .= ' data-source-id="' . esc_attr( $entry['source_id'] ) . '"';
+				/* translators: %s: ID of the item in the import source */
+				$ids .= ' <span class="geodir-converter-log-id">' . esc_html( sprintf( __( 'source #%s', 'geodir-converter' ), $entry['source_id'] ) ) . '</span>';
+			}
+
+			if ( $entry['post_id'] ) {
+				$attrs .= ' data-post-id="' . esc_attr( $entry['post_id'] ) . '"';
+				/* translators: %d: ID of the imported post */
+				$ids .= ' <a class="geodir-converter-log-id" target="_blank" href="' . esc_url( admin_url( 'post.php?action=edit&post=' . $entry['post_id'] ) ) . '">' . esc_html( sprintf( __( 'post #%d', 'geodir-converter' ), $entry['post_id'] ) ) . '</a>';
+			}
+
+			$html .= '<li' . $attrs . '>';
 			$html .= '<p class="notice notice-' . esc_attr( $log['status'] ) . ' ms-0 me-0 mb-2">';
 			$html .= esc_html( $log['message'] );
+			$html .= $ids;
 			$html .= '</p>';
 			$html .= '</li>';
 		} else {
@@ -2239,6 +4259,72 @@ abstract class GeoDir_Converter_Importer {
 		return $logs_html;
 	}
 
+	/**
+	 * Converts a log entry into the structured form sent to the log viewer.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $log Log entry as stored by log().
+	 * @return array {
+	 *     Structured log entry.
+	 *
+	 *     @type string          $level     One of 'info', 'success', 'warning', 'error'.
+	 *     @type string          $timestamp ISO 8601 time in UTC, or empty if unknown.
+	 *     @type string          $elapsed   Time since the import started (H:i:s).
+	 *     @type string          $message   The message.
+	 *     @type int|string|null $source_id ID of the item in the source.
+	 *     @type int|null        $post_id   ID of the post it was imported to.
+	 * }
+	 */
+	public function log_to_entry( array $log ) {
+		$levels = array( 'info', 'success', 'warning', 'error' );
+		$level  = isset( $log['status'] ) && in_array( $log['status'], $levels, true ) ? $log['status'] : 'info';
+
+		if ( isset( $log['text'] ) ) {
+			$message = (string) $log['text'];
+			$elapsed = isset( $log['elapsed'] ) ? $this->format_elapsed_time( (int) $log['elapsed'] ) : '';
+		} else {
+			// Entries logged before 2.3.0 carry the elapsed time in the message.
+			$message = isset( $log['message'] ) ? (string) $log['message'] : '';
+			$elapsed = '';
+
+			if ( preg_match( '/^(\d{2,}:\d{2}:\d{2}) – (.*)$/su', $message, $matches ) ) {
+				$elapsed = $matches[1];
+				$message = $matches[2];
+			}
+		}
+
+		return array(
+			'level'     => $level,
+			'timestamp' => ! empty( $log['timestamp'] ) ? gmdate( 'c', strtotime( $log['timestamp'] . ' UTC' ) ) : '',
+			'elapsed'   => $elapsed,
+			'message'   => $message,
+			'source_id' => isset( $log['source_id'] ) ? $log['source_id'] : null,
+			'post_id'   => isset( $log['post_id'] ) ? (int) $log['post_id'] : null,
+		);
+	}
+
+	/**
+	 * Converts an array of logs into structured entries.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array    $logs        An array of log entries.
+	 * @param int|null $first_index Log index of the first entry. When set, each entry gets an 'index'. Default null.
+	 * @return array Structured log entries.
+	 */
+	public function logs_to_entries( array $logs, $first_index = null ) {
+		$entries = array_map( array( $this, 'log_to_entry' ), array_values( $logs ) );
+
+		if ( null !== $first_index ) {
+			foreach ( $entries as $i => $entry ) {
+				$entries[ $i ]['index'] = (int) $first_index + $i;
+			}
+		}
+
+		return $entries;
+	}
+
 	/**
 	 * Format elapsed time in H:i:s format.
 	 *
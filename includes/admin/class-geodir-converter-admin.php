@@ -11,6 +11,8 @@ namespace GeoDir_Converter\Admin;
 
 use GeoDir_Converter\GeoDir_Converter;
 use GeoDir_Converter\GeoDir_Converter_Ajax;
+use GeoDir_Converter\GeoDir_Converter_Chunked_Upload;
+use GeoDir_Converter\GeoDir_Converter_Pipeline;
 use GeoDir_Converter\Traits\GeoDir_Converter_Trait_Singleton;
 
 defined( 'ABSPATH' ) || exit;
@@ -95,6 +97,19 @@ class GeoDir_Converter_Admin {
 		$suffix         = GeoDir_Converter::instance()->get_script_suffix();
 		$nonces         = GeoDir_Converter_Ajax::instance()->get_nonces();
 
+		/**
+		 * Filters the transport used to receive import progress.
+		 *
+		 * Accepts 'polling' or 'stream' (Server-Sent Events, falling back to
+		 * polling when the browser or server can't stream). Each open stream
+		 * keeps a PHP worker busy, so streaming is opt-in.
+		 *
+		 * @since 2.3.0
+		 *
+		 * @param string $transport Transport name. Default 'polling'.
+		 */
+		$transport = apply_filters( 'geodir_converter_progress_transport', 'polling' );
+
 		wp_enqueue_style( 'geodir-converter-admin', GEODIR_CONVERTER_PLUGIN_URL . "assets/css/admin{$suffix}.css", array(), $script_version );
 
 		wp_enqueue_script( 'geodir-converter-admin', GEODIR_CONVERTER_PLUGIN_URL . "assets/js/admin{$suffix}.js", array( 'jquery' ), $script_version, true );
@@ -102,26 +117,55 @@ class GeoDir_Converter_Admin {
 			'geodir-converter-admin',
 			'GeoDir_Converter',
 			array(
-				'ajaxUrl' => admin_url( 'admin-ajax.php' ),
-				'nonces'  => $nonces,
-				'actions' => array(
+				'ajaxUrl'     => admin_url( 'admin-ajax.php' ),
+				'editPostUrl' => admin_url( 'post.php?action=edit&post=%d' ),
+				'nonces'      => $nonces,
+				'transport'   => $transport,
+				'preferences' => GeoDir_Converter_Ajax::instance()->get_preferences(),
+				'chunkSize'   => GeoDir_Converter_Chunked_Upload::instance()->get_chunk_size(),
+				'actions'     => array(
 					'import'               => 'geodir_converter_import',
 					'progress'             => 'geodir_converter_progress',
+					'progress_stream'      => 'geodir_converter_progress_stream',
 					'abort'                => 'geodir_converter_abort',
 					'pause'                => 'geodir_converter_pause',
 					'resume'               => 'geodir_converter_resume',
 					'retry_failed'         => 'geodir_converter_retry_failed',
 					'upload'               => 'geodir_converter_upload',
+					'upload_chunk'         => 'geodir_converter_upload_chunk',
+					'upload_status'        => 'geodir_converter_upload_status',
+					'upload_delete'        => 'geodir_converter_upload_delete',
 					'csv_parse'            => 'geodir_converter_csv_parse',
 					'csv_get_fields'       => 'geodir_converter_csv_get_fields',
 					'csv_refresh_fields'   => 'geodir_converter_csv_refresh_fields',
 					'csv_get_mapping_step' => 'geodir_converter_csv_get_mapping_step',
 					'csv_clear_file'       => 'geodir_converter_csv_clear_file',
+					'csv_remove_file'      => 'geodir_converter_csv_remove_file',
 					'csv_save_template'    => 'geodir_converter_csv_save_template',
 					'csv_load_template'    => 'geodir_converter_csv_load_template',
 					'csv_delete_template'  => 'geodir_converter_csv_delete_template',
+					'refresh_nonces'       => 'geodir_converter_refresh_nonces',
+					'export_logs'          => 'geodir_converter_export_logs',
+					'logs'                 => 'geodir_converter_logs',
+					'failed_items'         => 'geodir_converter_failed_items',
+					'skip_failed'          => 'geodir_converter_skip_failed',
+					'save_preferences'     => 'geodir_converter_save_preferences',
+					'report'               => 'geodir_converter_report',
+					'history'              => 'geodir_converter_history',
+					'history_log'          => 'geodir_converter_history_log',
+					'preview'              => 'geodir_converter_preview',
+					'rollback'             => 'geodir_converter_rollback',
+					'rollback_progress'    => 'geodir_converter_rollback_progress',
+					'schedule'             => 'geodir_converter_schedule',
+					'cancel_schedule'      => 'geodir_converter_cancel_schedule',
+					'pipeline_status'      => 'geodir_converter_pipeline_status',
+					'pipeline_add_step'    => 'geodir_converter_pipeline_add_step',
+					'pipeline_update_step' => 'geodir_converter_pipeline_update_step',
+					'pipeline_remove_step' => 'geodir_converter_pipeline_remove_step',
+					'pipeline_start'       => 'geodir_converter_pipeline_start',
+					'pipeline_stop'        => 'geodir_converter_pipeline_stop',
 				),
-				'i18n'    => array(
+				'i18n'        => array(
 					'selectImport'            => __( 'I want to import listings from:', 'geodir-converter' ),
 					'importSource'            => __( 'Import listings from:', 'geodir-converter' ),
 					'runConverter'            => __( 'Run Converter', 'geodir-converter' ),
@@ -138,6 +182,20 @@ class GeoDir_Converter_Admin {
 					'retryFailed'             => __( 'Retry Failed', 'geodir-converter' ),
 					'retrying'                => __( 'Retrying...', 'geodir-converter' ),
 					'uploading'               => __( 'Uploading...', 'geodir-converter' ),
+					'uploadProcessing'        => __( 'Processing file...', 'geodir-converter' ),
+					'uploadOffline'           => __( 'You are offline. The upload continues when the connection returns.', 'geodir-converter' ),
+					/* translators: 1: attempt number, 2: maximum attempts */
+					'uploadRetrying'          => __( 'Connection problem. Retrying (%1$d of %2$d)...', 'geodir-converter' ),
+					/* translators: %s: uploaded percentage, such as "42%" */
+					'uploadUnfinished'        => __( 'Upload stopped at %s. Select the same file again to resume.', 'geodir-converter' ),
+					'uploadResume'            => __( 'Select the same file again to resume.', 'geodir-converter' ),
+					'uploadCancel'            => __( 'Cancel upload', 'geodir-converter' ),
+					'uploadReplace'           => __( 'Replace file', 'geodir-converter' ),
+					'uploadRemove'            => __( 'Remove file', 'geodir-converter' ),
+					'uploadChooseSheet'       => __( 'Sheet to import', 'geodir-converter' ),
+					'uploadImportSheet'       => __( 'Import sheet', 'geodir-converter' ),
+					/* translators: %s: file name */
+					'uploadUnsupported'       => __( '%s is not a CSV, Excel, OpenDocument, JSON or GeoJSON file.', 'geodir-converter' ),
 					'selectField'             => __( 'Select a field...', 'geodir-converter' ),
 					'failedLoadMapping'       => __( 'Failed to load mapping step.', 'geodir-converter' ),
 					'failedRefreshFields'     => __( 'Failed to refresh fields.', 'geodir-converter' ),
@@ -146,6 +204,125 @@ class GeoDir_Converter_Admin {
 					'uploadFailed'            => __( 'Upload failed: ', 'geodir-converter' ),
 					'unknownError'            => __( 'Unknown error', 'geodir-converter' ),
 					'serverErrorUpload'       => __( 'Server error during upload.', 'geodir-converter' ),
+					'connectionError'         => __( 'Could not reach the server. Check your connection and try again.', 'geodir-converter' ),
+					'errorTimeout'            => __( 'The server took too long to respond. Please try again.', 'geodir-converter' ),
+					'errorAuth'               => __( 'Your login session has expired or you are not allowed to do this. Please log in again.', 'geodir-converter' ),
+					'errorNonce'              => __( 'Your security token has expired. Please reload the page and try again.', 'geodir-converter' ),
+					/* translators: %d: HTTP status code */
+					'errorServer'             => __( 'The server returned an error (HTTP %d). Please try again or check the server error log.', 'geodir-converter' ),
+					/* translators: %s: ID of the item in the import source */
+					'logSourceId'             => __( 'source #%s', 'geodir-converter' ),
+					/* translators: %d: ID of the imported post */
+					'logPostId'               => __( 'post #%d', 'geodir-converter' ),
+					'logsNewEntry'            => __( '1 new entry', 'geodir-converter' ),
+					/* translators: %d: number of new log entries */
+					'logsNewEntries'          => __( '%d new entries', 'geodir-converter' ),
+					/* translators: %s: importer name */
+					'logsExportImporter'      => __( 'Importer: %s', 'geodir-converter' ),
+					/* translators: %s: date and time of the export */
+					'logsExportDate'          => __( 'Exported: %s', 'geodir-converter' ),
+					/* translators: 1: imported count, 2: skipped count, 3: failed count, 4: total count */
+					'logsExportStats'         => __( 'Imported: %1$d, Skipped: %2$d, Failed: %3$d, Total: %4$d', 'geodir-converter' ),
+					/* translators: %s: elapsed time */
+					'logsExportElapsed'       => __( 'Elapsed: %s', 'geodir-converter' ),
+					/* translators: %d: number of discarded log entries */
+					'logsExportDiscarded'     => __( 'Older entries discarded: %d', 'geodir-converter' ),
+					'failedItemsEmpty'        => __( 'No failed items match.', 'geodir-converter' ),
+					/* translators: %d: number of selected failed items */
+					'failedItemsSelected'     => __( '%d selected', 'geodir-converter' ),
+					'failedItemsNoRetry'      => __( 'Can\'t be retried on its own. Run the import again to retry it.', 'geodir-converter' ),
+					/* translators: %d: number of failed items to skip */
+					'confirmSkipFailed'       => __( 'Skip %d item(s) for the rest of this import? They will no longer count as failed or be retried.', 'geodir-converter' ),
+					/* translators: %s: importer name */
+					'reportTitle'             => __( '%s import report', 'geodir-converter' ),
+					'reportRunning'           => __( 'This import is still running. The figures below will change.', 'geodir-converter' ),
+					'reportTestMode'          => __( 'Test mode was enabled. No data was imported.', 'geodir-converter' ),
+					'reportStarted'           => __( 'Started', 'geodir-converter' ),
+					'reportFinished'          => __( 'Finished', 'geodir-converter' ),
+					'reportDuration'          => __( 'Duration', 'geodir-converter' ),
+					'reportProcessed'         => __( 'Processed', 'geodir-converter' ),
+					'reportSucceeded'         => __( 'Imported', 'geodir-converter' ),
+					'reportSkipped'           => __( 'Skipped', 'geodir-converter' ),
+					'reportFailed'            => __( 'Failed', 'geodir-converter' ),
+					'reportType'              => __( 'Type', 'geodir-converter' ),
+					'reportTotal'             => __( 'Total', 'geodir-converter' ),
+					'reportByType'            => __( 'By type', 'geodir-converter' ),
+					'reportTopErrors'         => __( 'Top error reasons', 'geodir-converter' ),
+					'reportCount'             => __( 'Count', 'geodir-converter' ),
+					'reportLinks'             => __( 'Review the imported content', 'geodir-converter' ),
+					'reportRecent'            => __( 'Latest imported listings', 'geodir-converter' ),
+					'reportEdit'              => __( 'Edit', 'geodir-converter' ),
+					'reportView'              => __( 'View', 'geodir-converter' ),
+					'reportNoErrors'          => __( 'No items failed.', 'geodir-converter' ),
+					/* translators: %s: date and time the report was generated */
+					'reportGenerated'         => __( 'Generated %s', 'geodir-converter' ),
+					'historyEmpty'            => __( 'No finished runs yet.', 'geodir-converter' ),
+					'historyCompleted'        => __( 'Completed', 'geodir-converter' ),
+					'historyAborted'          => __( 'Aborted', 'geodir-converter' ),
+					'historyTestMode'         => __( 'Test mode', 'geodir-converter' ),
+					'historySettings'         => __( 'Settings', 'geodir-converter' ),
+					'historyLog'              => __( 'Download log', 'geodir-converter' ),
+					'historyUnknownUser'      => __( 'Unknown user', 'geodir-converter' ),
+					'previewLoading'          => __( 'Building preview…', 'geodir-converter' ),
+					'previewEmpty'            => __( 'No records found in the source.', 'geodir-converter' ),
+					'previewFailed'           => __( 'Could not build the preview.', 'geodir-converter' ),
+					'previewWouldFail'        => __( 'Would fail: %s', 'geodir-converter' ),
+					'previewUntitled'         => __( '(no title)', 'geodir-converter' ),
+					'previewMoreFields'       => __( '+%d more', 'geodir-converter' ),
+					'rollbackConfirm'         => __( 'Delete the %d objects (posts, terms, users, comments and attachments) this run created? This cannot be undone.', 'geodir-converter' ),
+					'rollbackRunning'         => __( 'Rolling back…', 'geodir-converter' ),
+					'rollbackCompleted'       => __( 'Finished', 'geodir-converter' ),
+					'historyRollBack'         => __( 'Roll back', 'geodir-converter' ),
+					'historyRolledBack'       => __( 'Rolled back', 'geodir-converter' ),
+					'scheduleImport'          => __( 'Schedule Import', 'geodir-converter' ),
+					'scheduling'              => __( 'Scheduling...', 'geodir-converter' ),
+					'scheduleCancelConfirm'   => __( 'Cancel the scheduled import?', 'geodir-converter' ),
+					'pipelineAdded'           => __( 'Added to the pipeline.', 'geodir-converter' ),
+					'pipelineFiles'           => __( 'Imports that upload files can\'t be added to the pipeline.', 'geodir-converter' ),
+					'pipelineStopConfirm'     => __( 'Stop the pipeline? The running import will be aborted.', 'geodir-converter' ),
+					'pipelinePolicyStop'      => __( 'If it fails, stop', 'geodir-converter' ),
+					'pipelinePolicyContinue'  => __( 'If it fails, continue', 'geodir-converter' ),
+					'pipelineMappingAsAdded'  => __( 'Mapping as added', 'geodir-converter' ),
+					'pipelineMoveUp'          => __( 'Move up', 'geodir-converter' ),
+					'pipelineMoveDown'        => __( 'Move down', 'geodir-converter' ),
+					'pipelineRemove'          => __( 'Remove step', 'geodir-converter' ),
+					'pipelinePending'         => __( 'Waiting', 'geodir-converter' ),
+					'pipelineRunning'         => __( 'Running', 'geodir-converter' ),
+					'pipelinePaused'          => __( 'Paused', 'geodir-converter' ),
+					'pipelineCompleted'       => __( 'Completed', 'geodir-converter' ),
+					'pipelineFailed'          => __( 'Failed', 'geodir-converter' ),
+					'pipelineStopped'         => __( 'Stopped', 'geodir-converter' ),
+					'pipelineSkipped'         => __( 'Skipped', 'geodir-converter' ),
+					/* translators: %d: column number */
+					'csvFormatColumn'         => __( 'Column %d', 'geodir-converter' ),
+					'csvFormatEmpty'          => __( 'No rows found with these settings.', 'geodir-converter' ),
+					/* translators: 1: progress such as "42%", or "Paused" or "Done", 2: original page title */
+					'titleProgress'           => __( '(%1$s) %2$s', 'geodir-converter' ),
+					'titleDone'               => __( 'Done', 'geodir-converter' ),
+					/* translators: %s: importer name */
+					'notifyCompleteTitle'     => __( '%s import complete', 'geodir-converter' ),
+					/* translators: 1: imported items, 2: skipped items, 3: failed items */
+					'notifyCompleteBody'      => __( '%1$d imported, %2$d skipped, %3$d failed.', 'geodir-converter' ),
+					/* translators: %s: importer name */
+					'notifyFailuresTitle'     => __( '%s import is failing', 'geodir-converter' ),
+					/* translators: %d: number of failed items */
+					'notifyFailuresBody'      => __( '%d items failed in the last minute. Check the import log.', 'geodir-converter' ),
+					/* translators: %s: importer name */
+					'notifyPausedTitle'       => __( '%s import paused', 'geodir-converter' ),
+					'notifyPausedBody'        => __( 'The import was paused outside this page. Resume it when you are ready.', 'geodir-converter' ),
+					'notifyDenied'            => __( 'Notifications are blocked for this site. Allow them in your browser settings to get import alerts.', 'geodir-converter' ),
+					'notifyUnsupported'       => __( 'This browser does not support notifications.', 'geodir-converter' ),
+					'etaCalculating'          => __( 'Estimating time left...', 'geodir-converter' ),
+					'etaPaused'               => __( 'Estimate paused', 'geodir-converter' ),
+					/* translators: 1: time left (HH:MM:SS), 2: estimated completion clock time */
+					'etaLeft'                 => __( '%1$s left (around %2$s)', 'geodir-converter' ),
+					/* translators: %s: time left (HH:MM:SS) */
+					'etaShort'                => __( '%s left', 'geodir-converter' ),
+					'errorParse'              => __( 'The server returned an invalid response. A PHP notice or error may be breaking the output.', 'geodir-converter' ),
+					/* translators: %d: number of seconds */
+					'connectionRetrying'      => __( 'Connection lost. Retrying in %ds.', 'geodir-converter' ),
+					'connectionReconnecting'  => __( 'Connection lost. Reconnecting...', 'geodir-converter' ),
+					'connectionOffline'       => __( 'You are offline. Waiting for the connection to return...', 'geodir-converter' ),
 					'templateNameRequired'    => __( 'Template name is required.', 'geodir-converter' ),
 					'templateMappingRequired' => __( 'Please map at least one field before saving.', 'geodir-converter' ),
 					'templateSaved'           => __( 'Template saved successfully.', 'geodir-converter' ),
@@ -178,13 +355,20 @@ class GeoDir_Converter_Admin {
 
 		$importers        = GeoDir_Converter::instance()->get_importers();
 		$default_location = $geodirectory->location->get_default_location();
+		$preferences      = GeoDir_Converter_Ajax::instance()->get_preferences();
 
 		?>
 		<div class="bsui">
 			<div class="geodir-converter-wrapper mt-5 me-auto ms-auto">
-				<div class="geodir-converter-page-header mb-4">
-					<h1 class="h2 mb-1"><?php esc_html_e( 'Import Listings', 'geodir-converter' ); ?></h1>
-					<p class="text-muted mb-0"><?php esc_html_e( 'Import listings from another website or platform.', 'geodir-converter' ); ?></p>
+				<div class="geodir-converter-page-header mb-4 d-flex align-items-start justify-content-between">
+					<div>
+						<h1 class="h2 mb-1"><?php esc_html_e( 'Import Listings', 'geodir-converter' ); ?></h1>
+						<p class="text-muted mb-0"><?php esc_html_e( 'Import listings from another website or platform.', 'geodir-converter' ); ?></p>
+					</div>
+					<div class="form-check form-switch mt-2 mb-0 geodir-converter-notify">
+						<input class="form-check-input geodir-converter-notify-toggle" type="checkbox" role="switch" id="geodir-converter-notify" <?php checked( $preferences['notifications'] ); ?>>
+						<label class="form-check-label" for="geodir-converter-notify"><?php esc_html_e( 'Notify me about imports', 'geodir-converter' ); ?></label>
+					</div>
 				</div>
 
 				<?php if ( empty( $default_location ) || ( empty( $default_location->city ) && empty( $default_location->region ) && empty( $default_location->country ) ) ) : ?>
@@ -196,6 +380,8 @@ class GeoDir_Converter_Admin {
 					</div>
 				<?php endif; ?>
 
+				<?php $this->render_pipeline_card(); ?>
+
 				<div class="card border-0 shadow-sm p-0 mb-4 mw-100 geodir-converter-card">
 					<div class="card-header bg-white d-flex align-items-center">
 						<i class="fas fa-exchange-alt text-primary me-2"></i>
@@ -234,8 +420,9 @@ class GeoDir_Converter_Admin {
 												</div>
 											</div>
 											<div class="col text-truncate">
-												<h6 class="text-reset fs-lg mb-1 d-block"><?php echo esc_html( $importer->get_title() ); ?></h6>
+												<h6 class="text-reset fs-lg mb-1 d-block geodir-converter-title"><?php echo esc_html( $importer->get_title() ); ?></h6>
 												<p class="d-block text-secondary text-truncate mb-0" style="font-size: 13px;"><?php echo esc_html( $importer->get_description() ); ?></p>
+												<?php $importer->display_schedule_status(); ?>
 												<div class="geodir-converter-mini-progress mt-2 <?php echo $is_active ? '' : 'd-none'; ?>">
 													<div class="progress" style="height: 4px;">
 														<div class="progress-bar progress-bar-striped <?php echo $is_paused ? '' : 'progress-bar-animated'; ?>" role="progressbar" style="width: <?php echo esc_attr( $progress ); ?>%;" aria-valuenow="<?php echo esc_attr( $progress ); ?>" aria-valuemin="0" aria-valuemax="100"></div>
@@ -279,4 +466,64 @@ class GeoDir_Converter_Admin {
 
 		<?php
 	}
+
+	/**
+	 * Render the import pipeline card.
+	 *
+	 * Steps and progress are loaded by the admin script.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	private function render_pipeline_card() {
+		$state = GeoDir_Converter_Pipeline::instance()->get_state();
+		?>
+		<div class="card border-0 shadow-sm p-0 mb-4 mw-100 geodir-converter-card geodir-converter-pipeline" data-status="<?php echo esc_attr( $state['status'] ); ?>" role="region" aria-label="<?php esc_attr_e( 'Import pipeline', 'geodir-converter' ); ?>">
+			<div class="card-header bg-white d-flex flex-wrap align-items-center gap-2">
+				<i class="fas fa-list-ol text-primary me-2"></i>
+				<h6 class="h6 mb-0 text-dark py-0"><?php esc_html_e( 'Import pipeline', 'geodir-converter' ); ?></h6>
+				<span class="badge geodir-converter-pipeline-status d-none"></span>
+				<div class="d-flex gap-2 ms-auto">
+					<button type="button" class="btn btn-primary btn-sm geodir-converter-pipeline-start" <?php disabled( empty( $state['steps'] ) || 'running' === $state['status'] ); ?>>
+						<i class="fas fa-play me-1"></i><?php esc_html_e( 'Run Pipeline', 'geodir-converter' ); ?>
+					</button>
+					<button type="button" class="btn btn-outline-danger btn-sm geodir-converter-pipeline-stop <?php echo 'running' === $state['status'] ? '' : 'd-none'; ?>">
+						<i class="fas fa-stop me-1"></i><?php esc_html_e( 'Stop', 'geodir-converter' ); ?>
+					</button>
+				</div>
+			</div>
+			<div class="card-body">
+				<p class="text-muted small mb-0 geodir-converter-pipeline-empty <?php echo empty( $state['steps'] ) ? '' : 'd-none'; ?>">
+					<?php esc_html_e( 'Run several imports one after another. Configure an importer below, then click its "Add to Pipeline" button. Each step keeps the settings it was added with.', 'geodir-converter' ); ?>
+				</p>
+				<ol class="list-group list-group-numbered geodir-converter-pipeline-steps"></ol>
+				<div class="geodir-converter-pipeline-progress mt-3 d-none">
+					<div class="progress">
+						<div class="progress-bar progress-bar-striped progress-bar-animated" role="progressbar" style="width: 0%;" aria-valuenow="0" aria-valuemin="0" aria-valuemax="100">0%</div>
+					</div>
+					<div class="d-flex justify-content-between align-items-center mt-2">
+						<div class="geodir-converter-stats-summary d-flex gap-3">
+							<span class="geodir-converter-stat-succeed d-none">
+								<strong class="geodir-converter-stat-succeed-count">0</strong> <?php esc_html_e( 'imported', 'geodir-converter' ); ?>
+							</span>
+							<span class="geodir-converter-stat-skipped d-none">
+								<strong class="geodir-converter-stat-skipped-count">0</strong> <?php esc_html_e( 'skipped', 'geodir-converter' ); ?>
+							</span>
+							<span class="geodir-converter-stat-failed d-none">
+								<strong class="geodir-converter-stat-failed-count">0</strong> <?php esc_html_e( 'failed', 'geodir-converter' ); ?>
+							</span>
+							<span class="geodir-converter-stat-total d-none">
+								<strong class="geodir-converter-stat-total-count">0</strong> <?php esc_html_e( 'total', 'geodir-converter' ); ?>
+							</span>
+						</div>
+						<span class="geodir-converter-elapsed-time d-none">
+							<span class="geodir-converter-elapsed-value">00:00:00</span>
+						</span>
+					</div>
+				</div>
+			</div>
+		</div>
+		<?php
+	}
 }
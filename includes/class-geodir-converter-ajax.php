@@ -23,6 +23,41 @@ defined( 'ABSPATH' ) || exit;
 class GeoDir_Converter_Ajax {
 	use GeoDir_Converter_Trait_Singleton;
 
+	/**
+	 * How long a single progress stream stays open, in seconds.
+	 *
+	 * The browser reconnects once the stream ends, so this only bounds
+	 * how long one PHP worker is held.
+	 *
+	 * @since 2.3.0
+	 * @var int
+	 */
+	const STREAM_DURATION = 25;
+
+	/**
+	 * Seconds between progress checks inside an open stream.
+	 *
+	 * @since 2.3.0
+	 * @var int
+	 */
+	const STREAM_CHECK_INTERVAL = 1;
+
+	/**
+	 * Milliseconds the browser waits before reconnecting a closed stream.
+	 *
+	 * @since 2.3.0
+	 * @var int
+	 */
+	const STREAM_RETRY = 1000;
+
+	/**
+	 * User meta key holding the current user's converter preferences.
+	 *
+	 * @since 2.3.0
+	 * @var string
+	 */
+	const PREFERENCES_META_KEY = 'geodir_converter_preferences';
+
 	/**
 	 * Name of the nonce used for security verification.
 	 *
@@ -46,6 +81,9 @@ class GeoDir_Converter_Ajax {
 		'progress'             => array(
 			'method' => 'GET',
 		),
+		'progress_stream'      => array(
+			'method' => 'GET',
+		),
 		'import'               => array(
 			'method' => 'POST',
 		),
@@ -64,6 +102,15 @@ class GeoDir_Converter_Ajax {
 		'upload'               => array(
 			'method' => 'POST',
 		),
+		'upload_chunk'         => array(
+			'method' => 'POST',
+		),
+		'upload_status'        => array(
+			'method' => 'GET',
+		),
+		'upload_delete'        => array(
+			'method' => 'POST',
+		),
 		'csv_parse'            => array(
 			'method' => 'POST',
 		),
@@ -79,6 +126,9 @@ class GeoDir_Converter_Ajax {
 		'csv_clear_file'       => array(
 			'method' => 'POST',
 		),
+		'csv_remove_file'      => array(
+			'method' => 'POST',
+		),
 		'csv_save_template'    => array(
 			'method' => 'POST',
 		),
@@ -88,6 +138,66 @@ class GeoDir_Converter_Ajax {
 		'csv_delete_template'  => array(
 			'method' => 'POST',
 		),
+		'refresh_nonces'       => array(
+			'method' => 'GET',
+		),
+		'export_logs'          => array(
+			'method' => 'GET',
+		),
+		'logs'                 => array(
+			'method' => 'GET',
+		),
+		'failed_items'         => array(
+			'method' => 'GET',
+		),
+		'skip_failed'          => array(
+			'method' => 'POST',
+		),
+		'save_preferences'     => array(
+			'method' => 'POST',
+		),
+		'report'               => array(
+			'method' => 'GET',
+		),
+		'history'              => array(
+			'method' => 'GET',
+		),
+		'history_log'          => array(
+			'method' => 'GET',
+		),
+		'preview'              => array(
+			'method' => 'POST',
+		),
+		'rollback'             => array(
+			'method' => 'POST',
+		),
+		'rollback_progress'    => array(
+			'method' => 'GET',
+		),
+		'schedule'             => array(
+			'method' => 'POST',
+		),
+		'cancel_schedule'      => array(
+			'method' => 'POST',
+		),
+		'pipeline_status'      => array(
+			'method' => 'GET',
+		),
+		'pipeline_add_step'    => array(
+			'method' => 'POST',
+		),
+		'pipeline_update_step' => array(
+			'method' => 'POST',
+		),
+		'pipeline_remove_step' => array(
+			'method' => 'POST',
+		),
+		'pipeline_start'       => array(
+			'method' => 'POST',
+		),
+		'pipeline_stop'        => array(
+			'method' => 'POST',
+		),
 	);
 
 	/**
@@ -143,6 +253,23 @@ class GeoDir_Converter_Ajax {
 		return $nonces;
 	}
 
+	/**
+	 * Retrieve the current user's converter preferences.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return array Preferences merged over the defaults.
+	 */
+	public function get_preferences() {
+		$defaults = array(
+			'notifications' => false,
+		);
+
+		$preferences = get_user_meta( get_current_user_id(), self::PREFERENCES_META_KEY, true );
+
+		return wp_parse_args( is_array( $preferences ) ? $preferences : array(), $defaults );
+	}
+
 	/**
 	 * Add AJAX action hooks.
 	 *
@@ -195,6 +322,7 @@ class GeoDir_Converter_Ajax {
 			wp_send_json_error(
 				array(
 					'message' => __( 'Request does not pass security verification. Please refresh the page and try one more time.', 'geodir-converter' ),
+					'code'    => 'invalid_nonce',
 				)
 			);
 		}
@@ -246,7 +374,7 @@ class GeoDir_Converter_Ajax {
 		$importer_id = isset( $_POST['importerId'] ) ? wp_unslash( $_POST['importerId'] ) : '';
 		$settings    = isset( $_POST['settings'] ) ? wp_unslash( $_POST['settings'] ) : array();
 		$settings    = is_array( $settings ) ? $settings : json_decode( $settings, true );
-		$files       = isset( $_FILES['files'] ) ? wp_unslash( $_FILES['files'] ) : array();
+		$upload_ids  = $this->get_import_upload_ids();
 
 		$importer = $this->get_importer( $importer_id );
 
@@ -254,12 +382,17 @@ class GeoDir_Converter_Ajax {
 			$this->send_json_error( $importer->get_error_message() );
 		}
 
-		$result = $importer->import( $settings, $files );
+		$result = $importer->import( $settings, $this->get_import_files( $upload_ids ) );
 
 		if ( is_wp_error( $result ) ) {
 			$this->send_json_error( $result->get_error_message() );
 		}
 
+		// The import has read the rows, so the uploads are no longer needed.
+		foreach ( $upload_ids as $upload_id ) {
+			GeoDir_Converter_Chunked_Upload::instance()->delete( $upload_id );
+		}
+
 		$progress = $importer->get_progress();
 
 		wp_send_json_success(
@@ -270,6 +403,200 @@ class GeoDir_Converter_Ajax {
 		);
 	}
 
+	/**
+	 * AJAX handler for scheduling an import to start later.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function schedule() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		$importer_id = isset( $_POST['importerId'] ) ? sanitize_text_field( wp_unslash( $_POST['importerId'] ) ) : '';
+		$settings    = isset( $_POST['settings'] ) ? wp_unslash( $_POST['settings'] ) : array();
+		$settings    = is_array( $settings ) ? $settings : json_decode( $settings, true );
+		$files       = $this->get_import_files( $this->get_import_upload_ids() );
+
+		$importer = $this->get_importer( $importer_id );
+
+		if ( is_wp_error( $importer ) ) {
+			$this->send_json_error( $importer->get_error_message() );
+		}
+
+		$result = $importer->schedule_import( is_array( $settings ) ? $settings : array(), $files );
+
+		if ( is_wp_error( $result ) ) {
+			$this->send_json_error( $result->get_error_message() );
+		}
+
+		wp_send_json_success(
+			array(
+				'schedule' => $result,
+			)
+		);
+	}
+
+	/**
+	 * AJAX handler for cancelling a scheduled import.
+	 *
+	 * @since 2.3.0
+	 * @return void
+	 */
+	public function cancel_schedule() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		$importer_id = isset( $_POST['importerId'] ) ? sanitize_text_field( wp_unslash( $_POST['importerId'] ) ) : '';
+		$importer    = $this->get_importer( $importer_id );
+
+		if ( is_wp_error( $importer ) ) {
+			$this->send_json_error( $importer->get_error_message() );
+		}
+
+		$importer->cancel_schedule();
+
+		wp_send_json_success(
+			array(
+				'schedule' => $importer->get_schedule_summary(),
+			)
+		);
+	}
+
+	/**
+	 * Send the result of a pipeline change: its status, or the error.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array|WP_Error $result Pipeline status or WP_Error.
+	 * @return void
+	 */
+	private function send_pipeline_result( $result ) {
+		if ( is_wp_error( $result ) ) {
+			$this->send_json_error( $result->get_error_message() );
+		}
+
+		wp_send_json_success( $result );
+	}
+
+	/**
+	 * AJAX handler for getting the import pipeline status.
+	 *
+	 * @since 2.3.0
+	 * @return void
+	 */
+	public function pipeline_status() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		wp_send_json_success( GeoDir_Converter_Pipeline::instance()->get_status() );
+	}
+
+	/**
+	 * AJAX handler for adding an importer's settings to the import pipeline.
+	 *
+	 * @since 2.3.0
+	 * @return void
+	 */
+	public function pipeline_add_step() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		$importer_id = isset( $_POST['importerId'] ) ? sanitize_text_field( wp_unslash( $_POST['importerId'] ) ) : '';
+		$settings    = isset( $_POST['settings'] ) ? wp_unslash( $_POST['settings'] ) : array();
+		$settings    = is_array( $settings ) ? $settings : json_decode( $settings, true );
+
+		$this->send_pipeline_result( GeoDir_Converter_Pipeline::instance()->add_step( $importer_id, is_array( $settings ) ? $settings : array() ) );
+	}
+
+	/**
+	 * AJAX handler for changing or moving an import pipeline step.
+	 *
+	 * @since 2.3.0
+	 * @return void
+	 */
+	public function pipeline_update_step() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		$step_id = isset( $_POST['stepId'] ) ? sanitize_text_field( wp_unslash( $_POST['stepId'] ) ) : '';
+		$changes = array();
+
+		foreach ( array( 'onFailure', 'templateId', 'move' ) as $key ) {
+			if ( isset( $_POST[ $key ] ) ) {
+				$changes[ $key ] = sanitize_text_field( wp_unslash( $_POST[ $key ] ) );
+			}
+		}
+
+		$this->send_pipeline_result( GeoDir_Converter_Pipeline::instance()->update_step( $step_id, $changes ) );
+	}
+
+	/**
+	 * AJAX handler for removing an import pipeline step.
+	 *
+	 * @since 2.3.0
+	 * @return void
+	 */
+	public function pipeline_remove_step() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		$step_id = isset( $_POST['stepId'] ) ? sanitize_text_field( wp_unslash( $_POST['stepId'] ) ) : '';
+
+		$this->send_pipeline_result( GeoDir_Converter_Pipeline::instance()->remove_step( $step_id ) );
+	}
+
+	/**
+	 * AJAX handler for running the import pipeline.
+	 *
+	 * @since 2.3.0
+	 * @return void
+	 */
+	public function pipeline_start() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		$this->send_pipeline_result( GeoDir_Converter_Pipeline::instance()->start() );
+	}
+
+	/**
+	 * AJAX handler for stopping the import pipeline.
+	 *
+	 * @since 2.3.0
+	 * @return void
+	 */
+	public function pipeline_stop() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		$this->send_pipeline_result( GeoDir_Converter_Pipeline::instance()->stop() );
+	}
+
 	/**
 	 * AJAX handler for getting import progress.
 	 *
@@ -284,8 +611,859 @@ class GeoDir_Converter_Ajax {
 			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
 		}
 
-		$importer_id = isset( $_GET['importerId'] ) ? sanitize_text_field( $_GET['importerId'] ) : '';
-		$logs_shown  = isset( $_GET['logsShown'] ) ? absint( $_GET['logsShown'] ) : '';
+		$importer_id = isset( $_GET['importerId'] ) ? sanitize_text_field( $_GET['importerId'] ) : '';
+		$logs_shown  = isset( $_GET['logsShown'] ) ? absint( $_GET['logsShown'] ) : 0;
+		$structured  = ! empty( $_GET['structured'] );
+
+		$importer = $this->get_importer( $importer_id );
+
+		if ( is_wp_error( $importer ) ) {
+			$this->send_json_error( $importer->get_error_message() );
+		}
+
+		wp_send_json_success( $this->get_progress_data( $importer, $logs_shown, $structured ) );
+	}
+
+	/**
+	 * AJAX handler for streaming import progress as Server-Sent Events.
+	 *
+	 * Sends a `progress` event whenever the payload changes, using the same
+	 * data as the progress() handler. The stream closes after STREAM_DURATION
+	 * seconds; the browser then reconnects and resumes from the last event ID,
+	 * which carries the logs cursor. A `done` event is sent once the import
+	 * has stopped.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function progress_stream() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		$importer_id = isset( $_GET['importerId'] ) ? sanitize_text_field( $_GET['importerId'] ) : '';
+		$logs_shown  = isset( $_GET['logsShown'] ) ? absint( $_GET['logsShown'] ) : 0;
+		$structured  = ! empty( $_GET['structured'] );
+
+		// A reconnecting browser reports the cursor of the last event it received.
+		if ( isset( $_SERVER['HTTP_LAST_EVENT_ID'] ) && '' !== $_SERVER['HTTP_LAST_EVENT_ID'] ) {
+			$logs_shown = absint( wp_unslash( $_SERVER['HTTP_LAST_EVENT_ID'] ) );
+		}
+
+		$importer = $this->get_importer( $importer_id );
+
+		if ( is_wp_error( $importer ) ) {
+			$this->send_json_error( $importer->get_error_message() );
+		}
+
+		/**
+		 * Filters how long a single progress stream stays open.
+		 *
+		 * @since 2.3.0
+		 *
+		 * @param int $duration Duration in seconds. Default STREAM_DURATION.
+		 */
+		$duration = max( 1, (int) apply_filters( 'geodir_converter_progress_stream_duration', self::STREAM_DURATION ) );
+		$started  = time();
+		$last     = '';
+		$notified = false;
+
+		$this->start_event_stream( $duration );
+
+		while ( time() - $started < $duration ) {
+			if ( connection_aborted() ) {
+				exit;
+			}
+
+			$this->refresh_progress_cache( $importer );
+
+			// The "Import paused." notice is sent once per pause, not on every check.
+			$data = $this->get_progress_data( $importer, $logs_shown, $structured, ! $notified );
+
+			// New logs always move the cursor, and the elapsed time stands still while paused.
+			$signature = wp_json_encode( array_diff_key( $data, $data['isPaused'] ? array( 'logs' => true, 'elapsed' => true ) : array( 'logs' => true ) ) );
+
+			if ( $signature !== $last ) {
+				$this->send_event( 'progress', wp_json_encode( $data ), $data['logsShown'] );
+				$last       = $signature;
+				$logs_shown = $data['logsShown'];
+			}
+
+			$notified = $data['isPaused'];
+
+			if ( ! $data['inProgress'] && ! $data['isPaused'] ) {
+				$this->send_event( 'done', wp_json_encode( array( 'logsShown' => $logs_shown ) ), $logs_shown );
+				exit;
+			}
+
+			sleep( self::STREAM_CHECK_INTERVAL );
+		}
+
+		exit;
+	}
+
+	/**
+	 * Build the progress payload shared by the polling and streaming handlers.
+	 *
+	 * Logs are sent as HTML by default. With `$structured`, they are sent as
+	 * entries (level, timestamp, elapsed, message, source_id, post_id) and
+	 * `logsFormat` is set to 'entries'. `logsFrom` is the log index of the
+	 * first entry sent and `logsShown` the index after the last stored one;
+	 * notices such as "Import paused." follow the stored entries and don't
+	 * move the cursor.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param object $importer      The importer instance.
+	 * @param int    $logs_shown    Number of log entries the client already has.
+	 * @param bool   $structured    Whether to send structured log entries. Default false.
+	 * @param bool   $paused_notice Whether to append the "Import paused." notice while paused. Default true.
+	 * @return array Progress data.
+	 */
+	protected function get_progress_data( $importer, $logs_shown, $structured = false, $paused_notice = true ) {
+		$logs_shown         = absint( $logs_shown );
+		$progress           = $importer->get_progress();
+		$in_progress        = $importer->background_process->is_in_progress();
+		$is_paused          = $importer->background_process->is_paused();
+		$failed_items_count = $importer->get_failed_items_count();
+		$stats              = $importer->get_stats();
+		$elapsed            = $importer->get_elapsed_time();
+		$logs               = $importer->get_logs( $logs_shown );
+		$first_index        = max( $logs_shown, (int) $importer->options_handler->get_option_no_cache( 'log_offset', 0 ) );
+		$stored_count       = count( $logs );
+
+		// Build notice.
+		if ( ! $in_progress ) {
+			if ( $is_paused ) {
+				if ( $paused_notice ) {
+					$logs[] = array(
+						'message'   => __( 'Import paused.', 'geodir-converter' ),
+						'status'    => 'warning',
+						'timestamp' => gmdate( 'Y-m-d H:i:s' ),
+					);
+				}
+			} else {
+				$logs[] = array(
+					'message'   => __( 'Import completed.', 'geodir-converter' ),
+					'status'    => 'success',
+					'timestamp' => gmdate( 'Y-m-d H:i:s' ),
+				);
+			}
+		}
+
+		// Notices aren't stored, so the cursor only moves past stored entries.
+		$logs_shown = $first_index + $stored_count;
+
+		return array(
+			'progress'         => $progress,
+			/* translators: %d: progress percentage */
+			'message'          => sprintf(
+				__( 'Import progress: %d%%', 'geodir-converter' ),
+				$progress
+			),
+			'logsShown'        => $logs_shown,
+			'logsFrom'         => $first_index,
+			'logs'             => $structured ? $this->get_log_entries( $importer, $logs, $first_index, $stored_count ) : $importer->logs_to_html( $logs ),
+			'logsFormat'       => $structured ? 'entries' : 'html',
+			'inProgress'       => (bool) $in_progress,
+			'isPaused'         => (bool) $is_paused,
+			'failedItemsCount' => (int) $failed_items_count,
+			'stats'            => array(
+				'total'   => (int) $stats['total'],
+				'succeed' => (int) $stats['succeed'],
+				'skipped' => (int) $stats['skipped'],
+				'failed'  => (int) $stats['failed'],
+			),
+			'elapsed'          => (int) $elapsed,
+			'schedule'         => $importer->get_schedule_summary(),
+		);
+	}
+
+	/**
+	 * Convert progress logs into structured entries.
+	 *
+	 * Stored entries get their log index; the status notice appended by
+	 * get_progress_data() does not have one.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param object $importer     The importer instance.
+	 * @param array  $logs         Stored entries followed by any notice.
+	 * @param int    $first_index  Log index of the first stored entry.
+	 * @param int    $stored_count Number of stored entries in `$logs`.
+	 * @return array Structured log entries.
+	 */
+	private function get_log_entries( $importer, array $logs, $first_index, $stored_count ) {
+		return array_merge(
+			$importer->logs_to_entries( array_slice( $logs, 0, $stored_count ), $first_index ),
+			$importer->logs_to_entries( array_slice( $logs, $stored_count ) )
+		);
+	}
+
+	/**
+	 * Prepare the response for a Server-Sent Events stream.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param int $duration How long the stream will stay open, in seconds.
+	 * @return void
+	 */
+	private function start_event_stream( $duration ) {
+		ignore_user_abort( false );
+
+		if ( function_exists( 'set_time_limit' ) ) {
+			@set_time_limit( $duration + 10 ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+		}
+
+		while ( ob_get_level() > 0 ) {
+			ob_end_clean();
+		}
+
+		header( 'Content-Type: text/event-stream; charset=' . get_option( 'blog_charset' ) );
+		header( 'Cache-Control: no-cache, no-store, must-revalidate' );
+		header( 'X-Accel-Buffering: no' );
+
+		echo 'retry: ' . (int) self::STREAM_RETRY . "\n\n";
+		flush();
+	}
+
+	/**
+	 * Write a single Server-Sent Event.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $event   Event name.
+	 * @param string $payload JSON encoded event data.
+	 * @param int    $id      Event ID, used by the browser to resume after reconnecting.
+	 * @return void
+	 */
+	private function send_event( $event, $payload, $id ) {
+		echo 'id: ' . (int) $id . "\n";
+		echo 'event: ' . $event . "\n"; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+		echo 'data: ' . $payload . "\n\n"; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+		flush();
+	}
+
+	/**
+	 * Drop the cached import state a stream check reads, so it sees the stored values.
+	 *
+	 * Everything else the progress payload uses is read from the database directly.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param object $importer The importer instance.
+	 * @return void
+	 */
+	private function refresh_progress_cache( $importer ) {
+		wp_cache_delete( $importer->options_handler->get_option_name( 'import_start_time' ), 'options' );
+		$importer->background_process->refresh_lock_cache();
+	}
+
+	/**
+	 * AJAX handler for uploading CSV file.
+	 *
+	 * @since 2.0.2
+	 *
+	 * @return void
+	 */
+	public function upload() {
+		$this->verify_nonce( __FUNCTION__ );
+		$importer_id = isset( $_POST['importerId'] ) ? sanitize_text_field( $_POST['importerId'] ) : '';
+		$upload_id   = $this->get_upload_id();
+		$file        = $this->get_chunked_file( $upload_id );
+
+		// Files sent in one request rather than in chunks.
+		if ( ! $file ) {
+			// Check if file was uploaded.
+			if ( ! isset( $_FILES['file'] ) ) {
+				$this->send_json_error( __( 'No file was uploaded. Please select a file and try again.', 'geodir-converter' ) );
+			}
+
+			$file = $_FILES['file'];
+
+			// Check for upload errors.
+			if ( $file['error'] !== UPLOAD_ERR_OK ) {
+				$upload_errors = array(
+					UPLOAD_ERR_INI_SIZE   => __( 'The uploaded file exceeds the upload_max_filesize directive in php.ini.', 'geodir-converter' ),
+					UPLOAD_ERR_FORM_SIZE  => __( 'The uploaded file exceeds the MAX_FILE_SIZE directive in the HTML form.', 'geodir-converter' ),
+					UPLOAD_ERR_PARTIAL    => __( 'The uploaded file was only partially uploaded. Please try again.', 'geodir-converter' ),
+					UPLOAD_ERR_NO_FILE    => __( 'No file was uploaded. Please select a file and try again.', 'geodir-converter' ),
+					UPLOAD_ERR_NO_TMP_DIR => __( 'Missing a temporary folder. Please contact the site administrator.', 'geodir-converter' ),
+					UPLOAD_ERR_CANT_WRITE => __( 'Failed to write file to disk. Please contact the site administrator.', 'geodir-converter' ),
+					UPLOAD_ERR_EXTENSION  => __( 'A PHP extension stopped the file upload. Please contact the site administrator.', 'geodir-converter' ),
+				);
+
+				$error_message = isset( $upload_errors[ $file['error'] ] )
+					? $upload_errors[ $file['error'] ]
+					: __( 'Unknown upload error.', 'geodir-converter' );
+
+				$this->send_json_error( $error_message );
+			}
+
+			// Verify the file was uploaded via HTTP POST.
+			if ( ! is_uploaded_file( $file['tmp_name'] ) ) {
+				$this->send_json_error( __( 'Invalid file upload method detected.', 'geodir-converter' ) );
+			}
+
+			$max_size = wp_max_upload_size();
+			if ( $file['size'] > $max_size ) {
+				$this->send_json_error(
+					/* translators: %s: maximum file size */
+					sprintf(
+						__( 'File size exceeds the maximum limit of %s. Please upload a smaller file.', 'geodir-converter' ),
+						size_format( $max_size )
+					)
+				);
+			}
+		}
+
+		// Validate extension.
+		$ext = strtolower( pathinfo( $file['name'], PATHINFO_EXTENSION ) );
+		if ( $ext !== 'csv' ) {
+			$this->send_json_error(
+				__( 'Invalid file type. Only CSV files are allowed.', 'geodir-converter' )
+			);
+		}
+
+		// MIME type validation.
+		$finfo         = new finfo( FILEINFO_MIME_TYPE );
+		$mime          = $finfo->file( $file['tmp_name'] );
+		$allowed_mimes = array( 'text/plain', 'text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/comma-separated-values' );
+
+		if ( ! in_array( $mime, $allowed_mimes, true ) ) {
+			$this->send_json_error(
+				/* translators: %s: detected file type */
+				sprintf(
+					__( 'Invalid file format detected (%s). Please upload a valid CSV file.', 'geodir-converter' ),
+					esc_html( $mime )
+				)
+			);
+		}
+
+		// Parse CSV.
+		$importer = $this->get_importer( $importer_id );
+
+		if ( is_wp_error( $importer ) ) {
+			$this->send_json_error( $importer->get_error_message() );
+		}
+
+		$rows = GeoDir_Converter_Utils::parse_csv( $file['tmp_name'] );
+
+		if ( is_wp_error( $rows ) ) {
+			$this->send_json_error( $rows->get_error_message() );
+		}
+
+		if ( empty( $rows ) ) {
+			$this->send_json_error( __( 'The CSV file is empty or could not be parsed. Please check the file format and try again.', 'geodir-converter' ) );
+		}
+
+		// Detect module type based on headers.
+		$module_type = $importer->detect_module_type( array_keys( $rows[0] ) );
+
+		if ( ! $module_type ) {
+			$this->send_json_error(
+				__( 'Unable to determine if this is an Events or Listings CSV. Please ensure your CSV contains the correct headers.', 'geodir-converter' ),
+			);
+		}
+
+		wp_send_json_success(
+			array(
+				/* translators: %1$s: file name, %2$d: number of rows */
+				'message'     => sprintf(
+					__( 'Successfully parsed %1$s: Found %2$d rows.', 'geodir-converter' ),
+					$module_type,
+					count( $rows )
+				),
+				'module_type' => $module_type,
+				'file_name'   => esc_html( $file['name'] ),
+				'file_size'   => size_format( $file['size'] ),
+				'total_rows'  => count( $rows ),
+			)
+		);
+	}
+
+	/**
+	 * AJAX handler for receiving one chunk of a source file.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function upload_chunk() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		if ( ! isset( $_FILES['chunk'] ) ) {
+			$this->send_json_error( __( 'No file was uploaded. Please select a file and try again.', 'geodir-converter' ) );
+		}
+
+		$result = GeoDir_Converter_Chunked_Upload::instance()->add_chunk(
+			$this->get_upload_id(),
+			isset( $_POST['file_name'] ) ? sanitize_text_field( wp_unslash( $_POST['file_name'] ) ) : '',
+			isset( $_POST['file_size'] ) ? absint( $_POST['file_size'] ) : 0,
+			isset( $_POST['offset'] ) ? absint( $_POST['offset'] ) : 0,
+			$_FILES['chunk'] // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+		);
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error(
+				array(
+					'message' => $result->get_error_message(),
+					'code'    => $result->get_error_code(),
+					'upload'  => $result->get_error_data(),
+				)
+			);
+		}
+
+		wp_send_json_success( $result );
+	}
+
+	/**
+	 * AJAX handler for checking how much of a chunked upload the server has.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function upload_status() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		$upload_id = isset( $_GET['upload_id'] ) ? GeoDir_Converter_Chunked_Upload::instance()->sanitize_upload_id( sanitize_text_field( wp_unslash( $_GET['upload_id'] ) ) ) : '';
+
+		if ( ! $upload_id ) {
+			$this->send_json_error( __( 'Invalid upload ID.', 'geodir-converter' ) );
+		}
+
+		wp_send_json_success( GeoDir_Converter_Chunked_Upload::instance()->get_status( $upload_id ) );
+	}
+
+	/**
+	 * AJAX handler for deleting what the server kept of a cancelled or removed upload.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function upload_delete() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		$upload_id = $this->get_upload_id();
+
+		if ( ! $upload_id ) {
+			$this->send_json_error( __( 'Invalid upload ID.', 'geodir-converter' ) );
+		}
+
+		GeoDir_Converter_Chunked_Upload::instance()->delete( $upload_id );
+
+		wp_send_json_success();
+	}
+
+	/**
+	 * Get the ID of the chunked upload named in the request.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return string Upload ID, or an empty string if the file was sent in one request.
+	 */
+	private function get_upload_id() {
+		$upload_id = isset( $_POST['upload_id'] ) ? sanitize_text_field( wp_unslash( $_POST['upload_id'] ) ) : '';
+
+		return GeoDir_Converter_Chunked_Upload::instance()->sanitize_upload_id( $upload_id );
+	}
+
+	/**
+	 * Get the file assembled from a chunked upload.
+	 *
+	 * Sends a JSON error and terminates if the upload isn't complete.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $upload_id Upload ID.
+	 * @return array|null The file as an entry of $_FILES, or null if no upload ID was given.
+	 */
+	private function get_chunked_file( $upload_id ) {
+		if ( ! $upload_id ) {
+			return null;
+		}
+
+		$file = GeoDir_Converter_Chunked_Upload::instance()->get_file( $upload_id );
+
+		if ( is_wp_error( $file ) ) {
+			$this->send_json_error( $file->get_error_message() );
+		}
+
+		return $file;
+	}
+
+	/**
+	 * Get the IDs of the chunked uploads an import reads its source files from.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return array Upload IDs.
+	 */
+	private function get_import_upload_ids() {
+		$upload_ids = isset( $_POST['upload_ids'] ) ? (array) wp_unslash( $_POST['upload_ids'] ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+		$upload_ids = array_map( array( GeoDir_Converter_Chunked_Upload::instance(), 'sanitize_upload_id' ), array_map( 'sanitize_text_field', $upload_ids ) );
+
+		return array_values( array_unique( array_filter( $upload_ids ) ) );
+	}
+
+	/**
+	 * Get the source files of an import, in the shape of a multiple-file entry of $_FILES.
+	 *
+	 * Files are read from the chunked uploads named in the request, so no request
+	 * carries a whole file. Files posted as files[] are still accepted.
+	 * Sends a JSON error and terminates if an upload isn't complete.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $upload_ids Upload IDs, see get_import_upload_ids().
+	 * @return array Files with name, type, tmp_name, error and size lists, or an empty array if there are none.
+	 */
+	private function get_import_files( array $upload_ids ) {
+		if ( empty( $upload_ids ) ) {
+			return isset( $_FILES['files'] ) ? wp_unslash( $_FILES['files'] ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+		}
+
+		$files = array(
+			'name'     => array(),
+			'type'     => array(),
+			'tmp_name' => array(),
+			'error'    => array(),
+			'size'     => array(),
+		);
+
+		foreach ( $upload_ids as $upload_id ) {
+			$file = $this->get_chunked_file( $upload_id );
+
+			foreach ( array_keys( $files ) as $key ) {
+				$files[ $key ][] = $file[ $key ];
+			}
+		}
+
+		return $files;
+	}
+
+	/**
+	 * AJAX handler for aborting the import process.
+	 *
+	 * @since 2.0.2
+	 *
+	 * @return void
+	 */
+	public function abort() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		$importer_id = isset( $_POST['importerId'] ) ? sanitize_text_field( $_POST['importerId'] ) : '';
+
+		$importer = $this->get_importer( $importer_id );
+
+		if ( is_wp_error( $importer ) ) {
+			$this->send_json_error( $importer->get_error_message() );
+		}
+
+		// Abort the background process.
+		$importer->background_process->abort();
+
+		wp_send_json_success();
+	}
+
+	/**
+	 * AJAX handler for pausing the import process.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @return void
+	 */
+	public function pause() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		$importer_id = isset( $_POST['importerId'] ) ? sanitize_text_field( $_POST['importerId'] ) : '';
+		$importer    = $this->get_importer( $importer_id );
+
+		if ( is_wp_error( $importer ) ) {
+			$this->send_json_error( $importer->get_error_message() );
+		}
+
+		$importer->background_process->pause();
+		$importer->log( __( 'Import paused by user.', 'geodir-converter' ), 'warning' );
+
+		wp_send_json_success(
+			array(
+				'message' => __( 'Import paused.', 'geodir-converter' ),
+			)
+		);
+	}
+
+	/**
+	 * AJAX handler for resuming a paused import process.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @return void
+	 */
+	public function resume() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		$importer_id = isset( $_POST['importerId'] ) ? sanitize_text_field( $_POST['importerId'] ) : '';
+		$importer    = $this->get_importer( $importer_id );
+
+		if ( is_wp_error( $importer ) ) {
+			$this->send_json_error( $importer->get_error_message() );
+		}
+
+		$importer->background_process->resume();
+		$importer->log( __( 'Import resumed.', 'geodir-converter' ), 'info' );
+
+		wp_send_json_success(
+			array(
+				'message' => __( 'Import resumed.', 'geodir-converter' ),
+			)
+		);
+	}
+
+	/**
+	 * AJAX handler for retrying failed items.
+	 *
+	 * @since 2.2.0
+	 *
+	 * @return void
+	 */
+	public function retry_failed() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		$importer_id = isset( $_POST['importerId'] ) ? sanitize_text_field( $_POST['importerId'] ) : '';
+		$importer    = $this->get_importer( $importer_id );
+
+		if ( is_wp_error( $importer ) ) {
+			$this->send_json_error( $importer->get_error_message() );
+		}
+
+		if ( $importer->background_process->is_in_progress() ) {
+			$this->send_json_error( __( 'An import is already in progress.', 'geodir-converter' ) );
+		}
+
+		$keys   = isset( $_POST['keys'] ) ? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['keys'] ) ) : array();
+		$result = $importer->background_process->retry_failed_items( $keys );
+
+		if ( ! $result && $importer->has_failed_items() ) {
+			$this->send_json_error( __( 'These items can\'t be retried one by one. Run the import again to retry them.', 'geodir-converter' ) );
+		}
+
+		if ( ! $result ) {
+			$this->send_json_error( __( 'No failed items to retry.', 'geodir-converter' ) );
+		}
+
+		/* translators: %d: number of items */
+		$importer->log( sprintf( _n( 'Retrying %d failed item...', 'Retrying %d failed items...', $result, 'geodir-converter' ), $result ), 'info' );
+
+		wp_send_json_success(
+			array(
+				'message' => __( 'Retrying failed items.', 'geodir-converter' ),
+			)
+		);
+	}
+
+	/**
+	 * AJAX handler for listing the failed items of an importer.
+	 *
+	 * @since 2.3.0
+	 * @return void
+	 */
+	public function failed_items() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		$importer_id = isset( $_GET['importerId'] ) ? sanitize_text_field( $_GET['importerId'] ) : '';
+		$importer    = $this->get_importer( $importer_id );
+
+		if ( is_wp_error( $importer ) ) {
+			$this->send_json_error( $importer->get_error_message() );
+		}
+
+		$items = array();
+		foreach ( $importer->get_failed_items() as $key => $item ) {
+			$action = isset( $item['action'] ) ? (string) $item['action'] : $importer::ACTION_IMPORT_LISTINGS;
+
+			$items[] = array(
+				'key'        => (string) $key,
+				'sourceId'   => isset( $item['source_id'] ) ? $item['source_id'] : '',
+				'title'      => isset( $item['item_title'] ) ? (string) $item['item_title'] : '',
+				'type'       => isset( $item['item_type'] ) ? (string) $item['item_type'] : '',
+				'step'       => ucfirst( str_replace( '_', ' ', $action ) ),
+				'error'      => isset( $item['error_message'] ) ? (string) $item['error_message'] : '',
+				'retryCount' => isset( $item['retry_count'] ) ? (int) $item['retry_count'] : 0,
+				'retryable'  => $importer->can_retry_action( $action ),
+				'timestamp'  => ! empty( $item['timestamp'] ) ? gmdate( 'c', (int) $item['timestamp'] ) : '',
+			);
+		}
+
+		wp_send_json_success( array( 'items' => $items ) );
+	}
+
+	/**
+	 * AJAX handler for marking failed items as skipped.
+	 *
+	 * @since 2.3.0
+	 * @return void
+	 */
+	public function skip_failed() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		$importer_id = isset( $_POST['importerId'] ) ? sanitize_text_field( $_POST['importerId'] ) : '';
+		$importer    = $this->get_importer( $importer_id );
+
+		if ( is_wp_error( $importer ) ) {
+			$this->send_json_error( $importer->get_error_message() );
+		}
+
+		if ( $importer->background_process->is_in_progress() ) {
+			$this->send_json_error( __( 'An import is already in progress.', 'geodir-converter' ) );
+		}
+
+		$keys    = isset( $_POST['keys'] ) ? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['keys'] ) ) : array();
+		$skipped = $importer->skip_failed_items( $keys );
+
+		if ( ! $skipped ) {
+			$this->send_json_error( __( 'No failed items to skip.', 'geodir-converter' ) );
+		}
+
+		wp_send_json_success(
+			array(
+				/* translators: %d: number of skipped items */
+				'message' => sprintf( _n( '%d item skipped.', '%d items skipped.', $skipped, 'geodir-converter' ), $skipped ),
+			)
+		);
+	}
+
+	/**
+	 * AJAX handler for loading a page of stored log entries.
+	 *
+	 * Used by the log viewer to browse history that is no longer rendered.
+	 * `logsShown` is the log index to start from, as in progress(). With
+	 * `tail`, the newest `limit` entries are returned instead.
+	 *
+	 * @since 2.3.0
+	 * @return void
+	 */
+	public function logs() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		$importer_id = isset( $_GET['importerId'] ) ? sanitize_text_field( $_GET['importerId'] ) : '';
+		$logs_shown  = isset( $_GET['logsShown'] ) ? absint( $_GET['logsShown'] ) : 0;
+		$limit       = isset( $_GET['limit'] ) ? min( 500, max( 1, absint( $_GET['limit'] ) ) ) : 100;
+		$importer    = $this->get_importer( $importer_id );
+
+		if ( is_wp_error( $importer ) ) {
+			$this->send_json_error( $importer->get_error_message() );
+		}
+
+		$discarded = (int) $importer->options_handler->get_option_no_cache( 'log_offset', 0 );
+
+		if ( ! empty( $_GET['tail'] ) ) {
+			$logs_shown = max( 0, $discarded + count( $importer->get_logs() ) - $limit );
+		}
+
+		$logs  = $importer->get_logs( $logs_shown );
+		$first = max( $logs_shown, $discarded );
+
+		wp_send_json_success(
+			array(
+				'entries' => $importer->logs_to_entries( array_slice( $logs, 0, $limit ), $first ),
+				'first'   => $discarded,
+				'total'   => $first + count( $logs ),
+			)
+		);
+	}
+
+	/**
+	 * AJAX handler for exporting the complete log of an importer.
+	 *
+	 * @since 2.3.0
+	 * @return void
+	 */
+	public function export_logs() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		$importer_id = isset( $_GET['importerId'] ) ? sanitize_text_field( $_GET['importerId'] ) : '';
+		$importer    = $this->get_importer( $importer_id );
+
+		if ( is_wp_error( $importer ) ) {
+			$this->send_json_error( $importer->get_error_message() );
+		}
+
+		wp_send_json_success(
+			array(
+				'entries'   => $importer->logs_to_entries( $importer->get_logs() ),
+				'discarded' => (int) $importer->options_handler->get_option_no_cache( 'log_offset', 0 ),
+				'stats'     => $importer->get_stats(),
+			)
+		);
+	}
+
+	/**
+	 * AJAX handler for previewing records before they are imported.
+	 *
+	 * @since 2.3.0
+	 * @return void
+	 */
+	public function preview() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		$importer_id = isset( $_POST['importerId'] ) ? sanitize_text_field( wp_unslash( $_POST['importerId'] ) ) : '';
+		$settings    = isset( $_POST['settings'] ) ? wp_unslash( $_POST['settings'] ) : array();
+		$settings    = is_array( $settings ) ? $settings : json_decode( $settings, true );
+		$limit       = isset( $_POST['limit'] ) ? min( 50, max( 1, absint( $_POST['limit'] ) ) ) : 10;
 
 		$importer = $this->get_importer( $importer_id );
 
@@ -293,301 +1471,261 @@ class GeoDir_Converter_Ajax {
 			$this->send_json_error( $importer->get_error_message() );
 		}
 
-		$progress           = $importer->get_progress();
-		$in_progress        = $importer->background_process->is_in_progress();
-		$is_paused          = $importer->background_process->is_paused();
-		$failed_items_count = $importer->get_failed_items_count();
-		$stats              = $importer->get_stats();
-		$start_time         = $importer->options_handler->get_option( 'import_start_time', 0 );
-		$elapsed            = $start_time ? ( time() - (int) $start_time ) : 0;
-		$logs               = $importer->get_logs( $logs_shown );
+		$records = $importer->preview( is_array( $settings ) ? $settings : array(), $limit );
 
-		// Build notice.
-		if ( ! $in_progress ) {
-			if ( $is_paused ) {
-				$logs[] = array(
-					'message' => __( 'Import paused.', 'geodir-converter' ),
-					'status'  => 'warning',
-				);
-			} else {
-				$logs[] = array(
-					'message' => __( 'Import completed.', 'geodir-converter' ),
-					'status'  => 'success',
-				);
-			}
+		if ( is_wp_error( $records ) ) {
+			$this->send_json_error( $records->get_error_message() );
 		}
 
-		// Calculate new "logs_shown".
-		$logs_shown += count( $logs );
-
 		wp_send_json_success(
 			array(
-				'progress'         => $progress,
-				/* translators: %d: progress percentage */
-				'message'          => sprintf(
-					__( 'Import progress: %d%%', 'geodir-converter' ),
-					$progress
-				),
-				'logsShown'        => $logs_shown,
-				'logs'             => $importer->logs_to_html( $logs ),
-				'inProgress'       => (bool) $in_progress,
-				'isPaused'         => (bool) $is_paused,
-				'failedItemsCount' => (int) $failed_items_count,
-				'stats'            => array(
-					'total'   => (int) $stats['total'],
-					'succeed' => (int) $stats['succeed'],
-					'skipped' => (int) $stats['skipped'],
-					'failed'  => (int) $stats['failed'],
-				),
-				'elapsed'          => (int) $elapsed,
+				'records' => $records,
 			)
 		);
 	}
 
 	/**
-	 * AJAX handler for uploading CSV file.
-	 *
-	 * @since 2.0.2
+	 * AJAX handler for the summary report of the current or last run.
 	 *
+	 * @since 2.3.0
 	 * @return void
 	 */
-	public function upload() {
+	public function report() {
 		$this->verify_nonce( __FUNCTION__ );
-		$importer_id = isset( $_POST['importerId'] ) ? sanitize_text_field( $_POST['importerId'] ) : '';
-
-		// Check if file was uploaded.
-		if ( ! isset( $_FILES['file'] ) ) {
-			$this->send_json_error( __( 'No file was uploaded. Please select a file and try again.', 'geodir-converter' ) );
-		}
-
-		$file = $_FILES['file'];
-
-		// Check for upload errors.
-		if ( $file['error'] !== UPLOAD_ERR_OK ) {
-			$upload_errors = array(
-				UPLOAD_ERR_INI_SIZE   => __( 'The uploaded file exceeds the upload_max_filesize directive in php.ini.', 'geodir-converter' ),
-				UPLOAD_ERR_FORM_SIZE  => __( 'The uploaded file exceeds the MAX_FILE_SIZE directive in the HTML form.', 'geodir-converter' ),
-				UPLOAD_ERR_PARTIAL    => __( 'The uploaded file was only partially uploaded. Please try again.', 'geodir-converter' ),
-				UPLOAD_ERR_NO_FILE    => __( 'No file was uploaded. Please select a file and try again.', 'geodir-converter' ),
-				UPLOAD_ERR_NO_TMP_DIR => __( 'Missing a temporary folder. Please contact the site administrator.', 'geodir-converter' ),
-				UPLOAD_ERR_CANT_WRITE => __( 'Failed to write file to disk. Please contact the site administrator.', 'geodir-converter' ),
-				UPLOAD_ERR_EXTENSION  => __( 'A PHP extension stopped the file upload. Please contact the site administrator.', 'geodir-converter' ),
-			);
-
-			$error_message = isset( $upload_errors[ $file['error'] ] )
-				? $upload_errors[ $file['error'] ]
-				: __( 'Unknown upload error.', 'geodir-converter' );
 
-			$this->send_json_error( $error_message );
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
 		}
 
-		// Verify the file was uploaded via HTTP POST.
-		if ( ! is_uploaded_file( $file['tmp_name'] ) ) {
-			$this->send_json_error( __( 'Invalid file upload method detected.', 'geodir-converter' ) );
-		}
+		$importer_id = isset( $_GET['importerId'] ) ? sanitize_text_field( $_GET['importerId'] ) : '';
+		$importer    = $this->get_importer( $importer_id );
 
-		$max_size = wp_max_upload_size();
-		if ( $file['size'] > $max_size ) {
-			$this->send_json_error(
-				/* translators: %s: maximum file size */
-				sprintf(
-					__( 'File size exceeds the maximum limit of %s. Please upload a smaller file.', 'geodir-converter' ),
-					size_format( $max_size )
-				)
-			);
+		if ( is_wp_error( $importer ) ) {
+			$this->send_json_error( $importer->get_error_message() );
 		}
 
-		// Validate extension.
-		$ext = strtolower( pathinfo( $file['name'], PATHINFO_EXTENSION ) );
-		if ( $ext !== 'csv' ) {
-			$this->send_json_error(
-				__( 'Invalid file type. Only CSV files are allowed.', 'geodir-converter' )
-			);
-		}
+		wp_send_json_success(
+			array(
+				'report' => $importer->get_report(),
+			)
+		);
+	}
 
-		// MIME type validation.
-		$finfo         = new finfo( FILEINFO_MIME_TYPE );
-		$mime          = $finfo->file( $file['tmp_name'] );
-		$allowed_mimes = array( 'text/plain', 'text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/comma-separated-values' );
+	/**
+	 * AJAX handler for the finished runs of an importer.
+	 *
+	 * @since 2.3.0
+	 * @return void
+	 */
+	public function history() {
+		$this->verify_nonce( __FUNCTION__ );
 
-		if ( ! in_array( $mime, $allowed_mimes, true ) ) {
-			$this->send_json_error(
-				/* translators: %s: detected file type */
-				sprintf(
-					__( 'Invalid file format detected (%s). Please upload a valid CSV file.', 'geodir-converter' ),
-					esc_html( $mime )
-				)
-			);
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
 		}
 
-		// Parse CSV.
-		$importer = $this->get_importer( $importer_id );
+		$importer_id = isset( $_GET['importerId'] ) ? sanitize_text_field( $_GET['importerId'] ) : '';
+		$importer    = $this->get_importer( $importer_id );
 
 		if ( is_wp_error( $importer ) ) {
 			$this->send_json_error( $importer->get_error_message() );
 		}
 
-		$rows = GeoDir_Converter_Utils::parse_csv( $file['tmp_name'] );
-
-		if ( is_wp_error( $rows ) ) {
-			$this->send_json_error( $rows->get_error_message() );
-		}
-
-		if ( empty( $rows ) ) {
-			$this->send_json_error( __( 'The CSV file is empty or could not be parsed. Please check the file format and try again.', 'geodir-converter' ) );
-		}
-
-		// Detect module type based on headers.
-		$module_type = $importer->detect_module_type( array_keys( $rows[0] ) );
-
-		if ( ! $module_type ) {
-			$this->send_json_error(
-				__( 'Unable to determine if this is an Events or Listings CSV. Please ensure your CSV contains the correct headers.', 'geodir-converter' ),
+		$rollback_run = $importer->get_rollback_run();
+		$runs         = array();
+		foreach ( $importer->get_run_history() as $run ) {
+			$user = ! empty( $run['userId'] ) ? get_userdata( (int) $run['userId'] ) : false;
+
+			$runs[] = array(
+				'id'           => $run['id'],
+				'status'       => $run['status'],
+				'startedAt'    => gmdate( 'c', (int) $run['startTime'] ),
+				'finishedAt'   => gmdate( 'c', (int) $run['endTime'] ),
+				'duration'     => max( 0, (int) $run['endTime'] - (int) $run['startTime'] ),
+				'user'         => $user ? $user->display_name : '',
+				'settings'     => $run['settings'],
+				'testMode'     => (bool) $run['testMode'],
+				'stats'        => $run['stats'],
+				'breakdown'    => $run['breakdown'],
+				'created'      => $importer->count_created_objects( $run['id'] ),
+				'canRollBack'  => $rollback_run && $rollback_run['id'] === $run['id'],
+				'rolledBackAt' => ! empty( $run['rolledBackAt'] ) ? gmdate( 'c', (int) $run['rolledBackAt'] ) : '',
 			);
 		}
 
 		wp_send_json_success(
 			array(
-				/* translators: %1$s: file name, %2$d: number of rows */
-				'message'     => sprintf(
-					__( 'Successfully parsed %1$s: Found %2$d rows.', 'geodir-converter' ),
-					$module_type,
-					count( $rows )
-				),
-				'module_type' => $module_type,
-				'file_name'   => esc_html( $file['name'] ),
-				'file_size'   => size_format( $file['size'] ),
-				'total_rows'  => count( $rows ),
+				'runs' => $runs,
 			)
 		);
 	}
 
 	/**
-	 * AJAX handler for aborting the import process.
-	 *
-	 * @since 2.0.2
+	 * AJAX handler for rolling back a finished run.
 	 *
+	 * @since 2.3.0
 	 * @return void
 	 */
-	public function abort() {
+	public function rollback() {
 		$this->verify_nonce( __FUNCTION__ );
 
 		if ( ! current_user_can( 'manage_options' ) ) {
 			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
 		}
 
-		$importer_id = isset( $_POST['importerId'] ) ? sanitize_text_field( $_POST['importerId'] ) : '';
-
-		$importer = $this->get_importer( $importer_id );
+		$importer_id = isset( $_POST['importerId'] ) ? sanitize_text_field( wp_unslash( $_POST['importerId'] ) ) : '';
+		$run_id      = isset( $_POST['runId'] ) ? sanitize_key( wp_unslash( $_POST['runId'] ) ) : '';
+		$importer    = $this->get_importer( $importer_id );
 
 		if ( is_wp_error( $importer ) ) {
 			$this->send_json_error( $importer->get_error_message() );
 		}
 
-		// Abort the background process.
-		$importer->background_process->abort();
+		$result = $importer->rollback_process->start( $run_id );
 
-		wp_send_json_success();
+		if ( is_wp_error( $result ) ) {
+			$this->send_json_error( $result->get_error_message() );
+		}
+
+		wp_send_json_success(
+			array(
+				'runId' => $run_id,
+			)
+		);
 	}
 
 	/**
-	 * AJAX handler for pausing the import process.
-	 *
-	 * @since 2.2.0
+	 * AJAX handler for the progress and log of the current or last rollback.
 	 *
+	 * @since 2.3.0
 	 * @return void
 	 */
-	public function pause() {
+	public function rollback_progress() {
 		$this->verify_nonce( __FUNCTION__ );
 
 		if ( ! current_user_can( 'manage_options' ) ) {
 			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
 		}
 
-		$importer_id = isset( $_POST['importerId'] ) ? sanitize_text_field( $_POST['importerId'] ) : '';
+		$importer_id = isset( $_GET['importerId'] ) ? sanitize_text_field( $_GET['importerId'] ) : '';
+		$logs_shown  = isset( $_GET['logsShown'] ) ? absint( $_GET['logsShown'] ) : 0;
 		$importer    = $this->get_importer( $importer_id );
 
 		if ( is_wp_error( $importer ) ) {
 			$this->send_json_error( $importer->get_error_message() );
 		}
 
-		$importer->background_process->pause();
-		$importer->log( __( 'Import paused by user.', 'geodir-converter' ), 'warning' );
+		$process     = $importer->rollback_process;
+		$in_progress = $process->is_in_progress();
+		$state       = $process->get_state();
+		$stats       = $state['stats'];
+		$processed   = $stats['succeed'] + $stats['skipped'] + $stats['failed'];
+		$run         = $importer->get_rollback_run();
+
+		if ( $in_progress ) {
+			$process->touch();
+		}
 
 		wp_send_json_success(
 			array(
-				'message' => __( 'Import paused.', 'geodir-converter' ),
+				'runId'      => $state['runId'],
+				'status'     => $state['status'],
+				'inProgress' => $in_progress,
+				'progress'   => $stats['total'] > 0 && $in_progress ? min( 100, (int) floor( $processed / $stats['total'] * 100 ) ) : 100,
+				'stats'      => $stats,
+				'elapsed'    => $process->get_elapsed_time(),
+				'logs'       => $importer->logs_to_entries( $process->get_logs( $logs_shown ), $logs_shown ),
+				'available'  => $run ? array(
+					'id'      => $run['id'],
+					'created' => $importer->count_created_objects( $run['id'] ),
+				) : null,
 			)
 		);
 	}
 
 	/**
-	 * AJAX handler for resuming a paused import process.
-	 *
-	 * @since 2.2.0
+	 * AJAX handler for the archived log of a finished run.
 	 *
+	 * @since 2.3.0
 	 * @return void
 	 */
-	public function resume() {
+	public function history_log() {
 		$this->verify_nonce( __FUNCTION__ );
 
 		if ( ! current_user_can( 'manage_options' ) ) {
 			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
 		}
 
-		$importer_id = isset( $_POST['importerId'] ) ? sanitize_text_field( $_POST['importerId'] ) : '';
+		$importer_id = isset( $_GET['importerId'] ) ? sanitize_text_field( $_GET['importerId'] ) : '';
+		$run_id      = isset( $_GET['runId'] ) ? sanitize_key( $_GET['runId'] ) : '';
 		$importer    = $this->get_importer( $importer_id );
 
 		if ( is_wp_error( $importer ) ) {
 			$this->send_json_error( $importer->get_error_message() );
 		}
 
-		$importer->background_process->resume();
-		$importer->log( __( 'Import resumed.', 'geodir-converter' ), 'info' );
+		$archive = '' !== $run_id ? $importer->get_archived_log( $run_id ) : false;
+
+		if ( false === $archive ) {
+			$this->send_json_error( __( 'The log of this run is no longer available.', 'geodir-converter' ) );
+		}
 
 		wp_send_json_success(
 			array(
-				'message' => __( 'Import resumed.', 'geodir-converter' ),
+				'entries'   => $importer->logs_to_entries( $archive['logs'] ),
+				'discarded' => (int) $archive['discarded'],
 			)
 		);
 	}
 
 	/**
-	 * AJAX handler for retrying failed items.
+	 * AJAX handler for refreshing the nonces of all actions.
 	 *
-	 * @since 2.2.0
+	 * Long-running sessions outlive the nonces localized at page load. This
+	 * handler has no nonce of its own, since it is how the page recovers from
+	 * expired ones; it relies on the login cookie and the capability check.
 	 *
+	 * @since 2.3.0
 	 * @return void
 	 */
-	public function retry_failed() {
-		$this->verify_nonce( __FUNCTION__ );
-
+	public function refresh_nonces() {
 		if ( ! current_user_can( 'manage_options' ) ) {
 			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
 		}
 
-		$importer_id = isset( $_POST['importerId'] ) ? sanitize_text_field( $_POST['importerId'] ) : '';
-		$importer    = $this->get_importer( $importer_id );
+		wp_send_json_success(
+			array(
+				'nonces' => $this->get_nonces(),
+			)
+		);
+	}
 
-		if ( is_wp_error( $importer ) ) {
-			$this->send_json_error( $importer->get_error_message() );
-		}
+	/**
+	 * AJAX handler for saving the current user's preferences.
+	 *
+	 * Only keys known to get_preferences() are stored.
+	 *
+	 * @since 2.3.0
+	 * @return void
+	 */
+	public function save_preferences() {
+		$this->verify_nonce( __FUNCTION__ );
 
-		if ( $importer->background_process->is_in_progress() ) {
-			$this->send_json_error( __( 'An import is already in progress.', 'geodir-converter' ) );
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
 		}
 
-		$result = $importer->background_process->retry_failed_items();
+		$preferences = $this->get_preferences();
 
-		if ( ! $result ) {
-			$this->send_json_error( __( 'No failed items to retry.', 'geodir-converter' ) );
+		if ( isset( $_POST['notifications'] ) ) {
+			$preferences['notifications'] = rest_sanitize_boolean( wp_unslash( $_POST['notifications'] ) );
 		}
 
-		$importer->log( __( 'Retrying failed items...', 'geodir-converter' ), 'info' );
+		update_user_meta( get_current_user_id(), self::PREFERENCES_META_KEY, $preferences );
 
 		wp_send_json_success(
 			array(
-				'message' => __( 'Retrying failed items.', 'geodir-converter' ),
+				'preferences' => $preferences,
 			)
 		);
 	}
@@ -605,23 +1743,98 @@ class GeoDir_Converter_Ajax {
 			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
 		}
 
-		if ( ! isset( $_FILES['file'] ) || ! isset( $_FILES['file']['error'] ) || UPLOAD_ERR_OK !== $_FILES['file']['error'] ) {
+		$upload_id    = $this->get_upload_id();
+		$chunked_file = $this->get_chunked_file( $upload_id );
+
+		if ( ! $chunked_file && ( ! isset( $_FILES['file'] ) || ! isset( $_FILES['file']['error'] ) || UPLOAD_ERR_OK !== $_FILES['file']['error'] ) ) {
 			$this->send_json_error( __( 'No file uploaded or upload error.', 'geodir-converter' ) );
 		}
 
-		$delimiter = isset( $_POST['csv_delimiter'] ) ? sanitize_text_field( wp_unslash( $_POST['csv_delimiter'] ) ) : ',';
-		if ( empty( $delimiter ) || strlen( $delimiter ) > 1 ) {
-			$delimiter = ',';
+		$csv_importer = $this->get_importer( 'csv' );
+		if ( is_wp_error( $csv_importer ) ) {
+			$this->send_json_error( $csv_importer->get_error_message() );
 		}
 
+		// The format confirmed on the upload step. Tabs are checked by sanitize_delimiter().
+		$format = array(
+			'delimiter'  => isset( $_POST['csv_delimiter'] ) ? wp_unslash( $_POST['csv_delimiter'] ) : ',', // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+			'enclosure'  => isset( $_POST['csv_enclosure'] ) ? sanitize_text_field( wp_unslash( $_POST['csv_enclosure'] ) ) : '"',
+			'encoding'   => isset( $_POST['csv_encoding'] ) ? sanitize_text_field( wp_unslash( $_POST['csv_encoding'] ) ) : 'UTF-8',
+			'has_header' => ! isset( $_POST['csv_has_header'] ) || 'no' !== $_POST['csv_has_header'],
+		);
+
 		require_once ABSPATH . 'wp-admin/includes/file.php';
-		$upload = wp_handle_upload( $_FILES['file'], array( 'test_form' => false ) );
+
+		$source    = $chunked_file ? $chunked_file : $_FILES['file']; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+		$converter = GeoDir_Converter_Source_Converter::instance();
+		$converted = null;
+
+		if ( $converter->is_convertible( $source['name'] ) ) {
+			$sheet     = isset( $_POST['sheet'] ) ? sanitize_text_field( wp_unslash( $_POST['sheet'] ) ) : '';
+			$converted = $converter->convert( $source['tmp_name'], sanitize_file_name( $source['name'] ), $sheet );
+
+			if ( is_wp_error( $converted ) ) {
+				$code = $converted->get_error_code();
+
+				// Keeps the workbook until a sheet is chosen.
+				if ( $chunked_file && ! in_array( $code, array( 'sheet_required', 'sheet_not_found' ), true ) ) {
+					GeoDir_Converter_Chunked_Upload::instance()->delete( $upload_id );
+				}
+
+				wp_send_json_error(
+					array(
+						'message' => $converted->get_error_message(),
+						'code'    => $code,
+						'sheets'  => array_map( 'strval', (array) $converted->get_error_data() ),
+					)
+				);
+			}
+
+			// The converted file is UTF-8, comma separated and has a header row.
+			$format = array();
+			$upload = wp_handle_sideload(
+				array(
+					'name'     => $converted['name'],
+					'type'     => 'text/csv',
+					'tmp_name' => $converted['path'],
+					'error'    => UPLOAD_ERR_OK,
+					'size'     => filesize( $converted['path'] ),
+				),
+				array( 'test_form' => false )
+			);
+
+			// Only left behind if the sideload failed.
+			wp_delete_file( $converted['path'] );
+
+			if ( $chunked_file ) {
+				GeoDir_Converter_Chunked_Upload::instance()->delete( $upload_id );
+			}
+		} elseif ( $chunked_file ) {
+			// Moves the assembled file into the uploads directory.
+			$upload = wp_handle_sideload( $chunked_file, array( 'test_form' => false ) );
+			GeoDir_Converter_Chunked_Upload::instance()->delete( $upload_id );
+		} else {
+			$upload = wp_handle_upload( $_FILES['file'], array( 'test_form' => false ) );
+		}
 
 		if ( isset( $upload['error'] ) ) {
 			$this->send_json_error( $upload['error'] );
 		}
 
-		$file_name  = isset( $_FILES['file']['name'] ) ? sanitize_file_name( $_FILES['file']['name'] ) : 'import.csv';
+		$delimiter = $csv_importer->normalize_csv_file( $upload['file'], $format );
+		if ( is_wp_error( $delimiter ) ) {
+			wp_delete_file( $upload['file'] );
+			$this->send_json_error( $delimiter->get_error_message() );
+		}
+
+		if ( $converted ) {
+			$file_name = $converted['name'];
+		} elseif ( $chunked_file ) {
+			$file_name = $chunked_file['name'];
+		} else {
+			$file_name = isset( $_FILES['file']['name'] ) ? sanitize_file_name( $_FILES['file']['name'] ) : 'import.csv';
+		}
+
 		$attachment = array(
 			'post_mime_type' => 'text/csv',
 			'post_title'     => $file_name,
@@ -637,43 +1850,28 @@ class GeoDir_Converter_Ajax {
 		require_once ABSPATH . 'wp-admin/includes/image.php';
 		wp_update_attachment_metadata( $attach_id, wp_generate_attachment_metadata( $attach_id, $upload['file'] ) );
 
-		$csv_importer = $this->get_importer( 'csv' );
-		if ( is_wp_error( $csv_importer ) ) {
-			wp_delete_attachment( $attach_id, true );
-			$this->send_json_error( $csv_importer->get_error_message() );
-		}
-
 		$headers = $csv_importer->get_csv_headers( $upload['file'], $delimiter );
 		if ( is_wp_error( $headers ) ) {
 			wp_delete_attachment( $attach_id, true );
 			$this->send_json_error( $headers->get_error_message() );
 		}
 
-		$sample_data = $csv_importer->get_csv_sample_data( $upload['file'], $delimiter, $headers );
-		$total_rows  = $csv_importer->count_csv_rows( $upload['file'], $delimiter );
+		$gd_post_type = isset( $_POST['gd_post_type'] ) ? sanitize_text_field( wp_unslash( $_POST['gd_post_type'] ) ) : 'gd_place';
+		$file_ids     = isset( $_POST['csv_file_ids'] ) ? explode( ',', sanitize_text_field( wp_unslash( $_POST['csv_file_ids'] ) ) ) : array();
 
-		$existing_settings = $csv_importer->options_handler->get_option( 'import_settings', array() );
-		$gd_post_type      = isset( $_POST['gd_post_type'] ) ? sanitize_text_field( wp_unslash( $_POST['gd_post_type'] ) ) : 'gd_place';
+		// Such as the coordinates of GeoJSON points, mapped to latitude and longitude.
+		if ( $converted && ! empty( $converted['mapping'] ) ) {
+			$csv_importer->set_suggested_mapping( $attach_id, $converted['mapping'] );
+		}
 
-		$csv_importer->options_handler->update_option(
-			'import_settings',
-			array_merge(
-				$existing_settings,
-				array(
-					'csv_file_id'     => $attach_id,
-					'csv_delimiter'   => $delimiter,
-					'csv_sample_data' => $sample_data,
-					'csv_row_count'   => $total_rows,
-					'gd_post_type'    => $gd_post_type,
-					'import_files'    => array(
-						array(
-							'name'      => $file_name,
-							'row_count' => $total_rows,
-						),
-					),
-				)
-			)
-		);
+		// Joins the files uploaded before it in the same batch.
+		$csv_file = $csv_importer->add_csv_file( $attach_id, $delimiter, $file_ids, array( 'gd_post_type' => $gd_post_type ) );
+		if ( is_wp_error( $csv_file ) ) {
+			wp_delete_attachment( $attach_id, true );
+			$this->send_json_error( $csv_file->get_error_message() );
+		}
+
+		$total_rows = $csv_file['row_count'];
 
 		wp_send_json_success(
 			array(
@@ -778,10 +1976,15 @@ class GeoDir_Converter_Ajax {
 			$this->send_json_error( __( 'File ID is required.', 'geodir-converter' ) );
 		}
 
-		$import_settings                  = $csv_importer->options_handler->get_option( 'import_settings', array() );
-		$import_settings['csv_file_id']   = $file_id;
-		$import_settings['csv_delimiter'] = $delimiter;
-		$csv_importer->options_handler->update_option( 'import_settings', $import_settings );
+		$import_settings = $csv_importer->options_handler->get_option( 'import_settings', array() );
+
+		// A file uploaded on its own replaces the batch; files of the current batch are already saved.
+		if ( ! in_array( $file_id, $csv_importer->get_csv_file_ids( $import_settings ), true ) ) {
+			$import_settings['csv_file_ids']  = array( $file_id );
+			$import_settings['csv_file_id']   = $file_id;
+			$import_settings['csv_delimiter'] = $delimiter;
+			$csv_importer->options_handler->update_option( 'import_settings', $import_settings );
+		}
 
 		ob_start();
 		$csv_importer->render_settings();
@@ -817,6 +2020,41 @@ class GeoDir_Converter_Ajax {
 		wp_send_json_success( array( 'html' => $html ) );
 	}
 
+	/**
+	 * AJAX handler for removing one of the CSV files to import.
+	 *
+	 * @since 2.3.0
+	 * @return void
+	 */
+	public function csv_remove_file() {
+		$this->verify_nonce( __FUNCTION__ );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			$this->send_json_error( __( 'You do not have permission to perform this action.', 'geodir-converter' ) );
+		}
+
+		$csv_importer = $this->get_importer( 'csv' );
+		if ( is_wp_error( $csv_importer ) ) {
+			$this->send_json_error( $csv_importer->get_error_message() );
+		}
+
+		$file_id = isset( $_POST['file_id'] ) ? absint( $_POST['file_id'] ) : 0;
+
+		if ( ! $file_id ) {
+			$this->send_json_error( __( 'File ID is required.', 'geodir-converter' ) );
+		}
+
+		$result = $csv_importer->remove_csv_file( $file_id );
+
+		if ( is_wp_error( $result ) ) {
+			$this->send_json_error( $result->get_error_message() );
+		}
+
+		$import_settings = $csv_importer->options_handler->get_option_no_cache( 'import_settings', array() );
+
+		wp_send_json_success( array( 'file_ids' => $csv_importer->get_csv_file_ids( $import_settings ) ) );
+	}
+
 	/**
 	 * AJAX handler for saving CSV mapping template.
 	 *
@@ -891,9 +2129,17 @@ class GeoDir_Converter_Ajax {
 			$this->send_json_error( $template->get_error_message() );
 		}
 
-		// Update import settings with the template mapping.
-		$import_settings                 = $csv_importer->options_handler->get_option( 'import_settings', array() );
-		$import_settings['csv_mapping'] = isset( $template['mapping'] ) ? $template['mapping'] : array();
+		// Update import settings with the template mapping, for the tab it was loaded into.
+		$group           = isset( $_POST['group'] ) ? absint( $_POST['group'] ) : 0;
+		$mapping         = isset( $template['mapping'] ) ? $template['mapping'] : array();
+		$import_settings = $csv_importer->options_handler->get_option( 'import_settings', array() );
+
+		if ( $group > 0 ) {
+			$import_settings['csv_mappings'][ $group ] = $mapping;
+		} else {
+			$import_settings['csv_mapping'] = $mapping;
+		}
+
 		$csv_importer->options_handler->update_option( 'import_settings', $import_settings );
 
 		wp_send_json_success(
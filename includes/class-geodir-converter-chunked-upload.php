@@ -0,0 +1,388 @@
+<?php
+/**
+ * Chunked Uploads for GeoDir Converter
+ *
+ * @package GeoDir_Converter
+ * @since 2.3.0
+ */
+
+namespace GeoDir_Converter;
+
+use WP_Error;
+use GeoDir_Converter\Traits\GeoDir_Converter_Trait_Singleton;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Reassembles source files uploaded in chunks.
+ *
+ * Each chunk is a request below the PHP upload limits. Chunks are appended
+ * to a partial file in a protected folder under the uploads directory, so an
+ * interrupted upload resumes from the last chunk the server received. Once
+ * complete, the file is handed to the upload handlers in the same shape as
+ * an entry of $_FILES.
+ *
+ * @since 2.3.0
+ */
+class GeoDir_Converter_Chunked_Upload {
+	use GeoDir_Converter_Trait_Singleton;
+
+	/**
+	 * File extensions that can be uploaded.
+	 *
+	 * Spreadsheets and JSON files are converted to CSV once complete, see GeoDir_Converter_Source_Converter.
+	 *
+	 * @var array
+	 */
+	const EXTENSIONS = array( 'csv', 'tsv', 'txt', 'xlsx', 'ods', 'json', 'geojson' );
+
+	/**
+	 * Folder under the uploads directory that holds partial files.
+	 *
+	 * @var string
+	 */
+	const DIRECTORY = 'geodir-converter-uploads';
+
+	/**
+	 * Seconds after the last chunk before a partial upload is deleted.
+	 *
+	 * @var int
+	 */
+	const EXPIRATION = DAY_IN_SECONDS;
+
+	/**
+	 * Get the size of each chunk, in bytes.
+	 *
+	 * Stays below the server's upload limit, leaving room for the other request fields.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return int Chunk size.
+	 */
+	public function get_chunk_size() {
+		$chunk_size = min( 2 * MB_IN_BYTES, wp_max_upload_size() - 64 * KB_IN_BYTES );
+
+		/**
+		 * Filters the size of each upload chunk.
+		 *
+		 * @since 2.3.0
+		 *
+		 * @param int $chunk_size Chunk size in bytes. Default 2 MB, or less if the server limit is lower.
+		 */
+		return max( 64 * KB_IN_BYTES, (int) apply_filters( 'geodir_converter_upload_chunk_size', $chunk_size ) );
+	}
+
+	/**
+	 * Get the largest file that can be uploaded in chunks, in bytes.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return int Maximum file size.
+	 */
+	public function get_max_file_size() {
+		/**
+		 * Filters the largest source file that can be uploaded.
+		 *
+		 * @since 2.3.0
+		 *
+		 * @param int $max_size Maximum file size in bytes. Default 512 MB.
+		 */
+		return (int) apply_filters( 'geodir_converter_upload_max_file_size', 512 * MB_IN_BYTES );
+	}
+
+	/**
+	 * Check an upload ID sent by the browser.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $upload_id Upload ID.
+	 * @return string The upload ID, or an empty string if it is invalid.
+	 */
+	public function sanitize_upload_id( $upload_id ) {
+		$upload_id = strtolower( (string) $upload_id );
+
+		return preg_match( '/^[a-z0-9]{8,64}$/', $upload_id ) ? $upload_id : '';
+	}
+
+	/**
+	 * Get the state of an upload.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $upload_id Upload ID.
+	 * @return array {
+	 *     Upload state.
+	 *
+	 *     @type string $uploadId Upload ID.
+	 *     @type string $name     File name. Empty if the server has no chunks of the upload.
+	 *     @type int    $size     File size in bytes.
+	 *     @type int    $received Bytes received so far. The next chunk starts here.
+	 *     @type bool   $complete Whether every byte was received.
+	 * }
+	 */
+	public function get_status( $upload_id ) {
+		$meta     = $this->get_meta( $upload_id );
+		$received = 0;
+
+		if ( $meta ) {
+			clearstatcache( true, $this->get_path( $upload_id, 'part' ) );
+			$received = (int) @filesize( $this->get_path( $upload_id, 'part' ) ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+		}
+
+		return array(
+			'uploadId' => $upload_id,
+			'name'     => $meta ? $meta['name'] : '',
+			'size'     => $meta ? $meta['size'] : 0,
+			'received' => $received,
+			'complete' => $meta && $received === $meta['size'],
+		);
+	}
+
+	/**
+	 * Append a chunk to an upload.
+	 *
+	 * A chunk at offset 0 starts the upload again. Any other chunk must start
+	 * where the received bytes end.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $upload_id Upload ID.
+	 * @param string $file_name Name of the whole file.
+	 * @param int    $file_size Size of the whole file, in bytes.
+	 * @param int    $offset    Position of the chunk in the file.
+	 * @param array  $chunk     The chunk, as an entry of $_FILES.
+	 * @return array|WP_Error Upload state, see get_status(), or WP_Error on failure.
+	 *                        An offset mismatch carries the state as error data.
+	 */
+	public function add_chunk( $upload_id, $file_name, $file_size, $offset, $chunk ) {
+		$file_name = sanitize_file_name( $file_name );
+		$file_size = (int) $file_size;
+		$offset    = (int) $offset;
+
+		if ( ! $upload_id ) {
+			return new WP_Error( 'invalid_upload_id', __( 'Invalid upload ID.', 'geodir-converter' ) );
+		}
+
+		if ( ! in_array( strtolower( pathinfo( $file_name, PATHINFO_EXTENSION ) ), self::EXTENSIONS, true ) ) {
+			return new WP_Error( 'invalid_file_type', __( 'Invalid file type. Only CSV, Excel, OpenDocument, JSON and GeoJSON files are allowed.', 'geodir-converter' ) );
+		}
+
+		if ( $file_size <= 0 ) {
+			return new WP_Error( 'empty_file', __( 'The file is empty.', 'geodir-converter' ) );
+		}
+
+		if ( $file_size > $this->get_max_file_size() ) {
+			return new WP_Error(
+				'file_too_large',
+				/* translators: %s: maximum file size */
+				sprintf( __( 'File size exceeds the maximum limit of %s. Please upload a smaller file.', 'geodir-converter' ), size_format( $this->get_max_file_size() ) )
+			);
+		}
+
+		if ( empty( $chunk['tmp_name'] ) || ! isset( $chunk['error'] ) || UPLOAD_ERR_OK !== $chunk['error'] || ! is_uploaded_file( $chunk['tmp_name'] ) ) {
+			return new WP_Error( 'chunk_upload_failed', __( 'Part of the file did not arrive. Retrying may help.', 'geodir-converter' ) );
+		}
+
+		$directory = $this->get_directory();
+
+		if ( is_wp_error( $directory ) ) {
+			return $directory;
+		}
+
+		$part = $this->get_path( $upload_id, 'part' );
+
+		if ( 0 === $offset ) {
+			$this->delete_expired();
+
+			$meta = array(
+				'name' => $file_name,
+				'size' => $file_size,
+			);
+
+			if ( false === file_put_contents( $this->get_path( $upload_id, 'json' ), wp_json_encode( $meta ) ) || false === file_put_contents( $part, '' ) ) {
+				return new WP_Error( 'file_write_failed', __( 'Failed to write file to disk. Please contact the site administrator.', 'geodir-converter' ) );
+			}
+		}
+
+		$status = $this->get_status( $upload_id );
+
+		if ( $status['name'] !== $file_name || $status['size'] !== $file_size ) {
+			return new WP_Error( 'upload_not_found', __( 'The upload has expired. Select the file again to start over.', 'geodir-converter' ) );
+		}
+
+		if ( $offset !== $status['received'] ) {
+			return new WP_Error( 'chunk_offset_mismatch', __( 'The server expected a different part of the file.', 'geodir-converter' ), $status );
+		}
+
+		if ( $status['received'] + (int) $chunk['size'] > $file_size ) {
+			return new WP_Error( 'chunk_too_large', __( 'The uploaded parts are larger than the file.', 'geodir-converter' ) );
+		}
+
+		$source = fopen( $chunk['tmp_name'], 'rb' );
+		$target = fopen( $part, 'ab' );
+		$copied = ( $source && $target ) ? stream_copy_to_stream( $source, $target ) : false;
+
+		if ( $source ) {
+			fclose( $source );
+		}
+
+		if ( $target ) {
+			fclose( $target );
+		}
+
+		if ( (int) $chunk['size'] !== $copied ) {
+			// Drop a partly written chunk so the retry starts from a clean offset.
+			if ( $copied ) {
+				$handle = fopen( $part, 'r+b' );
+				ftruncate( $handle, $status['received'] );
+				fclose( $handle );
+			}
+
+			return new WP_Error( 'file_write_failed', __( 'Failed to write file to disk. Please contact the site administrator.', 'geodir-converter' ) );
+		}
+
+		return $this->get_status( $upload_id );
+	}
+
+	/**
+	 * Get a completed upload as an entry of $_FILES.
+	 *
+	 * The entry can be passed to wp_handle_sideload(), which moves the file
+	 * into the uploads directory.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $upload_id Upload ID.
+	 * @return array|WP_Error File with name, type, tmp_name, error and size, or WP_Error if the upload isn't complete.
+	 */
+	public function get_file( $upload_id ) {
+		$status = $upload_id ? $this->get_status( $upload_id ) : array( 'complete' => false );
+
+		if ( ! $status['complete'] ) {
+			return new WP_Error( 'upload_incomplete', __( 'The file has not finished uploading. Select it again to resume.', 'geodir-converter' ) );
+		}
+
+		$filetype = wp_check_filetype( $status['name'] );
+
+		return array(
+			'name'     => $status['name'],
+			'type'     => $filetype['type'] ? $filetype['type'] : 'text/csv',
+			'tmp_name' => $this->get_path( $upload_id, 'part' ),
+			'error'    => UPLOAD_ERR_OK,
+			'size'     => $status['size'],
+		);
+	}
+
+	/**
+	 * Delete an upload and the file it was assembled into, if still there.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $upload_id Upload ID.
+	 * @return void
+	 */
+	public function delete( $upload_id ) {
+		if ( ! $upload_id ) {
+			return;
+		}
+
+		wp_delete_file( $this->get_path( $upload_id, 'part' ) );
+		wp_delete_file( $this->get_path( $upload_id, 'json' ) );
+	}
+
+	/**
+	 * Delete partial uploads that haven't received a chunk for a while.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function delete_expired() {
+		$directory = trailingslashit( $this->get_directory_path() );
+		$files     = array_merge( (array) glob( $directory . '*.part' ), (array) glob( $directory . '*.json' ) );
+
+		foreach ( array_filter( $files ) as $file ) {
+			if ( filemtime( $file ) < time() - self::EXPIRATION ) {
+				wp_delete_file( $file );
+			}
+		}
+	}
+
+	/**
+	 * Get the stored name and size of an upload.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $upload_id Upload ID.
+	 * @return array|null Name and size, or null if the upload doesn't exist.
+	 */
+	protected function get_meta( $upload_id ) {
+		$path = $this->get_path( $upload_id, 'json' );
+		$meta = is_readable( $path ) ? json_decode( (string) file_get_contents( $path ), true ) : null;
+
+		if ( ! is_array( $meta ) || empty( $meta['name'] ) || empty( $meta['size'] ) ) {
+			return null;
+		}
+
+		return array(
+			'name' => (string) $meta['name'],
+			'size' => (int) $meta['size'],
+		);
+	}
+
+	/**
+	 * Get the path of a file belonging to an upload.
+	 *
+	 * Uploads are kept per user, so one user can't append to another's upload.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $upload_id Upload ID.
+	 * @param string $extension 'part' for the received bytes, 'json' for the file name and size.
+	 * @return string File path.
+	 */
+	protected function get_path( $upload_id, $extension ) {
+		return trailingslashit( $this->get_directory_path() ) . get_current_user_id() . '-' . $upload_id . '.' . $extension;
+	}
+
+	/**
+	 * Get the path of the folder that holds partial uploads.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return string Folder path.
+	 */
+	protected function get_directory_path() {
+		$upload_dir = wp_upload_dir( null, false );
+
+		return trailingslashit( $upload_dir['basedir'] ) . self::DIRECTORY;
+	}
+
+	/**
+	 * Create the folder that holds partial uploads, closed to web requests.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return string|WP_Error Folder path, or WP_Error if it can't be created.
+	 */
+	protected function get_directory() {
+		$directory = $this->get_directory_path();
+
+		if ( ! wp_mkdir_p( $directory ) ) {
+			return new WP_Error( 'file_write_failed', __( 'Failed to write file to disk. Please contact the site administrator.', 'geodir-converter' ) );
+		}
+
+		$files = array(
+			'index.php' => '<?php // Silence is golden.',
+			'.htaccess' => 'deny from all',
+		);
+
+		foreach ( $files as $name => $content ) {
+			if ( ! file_exists( $directory . '/' . $name ) ) {
+				file_put_contents( $directory . '/' . $name, $content );
+			}
+		}
+
+		return $directory;
+	}
+}
@@ -0,0 +1,718 @@
+<?php
+/**
+ * Import Pipeline for GeoDir Converter
+ *
+ * @package GeoDir_Converter
+ * @since 2.3.0
+ */
+
+namespace GeoDir_Converter;
+
+use WP_Error;
+use GeoDir_Converter\Abstracts\GeoDir_Converter_Importer;
+use GeoDir_Converter\Traits\GeoDir_Converter_Trait_Singleton;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Runs several configured importers one after another.
+ *
+ * Each step keeps the settings it was added with. When a step's run finishes,
+ * the next step starts from the same background request, so the pipeline
+ * carries on with the converter page closed.
+ *
+ * @since 2.3.0
+ */
+class GeoDir_Converter_Pipeline {
+	use GeoDir_Converter_Trait_Singleton;
+
+	/**
+	 * What to do when a step fails: stop the pipeline or start the next step.
+	 *
+	 * @var array
+	 */
+	const FAILURE_POLICIES = array( 'stop', 'continue' );
+
+	/**
+	 * Step statuses that no longer change.
+	 *
+	 * @var array
+	 */
+	const DONE_STATUSES = array( 'completed', 'failed', 'stopped', 'skipped' );
+
+	/**
+	 * The options handler.
+	 *
+	 * @var GeoDir_Converter_Options_Handler
+	 */
+	public $options_handler;
+
+	/**
+	 * Pipeline constructor.
+	 *
+	 * @since 2.3.0
+	 */
+	public function __construct() {
+		$this->options_handler = new GeoDir_Converter_Options_Handler( 'geodir_converter_pipeline' );
+
+		add_action( 'geodir_converter_run_finished', array( $this, 'on_run_finished' ), 10, 3 );
+	}
+
+	/**
+	 * Get the pipeline steps and the state of the current or last run.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return array {
+	 *     Pipeline state.
+	 *
+	 *     @type string $status    'running', 'completed', 'failed' or 'stopped'. Empty if it hasn't run since it was last edited.
+	 *     @type int    $current   Index of the step being run, or -1.
+	 *     @type int    $startTime Unix timestamp the run started.
+	 *     @type int    $endTime   Unix timestamp it finished, or 0.
+	 *     @type int    $userId    User who started the run. Imports started in the background run as this user.
+	 *     @type array  $steps     Steps, see parse_step().
+	 * }
+	 */
+	public function get_state() {
+		$state = wp_parse_args(
+			(array) $this->options_handler->get_option_no_cache( 'state', array() ),
+			array(
+				'status'    => '',
+				'current'   => -1,
+				'startTime' => 0,
+				'endTime'   => 0,
+				'userId'    => 0,
+				'steps'     => array(),
+			)
+		);
+
+		$state['current'] = (int) $state['current'];
+		$state['steps']   = array_values( array_map( array( $this, 'parse_step' ), (array) $state['steps'] ) );
+
+		return $state;
+	}
+
+	/**
+	 * Fill in the defaults of a step.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $step Step as stored.
+	 * @return array {
+	 *     Step.
+	 *
+	 *     @type string $id         Step ID.
+	 *     @type string $importerId Importer that runs the step.
+	 *     @type array  $settings   Import settings, as sent by the importer's form.
+	 *     @type string $templateId Mapping template applied over the settings. Empty to use them as added.
+	 *     @type string $onFailure  One of FAILURE_POLICIES.
+	 *     @type string $status     'pending', 'running', or one of DONE_STATUSES.
+	 *     @type string $runId      ID of the import run, once started.
+	 *     @type array  $stats      Stats of the run, once finished.
+	 *     @type string $error      Why the step failed.
+	 *     @type int    $startTime  Unix timestamp the step started.
+	 *     @type int    $endTime    Unix timestamp it finished, or 0.
+	 * }
+	 */
+	protected function parse_step( $step ) {
+		return wp_parse_args(
+			(array) $step,
+			array(
+				'id'         => '',
+				'importerId' => '',
+				'settings'   => array(),
+				'templateId' => '',
+				'onFailure'  => 'stop',
+				'status'     => 'pending',
+				'runId'      => '',
+				'stats'      => array(),
+				'error'      => '',
+				'startTime'  => 0,
+				'endTime'    => 0,
+			)
+		);
+	}
+
+	/**
+	 * Save the pipeline state.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $state Pipeline state.
+	 * @return void
+	 */
+	protected function save_state( array $state ) {
+		$this->options_handler->update_option( 'state', $state );
+	}
+
+	/**
+	 * Check whether the pipeline is running.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return bool True while a step is running or about to start.
+	 */
+	public function is_running() {
+		$state = $this->get_state();
+
+		return 'running' === $state['status'];
+	}
+
+	/**
+	 * Get an importer by ID.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $importer_id Importer ID.
+	 * @return GeoDir_Converter_Importer|null The importer, or null if it isn't registered.
+	 */
+	protected function get_importer( $importer_id ) {
+		$importers = GeoDir_Converter::instance()->get_importers();
+
+		return isset( $importers[ $importer_id ] ) ? $importers[ $importer_id ] : null;
+	}
+
+	/**
+	 * Find a step by ID.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array  $state   Pipeline state.
+	 * @param string $step_id Step ID.
+	 * @return int|null Index of the step, or null if not found.
+	 */
+	protected function find_step( array $state, $step_id ) {
+		foreach ( $state['steps'] as $index => $step ) {
+			if ( $step['id'] === $step_id ) {
+				return $index;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Forget the outcome of the last run, so the steps can be edited or run again.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $state Pipeline state.
+	 * @return array The state with every step pending.
+	 */
+	protected function reset_run( array $state ) {
+		$state['status']    = '';
+		$state['current']   = -1;
+		$state['startTime'] = 0;
+		$state['endTime']   = 0;
+
+		foreach ( $state['steps'] as $index => $step ) {
+			$state['steps'][ $index ] = $this->parse_step(
+				array(
+					'id'         => $step['id'],
+					'importerId' => $step['importerId'],
+					'settings'   => $step['settings'],
+					'templateId' => $step['templateId'],
+					'onFailure'  => $step['onFailure'],
+				)
+			);
+		}
+
+		return $state;
+	}
+
+	/**
+	 * Error returned when the steps are changed during a run.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return WP_Error The error.
+	 */
+	protected function running_error() {
+		return new WP_Error( 'pipeline_running', __( 'Wait for the pipeline to finish, or stop it, before changing its steps.', 'geodir-converter' ) );
+	}
+
+	/**
+	 * Add a step to the end of the pipeline.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $importer_id Importer ID.
+	 * @param array  $settings    Import settings, as sent by the importer's form.
+	 * @return array|WP_Error The pipeline status, see get_status(), or WP_Error on failure.
+	 */
+	public function add_step( $importer_id, $settings ) {
+		if ( $this->is_running() ) {
+			return $this->running_error();
+		}
+
+		$importer = $this->get_importer( $importer_id );
+
+		if ( ! $importer ) {
+			return new WP_Error( 'importer_not_found', __( 'Importer not found.', 'geodir-converter' ) );
+		}
+
+		$settings = $importer->prepare_pipeline_settings( (array) $settings );
+
+		if ( is_wp_error( $settings ) ) {
+			return $settings;
+		}
+
+		$state            = $this->reset_run( $this->get_state() );
+		$state['steps'][] = $this->parse_step(
+			array(
+				'id'         => wp_generate_uuid4(),
+				'importerId' => $importer_id,
+				'settings'   => $settings,
+			)
+		);
+
+		$this->save_state( $state );
+
+		return $this->get_status();
+	}
+
+	/**
+	 * Change a step's failure policy or template, or move it.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $step_id Step ID.
+	 * @param array  $changes {
+	 *     Changes to apply. All optional.
+	 *
+	 *     @type string $onFailure  One of FAILURE_POLICIES.
+	 *     @type string $templateId Mapping template ID, or empty for the settings as added.
+	 *     @type string $move       'up' or 'down'.
+	 * }
+	 * @return array|WP_Error The pipeline status, or WP_Error on failure.
+	 */
+	public function update_step( $step_id, array $changes ) {
+		if ( $this->is_running() ) {
+			return $this->running_error();
+		}
+
+		$state = $this->reset_run( $this->get_state() );
+		$index = $this->find_step( $state, $step_id );
+
+		if ( null === $index ) {
+			return new WP_Error( 'step_not_found', __( 'Pipeline step not found.', 'geodir-converter' ) );
+		}
+
+		if ( isset( $changes['onFailure'] ) ) {
+			$state['steps'][ $index ]['onFailure'] = in_array( $changes['onFailure'], self::FAILURE_POLICIES, true ) ? $changes['onFailure'] : 'stop';
+		}
+
+		if ( isset( $changes['templateId'] ) ) {
+			$template_id = (string) $changes['templateId'];
+			$importer    = $this->get_importer( $state['steps'][ $index ]['importerId'] );
+
+			if ( '' !== $template_id && ( ! $importer || ! isset( $importer->get_mapping_templates()[ $template_id ] ) ) ) {
+				return new WP_Error( 'template_not_found', __( 'Template not found.', 'geodir-converter' ) );
+			}
+
+			$state['steps'][ $index ]['templateId'] = $template_id;
+		}
+
+		if ( isset( $changes['move'] ) ) {
+			$target = 'up' === $changes['move'] ? $index - 1 : $index + 1;
+
+			if ( isset( $state['steps'][ $target ] ) ) {
+				$step                      = $state['steps'][ $target ];
+				$state['steps'][ $target ] = $state['steps'][ $index ];
+				$state['steps'][ $index ]  = $step;
+			}
+		}
+
+		$this->save_state( $state );
+
+		return $this->get_status();
+	}
+
+	/**
+	 * Remove a step.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $step_id Step ID.
+	 * @return array|WP_Error The pipeline status, or WP_Error on failure.
+	 */
+	public function remove_step( $step_id ) {
+		if ( $this->is_running() ) {
+			return $this->running_error();
+		}
+
+		$state = $this->reset_run( $this->get_state() );
+		$index = $this->find_step( $state, $step_id );
+
+		if ( null === $index ) {
+			return new WP_Error( 'step_not_found', __( 'Pipeline step not found.', 'geodir-converter' ) );
+		}
+
+		array_splice( $state['steps'], $index, 1 );
+
+		$this->save_state( $state );
+
+		return $this->get_status();
+	}
+
+	/**
+	 * Run the pipeline from its first step.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return array|WP_Error The pipeline status, or WP_Error if it can't start.
+	 */
+	public function start() {
+		if ( $this->is_running() ) {
+			return new WP_Error( 'pipeline_running', __( 'The pipeline is already running.', 'geodir-converter' ) );
+		}
+
+		$state = $this->reset_run( $this->get_state() );
+
+		if ( empty( $state['steps'] ) ) {
+			return new WP_Error( 'pipeline_empty', __( 'Add at least one step to the pipeline first.', 'geodir-converter' ) );
+		}
+
+		$state['status']    = 'running';
+		$state['startTime'] = time();
+		$state['userId']    = get_current_user_id();
+
+		$this->save_state( $state );
+		$this->start_step( 0 );
+
+		return $this->get_status();
+	}
+
+	/**
+	 * Stop the pipeline and abort the step that is running.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return array|WP_Error The pipeline status, or WP_Error if it isn't running.
+	 */
+	public function stop() {
+		$state = $this->get_state();
+
+		if ( 'running' !== $state['status'] ) {
+			return new WP_Error( 'pipeline_not_running', __( 'The pipeline is not running.', 'geodir-converter' ) );
+		}
+
+		$index    = $state['current'];
+		$importer = null;
+
+		if ( isset( $state['steps'][ $index ] ) && 'running' === $state['steps'][ $index ]['status'] ) {
+			$importer = $this->get_importer( $state['steps'][ $index ]['importerId'] );
+
+			$state['steps'][ $index ]['status']  = 'stopped';
+			$state['steps'][ $index ]['endTime'] = time();
+		}
+
+		// Finish first, so the aborted run doesn't start the next step.
+		$this->finish( $state, 'stopped' );
+
+		if ( $importer ) {
+			$importer->background_process->abort();
+		}
+
+		return $this->get_status();
+	}
+
+	/**
+	 * Start a step, moving past steps that can't start when their policy allows.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param int $index Index of the step.
+	 * @return void
+	 */
+	protected function start_step( $index ) {
+		$state = $this->get_state();
+
+		// Steps started from a background request run as the user who started the pipeline.
+		if ( ! get_current_user_id() && $state['userId'] ) {
+			wp_set_current_user( $state['userId'] );
+		}
+
+		while ( isset( $state['steps'][ $index ] ) ) {
+			$run_id = $this->run_step( $state['steps'][ $index ] );
+
+			$state['current'] = $index;
+
+			if ( ! is_wp_error( $run_id ) ) {
+				$state['steps'][ $index ]['status']    = 'running';
+				$state['steps'][ $index ]['runId']     = $run_id;
+				$state['steps'][ $index ]['startTime'] = time();
+
+				$this->save_state( $state );
+				return;
+			}
+
+			$state['steps'][ $index ]['status']    = 'failed';
+			$state['steps'][ $index ]['error']     = $run_id->get_error_message();
+			$state['steps'][ $index ]['startTime'] = time();
+			$state['steps'][ $index ]['endTime']   = time();
+
+			if ( 'stop' === $state['steps'][ $index ]['onFailure'] ) {
+				$this->finish( $state, 'failed' );
+				return;
+			}
+
+			++$index;
+		}
+
+		$this->finish( $state, 'completed' );
+	}
+
+	/**
+	 * Start the import for a step.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $step The step.
+	 * @return string|WP_Error ID of the run, or WP_Error if the import can't start.
+	 */
+	protected function run_step( array $step ) {
+		$importer = $this->get_importer( $step['importerId'] );
+
+		if ( ! $importer ) {
+			return new WP_Error( 'importer_not_found', __( 'Importer not found.', 'geodir-converter' ) );
+		}
+
+		if ( $importer->background_process->is_in_progress() || $importer->background_process->is_paused() || $importer->rollback_process->is_in_progress() ) {
+			/* translators: %s: importer name */
+			return new WP_Error( 'importer_busy', sprintf( __( '%s is already importing or rolling back.', 'geodir-converter' ), $importer->get_title() ) );
+		}
+
+		$settings = $step['settings'];
+
+		if ( '' !== $step['templateId'] ) {
+			$settings = $importer->apply_mapping_template( $settings, $step['templateId'] );
+
+			if ( is_wp_error( $settings ) ) {
+				return $settings;
+			}
+		}
+
+		$result = $importer->import( $settings );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return (string) $importer->options_handler->get_option_no_cache( 'run_id', '' );
+	}
+
+	/**
+	 * Record the outcome of a step, then start the next one or stop.
+	 *
+	 * A step fails if its run was aborted or any item failed.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array  $state  Pipeline state.
+	 * @param int    $index  Index of the step.
+	 * @param string $status How the run ended: 'completed' or 'aborted'.
+	 * @param array  $stats  Stats of the run.
+	 * @return void
+	 */
+	protected function complete_step( array $state, $index, $status, array $stats ) {
+		$step   = $state['steps'][ $index ];
+		$failed = 'completed' !== $status || ! empty( $stats['failed'] );
+
+		$step['status']  = $failed ? 'failed' : 'completed';
+		$step['stats']   = array_map( 'intval', $stats );
+		$step['endTime'] = time();
+
+		if ( '' === $step['error'] && 'completed' !== $status ) {
+			$step['error'] = __( 'The import was aborted.', 'geodir-converter' );
+		} elseif ( '' === $step['error'] && $failed ) {
+			/* translators: %d: number of failed items */
+			$step['error'] = sprintf( _n( '%d item failed.', '%d items failed.', (int) $stats['failed'], 'geodir-converter' ), (int) $stats['failed'] );
+		}
+
+		$state['steps'][ $index ] = $step;
+
+		if ( $failed && 'stop' === $step['onFailure'] ) {
+			$this->finish( $state, 'failed' );
+			return;
+		}
+
+		$this->save_state( $state );
+		$this->start_step( $index + 1 );
+	}
+
+	/**
+	 * End the run and skip the steps that didn't start.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array  $state  Pipeline state.
+	 * @param string $status 'completed', 'failed' or 'stopped'.
+	 * @return void
+	 */
+	protected function finish( array $state, $status ) {
+		foreach ( $state['steps'] as $index => $step ) {
+			if ( 'pending' === $step['status'] ) {
+				$state['steps'][ $index ]['status'] = 'skipped';
+			}
+		}
+
+		$state['status']  = $status;
+		$state['endTime'] = time();
+
+		$this->save_state( $state );
+	}
+
+	/**
+	 * Start the next step when the run of the current one finishes.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param GeoDir_Converter_Importer $importer The importer whose run finished.
+	 * @param string                    $status   How the run ended: 'completed' or 'aborted'.
+	 * @param string                    $run_id   ID of the run.
+	 * @return void
+	 */
+	public function on_run_finished( $importer, $status, $run_id ) {
+		$state = $this->get_state();
+		$index = $state['current'];
+
+		if ( 'running' !== $state['status'] || ! isset( $state['steps'][ $index ] ) ) {
+			return;
+		}
+
+		$step = $state['steps'][ $index ];
+
+		if ( 'running' !== $step['status'] || $step['importerId'] !== $importer->get_id() || $step['runId'] !== (string) $run_id ) {
+			return;
+		}
+
+		$this->complete_step( $state, $index, $status, $importer->get_stats() );
+	}
+
+	/**
+	 * Catch up with a step whose run ended without the pipeline noticing.
+	 *
+	 * Happens if the run was replaced by an import started by hand, or the
+	 * request that finished it died before the next step started.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	protected function sync() {
+		$state = $this->get_state();
+		$index = $state['current'];
+
+		if ( 'running' !== $state['status'] || ! isset( $state['steps'][ $index ] ) || 'running' !== $state['steps'][ $index ]['status'] ) {
+			return;
+		}
+
+		$step     = $state['steps'][ $index ];
+		$importer = $this->get_importer( $step['importerId'] );
+
+		if ( ! $importer ) {
+			$state['steps'][ $index ]['error'] = __( 'Importer not found.', 'geodir-converter' );
+			$this->complete_step( $state, $index, 'aborted', array() );
+			return;
+		}
+
+		if ( $importer->background_process->is_in_progress() || $importer->background_process->is_paused() ) {
+			$importer->background_process->touch();
+			return;
+		}
+
+		foreach ( $importer->get_run_history() as $run ) {
+			if ( $run['id'] === $step['runId'] ) {
+				$this->complete_step( $state, $index, $run['status'], (array) $run['stats'] );
+				return;
+			}
+		}
+
+		if ( (string) $importer->options_handler->get_option_no_cache( 'run_id', '' ) !== $step['runId'] ) {
+			$state['steps'][ $index ]['error'] = __( 'Another import replaced this step\'s run.', 'geodir-converter' );
+			$this->complete_step( $state, $index, 'aborted', $importer->empty_stats() );
+			return;
+		}
+
+		$this->complete_step( $state, $index, 'completed', $importer->get_stats() );
+	}
+
+	/**
+	 * Describe the pipeline for the converter page.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return array {
+	 *     Status.
+	 *
+	 *     @type string $status     Pipeline status, see get_state().
+	 *     @type bool   $inProgress Whether the pipeline is running.
+	 *     @type int    $current    Index of the step being run, or -1.
+	 *     @type int    $progress   Combined progress of all steps, as a percentage.
+	 *     @type array  $stats      Stats summed over all steps.
+	 *     @type int    $elapsed    Seconds since the run started.
+	 *     @type array  $steps      Steps with id, importerId, title, icon, summary, templateId,
+	 *                              templates, onFailure, status, isPaused, runId, progress, stats and error.
+	 * }
+	 */
+	public function get_status() {
+		$this->sync();
+
+		$state    = $this->get_state();
+		$totals   = array(
+			'total'   => 0,
+			'succeed' => 0,
+			'skipped' => 0,
+			'failed'  => 0,
+		);
+		$steps    = array();
+		$progress = 0;
+
+		foreach ( $state['steps'] as $step ) {
+			$importer = $this->get_importer( $step['importerId'] );
+			$live     = $importer && 'running' === $step['status'];
+			$stats    = wp_parse_args( $live ? $importer->get_stats() : $step['stats'], $totals );
+
+			if ( $live ) {
+				$step_progress = (int) $importer->get_progress();
+			} else {
+				$step_progress = in_array( $step['status'], self::DONE_STATUSES, true ) ? 100 : 0;
+			}
+
+			foreach ( $totals as $key => $value ) {
+				$totals[ $key ] = $value + (int) $stats[ $key ];
+			}
+
+			$progress += $step_progress;
+
+			$steps[] = array(
+				'id'         => $step['id'],
+				'importerId' => $step['importerId'],
+				'title'      => $importer ? $importer->get_title() : $step['importerId'],
+				'icon'       => $importer ? $importer->get_icon() : '',
+				'summary'    => $importer ? implode( ' · ', $importer->describe_settings( $step['settings'] ) ) : '',
+				'templateId' => $step['templateId'],
+				'templates'  => $importer ? $importer->get_mapping_templates() : array(),
+				'onFailure'  => $step['onFailure'],
+				'status'     => $step['status'],
+				'isPaused'   => $live && $importer->background_process->is_paused(),
+				'runId'      => $step['runId'],
+				'progress'   => $step_progress,
+				'stats'      => array_intersect_key( array_map( 'intval', $stats ), $totals ),
+				'error'      => $step['error'],
+			);
+		}
+
+		return array(
+			'status'     => $state['status'],
+			'inProgress' => 'running' === $state['status'],
+			'current'    => $state['current'],
+			'progress'   => $steps ? (int) floor( $progress / count( $steps ) ) : 0,
+			'stats'      => $totals,
+			'elapsed'    => $state['startTime'] ? max( 0, ( $state['endTime'] ? $state['endTime'] : time() ) - $state['startTime'] ) : 0,
+			'steps'      => $steps,
+		);
+	}
+}
@@ -0,0 +1,1137 @@
+<?php
+/**
+ * Source Converter for GeoDir Converter
+ *
+ * @package GeoDir_Converter
+ * @since 2.3.0
+ */
+
+namespace GeoDir_Converter;
+
+use WP_Error;
+use DOMNode;
+use XMLReader;
+use ZipArchive;
+use GeoDir_Converter\Traits\GeoDir_Converter_Trait_Singleton;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Converts spreadsheets and JSON files into CSV files.
+ *
+ * The CSV importer only reads CSV, so Excel (XLSX) and OpenDocument (ODS)
+ * sheets, JSON arrays of objects and GeoJSON feature collections are
+ * rewritten as a UTF-8, comma separated file with a header row when they are
+ * uploaded. Everything after the upload, from the mapping step to the
+ * background import, then works as it does for CSV.
+ *
+ * @since 2.3.0
+ */
+class GeoDir_Converter_Source_Converter {
+	use GeoDir_Converter_Trait_Singleton;
+
+	/**
+	 * Spreadsheet file extensions.
+	 *
+	 * @var array
+	 */
+	const SPREADSHEET_EXTENSIONS = array( 'xlsx', 'ods' );
+
+	/**
+	 * JSON file extensions.
+	 *
+	 * @var array
+	 */
+	const JSON_EXTENSIONS = array( 'json', 'geojson' );
+
+	/**
+	 * Columns that GeoJSON point coordinates are written to.
+	 *
+	 * They are named after the GeoDirectory fields, which they are mapped to by default.
+	 *
+	 * @var array
+	 */
+	const COORDINATE_COLUMNS = array( 'latitude', 'longitude' );
+
+	/**
+	 * XLSX number formats, by built-in ID, that hold dates.
+	 *
+	 * @var array
+	 */
+	const XLSX_DATE_FORMATS = array( 14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 30, 36, 45, 46, 47, 50, 57 );
+
+	/**
+	 * Most rows a sheet can have, as in Excel and LibreOffice Calc.
+	 *
+	 * @var int
+	 */
+	const MAX_ROWS = 1048576;
+
+	/**
+	 * Most columns a sheet can have, as in Excel and LibreOffice Calc.
+	 *
+	 * @var int
+	 */
+	const MAX_COLUMNS = 16384;
+
+	/**
+	 * Check whether a file is converted to CSV when uploaded.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $file_name File name.
+	 * @return bool True for spreadsheets and JSON files.
+	 */
+	public function is_convertible( $file_name ) {
+		return in_array( $this->get_extension( $file_name ), array_merge( self::SPREADSHEET_EXTENSIONS, self::JSON_EXTENSIONS ), true );
+	}
+
+	/**
+	 * Get the lowercase extension of a file name.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $file_name File name.
+	 * @return string Extension, without the dot.
+	 */
+	public function get_extension( $file_name ) {
+		return strtolower( pathinfo( $file_name, PATHINFO_EXTENSION ) );
+	}
+
+	/**
+	 * Convert a file to CSV.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $file_path Path of the file to convert. It is left in place.
+	 * @param string $file_name Original file name, which tells the format.
+	 * @param string $sheet     Sheet to convert, for workbooks with more than one. Default ''.
+	 * @return array|WP_Error {
+	 *     The CSV file, or WP_Error on failure. A workbook with several sheets
+	 *     and no sheet chosen fails with 'sheet_required', and the sheet names
+	 *     as error data.
+	 *
+	 *     @type string $path    Path of the CSV file, in the temporary directory.
+	 *     @type string $name    File name to upload it as.
+	 *     @type array  $mapping Suggested mapping of the CSV columns, column => GeoDirectory field.
+	 * }
+	 */
+	public function convert( $file_path, $file_name, $sheet = '' ) {
+		$extension = $this->get_extension( $file_name );
+		$base_name = pathinfo( $file_name, PATHINFO_FILENAME );
+		$mapping   = array();
+
+		if ( in_array( $extension, self::SPREADSHEET_EXTENSIONS, true ) ) {
+			$sheets = $this->get_sheets( $file_path, $extension );
+
+			if ( is_wp_error( $sheets ) ) {
+				return $sheets;
+			}
+
+			if ( '' === $sheet && count( $sheets ) > 1 ) {
+				return new WP_Error( 'sheet_required', __( 'This workbook has several sheets. Choose the sheet to import.', 'geodir-converter' ), array_keys( $sheets ) );
+			}
+
+			if ( '' === $sheet ) {
+				$sheet = key( $sheets );
+			} elseif ( ! isset( $sheets[ $sheet ] ) ) {
+				/* translators: %s: sheet name */
+				return new WP_Error( 'sheet_not_found', sprintf( __( 'The workbook has no sheet named %s.', 'geodir-converter' ), $sheet ), array_keys( $sheets ) );
+			}
+
+			// Keeps files made from different sheets of one workbook apart.
+			if ( count( $sheets ) > 1 ) {
+				$base_name .= '-' . $sheet;
+			}
+
+			$rows = 'xlsx' === $extension ? $this->read_xlsx_rows( $file_path, $sheets[ $sheet ] ) : $this->read_ods_rows( $file_path, $sheets[ $sheet ] );
+		} elseif ( in_array( $extension, self::JSON_EXTENSIONS, true ) ) {
+			$rows = $this->read_json_rows( $file_path, $mapping );
+		} else {
+			return new WP_Error( 'invalid_file_type', __( 'Invalid file type. Only CSV, Excel, OpenDocument, JSON and GeoJSON files are allowed.', 'geodir-converter' ) );
+		}
+
+		if ( is_wp_error( $rows ) ) {
+			return $rows;
+		}
+
+		$name = sanitize_file_name( $base_name . '.csv' );
+		$path = wp_tempnam( $name );
+
+		$result = $this->write_csv( $path, $rows );
+
+		if ( is_wp_error( $result ) ) {
+			wp_delete_file( $path );
+			return $result;
+		}
+
+		return array(
+			'path'    => $path,
+			'name'    => $name,
+			'mapping' => $mapping,
+		);
+	}
+
+	/**
+	 * Get the sheets of a workbook.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $file_path Workbook path.
+	 * @param string $extension 'xlsx' or 'ods'.
+	 * @return array|WP_Error Sheets in workbook order, keyed by name, or WP_Error on failure.
+	 *                        Values locate the sheet in the file.
+	 */
+	public function get_sheets( $file_path, $extension ) {
+		if ( ! class_exists( 'ZipArchive' ) || ! class_exists( 'XMLReader' ) ) {
+			return new WP_Error( 'spreadsheet_unsupported', __( 'Spreadsheets can not be read on this server. Save the sheet as CSV and upload that instead.', 'geodir-converter' ) );
+		}
+
+		$max_size = $this->get_max_spreadsheet_size();
+
+		if ( $this->get_unzipped_size( $file_path ) > $max_size ) {
+			return new WP_Error(
+				'spreadsheet_too_large',
+				/* translators: %s: maximum size */
+				sprintf( __( 'Workbooks holding more than %s of data can\'t be converted on this server. Split the workbook, or save the sheet as CSV and upload that instead.', 'geodir-converter' ), size_format( $max_size ) )
+			);
+		}
+
+		$sheets = 'xlsx' === $extension ? $this->get_xlsx_sheets( $file_path ) : $this->get_ods_sheets( $file_path );
+
+		if ( ! is_wp_error( $sheets ) && empty( $sheets ) ) {
+			return new WP_Error( 'no_sheets', __( 'The workbook has no sheets.', 'geodir-converter' ) );
+		}
+
+		return $sheets;
+	}
+
+	/**
+	 * Get the largest workbook that can be converted, in bytes of unzipped data.
+	 *
+	 * Sheets are read row by row, but XLSX shared strings are held in memory
+	 * and a workbook can unzip to many times its file size, so the default is
+	 * the PHP memory limit.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return int Maximum unzipped size.
+	 */
+	public function get_max_spreadsheet_size() {
+		$memory_limit = wp_convert_hr_to_bytes( ini_get( 'memory_limit' ) );
+		$max_size     = $memory_limit > 0 ? $memory_limit : 256 * MB_IN_BYTES;
+
+		/**
+		 * Filters the largest XLSX or ODS workbook that can be converted to CSV.
+		 *
+		 * @since 2.3.0
+		 *
+		 * @param int $max_size Maximum size of the unzipped workbook in bytes. Default the PHP memory limit, or 256 MB without one.
+		 */
+		return (int) apply_filters( 'geodir_converter_spreadsheet_max_size', $max_size );
+	}
+
+	/**
+	 * Get the size of a workbook once unzipped.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $file_path Workbook path.
+	 * @return int Total size of the files in the archive, or 0 if it can't be opened.
+	 */
+	protected function get_unzipped_size( $file_path ) {
+		$zip = new ZipArchive();
+
+		if ( true !== $zip->open( $file_path ) ) {
+			return 0;
+		}
+
+		$size = 0;
+
+		for ( $i = 0; $i < $zip->numFiles; $i++ ) {
+			$stat  = $zip->statIndex( $i );
+			$size += $stat ? $stat['size'] : 0;
+		}
+
+		$zip->close();
+
+		return $size;
+	}
+
+	/**
+	 * Get the error for a sheet wider than a spreadsheet can be.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return WP_Error Error.
+	 */
+	protected function get_too_many_columns_error() {
+		/* translators: %s: maximum number of columns */
+		return new WP_Error( 'too_many_columns', sprintf( __( 'The sheet has more than %s columns, the most a spreadsheet can have.', 'geodir-converter' ), number_format_i18n( self::MAX_COLUMNS ) ) );
+	}
+
+	/**
+	 * Write rows to a CSV file.
+	 *
+	 * The first row is the header. Its blank and repeated names are replaced,
+	 * as the importer needs every column named once. Rows can be any iterable,
+	 * so large sheets are written as they are read.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string   $file_path CSV file path.
+	 * @param iterable $rows      Rows, each a list of values. A WP_Error in their place stops the writing.
+	 * @return true|WP_Error True on success, WP_Error if nothing could be written or the rows failed.
+	 */
+	protected function write_csv( $file_path, $rows ) {
+		$handle = fopen( $file_path, 'w' );
+
+		if ( false === $handle ) {
+			return new WP_Error( 'file_write_failed', __( 'Failed to convert the file to CSV.', 'geodir-converter' ) );
+		}
+
+		$columns = 0;
+
+		foreach ( $rows as $row ) {
+			if ( is_wp_error( $row ) ) {
+				fclose( $handle );
+				return $row;
+			}
+
+			// The header decides how many columns there are.
+			if ( 0 === $columns ) {
+				$columns = count( $row );
+				$row     = $this->get_header_row( $row );
+			}
+
+			$row = array_slice( array_pad( $row, $columns, '' ), 0, $columns );
+
+			fputcsv( $handle, $row );
+		}
+
+		fclose( $handle );
+
+		if ( 0 === $columns ) {
+			return new WP_Error( 'empty_file', __( 'The file has no rows to import.', 'geodir-converter' ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Name the blank columns of a header row and number repeated names.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $row Header values.
+	 * @return array Unique column names, such as 'column_3' or 'phone_2'.
+	 */
+	protected function get_header_row( array $row ) {
+		$names = array();
+
+		foreach ( array_values( $row ) as $index => $name ) {
+			$name = trim( (string) $name );
+			$name = '' === $name ? 'column_' . ( $index + 1 ) : $name;
+			$base = $name;
+
+			for ( $i = 2; in_array( $name, $names, true ); $i++ ) {
+				$name = $base . '_' . $i;
+			}
+
+			$names[] = $name;
+		}
+
+		return $names;
+	}
+
+	/**
+	 * Get the sheets of an XLSX workbook.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $file_path Workbook path.
+	 * @return array|WP_Error Paths of the worksheets in the archive, keyed by sheet name.
+	 */
+	protected function get_xlsx_sheets( $file_path ) {
+		$zip = new ZipArchive();
+
+		if ( true !== $zip->open( $file_path ) ) {
+			return new WP_Error( 'invalid_spreadsheet', __( 'The file is not a valid Excel workbook.', 'geodir-converter' ) );
+		}
+
+		$workbook = $this->load_xml( $zip->getFromName( 'xl/workbook.xml' ) );
+		$rels     = $this->load_xml( $zip->getFromName( 'xl/_rels/workbook.xml.rels' ) );
+		$zip->close();
+
+		if ( ! $workbook || ! $rels ) {
+			return new WP_Error( 'invalid_spreadsheet', __( 'The file is not a valid Excel workbook.', 'geodir-converter' ) );
+		}
+
+		$targets = array();
+		foreach ( $rels->children() as $rel ) {
+			$target = (string) $rel['Target'];
+
+			// Targets are relative to xl/, unless they start at the root of the archive.
+			$targets[ (string) $rel['Id'] ] = 0 === strpos( $target, '/' ) ? ltrim( $target, '/' ) : 'xl/' . $target;
+		}
+
+		$sheets = array();
+		foreach ( $workbook->sheets->children() as $sheet ) {
+			$id = (string) $sheet->attributes( 'r', true )->id;
+
+			if ( isset( $targets[ $id ] ) ) {
+				$sheets[ (string) $sheet['name'] ] = $targets[ $id ];
+			}
+		}
+
+		return $sheets;
+	}
+
+	/**
+	 * Read the rows of an XLSX worksheet.
+	 *
+	 * Dates are written as Y-m-d, or Y-m-d H:i:s when they have a time.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $file_path  Workbook path.
+	 * @param string $sheet_path Path of the worksheet in the archive.
+	 * @return \Generator|WP_Error Rows, or WP_Error if the sheet can't be opened.
+	 */
+	protected function read_xlsx_rows( $file_path, $sheet_path ) {
+		$zip = new ZipArchive();
+
+		if ( true !== $zip->open( $file_path ) ) {
+			return new WP_Error( 'invalid_spreadsheet', __( 'The file is not a valid Excel workbook.', 'geodir-converter' ) );
+		}
+
+		$strings      = $this->get_xlsx_shared_strings( $zip );
+		$date_styles  = $this->get_xlsx_date_styles( $this->load_xml( $zip->getFromName( 'xl/styles.xml' ) ) );
+		$workbook     = $this->load_xml( $zip->getFromName( 'xl/workbook.xml' ) );
+		$is_date_1904 = $workbook && isset( $workbook->workbookPr ) && in_array( (string) $workbook->workbookPr['date1904'], array( '1', 'true' ), true );
+		$zip->close();
+
+		$reader = new XMLReader();
+
+		if ( ! $reader->open( 'zip://' . $file_path . '#' . $sheet_path ) ) {
+			return new WP_Error( 'invalid_spreadsheet', __( 'The sheet could not be read.', 'geodir-converter' ) );
+		}
+
+		return $this->generate_xlsx_rows( $reader, $strings, $date_styles, $is_date_1904 );
+	}
+
+	/**
+	 * Stream the rows of an XLSX worksheet.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param XMLReader $reader       Reader opened on the worksheet.
+	 * @param array     $strings      Shared strings.
+	 * @param array     $date_styles  Indexes of the cell styles that format dates.
+	 * @param bool      $is_date_1904 Whether the workbook counts days from 1904.
+	 * @return \Generator Rows, skipping empty ones. A WP_Error ends them if a cell is past the last column.
+	 */
+	protected function generate_xlsx_rows( XMLReader $reader, array $strings, array $date_styles, $is_date_1904 ) {
+		$row    = null;
+		$column = 0;
+		$more   = $reader->read();
+
+		while ( $more ) {
+			if ( XMLReader::ELEMENT === $reader->nodeType && 'row' === $reader->localName ) {
+				$row    = array();
+				$column = 0;
+
+				if ( $reader->isEmptyElement ) {
+					$row = null;
+				}
+			} elseif ( XMLReader::END_ELEMENT === $reader->nodeType && 'row' === $reader->localName && null !== $row ) {
+				if ( '' !== implode( '', $row ) ) {
+					$row = $this->fill_row( $row );
+
+					yield $row;
+
+					if ( is_wp_error( $row ) ) {
+						break;
+					}
+				}
+
+				$row = null;
+			} elseif ( XMLReader::ELEMENT === $reader->nodeType && 'c' === $reader->localName && null !== $row ) {
+				$reference = (string) $reader->getAttribute( 'r' );
+				$column    = '' !== $reference ? $this->get_xlsx_column_index( $reference ) : $column;
+
+				if ( is_wp_error( $column ) ) {
+					yield $column;
+					break;
+				}
+
+				$type  = (string) $reader->getAttribute( 't' );
+				$style = (int) $reader->getAttribute( 's' );
+				$cell  = $reader->isEmptyElement ? null : $reader->expand();
+				$value = '';
+
+				if ( $cell ) {
+					if ( 'inlineStr' === $type ) {
+						$value = $this->get_xlsx_text( $cell );
+					} else {
+						foreach ( $cell->childNodes as $child ) {
+							if ( 'v' === $child->localName ) {
+								$value = $child->textContent;
+							}
+						}
+					}
+				}
+
+				if ( 's' === $type ) {
+					$value = isset( $strings[ (int) $value ] ) ? $strings[ (int) $value ] : '';
+				} elseif ( 'b' === $type ) {
+					$value = '1' === $value ? 'TRUE' : 'FALSE';
+				} elseif ( 'e' === $type ) {
+					$value = '';
+				} elseif ( ( '' === $type || 'n' === $type ) && '' !== $value && isset( $date_styles[ $style ] ) && is_numeric( $value ) ) {
+					$value = $this->format_xlsx_date( (float) $value, $is_date_1904 );
+				}
+
+				$row[ $column ] = $value;
+				++$column;
+
+				// Skips the cell's children, which were read through expand().
+				if ( $cell ) {
+					$more = $reader->next();
+					continue;
+				}
+			}
+
+			$more = $reader->read();
+		}
+
+		$reader->close();
+	}
+
+	/**
+	 * Get the shared strings of an XLSX workbook.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param ZipArchive $zip Open workbook.
+	 * @return array Strings, by index.
+	 */
+	protected function get_xlsx_shared_strings( ZipArchive $zip ) {
+		$strings = array();
+
+		if ( false === $zip->locateName( 'xl/sharedStrings.xml' ) ) {
+			return $strings;
+		}
+
+		$reader = new XMLReader();
+
+		if ( ! $reader->open( 'zip://' . $zip->filename . '#xl/sharedStrings.xml' ) ) {
+			return $strings;
+		}
+
+		$more = $reader->read();
+
+		while ( $more ) {
+			if ( XMLReader::ELEMENT === $reader->nodeType && 'si' === $reader->localName ) {
+				$node      = $reader->expand();
+				$strings[] = $node ? $this->get_xlsx_text( $node ) : '';
+				$more      = $reader->next();
+				continue;
+			}
+
+			$more = $reader->read();
+		}
+
+		$reader->close();
+
+		return $strings;
+	}
+
+	/**
+	 * Get the text of a string item or inline string, leaving out phonetic hints.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param DOMNode $node The si or c element.
+	 * @return string Text.
+	 */
+	protected function get_xlsx_text( DOMNode $node ) {
+		$text = '';
+
+		foreach ( $node->childNodes as $child ) {
+			if ( 't' === $child->localName ) {
+				$text .= $child->textContent;
+			} elseif ( in_array( $child->localName, array( 'r', 'is' ), true ) ) {
+				$text .= $this->get_xlsx_text( $child );
+			}
+		}
+
+		return $text;
+	}
+
+	/**
+	 * Get the cell styles of an XLSX workbook that format dates.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param \SimpleXMLElement|false $styles The styles part.
+	 * @return array Style indexes as keys.
+	 */
+	protected function get_xlsx_date_styles( $styles ) {
+		$date_styles = array();
+
+		if ( ! $styles || ! isset( $styles->cellXfs ) ) {
+			return $date_styles;
+		}
+
+		$date_formats = array_fill_keys( self::XLSX_DATE_FORMATS, true );
+
+		if ( isset( $styles->numFmts ) ) {
+			foreach ( $styles->numFmts->children() as $format ) {
+				// Drops quoted text, escapes and [colors] before looking for date parts.
+				$code = preg_replace( '/"[^"]*"|\\\\.|\[[^\]]*\]/', '', (string) $format['formatCode'] );
+
+				if ( preg_match( '/[dmyhs]/i', $code ) ) {
+					$date_formats[ (int) $format['numFmtId'] ] = true;
+				}
+			}
+		}
+
+		$index = 0;
+		foreach ( $styles->cellXfs->children() as $xf ) {
+			if ( isset( $date_formats[ (int) $xf['numFmtId'] ] ) ) {
+				$date_styles[ $index ] = true;
+			}
+
+			++$index;
+		}
+
+		return $date_styles;
+	}
+
+	/**
+	 * Format an XLSX date serial number.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param float $serial       Days since the workbook epoch.
+	 * @param bool  $is_date_1904 Whether the workbook counts days from 1904.
+	 * @return string Y-m-d, or Y-m-d H:i:s when there is a time.
+	 */
+	protected function format_xlsx_date( $serial, $is_date_1904 ) {
+		// 25569 days separate 1900-01-00 from 1970-01-01, counting Excel's 1900-02-29; 1904 workbooks start 1462 days later.
+		$timestamp = (int) round( ( $serial - ( $is_date_1904 ? 24107 : 25569 ) ) * DAY_IN_SECONDS );
+
+		return gmdate( 0 === $timestamp % DAY_IN_SECONDS ? 'Y-m-d' : 'Y-m-d H:i:s', $timestamp );
+	}
+
+	/**
+	 * Get the zero-based column index of an XLSX cell reference.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $reference Cell reference, such as 'B12'.
+	 * @return int|WP_Error Column index, or WP_Error if it is past the last column.
+	 */
+	protected function get_xlsx_column_index( $reference ) {
+		$letters = preg_replace( '/[^A-Z]/', '', strtoupper( $reference ) );
+		$index   = 0;
+
+		foreach ( str_split( $letters ) as $letter ) {
+			$index = $index * 26 + ord( $letter ) - 64;
+
+			if ( $index > self::MAX_COLUMNS ) {
+				return $this->get_too_many_columns_error();
+			}
+		}
+
+		return max( 0, $index - 1 );
+	}
+
+	/**
+	 * Get the sheets of an ODS workbook.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $file_path Workbook path.
+	 * @return array|WP_Error Sheet positions, keyed by sheet name.
+	 */
+	protected function get_ods_sheets( $file_path ) {
+		$reader = new XMLReader();
+
+		if ( ! $reader->open( 'zip://' . $file_path . '#content.xml' ) ) {
+			return new WP_Error( 'invalid_spreadsheet', __( 'The file is not a valid OpenDocument spreadsheet.', 'geodir-converter' ) );
+		}
+
+		$sheets = array();
+		$index  = 0;
+		$more   = $reader->read();
+
+		while ( $more ) {
+			if ( $this->is_ods_table( $reader ) ) {
+				$sheets[ (string) $reader->getAttribute( 'table:name' ) ] = $index++;
+
+				// Skips the rows; only the names are needed.
+				$more = $reader->next();
+				continue;
+			}
+
+			$more = $reader->read();
+		}
+
+		$reader->close();
+
+		return $sheets;
+	}
+
+	/**
+	 * Read the rows of an ODS sheet.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $file_path Workbook path.
+	 * @param int    $sheet     Position of the sheet, see get_ods_sheets().
+	 * @return \Generator|WP_Error Rows, or WP_Error if the sheet can't be opened.
+	 */
+	protected function read_ods_rows( $file_path, $sheet ) {
+		$reader = new XMLReader();
+
+		if ( ! $reader->open( 'zip://' . $file_path . '#content.xml' ) ) {
+			return new WP_Error( 'invalid_spreadsheet', __( 'The file is not a valid OpenDocument spreadsheet.', 'geodir-converter' ) );
+		}
+
+		return $this->generate_ods_rows( $reader, (int) $sheet );
+	}
+
+	/**
+	 * Stream the rows of an ODS sheet.
+	 *
+	 * Repeated rows and cells are expanded, except empty ones, which
+	 * spreadsheets repeat to the edge of the sheet. Values repeated past
+	 * the edge end the rows with a WP_Error.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param XMLReader $reader Reader opened on content.xml.
+	 * @param int       $sheet  Position of the sheet.
+	 * @return \Generator Rows, skipping empty ones.
+	 */
+	protected function generate_ods_rows( XMLReader $reader, $sheet ) {
+		$index    = 0;
+		$position = 0;
+		$more     = $reader->read();
+
+		while ( $more && ! ( $this->is_ods_table( $reader ) && $index === $sheet ) ) {
+			if ( $this->is_ods_table( $reader ) ) {
+				++$index;
+				$more = $reader->next();
+			} else {
+				$more = $reader->read();
+			}
+		}
+
+		if ( ! $more || $reader->isEmptyElement ) {
+			$reader->close();
+			return;
+		}
+
+		$depth = $reader->depth;
+		$more  = $reader->read();
+
+		while ( $more && ! ( XMLReader::END_ELEMENT === $reader->nodeType && $reader->depth === $depth ) ) {
+			if ( XMLReader::ELEMENT !== $reader->nodeType || 'table-row' !== $reader->localName ) {
+				$more = $reader->read();
+				continue;
+			}
+
+			$repeat    = max( 1, (int) $reader->getAttribute( 'table:number-rows-repeated' ) );
+			$node      = $reader->isEmptyElement ? null : $reader->expand();
+			$row       = $node ? $this->get_ods_row( $node ) : array();
+			$more      = $reader->next();
+			$position += $repeat;
+
+			if ( is_wp_error( $row ) ) {
+				yield $row;
+				break;
+			}
+
+			if ( '' === implode( '', $row ) ) {
+				continue;
+			}
+
+			if ( $position > self::MAX_ROWS ) {
+				/* translators: %s: maximum number of rows */
+				yield new WP_Error( 'too_many_rows', sprintf( __( 'The sheet has more than %s rows, the most a spreadsheet can have.', 'geodir-converter' ), number_format_i18n( self::MAX_ROWS ) ) );
+				break;
+			}
+
+			for ( $i = 0; $i < $repeat; $i++ ) {
+				yield $row;
+			}
+		}
+
+		$reader->close();
+	}
+
+	/**
+	 * Check whether the reader is on the start of an ODS sheet.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param XMLReader $reader Reader on content.xml.
+	 * @return bool True on a table:table element.
+	 */
+	protected function is_ods_table( XMLReader $reader ) {
+		return XMLReader::ELEMENT === $reader->nodeType && 'table' === $reader->localName && 'urn:oasis:names:tc:opendocument:xmlns:table:1.0' === $reader->namespaceURI;
+	}
+
+	/**
+	 * Get the values of an ODS table row.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param DOMNode $node The table-row element.
+	 * @return array|WP_Error Values, or WP_Error if a value is repeated past the last column.
+	 */
+	protected function get_ods_row( DOMNode $node ) {
+		$row    = array();
+		$column = 0;
+
+		foreach ( $node->childNodes as $cell ) {
+			if ( ! in_array( $cell->localName, array( 'table-cell', 'covered-table-cell' ), true ) ) {
+				continue;
+			}
+
+			$repeat = max( 1, (int) $cell->getAttribute( 'table:number-columns-repeated' ) );
+			$value  = $this->get_ods_value( $cell );
+
+			if ( '' !== $value ) {
+				if ( $column + $repeat > self::MAX_COLUMNS ) {
+					return $this->get_too_many_columns_error();
+				}
+
+				for ( $i = 0; $i < $repeat; $i++ ) {
+					$row[ $column + $i ] = $value;
+				}
+			}
+
+			$column += $repeat;
+		}
+
+		return $this->fill_row( $row );
+	}
+
+	/**
+	 * Get the value of an ODS cell.
+	 *
+	 * Numbers and dates come from the stored value rather than the displayed text, which may be rounded or localized.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param DOMNode $cell The table-cell element.
+	 * @return string Value.
+	 */
+	protected function get_ods_value( DOMNode $cell ) {
+		switch ( $cell->getAttribute( 'office:value-type' ) ) {
+			case 'float':
+			case 'percentage':
+			case 'currency':
+				return (string) $cell->getAttribute( 'office:value' );
+
+			case 'date':
+				return str_replace( 'T', ' ', (string) $cell->getAttribute( 'office:date-value' ) );
+
+			case 'boolean':
+				return 'true' === $cell->getAttribute( 'office:boolean-value' ) ? 'TRUE' : 'FALSE';
+		}
+
+		$paragraphs = array();
+
+		foreach ( $cell->childNodes as $child ) {
+			if ( 'p' === $child->localName ) {
+				$paragraphs[] = $this->get_ods_text( $child );
+			}
+		}
+
+		return implode( "\n", $paragraphs );
+	}
+
+	/**
+	 * Get the text of an ODS paragraph, keeping repeated spaces, tabs and line breaks.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param DOMNode $node Paragraph or span.
+	 * @return string Text.
+	 */
+	protected function get_ods_text( DOMNode $node ) {
+		$text = '';
+
+		foreach ( $node->childNodes as $child ) {
+			if ( XML_TEXT_NODE === $child->nodeType ) {
+				$text .= $child->nodeValue;
+			} elseif ( 's' === $child->localName ) {
+				$text .= str_repeat( ' ', max( 1, (int) $child->getAttribute( 'text:c' ) ) );
+			} elseif ( 'tab' === $child->localName ) {
+				$text .= "\t";
+			} elseif ( 'line-break' === $child->localName ) {
+				$text .= "\n";
+			} elseif ( XML_ELEMENT_NODE === $child->nodeType && 'annotation' !== $child->localName ) {
+				$text .= $this->get_ods_text( $child );
+			}
+		}
+
+		return $text;
+	}
+
+	/**
+	 * Read the rows of a JSON or GeoJSON file.
+	 *
+	 * Accepts an array of objects, an object holding one, a GeoJSON
+	 * FeatureCollection or a single Feature. Nested objects become columns
+	 * named with dots, such as 'address.city'. Lists of values are joined with
+	 * commas. The coordinates of GeoJSON points go to the latitude and
+	 * longitude columns.
+	 *
+	 * The whole file is decoded at once, so files larger than
+	 * get_max_json_size() are turned down before they are read.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $file_path JSON file path.
+	 * @param array  $mapping   Receives the suggested mapping of the columns.
+	 * @return array|WP_Error Rows, starting with the header, or WP_Error on failure.
+	 */
+	protected function read_json_rows( $file_path, array &$mapping ) {
+		$max_size = $this->get_max_json_size();
+
+		if ( filesize( $file_path ) > $max_size ) {
+			return new WP_Error(
+				'json_too_large',
+				/* translators: %s: maximum file size */
+				sprintf( __( 'JSON files larger than %s can\'t be converted on this server. Split the file, or save it as CSV and upload that instead.', 'geodir-converter' ), size_format( $max_size ) )
+			);
+		}
+
+		$content = file_get_contents( $file_path );
+
+		if ( false === $content ) {
+			return new WP_Error( 'file_open_failed', __( 'Failed to open the file.', 'geodir-converter' ) );
+		}
+
+		// Drops a UTF-8 byte order mark, which json_decode() rejects.
+		$data = json_decode( preg_replace( '/^\xEF\xBB\xBF/', '', $content ), true );
+		unset( $content );
+
+		if ( JSON_ERROR_NONE !== json_last_error() ) {
+			/* translators: %s: JSON error message */
+			return new WP_Error( 'invalid_json', sprintf( __( 'The file is not valid JSON: %s', 'geodir-converter' ), json_last_error_msg() ) );
+		}
+
+		$is_geojson = is_array( $data ) && isset( $data['type'] ) && in_array( $data['type'], array( 'FeatureCollection', 'Feature' ), true );
+
+		if ( $is_geojson ) {
+			$items = 'Feature' === $data['type'] ? array( $data ) : ( isset( $data['features'] ) ? (array) $data['features'] : array() );
+		} else {
+			$items = $this->find_json_records( $data );
+		}
+
+		if ( empty( $items ) ) {
+			return new WP_Error( 'invalid_json', __( 'The file has no records to import. It should hold an array of objects or a GeoJSON FeatureCollection.', 'geodir-converter' ) );
+		}
+
+		$records     = array();
+		$columns     = array();
+		$has_points  = false;
+		$coordinates = array_fill_keys( self::COORDINATE_COLUMNS, '' );
+
+		foreach ( $items as $item ) {
+			if ( ! is_array( $item ) ) {
+				continue;
+			}
+
+			if ( $is_geojson ) {
+				$record = $this->flatten_json( isset( $item['properties'] ) && is_array( $item['properties'] ) ? $item['properties'] : array() );
+				$point  = $this->get_geojson_point( $item );
+
+				if ( $point ) {
+					$has_points = true;
+					$record     = array_replace( $record, $point );
+				}
+			} else {
+				$record = $this->flatten_json( $item );
+			}
+
+			$columns  += array_fill_keys( array_keys( $record ), '' );
+			$records[] = $record;
+		}
+
+		if ( empty( $columns ) ) {
+			return new WP_Error( 'invalid_json', __( 'The file has no records to import. It should hold an array of objects or a GeoJSON FeatureCollection.', 'geodir-converter' ) );
+		}
+
+		// Coordinates lead, so they are easy to spot on the mapping step.
+		if ( $has_points ) {
+			$columns = $coordinates + $columns;
+			$mapping = array_combine( self::COORDINATE_COLUMNS, self::COORDINATE_COLUMNS );
+		}
+
+		$rows = array( array_map( 'strval', array_keys( $columns ) ) );
+
+		foreach ( $records as $record ) {
+			$rows[] = array_values( array_replace( $columns, array_intersect_key( $record, $columns ) ) );
+		}
+
+		return $rows;
+	}
+
+	/**
+	 * Get the largest JSON file that can be converted, in bytes.
+	 *
+	 * Decoded JSON takes several times the size of the file in memory, so the
+	 * default is a tenth of the PHP memory limit.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return int Maximum file size.
+	 */
+	public function get_max_json_size() {
+		$memory_limit = wp_convert_hr_to_bytes( ini_get( 'memory_limit' ) );
+		$max_size     = $memory_limit > 0 ? (int) ( $memory_limit / 10 ) : 64 * MB_IN_BYTES;
+
+		/**
+		 * Filters the largest JSON or GeoJSON file that can be converted to CSV.
+		 *
+		 * @since 2.3.0
+		 *
+		 * @param int $max_size Maximum file size in bytes. Default a tenth of the PHP memory limit, or 64 MB without one.
+		 */
+		return (int) apply_filters( 'geodir_converter_json_max_file_size', $max_size );
+	}
+
+	/**
+	 * Find the records in decoded JSON.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param mixed $data Decoded JSON.
+	 * @return array Records, or an empty array if there are none.
+	 */
+	protected function find_json_records( $data ) {
+		if ( ! is_array( $data ) || empty( $data ) ) {
+			return array();
+		}
+
+		if ( wp_is_numeric_array( $data ) ) {
+			return is_array( reset( $data ) ) ? $data : array();
+		}
+
+		// An object wrapping the records, such as { "data": [ ... ] }.
+		foreach ( $data as $value ) {
+			if ( is_array( $value ) && ! empty( $value ) && wp_is_numeric_array( $value ) && is_array( reset( $value ) ) ) {
+				return $value;
+			}
+		}
+
+		return array();
+	}
+
+	/**
+	 * Flatten a JSON object into column => value.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array  $data   Decoded object.
+	 * @param string $prefix Column name prefix, for nested objects. Default ''.
+	 * @return array Values as strings.
+	 */
+	protected function flatten_json( array $data, $prefix = '' ) {
+		$record = array();
+
+		foreach ( $data as $key => $value ) {
+			$column = $prefix . $key;
+
+			if ( is_array( $value ) && ! empty( $value ) && ! wp_is_numeric_array( $value ) ) {
+				$record = array_replace( $record, $this->flatten_json( $value, $column . '.' ) );
+			} elseif ( is_array( $value ) && count( array_filter( $value, 'is_scalar' ) ) === count( $value ) ) {
+				$record[ $column ] = implode( ', ', $value );
+			} elseif ( is_array( $value ) ) {
+				$record[ $column ] = wp_json_encode( $value );
+			} elseif ( is_bool( $value ) ) {
+				$record[ $column ] = $value ? 'TRUE' : 'FALSE';
+			} else {
+				$record[ $column ] = (string) $value;
+			}
+		}
+
+		return $record;
+	}
+
+	/**
+	 * Get the coordinates of a GeoJSON feature with a point geometry.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $feature GeoJSON feature.
+	 * @return array|null Latitude and longitude, or null for other geometries.
+	 */
+	protected function get_geojson_point( array $feature ) {
+		$geometry = isset( $feature['geometry'] ) && is_array( $feature['geometry'] ) ? $feature['geometry'] : array();
+
+		if ( ! isset( $geometry['type'], $geometry['coordinates'] ) || 'Point' !== $geometry['type'] ) {
+			return null;
+		}
+
+		$coordinates = $geometry['coordinates'];
+
+		if ( ! is_array( $coordinates ) || ! isset( $coordinates[0], $coordinates[1] ) || ! is_numeric( $coordinates[0] ) || ! is_numeric( $coordinates[1] ) ) {
+			return null;
+		}
+
+		// GeoJSON positions are longitude first.
+		return array_combine( self::COORDINATE_COLUMNS, array( (string) $coordinates[1], (string) $coordinates[0] ) );
+	}
+
+	/**
+	 * Turn a sparse row into a list, filling the gaps with empty values.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $row Values by column index.
+	 * @return array|WP_Error Values, or WP_Error if a value is past the last column.
+	 */
+	protected function fill_row( array $row ) {
+		if ( empty( $row ) ) {
+			return array();
+		}
+
+		$last = max( array_keys( $row ) );
+
+		if ( $last >= self::MAX_COLUMNS ) {
+			return $this->get_too_many_columns_error();
+		}
+
+		return array_replace( array_fill( 0, $last + 1, '' ), $row );
+	}
+
+	/**
+	 * Parse an XML part of a workbook.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string|false $xml XML, or false if the part is missing.
+	 * @return \SimpleXMLElement|false The document, or false.
+	 */
+	protected function load_xml( $xml ) {
+		if ( ! is_string( $xml ) || '' === $xml ) {
+			return false;
+		}
+
+		$previous = libxml_use_internal_errors( true );
+		$document = simplexml_load_string( $xml );
+		libxml_clear_errors();
+		libxml_use_internal_errors( $previous );
+
+		return $document;
+	}
+}
@@ -185,17 +185,21 @@ class GeoDir_Converter_Utils {
 	/**
 	 * Parse CSV file.
 	 *
+	 * Reading stops after `$limit` data rows, so the rest of the file isn't read.
+	 *
 	 * @since 2.0.2
+	 * @since 2.3.0 Added the `$limit` parameter.
 	 *
 	 * @param string $file_path        The path to the CSV file.
 	 * @param array  $required_headers The required headers.
 	 * @param string $delimiter        CSV delimiter. Default ','.
+	 * @param int    $limit            Maximum number of rows to read. Default 0, which reads up to 10,000.
 	 * @return array|WP_Error An array of parsed rows or a WP_Error object on failure.
 	 *
 	 * @throws WP_Error|Exception If the CSV file is not found, not readable, has invalid headers,
 	 *                            or contains no valid data rows or an error occurs while parsing.
 	 */
-	public static function parse_csv( $file_path, $required_headers = array(), $delimiter = ',' ) {
+	public static function parse_csv( $file_path, $required_headers = array(), $delimiter = ',', $limit = 0 ) {
 		if ( ! file_exists( $file_path ) ) {
 			return new WP_Error( 'file_not_found', __( 'CSV file not found.', 'geodir-converter' ) );
 		}
@@ -213,6 +217,7 @@ class GeoDir_Converter_Utils {
 		$data            = array();
 		$line_number     = 0;
 		$max_line_length = 0;
+		$max_rows        = $limit > 0 ? min( (int) $limit, 10000 ) : 10000;
 
 		try {
 			if ( ( $handle = fopen( $file_path, 'r' ) ) !== false ) {
@@ -303,7 +308,7 @@ class GeoDir_Converter_Utils {
 					$data[] = $sanitized_row;
 
 					// Limit number of rows for memory protection.
-					if ( count( $data ) >= 10000 ) {
+					if ( count( $data ) >= $max_rows ) {
 						break;
 					}
 				}
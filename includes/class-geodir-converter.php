@@ -44,6 +44,13 @@ final class GeoDir_Converter {
 	 */
 	public $ajax;
 
+	/**
+	 * Import pipeline.
+	 *
+	 * @var GeoDir_Converter_Pipeline
+	 */
+	public $pipeline;
+
 	/**
 	 * Admin page.
 	 *
@@ -60,7 +67,8 @@ final class GeoDir_Converter {
 		$this->init_hooks();
 		$this->load_importers();
 
-		$this->ajax = GeoDir_Converter_Ajax::instance();
+		$this->pipeline = GeoDir_Converter_Pipeline::instance();
+		$this->ajax     = GeoDir_Converter_Ajax::instance();
 
 		if ( is_admin() ) {
 			$this->admin = GeoDir_Converter_Admin::instance();
@@ -164,6 +164,32 @@ class GeoDir_Converter_Background_Process extends GeoDir_Background_Process {
 		return $this->importer->options_handler->get_option_no_cache( 'abort_current', false );
 	}
 
+	/**
+	 * Makes the next is_in_progress() read the stored process lock.
+	 *
+	 * Long-running requests, such as the progress stream, would otherwise see
+	 * the lock as it was cached when they first checked it.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function refresh_lock_cache() {
+		$key = $this->identifier . '_process_lock';
+
+		if ( wp_using_ext_object_cache() ) {
+			// The persistent cache holds the lock itself, so fetch it again rather than deleting it.
+			wp_cache_get( $key, 'site-transient', true );
+		} elseif ( is_multisite() ) {
+			wp_cache_delete( get_current_network_id() . ':_site_transient_' . $key, 'site-options' );
+			wp_cache_delete( get_current_network_id() . ':_site_transient_timeout_' . $key, 'site-options' );
+		} else {
+			wp_cache_delete( '_site_transient_' . $key, 'options' );
+			wp_cache_delete( '_site_transient_timeout_' . $key, 'options' );
+			wp_cache_delete( 'notoptions', 'options' );
+		}
+	}
+
 	/**
 	 * Checks if the background process is paused.
 	 *
@@ -263,6 +289,7 @@ class GeoDir_Converter_Background_Process extends GeoDir_Background_Process {
 				$this->delete_all_batches();
 				$this->clear_scheduled_event();
 				$this->clear_options();
+				$this->mark_finished( 'aborted' );
 				do_action( $this->identifier . '_complete' );
 			}
 		}
@@ -280,6 +307,31 @@ class GeoDir_Converter_Background_Process extends GeoDir_Background_Process {
 		$this->importer->options_handler->delete_option( 'paused' );
 	}
 
+	/**
+	 * Record when the run ended and add it to the history.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $status How the run ended: 'completed' or 'aborted'. Default 'completed'.
+	 * @return void
+	 */
+	protected function mark_finished( $status = 'completed' ) {
+		$this->importer->options_handler->update_option( 'import_end_time', time() );
+		$this->importer->archive_run( $status );
+		$this->importer->clear_run_window();
+
+		/**
+		 * Fires when an import run ends.
+		 *
+		 * @since 2.3.0
+		 *
+		 * @param GeoDir_Converter_Importer $importer The importer.
+		 * @param string                    $status   How the run ended: 'completed' or 'aborted'.
+		 * @param string                    $run_id   ID of the run.
+		 */
+		do_action( 'geodir_converter_run_finished', $this->importer, $status, (string) $this->importer->options_handler->get_option_no_cache( 'run_id', '' ) );
+	}
+
 	/**
 	 * Complete the background process.
 	 *
@@ -288,9 +340,12 @@ class GeoDir_Converter_Background_Process extends GeoDir_Background_Process {
 	 * @return void
 	 */
 	protected function complete() {
+		$status = $this->is_aborting() ? 'aborted' : 'completed';
+
 		parent::complete();
 
 		$this->clear_options();
+		$this->mark_finished( $status );
 
 		do_action( $this->identifier . '_complete' );
 	}
@@ -305,6 +360,8 @@ class GeoDir_Converter_Background_Process extends GeoDir_Background_Process {
 	 * @throws InvalidArgumentException When an invalid action is provided.
 	 */
 	protected function task( $task ) {
+		// complete() records the aborted run once the process lock is released,
+		// so a pipeline can start its next step with this importer right away.
 		if ( $this->is_aborting() ) {
 			$this->cancel_process();
 			return false;
@@ -344,12 +401,14 @@ class GeoDir_Converter_Background_Process extends GeoDir_Background_Process {
 
 			if ( method_exists( $this->importer, $import_method ) ) {
 				$this->importer->suspend_hooks();
+				$this->importer->set_current_action( $action );
 
 				try {
 					$result = $this->importer->$import_method( $task );
 				} finally {
 					$this->importer->restore_hooks();
 					$this->importer->flush_progress();
+					$this->importer->set_current_action( '' );
 				}
 
 				return $result;
@@ -447,29 +506,47 @@ class GeoDir_Converter_Background_Process extends GeoDir_Background_Process {
 	/**
 	 * Re-queues failed items for retry.
 	 *
+	 * Items are imported again by source ID. Items the importer can't load
+	 * one by one stay in the failed list.
+	 *
 	 * @since 2.2.0
-	 * @return bool True if items were re-queued, false otherwise.
+	 * @since 2.3.0 Added the `$keys` parameter. Returns the number of items re-queued.
+	 *
+	 * @param array $keys Failed item keys to retry. Default empty, which retries all.
+	 * @return int Number of items re-queued.
 	 */
-	public function retry_failed_items() {
+	public function retry_failed_items( array $keys = array() ) {
 		$failed_items = $this->importer->get_failed_items();
 
-		if ( empty( $failed_items ) ) {
-			return false;
+		if ( ! empty( $keys ) ) {
+			$failed_items = array_intersect_key( $failed_items, array_flip( $keys ) );
+		}
+
+		// Group the source IDs by the action the items failed in.
+		$source_ids = array();
+		foreach ( $failed_items as $key => $item ) {
+			$action = isset( $item['action'] ) ? $item['action'] : GeoDir_Converter_Importer::ACTION_IMPORT_LISTINGS;
+
+			if ( ! $this->importer->can_retry_action( $action ) ) {
+				unset( $failed_items[ $key ] );
+				continue;
+			}
+
+			$failed_items[ $key ]['action'] = $action;
+			$source_ids[ $action ][]        = $item['source_id'];
 		}
 
-		// Build tasks from failed items, grouped by action.
 		$tasks = array();
-		foreach ( $failed_items as $item ) {
-			$tasks[] = array(
-				'action'    => isset( $item['action'] ) ? $item['action'] : GeoDir_Converter_Importer::ACTION_IMPORT_LISTINGS,
-				'source_id' => $item['source_id'],
-				'title'     => isset( $item['item_title'] ) ? $item['item_title'] : '',
-				'retry'     => true,
-			);
+		foreach ( $source_ids as $action => $ids ) {
+			$tasks = array_merge( $tasks, (array) $this->importer->get_retry_tasks( $action, $ids ) );
+		}
+
+		if ( empty( $tasks ) ) {
+			return 0;
 		}
 
 		// Adjust stats: subtract failed count so progress recalculates correctly.
-		$failed_count = count( $tasks );
+		$failed_count = count( $failed_items );
 		$stats        = (array) $this->importer->options_handler->get_option_no_cache( 'stats', array() );
 		$empty_stats  = $this->importer->empty_stats();
 		$stats        = wp_parse_args( $stats, $empty_stats );
@@ -478,10 +555,23 @@ class GeoDir_Converter_Background_Process extends GeoDir_Background_Process {
 
 		$this->importer->options_handler->update_option( 'stats', $stats );
 
-		// Clear failed items and re-queue.
-		$this->importer->clear_failed_items();
+		$breakdown = $this->importer->get_stats_breakdown();
+		foreach ( $failed_items as $item ) {
+			$type = $this->importer->get_item_type_from_action( $item['action'] );
+
+			if ( isset( $breakdown[ $type ] ) ) {
+				$breakdown[ $type ]['failed'] = max( 0, $breakdown[ $type ]['failed'] - 1 );
+			}
+		}
+		$this->importer->options_handler->update_option( 'stats_breakdown', $breakdown );
+
+		// The run continues, so it no longer has an end time.
+		$this->importer->options_handler->delete_option( 'import_end_time' );
+
+		// Clear the retried items and re-queue.
+		$this->importer->remove_failed_items( array_keys( $failed_items ) );
 		$this->add_import_tasks( $tasks );
 
-		return true;
+		return $failed_count;
 	}
 }
@@ -144,6 +144,7 @@ class GeoDir_Converter_Business_Directory extends GeoDir_Converter_Importer {
 
 			$this->display_post_type_select();
 			$this->display_test_mode_checkbox();
+			$this->display_schedule_fields();
 			$this->display_progress();
 			$this->display_logs( $this->get_logs() );
 			$this->display_error_alert();
@@ -573,6 +574,18 @@ class GeoDir_Converter_Business_Directory extends GeoDir_Converter_Importer {
 		return $this->next_task( $task );
 	}
 
+	/**
+	 * Get the task key that holds the source records, for each action whose
+	 * failed items can be retried.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return array Task keys, keyed by action. Listings are retried from source post rows.
+	 */
+	protected function get_retry_task_keys() {
+		return array( self::ACTION_IMPORT_LISTINGS => 'listings' );
+	}
+
 	/**
 	 * Import listings from Business Directory to GeoDirectory in batches.
 	 *
@@ -584,6 +597,18 @@ class GeoDir_Converter_Business_Directory extends GeoDir_Converter_Importer {
 	public function task_import_listings( array $task ) {
 		global $wpdb;
 
+		// Retried items come with their rows, see get_retry_task_keys().
+		if ( ! empty( $task['listings'] ) ) {
+			return $this->import_queued_items(
+				(array) $task['listings'],
+				function ( $listing ) {
+					$post = get_post( $listing->ID );
+
+					return $post ? $this->import_single_listing( $post ) : self::IMPORT_STATUS_FAILED;
+				}
+			);
+		}
+
 		$offset         = $this->resume_offset( self::ACTION_IMPORT_LISTINGS, $task );
 		$batch_size     = $this->get_batch_size();
 		$total_listings = $this->count_listings();
@@ -163,6 +163,7 @@ class GeoDir_Converter_Connections extends GeoDir_Converter_Importer {
 			$this->display_status_select();
 			$this->display_author_select( true );
 			$this->display_test_mode_checkbox();
+			$this->display_schedule_fields();
 			$this->display_progress();
 			$this->display_logs( $this->get_logs() );
 			$this->display_error_alert();
@@ -36,6 +36,30 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 	 */
 	const ACTION_IMPORT_LISTINGS = 'import_listings';
 
+	/**
+	 * Attachment meta key holding the delimiter an uploaded CSV file is read with.
+	 *
+	 * @var string
+	 */
+	const DELIMITER_META_KEY = '_geodir_converter_csv_delimiter';
+
+	/**
+	 * Attachment meta key holding the mapping suggested for a converted file.
+	 *
+	 * @var string
+	 */
+	const SUGGESTED_MAPPING_META_KEY = '_geodir_converter_csv_suggested_mapping';
+
+	/**
+	 * Spacing between the row IDs of consecutive files.
+	 *
+	 * Row IDs must be whole numbers, so row N of file F gets the ID F * FILE_ROW_STRIDE + N.
+	 * The rows of the first file keep their plain index.
+	 *
+	 * @var int
+	 */
+	const FILE_ROW_STRIDE = 10000000;
+
 	/**
 	 * The single instance of the class.
 	 *
@@ -157,39 +181,24 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 	 * @return void
 	 */
 	public function render_upload_step() {
-		$csv_delimiter = $this->get_import_setting( 'csv_delimiter', ',' );
 		?>
 		<div class="geodir-converter-connect-wrapper">
 			<h2 class="wp-heading-inline mb-3 fs-base text-uppercase fw-normal text-gray-dark"><?php esc_html_e( 'Upload CSV File', 'geodir-converter' ); ?></h2>
-			<?php
-			$this->display_post_type_select();
-			aui()->input(
-				array(
-					'id'          => 'csv_delimiter',
-					'name'        => 'csv_delimiter',
-					'type'        => 'text',
-					'label'       => esc_html__( 'CSV Delimiter', 'geodir-converter' ),
-					'label_type'  => 'top',
-					'label_class' => 'font-weight-bold fw-bold',
-					'value'       => $csv_delimiter,
-					'placeholder' => ',',
-					'help_text'   => esc_html__( 'Enter the delimiter used in your CSV file (e.g., , or ; or |). Default is comma (,).', 'geodir-converter' ),
-					'wrap_class'  => 'mb-3',
-				),
-				true
-			);
-			?>
+			<?php $this->display_post_type_select(); ?>
 			<div class="geodir-converter-uploads-wrapper">
 				<label class="form-label font-weight-bold fw-bold d-block mb-2"><?php esc_html_e( 'Upload CSV File', 'geodir-converter' ); ?></label>
-				<p class="text-muted mb-2"><?php esc_html_e( 'Upload your CSV file to import listings. The file will be parsed and you can then map columns to GeoDirectory fields.', 'geodir-converter' ); ?></p>
+				<p class="text-muted mb-2"><?php esc_html_e( 'Upload one or more CSV files to import listings. The files will be parsed and you can then map columns to GeoDirectory fields.', 'geodir-converter' ); ?></p>
+				<p class="text-muted small mb-2"><?php esc_html_e( 'Excel (.xlsx) and OpenDocument (.ods) spreadsheets, JSON arrays of objects and GeoJSON feature collections are converted to CSV when uploaded.', 'geodir-converter' ); ?></p>
 
 				<div class="file-uploader rounded p-4 text-center bg-light geodir-converter-drop-zone">
-					<p class="mb-2 font-weight-bold"><?php esc_html_e( 'Drag and drop your CSV file here', 'geodir-converter' ); ?></p>
+					<p class="mb-2 font-weight-bold"><?php esc_html_e( 'Drag and drop your CSV files here', 'geodir-converter' ); ?></p>
 					<p class="text-muted mb-2"><?php esc_html_e( 'or use the button below to browse your files.', 'geodir-converter' ); ?></p>
-					<input type="file" accept=".csv,.txt" class="d-none geodir-converter-files-input">
-					<button type="button" class="btn btn-outline-primary btn-sm geodir-converter-files-btn" <?php disabled( $this->background_process->is_in_progress() ); ?>><?php esc_html_e( 'Select File', 'geodir-converter' ); ?></button>
+					<input type="file" accept=".csv,.tsv,.txt,.xlsx,.ods,.json,.geojson" multiple class="d-none geodir-converter-files-input">
+					<button type="button" class="btn btn-outline-primary btn-sm geodir-converter-files-btn" <?php disabled( $this->background_process->is_in_progress() ); ?>><?php esc_html_e( 'Select Files', 'geodir-converter' ); ?></button>
 				</div>
 
+				<?php $this->display_format_panel(); ?>
+
 				<div class="mt-4 geodir-converter-uploads">
 					<?php
 					$import_settings = (array) $this->options_handler->get_option( 'import_settings', array() );
@@ -218,6 +227,79 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 		<?php
 	}
 
+	/**
+	 * Display the panel where the detected file format is confirmed before uploading.
+	 *
+	 * The admin script reads the start of the file, fills in what it detected
+	 * and previews the first rows.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function display_format_panel() {
+		$delimiters = array(
+			','   => __( 'Comma (,)', 'geodir-converter' ),
+			';'   => __( 'Semicolon (;)', 'geodir-converter' ),
+			'tab' => __( 'Tab', 'geodir-converter' ),
+			'|'   => __( 'Pipe (|)', 'geodir-converter' ),
+			''    => __( 'Other', 'geodir-converter' ),
+		);
+		?>
+		<div class="geodir-converter-csv-format card p-0 mt-3 mw-100 d-none" role="region" aria-label="<?php esc_attr_e( 'CSV file format', 'geodir-converter' ); ?>">
+			<div class="card-header d-flex align-items-center gap-2">
+				<strong><?php esc_html_e( 'Check the file format', 'geodir-converter' ); ?></strong>
+				<span class="small text-muted text-truncate geodir-converter-csv-format-file"></span>
+			</div>
+			<div class="card-body">
+				<p class="small text-muted"><?php esc_html_e( 'These settings were detected from the start of the file. If the preview looks wrong, correct them before uploading.', 'geodir-converter' ); ?></p>
+				<div class="row g-2 mb-3">
+					<div class="col-sm-6 col-lg-3">
+						<label class="form-label small mb-1" for="csv_format_delimiter"><?php esc_html_e( 'Delimiter', 'geodir-converter' ); ?></label>
+						<select class="form-select form-select-sm geodir-converter-csv-format-delimiter" id="csv_format_delimiter">
+							<?php foreach ( $delimiters as $value => $label ) : ?>
+								<option value="<?php echo esc_attr( $value ); ?>"><?php echo esc_html( $label ); ?></option>
+							<?php endforeach; ?>
+						</select>
+						<input type="text" class="form-control form-control-sm mt-1 d-none geodir-converter-csv-format-delimiter-custom" maxlength="1" aria-label="<?php esc_attr_e( 'Custom delimiter', 'geodir-converter' ); ?>" placeholder="<?php esc_attr_e( 'Type one character', 'geodir-converter' ); ?>">
+					</div>
+					<div class="col-sm-6 col-lg-3">
+						<label class="form-label small mb-1" for="csv_format_quote"><?php esc_html_e( 'Quote character', 'geodir-converter' ); ?></label>
+						<select class="form-select form-select-sm geodir-converter-csv-format-quote" id="csv_format_quote">
+							<option value="&quot;"><?php esc_html_e( 'Double quote (")', 'geodir-converter' ); ?></option>
+							<option value="'"><?php esc_html_e( "Single quote (')", 'geodir-converter' ); ?></option>
+						</select>
+					</div>
+					<div class="col-sm-6 col-lg-3">
+						<label class="form-label small mb-1" for="csv_format_encoding"><?php esc_html_e( 'Encoding', 'geodir-converter' ); ?></label>
+						<select class="form-select form-select-sm geodir-converter-csv-format-encoding" id="csv_format_encoding">
+							<?php foreach ( $this->get_encoding_options() as $value => $label ) : ?>
+								<option value="<?php echo esc_attr( $value ); ?>"><?php echo esc_html( $label ); ?></option>
+							<?php endforeach; ?>
+						</select>
+					</div>
+					<div class="col-sm-6 col-lg-3 d-flex align-items-end">
+						<div class="form-check form-switch mb-1">
+							<input class="form-check-input geodir-converter-csv-format-header" type="checkbox" role="switch" id="csv_format_header" checked>
+							<label class="form-check-label small" for="csv_format_header"><?php esc_html_e( 'First row holds the column names', 'geodir-converter' ); ?></label>
+						</div>
+					</div>
+				</div>
+				<div class="table-responsive geodir-converter-csv-format-scroll">
+					<table class="table table-sm table-bordered small mb-0">
+						<thead class="geodir-converter-csv-format-head"></thead>
+						<tbody class="geodir-converter-csv-format-body"></tbody>
+					</table>
+				</div>
+				<div class="d-flex gap-2 mt-3">
+					<button type="button" class="btn btn-primary btn-sm geodir-converter-csv-format-confirm"><i class="fas fa-upload me-1"></i><?php esc_html_e( 'Upload File', 'geodir-converter' ); ?></button>
+					<button type="button" class="btn btn-outline-secondary btn-sm geodir-converter-csv-format-cancel"><?php esc_html_e( 'Cancel', 'geodir-converter' ); ?></button>
+				</div>
+			</div>
+		</div>
+		<?php
+	}
+
 	/**
 	 * Render the mapping step HTML.
 	 *
@@ -235,6 +317,7 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 			$this->display_post_type_select();
 			$this->display_author_select( true );
 			$this->display_test_mode_checkbox();
+			$this->display_schedule_fields();
 			?>
 			<?php
 			aui()->alert(
@@ -252,6 +335,7 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 			</div>
             
 			<input type="hidden" name="csv_file_id" value="<?php echo esc_attr( $csv_file_id ); ?>" />
+			<input type="hidden" name="csv_file_ids" value="<?php echo esc_attr( implode( ',', $this->get_csv_file_ids() ) ); ?>" />
 			<input type="hidden" name="csv_delimiter" value="<?php echo esc_attr( $csv_delimiter ); ?>" />
 			
 			<div class="geodir-converter-templates-section border-top pt-3 mt-3">
@@ -301,12 +385,27 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 			<div class="geodir-converter-actions mt-3 mb-3 d-flex justify-content-between align-items-center">
 				<div class="d-flex flex-wrap gap-2">
 					<button type="button" class="btn btn-primary btn-sm geodir-converter-import"><i class="fas fa-play me-1"></i><?php esc_html_e( 'Start Import', 'geodir-converter' ); ?></button>
+					<?php
+					$this->display_preview_button();
+					$this->display_pipeline_button();
+					?>
 					<button type="button" class="btn btn-outline-danger btn-sm geodir-converter-abort"><i class="fas fa-stop me-1"></i><?php esc_html_e( 'Abort', 'geodir-converter' ); ?></button>
 					<button type="button" class="btn btn-outline-warning btn-sm geodir-converter-retry-failed d-none"><i class="fas fa-redo me-1"></i><?php esc_html_e( 'Retry Failed', 'geodir-converter' ); ?></button>
+					<button type="button" class="btn btn-outline-secondary btn-sm geodir-converter-inspect-failed d-none" aria-expanded="false"><i class="fas fa-list-check me-1"></i><?php esc_html_e( 'Inspect Failed', 'geodir-converter' ); ?></button>
+					<button type="button" class="btn btn-outline-secondary btn-sm geodir-converter-view-report <?php echo $this->has_report() ? '' : 'd-none'; ?>" aria-expanded="false"><i class="fas fa-file-lines me-1"></i><?php esc_html_e( 'View Report', 'geodir-converter' ); ?></button>
+				</div>
+				<div class="d-flex flex-wrap gap-2">
+					<?php $this->display_rollback_button(); ?>
+					<button type="button" class="btn btn-link btn-sm geodir-converter-view-history" aria-expanded="false"><i class="fas fa-clock-rotate-left me-1"></i><?php esc_html_e( 'History', 'geodir-converter' ); ?></button>
+					<button type="button" class="btn btn-outline-secondary btn-sm geodir-converter-csv-back"><i class="fas fa-arrow-left me-1"></i><?php esc_html_e( 'Upload Different File', 'geodir-converter' ); ?></button>
 				</div>
-				<button type="button" class="btn btn-outline-secondary btn-sm geodir-converter-csv-back"><i class="fas fa-arrow-left me-1"></i><?php esc_html_e( 'Upload Different File', 'geodir-converter' ); ?></button>
 			</div>
 			<?php
+			$this->display_preview_panel();
+			$this->display_failed_items_panel();
+			$this->display_report_panel();
+			$this->display_history_panel();
+			$this->display_rollback_panel();
 			$this->display_progress();
 			$this->display_logs( $this->get_logs() );
 			$this->display_error_alert();
@@ -318,84 +417,129 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 	/**
 	 * Render column mapping table.
 	 *
+	 * Files with the same columns share a table. When the files have different
+	 * columns, each set of columns gets its own tab.
+	 *
 	 * @since 2.3.0
 	 *
 	 * @return void
 	 */
 	public function render_column_mapping_table() {
-		$csv_file_id   = $this->get_import_setting( 'csv_file_id', 0 );
+		$settings      = $this->get_import_settings();
 		$csv_delimiter = $this->get_import_setting( 'csv_delimiter', ',' );
 		$post_type     = $this->get_import_setting( 'gd_post_type', 'gd_place' );
+		$file_ids      = $this->get_csv_file_ids( $settings );
 
-		if ( ! $csv_file_id ) {
+		if ( empty( $file_ids ) ) {
 			return;
 		}
 
-		$csv_file = get_attached_file( $csv_file_id );
-		if ( ! $csv_file || ! file_exists( $csv_file ) ) {
-			echo '<div class="alert alert-danger">' . esc_html__( 'CSV file not found. Please upload again.', 'geodir-converter' ) . '</div>';
+		$files = $this->get_csv_files( $file_ids, $csv_delimiter );
+		if ( is_wp_error( $files ) ) {
+			echo '<div class="alert alert-danger">' . esc_html( $files->get_error_message() ) . '</div>';
 			return;
 		}
 
-		$headers = $this->get_csv_headers( $csv_file, $csv_delimiter );
-		if ( is_wp_error( $headers ) ) {
-			echo '<div class="alert alert-danger">' . esc_html( $headers->get_error_message() ) . '</div>';
-			return;
+		$groups = array();
+		foreach ( $files as $file ) {
+			$groups[ $file['group'] ][] = $file;
 		}
 
-		$sample_data = $this->get_import_setting( 'csv_sample_data', array() );
-		$row_count   = $this->get_import_setting( 'csv_row_count', 0 );
-		$gd_fields   = $this->get_mapping_fields( $post_type );
+		$row_count = $this->get_import_setting( 'csv_row_count', 0 );
+		$gd_fields = $this->get_mapping_fields( $post_type );
 
 		?>
 		<?php if ( $row_count > 0 ) : ?>
 			<p class="mb-3 fs-base mb-2 font-weight-bold">
+				<?php
+				if ( count( $files ) > 1 ) {
+					printf(
+						/* translators: 1: number of listings, 2: number of files */
+						__( 'Found %1$d listings in %2$d files.', 'geodir-converter' ),
+						absint( $row_count ),
+						count( $files )
+					);
+				} else {
+					printf(
+						/* translators: %d: number of listings */
+						__( 'Found %d listings.', 'geodir-converter' ),
+						absint( $row_count )
+					);
+				}
+				?>
+			</p>
+		<?php endif; ?>
+
+		<?php if ( count( $groups ) > 1 ) : ?>
+			<p class="text-muted small mb-2"><?php esc_html_e( 'These files have different columns. Map the columns of each tab; files in the same tab share a mapping.', 'geodir-converter' ); ?></p>
+			<ul class="nav nav-tabs geodir-converter-mapping-tabs" role="tablist">
+				<?php foreach ( $groups as $group => $group_files ) : ?>
+					<li class="nav-item" role="presentation">
+						<button type="button" class="nav-link <?php echo 0 === $group ? 'active' : ''; ?>" id="geodir-converter-mapping-tab-<?php echo esc_attr( $group ); ?>" data-bs-toggle="tab" data-bs-target="#geodir-converter-mapping-pane-<?php echo esc_attr( $group ); ?>" role="tab" aria-controls="geodir-converter-mapping-pane-<?php echo esc_attr( $group ); ?>" aria-selected="<?php echo 0 === $group ? 'true' : 'false'; ?>">
+							<?php echo esc_html( implode( ', ', wp_list_pluck( $group_files, 'name' ) ) ); ?>
+						</button>
+					</li>
+				<?php endforeach; ?>
+			</ul>
+		<?php elseif ( count( $files ) > 1 ) : ?>
+			<p class="text-muted small mb-2">
 				<?php
 				printf(
-					/* translators: %d: number of listings */
-					__( 'Found %d listings.', 'geodir-converter' ),
-					absint( $row_count )
+					/* translators: %s: comma separated file names */
+					esc_html__( 'These files have the same columns and share a mapping: %s', 'geodir-converter' ),
+					esc_html( implode( ', ', wp_list_pluck( $files, 'name' ) ) )
 				);
 				?>
 			</p>
 		<?php endif; ?>
-		
-		<table class="table geodir-converter-mapping-table">
-			<thead>
-				<tr>
-					<th style="width: 40%;"><?php esc_html_e( 'Column name', 'geodir-converter' ); ?></th>
-					<th style="width: 60%;"><?php esc_html_e( 'Map to field', 'geodir-converter' ); ?></th>
-				</tr>
-			</thead>
-			<tbody>
-				<?php foreach ( $headers as $column ) : ?>
-					<?php
-					$field_name    = 'csv_mapping[' . esc_attr( $column ) . ']';
-					$saved_mapping = $this->get_import_setting( 'csv_mapping', array() );
-					$selected      = isset( $saved_mapping[ $column ] ) ? $saved_mapping[ $column ] : '';
-					$sample_value  = isset( $sample_data[ $column ] ) ? $sample_data[ $column ] : '';
-					?>
-					<tr>
-						<td style="max-width:350px">
-							<strong class="fs-sm"><?php echo esc_html( $column ); ?></strong>
-							<?php if ( ! empty( $sample_value ) ) : ?>
-								<div class="text-muted small mt-1" style="word-wrap: break-word; overflow-wrap: break-word;"><?php echo esc_html( $sample_value ); ?></div>
-							<?php endif; ?>
-						</td>
-						<td> 
-							<select name="<?php echo esc_attr( $field_name ); ?>" class="form-select form-select-sm geodir-converter-field-mapping aui-select2">
-								<option value=""><?php esc_html_e( 'Do not import', 'geodir-converter' ); ?></option>
-								<?php foreach ( $gd_fields as $field_key => $field_label ) : ?>
-									<option value="<?php echo esc_attr( $field_key ); ?>" <?php selected( $selected, $field_key ); ?>>
-										<?php echo esc_html( $field_label ); ?>
-									</option>
-								<?php endforeach; ?>
-							</select>
-						</td>
-					</tr>
-				<?php endforeach; ?>
-			</tbody>
-		</table>
+
+		<div class="tab-content geodir-converter-mapping-panes">
+			<?php foreach ( $groups as $group => $group_files ) : ?>
+				<?php
+				$first         = reset( $group_files );
+				$field_name    = $this->get_group_field_name( $group );
+				$saved_mapping = $this->get_group_mapping( $settings, $group );
+				$saved_mapping = empty( $saved_mapping ) ? $this->get_suggested_mapping( $group_files ) : $saved_mapping;
+				$sample_data   = $this->get_csv_sample_data( $first['path'], $first['delimiter'], $first['headers'] );
+				?>
+				<div class="tab-pane fade <?php echo 0 === $group ? 'show active' : ''; ?> geodir-converter-mapping-pane" id="geodir-converter-mapping-pane-<?php echo esc_attr( $group ); ?>" role="tabpanel" aria-labelledby="geodir-converter-mapping-tab-<?php echo esc_attr( $group ); ?>" data-group="<?php echo esc_attr( $group ); ?>">
+					<table class="table geodir-converter-mapping-table">
+						<thead>
+							<tr>
+								<th style="width: 40%;"><?php esc_html_e( 'Column name', 'geodir-converter' ); ?></th>
+								<th style="width: 60%;"><?php esc_html_e( 'Map to field', 'geodir-converter' ); ?></th>
+							</tr>
+						</thead>
+						<tbody>
+							<?php foreach ( $first['headers'] as $column ) : ?>
+								<?php
+								$selected     = isset( $saved_mapping[ $column ] ) ? $saved_mapping[ $column ] : '';
+								$sample_value = isset( $sample_data[ $column ] ) ? $sample_data[ $column ] : '';
+								?>
+								<tr>
+									<td style="max-width:350px">
+										<strong class="fs-sm"><?php echo esc_html( $column ); ?></strong>
+										<?php if ( ! empty( $sample_value ) ) : ?>
+											<div class="text-muted small mt-1" style="word-wrap: break-word; overflow-wrap: break-word;"><?php echo esc_html( $sample_value ); ?></div>
+										<?php endif; ?>
+									</td>
+									<td> 
+										<select name="<?php echo esc_attr( $field_name . '[' . $column . ']' ); ?>" class="form-select form-select-sm geodir-converter-field-mapping aui-select2">
+											<option value=""><?php esc_html_e( 'Do not import', 'geodir-converter' ); ?></option>
+											<?php foreach ( $gd_fields as $field_key => $field_label ) : ?>
+												<option value="<?php echo esc_attr( $field_key ); ?>" <?php selected( $selected, $field_key ); ?>>
+													<?php echo esc_html( $field_label ); ?>
+												</option>
+											<?php endforeach; ?>
+										</select>
+									</td>
+								</tr>
+							<?php endforeach; ?>
+						</tbody>
+					</table>
+				</div>
+			<?php endforeach; ?>
+		</div>
 		<?php
 	}
 
@@ -484,21 +628,36 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 		$settings['gd_post_type']    = isset( $settings['gd_post_type'] ) && ! empty( $settings['gd_post_type'] ) ? sanitize_text_field( $settings['gd_post_type'] ) : 'gd_place';
 		$settings['wp_author_id']    = ( isset( $settings['wp_author_id'] ) && ! empty( $settings['wp_author_id'] ) ) ? absint( $settings['wp_author_id'] ) : get_current_user_id();
 		$settings['test_mode']       = ( isset( $settings['test_mode'] ) && ! empty( $settings['test_mode'] ) && 'no' !== $settings['test_mode'] ) ? 'yes' : 'no';
-		$settings['csv_file_id']     = isset( $settings['csv_file_id'] ) ? absint( $settings['csv_file_id'] ) : 0;
-		$settings['csv_delimiter']   = isset( $settings['csv_delimiter'] ) ? sanitize_text_field( $settings['csv_delimiter'] ) : ',';
+		$settings['csv_file_ids']    = $this->get_csv_file_ids( $settings );
+		$settings['csv_delimiter']   = isset( $settings['csv_delimiter'] ) ? $this->sanitize_delimiter( $settings['csv_delimiter'] ) : ',';
 		$settings['csv_date_format'] = 'auto'; // Always auto-detect.
 		$settings['csv_encoding']    = 'auto'; // Always auto-detect.
-		$csv_mapping                 = isset( $settings['csv_mapping'] ) && is_array( $settings['csv_mapping'] ) ? $settings['csv_mapping'] : array();
-		$sanitized_mapping           = array();
-
-		foreach ( $csv_mapping as $csv_column => $gd_field ) {
-			$csv_column = sanitize_text_field( $csv_column );
-			$gd_field   = sanitize_text_field( $gd_field );
-			if ( ! empty( $csv_column ) && ! empty( $gd_field ) ) {
-				$sanitized_mapping[ $csv_column ] = $gd_field;
+		$settings['csv_file_id']     = ! empty( $settings['csv_file_ids'] ) ? $settings['csv_file_ids'][0] : 0;
+		$csv_files                   = ! empty( $settings['csv_file_ids'] ) ? $this->get_csv_files( $settings['csv_file_ids'], $settings['csv_delimiter'], true ) : array();
+		$group_count                 = is_wp_error( $csv_files ) || empty( $csv_files ) ? 1 : max( wp_list_pluck( $csv_files, 'group' ) ) + 1;
+		$settings['csv_mappings']    = array();
+
+		// Each set of columns posts its own csv_mapping_N field, see get_group_field_name().
+		for ( $group = 0; $group < $group_count; $group++ ) {
+			$field_name        = $this->get_group_field_name( $group );
+			$csv_mapping       = isset( $settings[ $field_name ] ) && is_array( $settings[ $field_name ] ) ? $settings[ $field_name ] : array();
+			$sanitized_mapping = array();
+
+			foreach ( $csv_mapping as $csv_column => $gd_field ) {
+				$csv_column = sanitize_text_field( $csv_column );
+				$gd_field   = sanitize_text_field( $gd_field );
+				if ( ! empty( $csv_column ) && ! empty( $gd_field ) ) {
+					$sanitized_mapping[ $csv_column ] = $gd_field;
+				}
+			}
+
+			if ( 0 === $group ) {
+				$settings['csv_mapping'] = $sanitized_mapping;
+			} else {
+				unset( $settings[ $field_name ] );
+				$settings['csv_mappings'][ $group ] = $sanitized_mapping;
 			}
 		}
-		$settings['csv_mapping'] = $sanitized_mapping;
 
 		if ( ! in_array( $settings['gd_post_type'], $post_types, true ) ) {
 			$errors[] = esc_html__( 'The selected post type is invalid. Please choose a valid post type.', 'geodir-converter' );
@@ -506,37 +665,33 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 
 		if ( empty( $settings['csv_file_id'] ) || ! get_post( $settings['csv_file_id'] ) ) {
 			$errors[] = esc_html__( 'CSV file is required. Please upload a CSV file.', 'geodir-converter' );
+		} elseif ( is_wp_error( $csv_files ) ) {
+			$errors[] = esc_html( $csv_files->get_error_message() );
 		}
 
 		if ( empty( $settings['csv_mapping'] ) ) {
 			$errors[] = esc_html__( 'Please map at least one CSV column to a GeoDirectory field.', 'geodir-converter' );
+		} elseif ( in_array( array(), $settings['csv_mappings'], true ) ) {
+			$errors[] = esc_html__( 'Please map at least one CSV column to a GeoDirectory field in every tab.', 'geodir-converter' );
 		}
 
 		if ( ! empty( $errors ) ) {
 			return new WP_Error( 'invalid_import_settings', implode( '<br>', $errors ) );
 		}
 
-		if ( ! empty( $settings['csv_file_id'] ) ) {
-			$csv_file = get_attached_file( $settings['csv_file_id'] );
-			if ( $csv_file && file_exists( $csv_file ) ) {
-				$delimiter = $settings['csv_delimiter'];
-
-				// Auto-detect encoding.
-				$settings['csv_encoding'] = $this->detect_csv_encoding( $csv_file );
-
-				$headers = $this->get_csv_headers( $csv_file, $delimiter );
-
-				if ( ! is_wp_error( $headers ) ) {
-					$settings['csv_sample_data'] = $this->get_csv_sample_data( $csv_file, $delimiter, $headers );
+		$first = reset( $csv_files );
 
-					// Auto-detect date format from sample data.
-					if ( ! empty( $settings['csv_sample_data'] ) ) {
-						$settings['csv_date_format'] = $this->detect_date_format( $settings['csv_sample_data'] );
-					}
+		if ( $first ) {
+			// Auto-detect encoding.
+			$settings['csv_encoding']    = $this->detect_csv_encoding( $first['path'] );
+			$settings['csv_sample_data'] = $this->get_csv_sample_data( $first['path'], $first['delimiter'], $first['headers'] );
 
-					$settings['csv_row_count'] = $this->count_csv_rows( $csv_file, $delimiter );
-				}
+			// Auto-detect date format from sample data.
+			if ( ! empty( $settings['csv_sample_data'] ) ) {
+				$settings['csv_date_format'] = $this->detect_date_format( $settings['csv_sample_data'] );
 			}
+
+			$settings['csv_row_count'] = array_sum( wp_list_pluck( $csv_files, 'row_count' ) );
 		}
 
 		/**
@@ -551,6 +706,65 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 		return $settings;
 	}
 
+	/**
+	 * Check whether the importer can preview records before importing.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return bool True.
+	 */
+	public function supports_preview() {
+		return true;
+	}
+
+	/**
+	 * Build the first CSV rows as they would be imported.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param int $limit Maximum number of rows.
+	 * @return array|WP_Error Records with 'source_id' and 'data'.
+	 */
+	protected function get_preview_records( $limit ) {
+		$settings  = $this->get_import_settings();
+		$csv_files = $this->get_csv_files( $this->get_csv_file_ids( $settings ), $this->get_import_setting( 'csv_delimiter', ',' ) );
+
+		if ( is_wp_error( $csv_files ) ) {
+			return $csv_files;
+		}
+
+		if ( empty( $csv_files ) ) {
+			return new WP_Error( 'csv_file_not_found', __( 'CSV file not found on server.', 'geodir-converter' ) );
+		}
+
+		$post_type = $this->get_import_post_type();
+		$records   = array();
+
+		// Previews the first rows of the batch, reading further files only if the first is too short.
+		foreach ( $csv_files as $file_index => $csv_file ) {
+			$rows = GeoDir_Converter_Utils::parse_csv( $csv_file['path'], array(), $csv_file['delimiter'], $limit - count( $records ) );
+
+			if ( is_wp_error( $rows ) ) {
+				return $rows;
+			}
+
+			$column_mapping = $this->get_group_mapping( $settings, $csv_file['group'] );
+
+			foreach ( $rows as $row_index => $row ) {
+				$records[] = array(
+					'source_id' => $file_index * self::FILE_ROW_STRIDE + $row_index,
+					'data'      => $this->prepare_listing_data( $row, $column_mapping, $post_type, $settings ),
+				);
+			}
+
+			if ( count( $records ) >= $limit ) {
+				break;
+			}
+		}
+
+		return $records;
+	}
+
 	/**
 	 * Get next task.
 	 *
@@ -586,63 +800,92 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 	/**
 	 * Task: Parse CSV file and batch listings for import.
 	 *
+	 * Files are parsed one after another; 'file' holds the index of the
+	 * current file and 'offset' the position in it.
+	 *
 	 * @since 2.3.0
 	 *
 	 * @param array $task Task data.
 	 * @return array|false Task data or false on completion.
 	 */
 	public function task_parse_listings( array $task ) {
-		$csv_file_id   = $this->get_import_setting( 'csv_file_id', 0 );
+		$csv_file_ids  = $this->get_csv_file_ids();
 		$csv_delimiter = $this->get_import_setting( 'csv_delimiter', ',' );
+		$file_index    = isset( $task['file'] ) ? (int) $task['file'] : 0;
 		$offset        = isset( $task['offset'] ) ? (int) $task['offset'] : 0;
 		$batch_size    = (int) $this->get_batch_size();
 
-		if ( ! $csv_file_id ) {
+		if ( empty( $csv_file_ids ) ) {
 			$this->log( __( 'CSV file not found.', 'geodir-converter' ), 'error' );
 			return false;
 		}
 
-		$csv_file = get_attached_file( $csv_file_id );
-		if ( ! $csv_file || ! file_exists( $csv_file ) ) {
-			$this->log( __( 'CSV file not found on server.', 'geodir-converter' ), 'error' );
-			return false;
+		if ( ! isset( $csv_file_ids[ $file_index ] ) ) {
+			return $this->next_task( $task, true );
 		}
 
-		if ( 0 === $offset ) {
+		if ( 0 === $offset && 0 === $file_index ) {
 			$this->log( __( 'Starting listings parsing process...', 'geodir-converter' ) );
 		}
 
-		$all_rows = GeoDir_Converter_Utils::parse_csv( $csv_file, array(), $csv_delimiter );
+		$csv_files = $this->get_csv_files( $csv_file_ids, $csv_delimiter );
+		if ( is_wp_error( $csv_files ) ) {
+			$this->log( $csv_files->get_error_message(), 'error' );
+			return false;
+		}
+
+		$csv_file = $csv_files[ $file_index ];
+		$all_rows = GeoDir_Converter_Utils::parse_csv( $csv_file['path'], array(), $csv_file['delimiter'] );
 		if ( is_wp_error( $all_rows ) ) {
 			/* translators: %s: error message */
 			$this->log( sprintf( __( 'Failed to parse CSV: %s', 'geodir-converter' ), $all_rows->get_error_message() ), 'error' );
-			return false;
+			return $this->next_file_task( $task );
 		}
 
 		if ( empty( $all_rows ) ) {
-			$this->log( __( 'No listings found for parsing. Skipping process.', 'geodir-converter' ) );
-			return $this->next_task( $task, true );
+			if ( count( $csv_files ) > 1 ) {
+				/* translators: %s: file name */
+				$this->log( sprintf( __( 'No listings found in %s. Skipping file.', 'geodir-converter' ), $csv_file['name'] ) );
+			} else {
+				$this->log( __( 'No listings found for parsing. Skipping process.', 'geodir-converter' ) );
+			}
+
+			return $this->next_file_task( $task );
 		}
 
 		if ( 0 === $offset ) {
-			/* translators: %d: number of listings */
-			$this->log( sprintf( __( 'Found %d listings for import.', 'geodir-converter' ), count( $all_rows ) ), 'success' );
+			if ( count( $csv_files ) > 1 ) {
+				/* translators: 1: number of listings, 2: file name */
+				$this->log( sprintf( __( 'Found %1$d listings in %2$s for import.', 'geodir-converter' ), count( $all_rows ), $csv_file['name'] ), 'success' );
+			} else {
+				/* translators: %d: number of listings */
+				$this->log( sprintf( __( 'Found %d listings for import.', 'geodir-converter' ), count( $all_rows ) ), 'success' );
+			}
+
 			$this->increase_imports_total( count( $all_rows ) );
 		}
 
 		$rows = array_slice( $all_rows, $offset, $batch_size, true );
 
 		if ( empty( $rows ) ) {
-			$this->log( __( 'Import process completed. No more listings found.', 'geodir-converter' ) );
-			return $this->next_task( $task, true );
+			return $this->next_file_task( $task );
 		}
 
 		$batched_tasks = array_chunk( $rows, 10, true );
 		$import_tasks  = array();
 		foreach ( $batched_tasks as $batch ) {
+			$batch_rows = array();
+
+			// Row IDs stay unique across files, see FILE_ROW_STRIDE.
+			foreach ( $batch as $row_index => $row ) {
+				$batch_rows[ $file_index * self::FILE_ROW_STRIDE + $row_index ] = $row;
+			}
+
 			$import_tasks[] = array(
-				'action' => self::ACTION_IMPORT_LISTINGS,
-				'rows'   => $batch,
+				'action'    => self::ACTION_IMPORT_LISTINGS,
+				'rows'      => $batch_rows,
+				'group'     => $csv_file['group'],
+				'file_name' => count( $csv_files ) > 1 ? $csv_file['name'] : '',
 			);
 		}
 
@@ -655,9 +898,108 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 			return $task;
 		}
 
+		return $this->next_file_task( $task );
+	}
+
+	/**
+	 * Move the parse task on to the next CSV file, or to the next task after the last one.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $task The current task.
+	 * @return array|false The next task or false if all tasks are completed.
+	 */
+	protected function next_file_task( array $task ) {
+		$file_index = isset( $task['file'] ) ? (int) $task['file'] : 0;
+
+		if ( $file_index + 1 < count( $this->get_csv_file_ids() ) ) {
+			$task['file']   = $file_index + 1;
+			$task['offset'] = 0;
+			return $task;
+		}
+
+		$task['file'] = 0;
+
 		return $this->next_task( $task, true );
 	}
 
+	/**
+	 * Whether failed items of a task action can be imported again one by one.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $action Task action the items failed in.
+	 * @return bool True for listing rows.
+	 */
+	public function can_retry_action( $action ) {
+		return self::ACTION_IMPORT_LISTINGS === $action;
+	}
+
+	/**
+	 * Build the tasks that import failed rows again.
+	 *
+	 * Rows are read back from the uploaded files by row ID, see FILE_ROW_STRIDE.
+	 * Each file is read once, up to the last row to retry.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $action     Task action the items failed in.
+	 * @param array  $source_ids Row IDs.
+	 * @return array|null The tasks, or null if items of this action can't be retried.
+	 */
+	public function get_retry_tasks( $action, array $source_ids ) {
+		if ( ! $this->can_retry_action( $action ) ) {
+			return null;
+		}
+
+		$csv_files = $this->get_csv_files( $this->get_csv_file_ids(), $this->get_import_setting( 'csv_delimiter', ',' ) );
+
+		if ( is_wp_error( $csv_files ) ) {
+			$this->log( $csv_files->get_error_message(), 'error' );
+			return array();
+		}
+
+		$row_ids = array();
+		foreach ( $source_ids as $row_id ) {
+			$row_ids[ (int) floor( $row_id / self::FILE_ROW_STRIDE ) ][] = (int) $row_id;
+		}
+
+		$tasks = array();
+		foreach ( $row_ids as $file_index => $ids ) {
+			if ( ! isset( $csv_files[ $file_index ] ) ) {
+				continue;
+			}
+
+			$csv_file = $csv_files[ $file_index ];
+			$last_row = max( $ids ) % self::FILE_ROW_STRIDE;
+			$all_rows = GeoDir_Converter_Utils::parse_csv( $csv_file['path'], array(), $csv_file['delimiter'], $last_row + 1 );
+
+			if ( is_wp_error( $all_rows ) ) {
+				/* translators: %s: error message */
+				$this->log( sprintf( __( 'Failed to parse CSV: %s', 'geodir-converter' ), $all_rows->get_error_message() ), 'error' );
+				continue;
+			}
+
+			$rows = array();
+			foreach ( $ids as $row_id ) {
+				if ( isset( $all_rows[ $row_id % self::FILE_ROW_STRIDE ] ) ) {
+					$rows[ $row_id ] = $all_rows[ $row_id % self::FILE_ROW_STRIDE ];
+				}
+			}
+
+			foreach ( array_chunk( $rows, 10, true ) as $batch ) {
+				$tasks[] = array(
+					'action'    => self::ACTION_IMPORT_LISTINGS,
+					'rows'      => $batch,
+					'group'     => $csv_file['group'],
+					'file_name' => count( $csv_files ) > 1 ? $csv_file['name'] : '',
+				);
+			}
+		}
+
+		return $tasks;
+	}
+
 	/**
 	 * Task: Import a batch of listings from CSV.
 	 *
@@ -669,7 +1011,8 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 	public function task_import_listings( array $task ) {
 		$post_type      = $this->get_import_post_type();
 		$settings       = $this->get_import_settings();
-		$column_mapping = isset( $settings['csv_mapping'] ) && is_array( $settings['csv_mapping'] ) ? $settings['csv_mapping'] : array();
+		$column_mapping = $this->get_group_mapping( $settings, isset( $task['group'] ) ? (int) $task['group'] : 0 );
+		$file_name      = isset( $task['file_name'] ) ? (string) $task['file_name'] : '';
 		$rows           = isset( $task['rows'] ) && is_array( $task['rows'] ) ? $task['rows'] : array();
 
 		$this->maybe_create_importer_id_field( $post_type );
@@ -680,8 +1023,15 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 
 		try {
 			foreach ( $rows as $row_index => $row ) {
-				/* translators: %d: CSV row number. */
-				$label = sprintf( __( 'Row %d', 'geodir-converter' ), (int) $row_index + 1 );
+				$row_number = (int) $row_index % self::FILE_ROW_STRIDE + 1;
+
+				if ( '' !== $file_name ) {
+					/* translators: 1: CSV file name, 2: CSV row number. */
+					$label = sprintf( __( '%1$s, row %2$d', 'geodir-converter' ), $file_name, $row_number );
+				} else {
+					/* translators: %d: CSV row number. */
+					$label = sprintf( __( 'Row %d', 'geodir-converter' ), $row_number );
+				}
 
 				if ( ! $this->claim_item( self::ACTION_IMPORT_LISTINGS, $row_index, 'listing', $label ) ) {
 					continue;
@@ -689,7 +1039,14 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 
 				$result = $this->import_single_listing( $row, $column_mapping, $post_type, $settings );
 
-				$this->process_import_result( $result['status'], 'listing', $result['post_title'], $row_index );
+				$this->process_import_result(
+					$result['status'],
+					'listing',
+					$result['post_title'],
+					$row_index,
+					self::ACTION_IMPORT_LISTINGS,
+					isset( $result['post_id'] ) ? $result['post_id'] : 0
+				);
 			}
 		} finally {
 			$this->clear_in_flight();
@@ -700,27 +1057,34 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 	}
 
 	/**
-	 * Import a single listing from CSV.
+	 * Build the listing data a CSV row is imported as.
+	 *
+	 * Shared by the import and the preview, so the preview shows exactly
+	 * what would be written.
 	 *
 	 * @since 2.3.0
 	 *
-	 * @param array  $row            The row data.
+	 * @param array  $row            The row data. Replaced with the filtered row.
 	 * @param array  $column_mapping The column mapping.
 	 * @param string $post_type      The post type.
 	 * @param array  $settings       The settings.
-	 * @return array Array with 'status' and 'post_title' keys.
+	 * @return array|WP_Error Listing data, or an error if the row can't be imported.
 	 */
-	protected function import_single_listing( $row, $column_mapping, $post_type, $settings ) {
-		/**
-		 * Action fired before processing a single CSV listing row.
-		 *
-		 * @since 2.3.0
-		 * @param array  $row            The CSV row data.
-		 * @param array  $column_mapping The column mapping.
-		 * @param string $post_type      The post type.
-		 * @param array  $settings       The import settings.
-		 */
-		do_action( 'geodir_converter_csv_before_import_listing', $row, $column_mapping, $post_type, $settings );
+	protected function prepare_listing_data( &$row, $column_mapping, $post_type, $settings ) {
+		if ( ! $this->is_preview() ) {
+			/**
+			 * Action fired before processing a single CSV listing row.
+			 *
+			 * Not fired while building a preview.
+			 *
+			 * @since 2.3.0
+			 * @param array  $row            The CSV row data.
+			 * @param array  $column_mapping The column mapping.
+			 * @param string $post_type      The post type.
+			 * @param array  $settings       The import settings.
+			 */
+			do_action( 'geodir_converter_csv_before_import_listing', $row, $column_mapping, $post_type, $settings );
+		}
 
 		/**
 		 * Filter CSV row data before processing.
@@ -734,10 +1098,7 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 		$row = apply_filters( 'geodir_converter_csv_row_data', $row, $column_mapping, $post_type, $settings );
 
 		if ( empty( $row ) || ! is_array( $row ) ) {
-			return array(
-				'status'     => self::IMPORT_STATUS_FAILED,
-				'post_title' => '',
-			);
+			return new WP_Error( 'invalid_row', __( 'The row is empty.', 'geodir-converter' ) );
 		}
 
 		$listing_data = array(
@@ -801,8 +1162,10 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 				continue;
 			}
 
-			// Update field options if needed.
-			$this->maybe_update_field_options( $gd_field, $value, $post_type );
+			// Update field options if needed. A preview must not change fields.
+			if ( ! $this->is_preview() ) {
+				$this->maybe_update_field_options( $gd_field, $value, $post_type );
+			}
 
 			// Format field value.
 			$value = $this->format_field_value( $gd_field, $value, $post_type );
@@ -817,15 +1180,10 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 		}
 
 		if ( empty( $listing_data['post_title'] ) ) {
-			return array(
-				'status'     => self::IMPORT_STATUS_FAILED,
-				'post_title' => '',
-			);
+			return new WP_Error( 'missing_title', __( 'The row has no title. Map a column to the title field.', 'geodir-converter' ) );
 		}
 
-		$row_hash   = md5( wp_json_encode( $row ) );
-		$gd_post_id = ! $this->is_test_mode() ? $this->get_gd_listing_id( $row_hash, $this->importer_id . '_id', $post_type ) : false;
-		$is_update  = ! empty( $gd_post_id );
+		$row_hash = md5( wp_json_encode( $row ) );
 
 		$tax_input = $this->process_taxonomy_terms( $tax_input, $post_type );
 		if ( ! empty( $tax_input ) ) {
@@ -846,7 +1204,33 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 		 * @param string $post_type     The post type.
 		 * @param array  $settings      The import settings.
 		 */
-		$listing_data = apply_filters( 'geodir_converter_csv_listing_data', $listing_data, $row, $post_type, $settings );
+		return apply_filters( 'geodir_converter_csv_listing_data', $listing_data, $row, $post_type, $settings );
+	}
+
+	/**
+	 * Import a single listing from CSV.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array  $row            The row data.
+	 * @param array  $column_mapping The column mapping.
+	 * @param string $post_type      The post type.
+	 * @param array  $settings       The settings.
+	 * @return array Array with 'status' and 'post_title' keys.
+	 */
+	protected function import_single_listing( $row, $column_mapping, $post_type, $settings ) {
+		$listing_data = $this->prepare_listing_data( $row, $column_mapping, $post_type, $settings );
+
+		if ( is_wp_error( $listing_data ) ) {
+			return array(
+				'status'     => self::IMPORT_STATUS_FAILED,
+				'post_title' => '',
+			);
+		}
+
+		$row_hash   = md5( wp_json_encode( $row ) );
+		$gd_post_id = ! $this->is_test_mode() ? $this->get_gd_listing_id( $row_hash, $this->importer_id . '_id', $post_type ) : false;
+		$is_update  = ! empty( $gd_post_id );
 
 		if ( $this->is_test_mode() ) {
 			/**
@@ -947,9 +1331,11 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 		return $is_update ? array(
 			'status'     => self::IMPORT_STATUS_UPDATED,
 			'post_title' => $listing_data['post_title'],
+			'post_id'    => (int) $gd_post_id,
 		) : array(
 			'status'     => self::IMPORT_STATUS_SUCCESS,
 			'post_title' => $listing_data['post_title'],
+			'post_id'    => (int) $gd_post_id,
 		);
 	}
 
@@ -1070,8 +1456,9 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 					continue;
 				}
 
+				// A preview shows the names, since new terms have no ID yet.
 				if ( $this->is_test_mode() ) {
-					$processed_terms[] = $is_tag_taxonomy ? $term_name : 0;
+					$processed_terms[] = $is_tag_taxonomy || $this->is_preview() ? $term_name : 0;
 					continue;
 				}
 
@@ -1283,6 +1670,272 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 		return $value;
 	}
 
+	/**
+	 * Get the attachment IDs of the CSV files to import.
+	 *
+	 * Settings saved before several files could be imported only have csv_file_id.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array|null $settings Import settings. Default the saved import settings.
+	 * @return int[] Attachment IDs, in upload order.
+	 */
+	public function get_csv_file_ids( $settings = null ) {
+		$settings = null === $settings ? $this->get_import_settings() : $settings;
+		$file_ids = isset( $settings['csv_file_ids'] ) ? $settings['csv_file_ids'] : array();
+
+		if ( is_string( $file_ids ) ) {
+			$file_ids = explode( ',', $file_ids );
+		}
+
+		$file_ids = array_values( array_unique( array_filter( array_map( 'absint', (array) $file_ids ) ) ) );
+
+		if ( empty( $file_ids ) && ! empty( $settings['csv_file_id'] ) ) {
+			$file_ids = array( absint( $settings['csv_file_id'] ) );
+		}
+
+		return $file_ids;
+	}
+
+	/**
+	 * Get the CSV files to import, grouped by their columns.
+	 *
+	 * Files with the same columns, in any order, share a group and a mapping.
+	 * Groups are numbered in upload order, so the first file is always in group 0.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param int[]  $file_ids          Attachment IDs.
+	 * @param string $default_delimiter Delimiter for files uploaded without one recorded. Default ','.
+	 * @param bool   $count_rows        Whether to count the rows of each file. Default false.
+	 * @return array|WP_Error {
+	 *     Files, or WP_Error if one of them can't be read.
+	 *
+	 *     @type int    $id        Attachment ID.
+	 *     @type string $name      File name.
+	 *     @type string $path      File path.
+	 *     @type string $delimiter Delimiter the file is read with.
+	 *     @type array  $headers   Column names.
+	 *     @type int    $group     Mapping group.
+	 *     @type int    $row_count Number of rows. Only when counted.
+	 * }
+	 */
+	public function get_csv_files( array $file_ids, $default_delimiter = ',', $count_rows = false ) {
+		$files  = array();
+		$groups = array();
+
+		foreach ( $file_ids as $file_id ) {
+			$path = get_attached_file( $file_id );
+
+			if ( ! $path || ! file_exists( $path ) ) {
+				return new WP_Error( 'csv_file_not_found', __( 'CSV file not found on server.', 'geodir-converter' ) );
+			}
+
+			$delimiter = get_post_meta( $file_id, self::DELIMITER_META_KEY, true );
+			$delimiter = '' !== $delimiter ? $this->sanitize_delimiter( $delimiter ) : $default_delimiter;
+			$headers   = $this->get_csv_headers( $path, $delimiter );
+
+			if ( is_wp_error( $headers ) ) {
+				return $headers;
+			}
+
+			$columns = $headers;
+			sort( $columns );
+			$key = implode( "\n", $columns );
+
+			if ( ! isset( $groups[ $key ] ) ) {
+				$groups[ $key ] = count( $groups );
+			}
+
+			$file = array(
+				'id'        => $file_id,
+				'name'      => wp_basename( $path ),
+				'path'      => $path,
+				'delimiter' => $delimiter,
+				'headers'   => $headers,
+				'group'     => $groups[ $key ],
+			);
+
+			if ( $count_rows ) {
+				$file['row_count'] = $this->count_csv_rows( $path, $delimiter );
+			}
+
+			$files[] = $file;
+		}
+
+		return $files;
+	}
+
+	/**
+	 * Get the mapping of a group of files.
+	 *
+	 * The first group's mapping is csv_mapping, as for a single file. The others are kept in csv_mappings.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $settings Import settings.
+	 * @param int   $group    Mapping group.
+	 * @return array CSV column => GeoDirectory field.
+	 */
+	public function get_group_mapping( array $settings, $group ) {
+		if ( 0 === (int) $group ) {
+			$mapping = isset( $settings['csv_mapping'] ) ? $settings['csv_mapping'] : array();
+		} else {
+			$mapping = isset( $settings['csv_mappings'][ $group ] ) ? $settings['csv_mappings'][ $group ] : array();
+		}
+
+		return is_array( $mapping ) ? $mapping : array();
+	}
+
+	/**
+	 * Suggest a mapping for the columns of an uploaded file.
+	 *
+	 * The mapping step starts from it until a mapping is saved for the file's columns.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param int   $file_id Attachment ID.
+	 * @param array $mapping CSV column => GeoDirectory field.
+	 * @return void
+	 */
+	public function set_suggested_mapping( $file_id, array $mapping ) {
+		update_post_meta( $file_id, self::SUGGESTED_MAPPING_META_KEY, $mapping );
+	}
+
+	/**
+	 * Get the mapping suggested for a group of files.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $files Files of the group, see get_csv_files().
+	 * @return array CSV column => GeoDirectory field.
+	 */
+	public function get_suggested_mapping( array $files ) {
+		$mapping = array();
+
+		foreach ( $files as $file ) {
+			$mapping += (array) get_post_meta( $file['id'], self::SUGGESTED_MAPPING_META_KEY, true );
+		}
+
+		return array_intersect_key( array_filter( $mapping ), array_flip( $files[0]['headers'] ) );
+	}
+
+	/**
+	 * Get the name of the form field that holds a group's mapping.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param int $group Mapping group.
+	 * @return string Field name, such as 'csv_mapping' or 'csv_mapping_1'.
+	 */
+	public function get_group_field_name( $group ) {
+		return 0 === (int) $group ? 'csv_mapping' : 'csv_mapping_' . (int) $group;
+	}
+
+	/**
+	 * Add an uploaded CSV file to the files to import.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param int    $file_id   Attachment ID.
+	 * @param string $delimiter Delimiter the file is read with.
+	 * @param int[]  $file_ids  Files uploaded before it in the same batch. Empty to start a new batch.
+	 * @param array  $settings  Other import settings to save with it, such as the post type.
+	 * @return array|WP_Error The file, see get_csv_files(), or WP_Error if one of the files can't be read.
+	 */
+	public function add_csv_file( $file_id, $delimiter, array $file_ids = array(), array $settings = array() ) {
+		update_post_meta( $file_id, self::DELIMITER_META_KEY, $delimiter );
+
+		$file_ids = $this->get_csv_file_ids( array( 'csv_file_ids' => array_merge( $file_ids, array( $file_id ) ) ) );
+		$files    = $this->save_csv_files( $file_ids, $delimiter, $settings );
+
+		if ( is_wp_error( $files ) ) {
+			return $files;
+		}
+
+		return end( $files );
+	}
+
+	/**
+	 * Remove a CSV file from the files to import and delete its attachment.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param int $file_id Attachment ID.
+	 * @return true|WP_Error True on success, WP_Error if the file isn't one of the files to import or the others can't be read.
+	 */
+	public function remove_csv_file( $file_id ) {
+		$file_ids = $this->get_csv_file_ids( $this->options_handler->get_option_no_cache( 'import_settings', array() ) );
+
+		if ( ! in_array( $file_id, $file_ids, true ) ) {
+			return new WP_Error( 'csv_file_not_found', __( 'The file is not one of the files to import.', 'geodir-converter' ) );
+		}
+
+		wp_delete_attachment( $file_id, true );
+
+		$file_ids = array_values( array_diff( $file_ids, array( $file_id ) ) );
+
+		if ( empty( $file_ids ) ) {
+			$import_settings = (array) $this->options_handler->get_option_no_cache( 'import_settings', array() );
+
+			unset( $import_settings['csv_file_ids'], $import_settings['csv_file_id'], $import_settings['csv_sample_data'], $import_settings['csv_row_count'], $import_settings['import_files'] );
+
+			$this->options_handler->update_option( 'import_settings', $import_settings );
+
+			return true;
+		}
+
+		$files = $this->save_csv_files( $file_ids, $this->get_import_setting( 'csv_delimiter', ',' ) );
+
+		return is_wp_error( $files ) ? $files : true;
+	}
+
+	/**
+	 * Save the files to import, and what is read from them, in the import settings.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param int[]  $file_ids  Attachment IDs, in upload order.
+	 * @param string $delimiter Delimiter for files uploaded without one recorded.
+	 * @param array  $settings  Other import settings to save with them. Default empty array.
+	 * @return array|WP_Error The files, see get_csv_files(), or WP_Error if one of them can't be read.
+	 */
+	private function save_csv_files( array $file_ids, $delimiter, array $settings = array() ) {
+		$import_settings = (array) $this->options_handler->get_option_no_cache( 'import_settings', array() );
+		$files           = $this->get_csv_files( $file_ids, $delimiter, true );
+
+		if ( is_wp_error( $files ) ) {
+			return $files;
+		}
+
+		$first = reset( $files );
+
+		$import_settings = array_merge(
+			$import_settings,
+			$settings,
+			array(
+				'csv_file_ids'    => $file_ids,
+				'csv_file_id'     => $first['id'],
+				'csv_delimiter'   => $first['delimiter'],
+				'csv_sample_data' => $this->get_csv_sample_data( $first['path'], $first['delimiter'], $first['headers'] ),
+				'csv_row_count'   => array_sum( wp_list_pluck( $files, 'row_count' ) ),
+				'import_files'    => array_map(
+					function ( $file ) {
+						return array(
+							'name'      => $file['name'],
+							'row_count' => $file['row_count'],
+						);
+					},
+					$files
+				),
+			)
+		);
+
+		$this->options_handler->update_option( 'import_settings', $import_settings );
+
+		return $files;
+	}
+
 	/**
 	 * Get sample data from first CSV row.
 	 *
@@ -1418,13 +2071,172 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 	 */
 	private function get_encoding_options() {
 		return array(
-			'auto'         => __( 'Auto-detect', 'geodir-converter' ),
 			'UTF-8'        => 'UTF-8',
-			'UTF-8-BOM'    => 'UTF-8 with BOM',
-			'ISO-8859-1'   => 'ISO-8859-1 (Latin-1)',
+			'UTF-16LE'     => 'UTF-16 LE',
+			'UTF-16BE'     => 'UTF-16 BE',
 			'Windows-1252' => 'Windows-1252',
-			'ASCII'        => 'ASCII',
+			'ISO-8859-1'   => 'ISO-8859-1 (Latin-1)',
+		);
+	}
+
+	/**
+	 * Sanitize a CSV delimiter.
+	 *
+	 * Tabs are kept, which sanitize_text_field() would strip.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $delimiter The delimiter, or 'tab'.
+	 * @return string A single character. Default ','.
+	 */
+	public function sanitize_delimiter( $delimiter ) {
+		if ( "\t" === $delimiter || 'tab' === $delimiter ) {
+			return "\t";
+		}
+
+		$delimiter = sanitize_text_field( $delimiter );
+
+		return ( empty( $delimiter ) || strlen( $delimiter ) > 1 ) ? ',' : $delimiter;
+	}
+
+	/**
+	 * Rewrite an uploaded CSV file as UTF-8, comma separated and double quoted, with a header row.
+	 *
+	 * The importer reads files with the fgetcsv() defaults, so files in another
+	 * encoding, with a byte order mark, tab separated, quoted with single quotes
+	 * or without column names are converted once, when uploaded. Columns of files
+	 * without a header row are named column_1, column_2 and so on. The file is
+	 * converted a row at a time, so it never has to fit in memory.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $file_path CSV file path.
+	 * @param array  $format {
+	 *     Format of the file, as confirmed on the upload step.
+	 *
+	 *     @type string $delimiter  Field delimiter. Default ','.
+	 *     @type string $enclosure  Quote character, '"' or "'". Default '"'.
+	 *     @type string $encoding   One of get_encoding_options(). Default 'UTF-8'.
+	 *     @type bool   $has_header Whether the first row holds the column names. Default true.
+	 * }
+	 * @return string|WP_Error Delimiter to read the file with from now on, or WP_Error on failure.
+	 */
+	public function normalize_csv_file( $file_path, array $format ) {
+		$format    = wp_parse_args(
+			$format,
+			array(
+				'delimiter'  => ',',
+				'enclosure'  => '"',
+				'encoding'   => 'UTF-8',
+				'has_header' => true,
+			)
 		);
+		$delimiter = $this->sanitize_delimiter( $format['delimiter'] );
+		$enclosure = "'" === $format['enclosure'] ? "'" : '"';
+		$encoding  = isset( $this->get_encoding_options()[ $format['encoding'] ] ) ? $format['encoding'] : 'UTF-8';
+		$boms      = array(
+			'UTF-8'    => "\xEF\xBB\xBF",
+			'UTF-16LE' => "\xFF\xFE",
+			'UTF-16BE' => "\xFE\xFF",
+		);
+
+		$start = file_get_contents( $file_path, false, null, 0, 3 );
+
+		if ( false === $start ) {
+			return new WP_Error( 'file_open_failed', __( 'Failed to open CSV file.', 'geodir-converter' ) );
+		}
+
+		$has_bom = isset( $boms[ $encoding ] ) && 0 === strpos( $start, $boms[ $encoding ] );
+
+		// Already in the format the importer reads.
+		if ( ! $has_bom && 'UTF-8' === $encoding && "\t" !== $delimiter && '"' === $enclosure && $format['has_header'] ) {
+			return $delimiter;
+		}
+
+		// UTF-16 is decoded as it is read; one byte encodings are converted field by field.
+		$utf16 = 0 === strpos( $encoding, 'UTF-16' );
+
+		if ( $utf16 && ! in_array( 'convert.iconv.*', stream_get_filters(), true ) ) {
+			/* translators: %s: character encoding */
+			return new WP_Error( 'csv_encoding_failed', sprintf( __( 'The file could not be converted from %s to UTF-8.', 'geodir-converter' ), $encoding ) );
+		}
+
+		if ( ! $utf16 && 'UTF-8' !== $encoding && ! function_exists( 'mb_convert_encoding' ) && ! function_exists( 'iconv' ) ) {
+			/* translators: %s: character encoding */
+			return new WP_Error( 'csv_encoding_failed', sprintf( __( 'The file could not be converted from %s to UTF-8.', 'geodir-converter' ), $encoding ) );
+		}
+
+		$source = fopen( $file_path, 'rb' );
+
+		if ( false === $source ) {
+			return new WP_Error( 'file_open_failed', __( 'Failed to open CSV file.', 'geodir-converter' ) );
+		}
+
+		if ( $has_bom ) {
+			fseek( $source, strlen( $boms[ $encoding ] ) );
+		}
+
+		if ( $utf16 && ! stream_filter_append( $source, 'convert.iconv.' . $encoding . '/UTF-8', STREAM_FILTER_READ ) ) {
+			fclose( $source );
+			/* translators: %s: character encoding */
+			return new WP_Error( 'csv_encoding_failed', sprintf( __( 'The file could not be converted from %s to UTF-8.', 'geodir-converter' ), $encoding ) );
+		}
+
+		// Written next to the file and moved over it once complete, so a failure leaves the upload as it was.
+		$target_path = $file_path . '.tmp';
+		$target      = fopen( $target_path, 'wb' );
+
+		if ( false === $target ) {
+			fclose( $source );
+			return new WP_Error( 'file_write_failed', __( 'Failed to convert the CSV file.', 'geodir-converter' ) );
+		}
+
+		$first     = true;
+		$converted = true;
+
+		while ( ( $row = fgetcsv( $source, 0, $delimiter, $enclosure ) ) !== false ) {
+			if ( ! $utf16 && 'UTF-8' !== $encoding ) {
+				foreach ( $row as $index => $field ) {
+					$field = function_exists( 'mb_convert_encoding' ) ? mb_convert_encoding( (string) $field, 'UTF-8', $encoding ) : iconv( $encoding, 'UTF-8//TRANSLIT', (string) $field );
+
+					if ( false === $field ) {
+						$converted = false;
+						break 2;
+					}
+
+					$row[ $index ] = $field;
+				}
+			}
+
+			if ( $first && ! $format['has_header'] ) {
+				$columns = array();
+
+				foreach ( array_keys( $row ) as $index ) {
+					$columns[] = 'column_' . ( $index + 1 );
+				}
+
+				fputcsv( $target, $columns );
+			}
+
+			fputcsv( $target, $row );
+			$first = false;
+		}
+
+		fclose( $source );
+		fclose( $target );
+
+		if ( ! $converted ) {
+			wp_delete_file( $target_path );
+			/* translators: %s: character encoding */
+			return new WP_Error( 'csv_encoding_failed', sprintf( __( 'The file could not be converted from %s to UTF-8.', 'geodir-converter' ), $encoding ) );
+		}
+
+		if ( ! rename( $target_path, $file_path ) ) {
+			wp_delete_file( $target_path );
+			return new WP_Error( 'file_write_failed', __( 'Failed to convert the CSV file.', 'geodir-converter' ) );
+		}
+
+		return ',';
 	}
 
 	/**
@@ -1678,4 +2490,77 @@ class GeoDir_Converter_CSV extends GeoDir_Converter_Importer {
 
 		return true;
 	}
+
+	/**
+	 * Get the saved mapping templates a pipeline step can apply.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return array Template names keyed by template ID.
+	 */
+	public function get_mapping_templates() {
+		return wp_list_pluck( $this->get_saved_templates(), 'name' );
+	}
+
+	/**
+	 * Replace the column mapping with a saved template.
+	 *
+	 * Every group of files gets the template's columns it has, see
+	 * get_group_field_name().
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array  $settings    The import settings, as sent by the form.
+	 * @param string $template_id Template ID.
+	 * @return array|WP_Error The settings with the template's mapping, or WP_Error if the template or a file is gone.
+	 */
+	public function apply_mapping_template( array $settings, $template_id ) {
+		$template = $this->load_mapping_template( $template_id );
+
+		if ( is_wp_error( $template ) ) {
+			return $template;
+		}
+
+		$mapping   = (array) $template['mapping'];
+		$delimiter = isset( $settings['csv_delimiter'] ) ? $this->sanitize_delimiter( $settings['csv_delimiter'] ) : ',';
+		$csv_files = $this->get_csv_files( $this->get_csv_file_ids( $settings ), $delimiter );
+
+		if ( is_wp_error( $csv_files ) ) {
+			return $csv_files;
+		}
+
+		if ( empty( $csv_files ) ) {
+			$settings['csv_mapping'] = $mapping;
+			return $settings;
+		}
+
+		foreach ( $csv_files as $csv_file ) {
+			$settings[ $this->get_group_field_name( $csv_file['group'] ) ] = array_intersect_key( $mapping, array_flip( $csv_file['headers'] ) );
+		}
+
+		return $settings;
+	}
+
+	/**
+	 * Describe import settings in a few words, starting with the CSV file.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param array $settings The import settings.
+	 * @return array Short descriptions.
+	 */
+	public function describe_settings( array $settings ) {
+		$description = parent::describe_settings( $settings );
+		$file_ids    = $this->get_csv_file_ids( $settings );
+		$csv_file    = ! empty( $file_ids ) ? get_attached_file( $file_ids[0] ) : '';
+
+		if ( $csv_file && count( $file_ids ) > 1 ) {
+			/* translators: 1: file name, 2: number of other files */
+			array_unshift( $description, sprintf( _n( '%1$s and %2$d other file', '%1$s and %2$d other files', count( $file_ids ) - 1, 'geodir-converter' ), wp_basename( $csv_file ), count( $file_ids ) - 1 ) );
+		} elseif ( $csv_file ) {
+			array_unshift( $description, wp_basename( $csv_file ) );
+		}
+
+		return $description;
+	}
 }
@@ -159,6 +159,7 @@ class GeoDir_Converter_Directorist extends GeoDir_Converter_Importer {
 			}
 
 			$this->display_test_mode_checkbox();
+			$this->display_schedule_fields();
 			$this->display_progress();
 			$this->display_logs( $this->get_logs() );
 			$this->display_error_alert();
@@ -642,6 +643,18 @@ class GeoDir_Converter_Directorist extends GeoDir_Converter_Importer {
 		return $this->next_task( $task, true );
 	}
 
+	/**
+	 * Get the task key that holds the source records, for each action whose
+	 * failed items can be retried.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return array Task keys, keyed by action. Listings are retried from their source post IDs.
+	 */
+	protected function get_retry_task_keys() {
+		return array( self::ACTION_IMPORT_LISTINGS => 'post_ids' );
+	}
+
 	/**
 	 * Import listings from Directorist to GeoDirectory.
 	 *
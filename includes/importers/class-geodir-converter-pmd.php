@@ -240,6 +240,7 @@ class GeoDir_Converter_PMD extends GeoDir_Converter_Importer {
 			$this->display_post_type_select();
 			$this->display_form_fields();
 			$this->display_test_mode_checkbox();
+			$this->display_schedule_fields();
 			$this->display_progress();
 			$this->display_logs( $this->get_logs() );
 			$this->display_error_alert();
@@ -0,0 +1,423 @@
+<?php
+/**
+ * Rollback Process for GeoDir Converter
+ *
+ * @package GeoDir_Converter
+ * @subpackage Importers
+ * @since 2.3.0
+ */
+
+namespace GeoDir_Converter\Importers;
+
+use WP_Error;
+use GeoDir_Background_Process;
+use GeoDir_Converter\Abstracts\GeoDir_Converter_Importer;
+
+defined( 'ABSPATH' ) || exit;
+
+if ( ! class_exists( 'GeoDir_Background_Process', false ) ) {
+	require_once GEODIRECTORY_PLUGIN_DIR . '/includes/abstracts/class-geodir-background-process.php';
+}
+
+/**
+ * Deletes the objects created by a finished import run.
+ *
+ * @since 2.3.0
+ */
+class GeoDir_Converter_Rollback_Process extends GeoDir_Background_Process {
+	/**
+	 * Object IDs deleted per task.
+	 *
+	 * @var int
+	 */
+	public const TASK_SIZE = 25;
+
+	/**
+	 * Object types in the order they are deleted.
+	 *
+	 * Comments go before the posts they belong to, and posts before the
+	 * terms and users they reference.
+	 *
+	 * @var array
+	 */
+	public const OBJECT_TYPES = array( 'comments', 'posts', 'attachments', 'terms', 'users' );
+
+	/**
+	 * The importer instance.
+	 *
+	 * @var GeoDir_Converter_Importer
+	 */
+	protected $importer;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 2.3.0
+	 * @param GeoDir_Converter_Importer $importer The importer instance.
+	 */
+	public function __construct( $importer ) {
+		$this->action   = 'geodir_converter_rollback_' . $importer->get_id();
+		$this->importer = $importer;
+
+		parent::__construct();
+	}
+
+	/**
+	 * Checks if a rollback is running.
+	 *
+	 * @since 2.3.0
+	 * @return bool True if the process is running, false otherwise.
+	 */
+	public function is_in_progress() {
+		return $this->is_process_running() || ! $this->is_queue_empty();
+	}
+
+	/**
+	 * Restarts the process if it stopped before the queue was empty.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	public function touch() {
+		if ( ! $this->is_process_running() && ! $this->is_queue_empty() ) {
+			$this->dispatch();
+		}
+	}
+
+	/**
+	 * Get the state of the current or last rollback.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return array {
+	 *     Rollback state.
+	 *
+	 *     @type string $runId     ID of the run being rolled back.
+	 *     @type string $status    'running' or 'completed'. Empty if no rollback has run.
+	 *     @type int    $startTime Unix timestamp the rollback started.
+	 *     @type int    $endTime   Unix timestamp it finished, or 0.
+	 *     @type int    $userId    User who started it. Their account receives any content left by deleted users.
+	 *     @type array  $stats     Counts: total, succeed (deleted), skipped (already gone) and failed.
+	 * }
+	 */
+	public function get_state() {
+		$state = wp_parse_args(
+			(array) $this->importer->options_handler->get_option_no_cache( 'rollback', array() ),
+			array(
+				'runId'     => '',
+				'status'    => '',
+				'startTime' => 0,
+				'endTime'   => 0,
+				'userId'    => 0,
+				'stats'     => array(),
+			)
+		);
+
+		$state['stats'] = array_map( 'intval', wp_parse_args( (array) $state['stats'], $this->importer->empty_stats() ) );
+
+		return $state;
+	}
+
+	/**
+	 * Get the elapsed time of the current or last rollback, in seconds.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return int Elapsed seconds.
+	 */
+	public function get_elapsed_time() {
+		$state = $this->get_state();
+
+		if ( ! $state['startTime'] ) {
+			return 0;
+		}
+
+		return max( 0, ( $state['endTime'] ? $state['endTime'] : time() ) - $state['startTime'] );
+	}
+
+	/**
+	 * Get the rollback log.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param int $skip_logs Number of entries to skip. Default 0.
+	 * @return array Log entries, in the same format as the import log.
+	 */
+	public function get_logs( $skip_logs = 0 ) {
+		$logs = $this->importer->options_handler->get_option_no_cache( 'rollback_log', array() );
+
+		return is_array( $logs ) ? array_slice( $logs, max( 0, (int) $skip_logs ) ) : array();
+	}
+
+	/**
+	 * Queue the deletion of everything a run created.
+	 *
+	 * Only the last finished run can be rolled back, see
+	 * GeoDir_Converter_Importer::get_rollback_run(). Later runs may have
+	 * updated what an earlier one created.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $run_id Run ID.
+	 * @return true|WP_Error True once queued, WP_Error if the run can't be rolled back.
+	 */
+	public function start( $run_id ) {
+		if ( $this->is_in_progress() ) {
+			return new WP_Error( 'rollback_in_progress', __( 'A rollback is already in progress.', 'geodir-converter' ) );
+		}
+
+		if ( $this->importer->background_process->is_in_progress() || $this->importer->background_process->is_paused() ) {
+			return new WP_Error( 'import_in_progress', __( 'Wait for the import to finish, or abort it, before rolling back.', 'geodir-converter' ) );
+		}
+
+		$run = $this->importer->get_rollback_run();
+
+		if ( ! $run ) {
+			return new WP_Error( 'nothing_to_roll_back', __( 'This run did not create anything that can be rolled back.', 'geodir-converter' ) );
+		}
+
+		if ( $run['id'] !== $run_id ) {
+			return new WP_Error( 'rollback_not_latest', __( 'Only the last run can be rolled back.', 'geodir-converter' ) );
+		}
+
+		$objects = $this->importer->get_created_objects( $run_id );
+		$tasks   = array();
+
+		foreach ( self::OBJECT_TYPES as $type ) {
+			$groups = 'terms' === $type ? $objects['terms'] : array( '' => $objects[ $type ] );
+
+			foreach ( $groups as $taxonomy => $ids ) {
+				foreach ( array_chunk( array_unique( array_map( 'absint', $ids ) ), self::TASK_SIZE ) as $chunk ) {
+					$tasks[] = array(
+						'type'     => $type,
+						'taxonomy' => $taxonomy,
+						'ids'      => $chunk,
+					);
+				}
+			}
+		}
+
+		if ( empty( $tasks ) ) {
+			return new WP_Error( 'nothing_to_roll_back', __( 'This run did not create anything that can be rolled back.', 'geodir-converter' ) );
+		}
+
+		$stats          = $this->importer->empty_stats();
+		$stats['total'] = array_sum(
+			array_map(
+				function ( $task ) {
+					return count( $task['ids'] );
+				},
+				$tasks
+			)
+		);
+
+		$this->importer->options_handler->delete_option( 'rollback_log' );
+		$this->importer->options_handler->update_option(
+			'rollback',
+			array(
+				'runId'     => $run_id,
+				'status'    => 'running',
+				'startTime' => time(),
+				'endTime'   => 0,
+				'userId'    => get_current_user_id(),
+				'stats'     => $stats,
+			)
+		);
+
+		/* translators: %d: number of objects */
+		$this->log( sprintf( _n( 'Rolling back %d object created by the run.', 'Rolling back %d objects created by the run.', $stats['total'], 'geodir-converter' ), $stats['total'] ) );
+
+		foreach ( array_chunk( $tasks, $this->importer->get_batch_size() ) as $batch ) {
+			$this->data( $batch )->save();
+		}
+
+		$this->dispatch();
+
+		return true;
+	}
+
+	/**
+	 * Delete one chunk of objects.
+	 *
+	 * @since 2.3.0
+	 * @param mixed $task Queue item with 'type', 'taxonomy' and 'ids'.
+	 * @return false Always removes the item from the queue.
+	 */
+	protected function task( $task ) {
+		if ( empty( $task['type'] ) || empty( $task['ids'] ) ) {
+			return false;
+		}
+
+		$state    = $this->get_state();
+		$taxonomy = isset( $task['taxonomy'] ) ? (string) $task['taxonomy'] : '';
+		$deleted  = 0;
+
+		foreach ( (array) $task['ids'] as $id ) {
+			$result = $this->delete_object( $task['type'], (int) $id, $taxonomy, (int) $state['userId'] );
+
+			if ( true === $result ) {
+				++$deleted;
+				++$state['stats']['succeed'];
+			} elseif ( null === $result ) {
+				++$state['stats']['skipped'];
+			} else {
+				++$state['stats']['failed'];
+
+				/* translators: 1: object type, 2: object ID */
+				$this->log( sprintf( __( 'Could not delete %1$s #%2$d.', 'geodir-converter' ), $this->get_type_label( $task['type'], 1 ), $id ), 'error' );
+			}
+		}
+
+		if ( $deleted ) {
+			/* translators: 1: number of objects, 2: object type */
+			$this->log( sprintf( __( 'Deleted %1$d %2$s.', 'geodir-converter' ), $deleted, $this->get_type_label( $task['type'], $deleted ) ) );
+		}
+
+		$this->importer->options_handler->update_option( 'rollback', $state );
+
+		return false;
+	}
+
+	/**
+	 * Delete a single object.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $type     Object type, one of OBJECT_TYPES.
+	 * @param int    $id       Object ID.
+	 * @param string $taxonomy Taxonomy, for terms.
+	 * @param int    $reassign User that receives content left by a deleted user.
+	 * @return bool|null True if deleted, null if it no longer exists, false on failure.
+	 */
+	protected function delete_object( $type, $id, $taxonomy, $reassign ) {
+		switch ( $type ) {
+			case 'comments':
+				if ( ! get_comment( $id ) ) {
+					return null;
+				}
+
+				return (bool) wp_delete_comment( $id, true );
+
+			case 'posts':
+				if ( ! get_post( $id ) ) {
+					return null;
+				}
+
+				return (bool) wp_delete_post( $id, true );
+
+			case 'attachments':
+				if ( ! get_post( $id ) ) {
+					return null;
+				}
+
+				return (bool) wp_delete_attachment( $id, true );
+
+			case 'terms':
+				if ( ! term_exists( $id, $taxonomy ) ) {
+					return null;
+				}
+
+				return true === wp_delete_term( $id, $taxonomy );
+
+			case 'users':
+				if ( ! get_userdata( $id ) ) {
+					return null;
+				}
+
+				// Never delete the account running the rollback.
+				if ( $id === $reassign ) {
+					return false;
+				}
+
+				require_once ABSPATH . 'wp-admin/includes/user.php';
+
+				return wp_delete_user( $id, $reassign ? $reassign : null );
+		}
+
+		return false;
+	}
+
+	/**
+	 * Get a translated label for an object type.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $type  Object type.
+	 * @param int    $count Number of objects, for the plural form.
+	 * @return string Label.
+	 */
+	protected function get_type_label( $type, $count ) {
+		switch ( $type ) {
+			case 'comments':
+				return _n( 'comment', 'comments', $count, 'geodir-converter' );
+			case 'posts':
+				return _n( 'post', 'posts', $count, 'geodir-converter' );
+			case 'attachments':
+				return _n( 'attachment', 'attachments', $count, 'geodir-converter' );
+			case 'terms':
+				return _n( 'term', 'terms', $count, 'geodir-converter' );
+			case 'users':
+				return _n( 'user', 'users', $count, 'geodir-converter' );
+		}
+
+		return $type;
+	}
+
+	/**
+	 * Append an entry to the rollback log.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @param string $message The message to log.
+	 * @param string $status  'info', 'success', 'warning' or 'error'. Default 'info'.
+	 * @return void
+	 */
+	protected function log( $message, $status = 'info' ) {
+		$logs   = $this->get_logs();
+		$logs[] = array(
+			'status'    => $status,
+			'timestamp' => gmdate( 'Y-m-d H:i:s' ),
+			'elapsed'   => $this->get_elapsed_time(),
+			'text'      => $message,
+		);
+
+		$this->importer->options_handler->update_option( 'rollback_log', $logs );
+	}
+
+	/**
+	 * Complete the rollback.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return void
+	 */
+	protected function complete() {
+		parent::complete();
+
+		$state            = $this->get_state();
+		$state['status']  = 'completed';
+		$state['endTime'] = time();
+
+		$this->importer->options_handler->update_option( 'rollback', $state );
+
+		if ( $state['stats']['failed'] > 0 ) {
+			$this->log(
+				sprintf(
+					/* translators: 1: number of deleted objects, 2: number of objects that could not be deleted */
+					__( 'Rollback finished. %1$d deleted, %2$d could not be deleted. Roll back again to retry them.', 'geodir-converter' ),
+					$state['stats']['succeed'],
+					$state['stats']['failed']
+				),
+				'warning'
+			);
+		} else {
+			/* translators: %d: number of deleted objects */
+			$this->log( sprintf( _n( 'Rollback finished. %d object deleted.', 'Rollback finished. %d objects deleted.', $state['stats']['succeed'], 'geodir-converter' ), $state['stats']['succeed'] ), 'success' );
+		}
+
+		$this->importer->mark_run_rolled_back( $state['runId'], 0 === $state['stats']['failed'] );
+
+		do_action( $this->identifier . '_complete' );
+	}
+}
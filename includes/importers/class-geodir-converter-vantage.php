@@ -203,6 +203,7 @@ class GeoDir_Converter_Vantage extends GeoDir_Converter_Importer {
 			$this->display_post_type_select();
 			$this->display_author_select( true );
 			$this->display_test_mode_checkbox();
+			$this->display_schedule_fields();
 			$this->display_progress();
 			$this->display_logs( $this->get_logs() );
 			$this->display_error_alert();
@@ -1155,6 +1156,18 @@ class GeoDir_Converter_Vantage extends GeoDir_Converter_Importer {
 		return $this->next_task( $task, true );
 	}
 
+	/**
+	 * Get the task key that holds the source records, for each action whose
+	 * failed items can be retried.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return array Task keys, keyed by action. Listings are retried from their source post IDs.
+	 */
+	protected function get_retry_task_keys() {
+		return array( self::ACTION_IMPORT_LISTINGS => 'post_ids' );
+	}
+
 	/**
 	 * Import listings from Vantage to GeoDirectory.
 	 *
@@ -1542,7 +1555,7 @@ class GeoDir_Converter_Vantage extends GeoDir_Converter_Importer {
 					break;
 
 				case self::IMPORT_STATUS_FAILED:
-					$this->log( sprintf( self::LOG_TEMPLATE_FAILED, 'invoice', "INV-{$payment_id}" ), 'warning' );
+					$this->log( sprintf( self::LOG_TEMPLATE_FAILED, 'invoice', "INV-{$payment_id}" ), 'error', array( 'source_id' => $payment_id ) );
 					$this->increase_failed_imports( 1 );
 					$this->record_failed_item( $payment_id, self::ACTION_IMPORT_PAYMENTS, 'invoice', "INV-{$payment_id}", sprintf( self::LOG_TEMPLATE_FAILED, 'invoice', "INV-{$payment_id}" ) );
 					break;
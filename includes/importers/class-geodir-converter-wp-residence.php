@@ -495,6 +495,7 @@ class GeoDir_Converter_WP_Residence extends GeoDir_Converter_Importer {
 			$this->display_author_select( true );
 			$this->display_import_agents_checkbox();
 			$this->display_test_mode_checkbox();
+			$this->display_schedule_fields();
 			$this->display_progress();
 			$this->display_logs( $this->get_logs() );
 			$this->display_error_alert();
@@ -2121,6 +2122,18 @@ class GeoDir_Converter_WP_Residence extends GeoDir_Converter_Importer {
 		return $wpdb->get_results( $wpdb->prepare( $query, $params ) );
 	}
 
+	/**
+	 * Get the task key that holds the source records, for each action whose
+	 * failed items can be retried.
+	 *
+	 * @since 2.3.0
+	 *
+	 * @return array Task keys, keyed by action. Listings are retried from source post rows.
+	 */
+	protected function get_retry_task_keys() {
+		return array( self::ACTION_IMPORT_LISTINGS => 'listings' );
+	}
+
 	/**
 	 * Import a batch of listings (called by background process).
 	 *